@@ -47,9 +47,27 @@ const options = {
 // Routes
 const pwa = require(`${root_dir}/src/controllers/pwa.controller.js`);
 const notifications = require(`${root_dir}/src/controllers/notifications.controller.js`)
+const auth = require(`${root_dir}/src/controllers/auth.controller.js`);
+const incidents = require(`${root_dir}/src/controllers/incidents.controller.js`);
+const members = require(`${root_dir}/src/controllers/members.controller.js`);
+const devices = require(`${root_dir}/src/controllers/devices.controller.js`);
+const telemetry = require(`${root_dir}/src/controllers/telemetry.controller.js`);
+const deliveries = require(`${root_dir}/src/controllers/deliveries.controller.js`);
+const preferences = require(`${root_dir}/src/controllers/preferences.controller.js`);
+const webhooks = require(`${root_dir}/src/controllers/webhooks.controller.js`);
+const live = require(`${root_dir}/src/controllers/live.controller.js`);
+const dashboard = require(`${root_dir}/src/controllers/dashboard.controller.js`);
+const admin = require(`${root_dir}/src/controllers/admin.controller.js`);
+const sites = require(`${root_dir}/src/controllers/sites.controller.js`);
+const drills = require(`${root_dir}/src/controllers/drills.controller.js`);
 
 // DB Stuff
 const db = require(`${root_dir}/src/models`);
+const incidentService = require(`${root_dir}/src/services/incidents.js`);
+const deviceService = require(`${root_dir}/src/services/devices.js`);
+const webhookService = require(`${root_dir}/src/services/webhooks.js`);
+const userService = require(`${root_dir}/src/services/users.js`);
+const drillService = require(`${root_dir}/src/services/drills.js`);
 
 // Applying middlewares.
 app.use(helmet());
@@ -67,7 +85,12 @@ if (env === "development")
     app.use(errorhandler());
 
 app.use(morganMiddleware);
-app.use(bodyParser.json());
+// The raw body is kept so device request signatures can be verified against exactly what was sent
+app.use(bodyParser.json({
+    verify: function (req, res, buf) {
+        req.rawBody = buf;
+    }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 
@@ -80,14 +103,36 @@ app.options('*', function(req, res) {
 // Applying routes
 app.use("/", pwa);
 app.use("/", notifications);
+app.use("/", auth);
+app.use("/", incidents);
+app.use("/", members);
+app.use("/", devices);
+app.use("/", telemetry);
+app.use("/", deliveries);
+app.use("/", preferences);
+app.use("/", webhooks);
+app.use("/", live);
+app.use("/", dashboard);
+app.use("/", admin);
+app.use("/", sites);
+app.use("/", drills);
 app.use(express.static('public'))
 
+// Pages of the web app, which are routed in the browser, still need to load when opened directly or refreshed
+const appRoutes = ['/dashboard', '/services', '/products'];
+app.get(appRoutes, (req, res) => res.sendFile(`${root_dir}/public/index.html`));
+
 // Setting up Swagger Docs
 const openApiSpecification = swaggerJsdoc(options);
 app.use("/docs", swaggerUi.serve, swaggerUi.setup(openApiSpecification));
 
 // Initialize DB models and start server
-db.sequelize.sync({ force: false }).then(function () {
+db.ready.then(async function () {
+    await userService.promoteConfiguredAdmins();
+    await incidentService.resumeOpenIncidents();
+    await webhookService.resumePendingDeliveries();
+    deviceService.startOfflineChecker();
+    drillService.startDrillScheduler();
     app.listen(port, (err) => {
         if (err) {
             throw err;
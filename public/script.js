@@ -8,12 +8,13 @@ export async function subscribe() {
     });
 
     const data = {
-      sub: push,
-      user: 'bcsotty' // Replace with user's username once system is built
+      sub: push
     };
 
-    fetch('http://localhost:4000/subscribe', {
+    // The subscription is linked to whoever is logged in, using the access cookie set by /auth/login
+    fetch('/subscribe', {
       method: 'POST',
+      credentials: 'same-origin',
       headers: {
         'Content-Type': 'application/json'
       },
@@ -2,18 +2,35 @@ import { BrowserRouter as Router, Route, Routes } from 'react-router-dom';
 import './App.css';
 import Navbar from './components/Navbar';
 import Home from './components/pages/HomePage/Home'
+import Dashboard from './components/pages/Dashboard/Dashboard';
+import Admin from './components/pages/Admin/Admin';
+import Settings from './components/pages/Settings/Settings';
 import Footer from './components/pages/Footer/Footer';
+import LiveFeed from './components/LiveFeed';
+import IncidentPrompt from './components/IncidentPrompt';
+import PendingResponses from './components/PendingResponses';
+import LoginBar from './components/LoginBar';
+import { LiveEventsProvider } from './hooks/useLiveEvents';
 
 function App() {
   return (
     <Router>
-      <Navbar />
-      <Routes>
-        <Route path='/' element = {<Home/>} />
+      <LiveEventsProvider>
+        <Navbar />
+        <LoginBar />
+        <PendingResponses />
+        <LiveFeed />
+        <IncidentPrompt />
+        <Routes>
+          <Route path='/' element = {<Home/>} />
+          <Route path='/dashboard' element = {<Dashboard/>} />
+          <Route path='/services' element = {<Admin/>} />
+          <Route path='/products' element = {<Settings/>} />
         
-        {/* other routes can be added here */}
-      </Routes>
-      <Footer /> {/* This places the Footer outside the Routes but still within the Router */}
+          {/* other routes can be added here */}
+        </Routes>
+        <Footer /> {/* This places the Footer outside the Routes but still within the Router */}
+      </LiveEventsProvider>
     </Router>
   );
 }
@@ -1,28 +1,170 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import SlidingPane from "react-sliding-pane";
 import "react-sliding-pane/dist/react-sliding-pane.css";
 import './AuthPane.css';
-import { FaCheck, FaTimes } from 'react-icons/fa'; 
+import { FaCheck, FaTimes } from 'react-icons/fa';
+import useLiveEvents from '../hooks/useLiveEvents';
+import useServiceWorkerMessages, { postToServiceWorker } from '../hooks/useServiceWorkerMessages';
 
+// What the pane says once an incident has been answered, by the incident's new status
+const OUTCOMES = {
+  'confirmed': 'The fire was confirmed. Evacuate now and call emergency services.',
+  'dismissed': 'The alarm was marked as a false alarm.',
+  'timed_out': 'Nobody answered in time, so the alarm was treated as a fire.',
+  'resolved': 'The incident has been resolved.'
+};
 
+// What the pane says about a drill instead, since nobody is alerted whatever the answer
+const DRILL_OUTCOMES = {
+  'confirmed': 'Thanks, your answer was recorded. This was only a drill.',
+  'dismissed': 'Thanks, your answer was recorded. This was only a drill.',
+  'awaiting_confirmation': 'You already answered this drill.',
+  'resolved': 'The drill is over.'
+};
+
+/**
+ * Describes a reading for the prompt, e.g. "Smoke 4.2 %/m, 38.5 °C, CO 12 ppm"
+ *
+ * @param readings The alarm's readings from the prompt, or null
+ * @return The description, or null if there's nothing to describe
+ */
+function describeReadings(readings) {
+  if (!readings)
+    return null;
+  const parts = [];
+  if (readings.smokeObscuration !== null)
+    parts.push(`Smoke ${readings.smokeObscuration} %/m`);
+  if (readings.temperature !== null)
+    parts.push(`${readings.temperature} °C`);
+  if (readings.co !== null)
+    parts.push(`CO ${readings.co} ppm`);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Lists the alarms that went off for a prompt, including any that joined the incident after it was sent
+ *
+ * @param prompt The prompt's details
+ * @param joined The alarms that joined since, from live grouped events
+ * @return The alarms, each with its alarmSerial and location
+ */
+function listAlarms(prompt, joined) {
+  const alarms = prompt.alarms || [];
+  return [...alarms, ...joined.filter((alarm) => !alarms.some((known) => known.alarmSerial === alarm.alarmSerial))];
+}
+
+/**
+ * Asks the user whether there's really a fire, for an incident they've been prompted about, and sends their answer to
+ * /response. If someone else answers first, the pane shows who did instead. When several alarms in the building go
+ * off together, the pane lists all of them. Drill prompts are marked as drills, and every member gets to answer them.
+ * An answer that can't be sent because the phone is offline is queued by the service worker and shown as pending until
+ * it gets through.
+ *
+ * @param prompt The prompt's details, from the push notification's metadata or GET /prompts
+ */
 export const AuthPane = ({
   isOpen,
   setIsOpen,
-  location = "Building A", // Default parameter for location
-  time = "12:34 PM", // Default parameter for time
-  room = "101" // Default parameter for room
+  prompt
 }) => {
-  const handleAuthResponse = (response) => {
-    console.log(`User response: ${response}`);
-    setIsOpen(false); // Close the pane after response
+  const [outcome, setOutcome] = useState(null);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [pending, setPending] = useState(false);
+  const [joined, setJoined] = useState([]);
+
+  // Each new prompt starts unanswered
+  useEffect(() => {
+    setOutcome(null);
+    setError(null);
+    setSubmitting(false);
+    setPending(false);
+    setJoined([]);
+  }, [prompt]);
+
+  // Shows what the server said about the answer, whether it was sent from here or from the service worker's queue
+  const handleReply = (status, body, confirmed) => {
+    if (status >= 200 && status < 300)
+      setOutcome({ status: confirmed ? 'confirmed' : 'dismissed', respondedBy: null });
+    else if (status === 409)
+      setOutcome({ status: body.status, respondedBy: body.respondedBy });
+    else
+      setError(body.error || 'Unable to send your answer.');
   };
 
+  useLiveEvents({
+    incident: (data) => {
+      if (!prompt || data.incident.id !== prompt.incidentId)
+        return;
+      if (data.event.type === 'grouped' && data.event.details.alarmSerial) {
+        const { alarmSerial, location } = data.event.details;
+        setJoined((current) => [...current, { alarmSerial, location }]);
+      }
+      if (!OUTCOMES[data.incident.status])
+        return;
+      setOutcome((current) => current || { status: data.incident.status, respondedBy: data.user });
+    }
+  });
+
+  useServiceWorkerMessages({
+    responsesPending: (queued) => {
+      setPending(!!prompt && queued.some((item) => item.incidentId === prompt.incidentId));
+    },
+    responseSent: (data) => {
+      if (!prompt || data.incidentId !== prompt.incidentId)
+        return;
+      setPending(false);
+      handleReply(data.status, data.body, data.confirmed);
+    }
+  });
+
+  const handleAuthResponse = async (confirmed) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch('/response', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: prompt.responseToken, incidentId: prompt.incidentId, confirmed: confirmed })
+      });
+      handleReply(response.status, await response.json(), confirmed);
+    } catch (err) {
+      // Offline, so hand the answer to the service worker to send once the connection is back
+      const data = { token: prompt.responseToken, incidentId: prompt.incidentId, confirmed: confirmed };
+      if (await postToServiceWorker('queueResponse', data))
+        setPending(true);
+      else
+        setError('Unable to reach Blaze. Check your connection and try again.');
+    }
+    setSubmitting(false);
+  };
+
+  const renderOutcome = () => {
+    if (prompt.drill)
+      return <div className="auth-outcome">{DRILL_OUTCOMES[outcome.status] || DRILL_OUTCOMES.resolved}</div>;
+    const text = OUTCOMES[outcome.status] || `The incident is now ${outcome.status}.`;
+    if (!outcome.respondedBy)
+      return <div className="auth-outcome">{text}</div>;
+    return (
+      <div className="auth-outcome">
+        {outcome.respondedBy.firstName || outcome.respondedBy.username} already answered. {text}
+      </div>
+    );
+  };
+
+  if (!prompt)
+    return null;
+
+  const readings = describeReadings(prompt.readings);
+  const alarms = listAlarms(prompt, joined);
+
   return (
     <SlidingPane
       className="some-custom-class"
       overlayClassName="some-custom-overlay-class"
       isOpen={isOpen}
-      title="Authentication Request"
+      title={prompt.title || (prompt.drill ? "Fire drill" : "Fire alarm triggered")}
       onRequestClose={() => setIsOpen(false)}
       from="bottom"
       width="100vw"
@@ -37,21 +179,45 @@ export const AuthPane = ({
     >
       <div className="auth-content">
         <div className="profile-picture"></div>
+        {prompt.drill && <div className="auth-drill">This is a drill. There is no fire.</div>}
         <div className="auth-question">Did a fire occur?</div>
         <div className="auth-details">
-          Location: {location}<br/>
-          Time: {time}<br/>
-          Room: {room}
-        </div>
-        <div className="response-buttons">
-          <button onClick={() => handleAuthResponse('Yes')} className="yes-button">
-            <FaCheck /> Yes
-          </button>
-          <button onClick={() => handleAuthResponse('No')} className="no-button">
-            <FaTimes /> No
-          </button>
+          Alarm: {prompt.alarmName}<br/>
+          {prompt.place ? (
+            <>
+              Building: {prompt.place.building.name}, {prompt.place.site.name}<br/>
+              Floor: {prompt.place.floor.displayName}<br/>
+              Room: {prompt.place.room.name}<br/>
+            </>
+          ) : <>Location: {prompt.location || 'Unknown'}<br/></>}
+          Time: {new Date(prompt.triggeredAt).toLocaleTimeString()}
+          {readings && <><br/>Readings: {readings}</>}
+          {alarms.length > 1 && (
+            <>
+              <br/>{alarms.length} alarms went off in this building:
+              <ul className="auth-alarms">
+                {alarms.map((alarm) => <li key={alarm.alarmSerial}>{alarm.location || alarm.alarmSerial}</li>)}
+              </ul>
+            </>
+          )}
         </div>
+        {pending && !outcome && (
+          <div className="auth-pending">
+            Your answer hasn't reached Blaze yet. It will be sent as soon as you're back online.
+          </div>
+        )}
+        {outcome ? renderOutcome() : !pending && (
+          <div className="response-buttons">
+            <button onClick={() => handleAuthResponse(true)} className="yes-button" disabled={submitting}>
+              <FaCheck /> Yes
+            </button>
+            <button onClick={() => handleAuthResponse(false)} className="no-button" disabled={submitting}>
+              <FaTimes /> No
+            </button>
+          </div>
+        )}
+        {error && <div className="auth-error">{error}</div>}
       </div>
     </SlidingPane>
   );
-};
\ No newline at end of file
+};
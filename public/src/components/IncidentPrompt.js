@@ -0,0 +1,44 @@
+import React, { useEffect, useState } from 'react';
+import { AuthPane } from './AuthPane';
+import useServiceWorkerMessages from '../hooks/useServiceWorkerMessages';
+import { authFetch } from '../session';
+
+/**
+ * Opens the confirmation prompt when the service worker receives a push for an incident or its notification is tapped,
+ * and when the app is opened while a prompt is still waiting on the user.
+ */
+export default function IncidentPrompt() {
+  const [prompt, setPrompt] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const showPrompt = (details) => {
+    setPrompt(details);
+    setIsOpen(true);
+  };
+
+  useServiceWorkerMessages({
+    showAuthPane: (data) => {
+      if (data.incidentId)
+        showPrompt(data);
+    }
+  });
+
+  // The user may have missed the push, or opened the app by tapping it before this page could hear the message
+  useEffect(() => {
+    const loadPrompts = async () => {
+      try {
+        const response = await authFetch('/prompts');
+        if (!response.ok)
+          return;
+        const prompts = await response.json();
+        if (prompts.length > 0)
+          showPrompt(prompts[0]);
+      } catch (err) {
+        console.log('Unable to load pending prompts: ', err);
+      }
+    };
+    loadPrompts();
+  }, []);
+
+  return <AuthPane isOpen={isOpen} setIsOpen={setIsOpen} prompt={prompt} />;
+}
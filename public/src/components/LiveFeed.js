@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import useLiveEvents from '../hooks/useLiveEvents';
+import './LiveFeed.css';
+
+// How long each message stays on screen, in milliseconds
+const MESSAGE_TIMEOUT = 8000;
+
+// Incident events that aren't worth interrupting anyone for
+const QUIET_EVENTS = ['prompted'];
+
+/**
+ * Shows what's happening to the user's incidents as it happens, e.g. "Brett confirmed the fire in Kitchen", so every
+ * household member sees the outcome without waiting for a push notification.
+ */
+export default function LiveFeed() {
+  const [messages, setMessages] = useState([]);
+
+  const dismiss = (id) => setMessages((current) => current.filter((message) => message.id !== id));
+
+  useLiveEvents({
+    incident: (data) => {
+      if (QUIET_EVENTS.includes(data.event.type))
+        return;
+      const message = { id: data.event.id, text: data.message, type: data.event.type };
+      setMessages((current) => [...current, message]);
+      setTimeout(() => dismiss(message.id), MESSAGE_TIMEOUT);
+    }
+  });
+
+  if (messages.length === 0)
+    return null;
+
+  return (
+    <div className="live-feed" role="status" aria-live="polite">
+      {messages.map((message) => (
+        <div key={message.id} className={`live-feed-message live-feed-${message.type}`} onClick={() => dismiss(message.id)}>
+          {message.text}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { authFetch, logIn, LOGGED_OUT_EVENT } from '../session';
+import './LoginBar.css';
+
+/**
+ * Asks the user to log in whenever they aren't, either when the app opens or once their session can't be refreshed
+ * any more. Logging in reloads the page so everything is fetched again with the new session.
+ */
+export default function LoginBar() {
+  const [loggedOut, setLoggedOut] = useState(false);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    const showForm = () => setLoggedOut(true);
+    window.addEventListener(LOGGED_OUT_EVENT, showForm);
+    authFetch('/auth/me').then((response) => {
+      if (response.status === 401)
+        showForm();
+    }).catch(() => {});
+    return () => window.removeEventListener(LOGGED_OUT_EVENT, showForm);
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSending(true);
+    const loginError = await logIn(username, password);
+    setSending(false);
+    if (loginError) {
+      setError(loginError);
+      return;
+    }
+    window.location.reload();
+  };
+
+  if (!loggedOut)
+    return null;
+
+  return (
+    <form className="login-bar" onSubmit={handleSubmit}>
+      <span className="login-bar-title">Log in to get fire alerts</span>
+      <input
+        aria-label="Username"
+        placeholder="Username"
+        autoComplete="username"
+        value={username}
+        onChange={(event) => setUsername(event.target.value)}
+      />
+      <input
+        aria-label="Password"
+        type="password"
+        placeholder="Password"
+        autoComplete="current-password"
+        value={password}
+        onChange={(event) => setPassword(event.target.value)}
+      />
+      <button type="submit" disabled={sending || !username || !password}>Log in</button>
+      {error && <span className="login-bar-error" role="alert">{error}</span>}
+    </form>
+  );
+}
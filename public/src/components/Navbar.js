@@ -5,15 +5,8 @@ import { FaFire } from "react-icons/fa";
 import { Button } from './Button';
 import './Navbar.css';
 import {IconContext} from 'react-icons/lib';
-import { AuthPane } from './AuthPane';
 
 export default function Navbar() {
-  const [isPaneOpen, setIsPaneOpen] = useState(false);
-  const togglePane = () => {
-    setIsPaneOpen(!isPaneOpen);
-  };
-
-
   const [click, setClick] = useState(false);
   const [button, setButton] = useState(true)
   const handleClick = () => setClick(!click);
@@ -55,7 +48,7 @@ export default function Navbar() {
             </Link>
           </li>
           <li className = "nav-item">
-            <Link to='/' className="nav-links">
+            <Link to='/dashboard' className="nav-links" onClick={closeMobileMenu}>
                 Dashboard
             </Link>
           </li>
@@ -84,12 +77,6 @@ export default function Navbar() {
            )}
           </li>
 
-          <li className = "nav-btn">
-
-               <Button buttonStyle='btn--outline' onClick={togglePane}>Test</Button>
-               <AuthPane isOpen={isPaneOpen} setIsOpen={setIsPaneOpen} />
-          </li>
-
 
 
         </ul>
@@ -0,0 +1,33 @@
+import React, { useEffect, useState } from 'react';
+import useServiceWorkerMessages, { postToServiceWorker } from '../hooks/useServiceWorkerMessages';
+import './PendingResponses.css';
+
+/**
+ * Warns the user while answers to confirmation prompts are queued in the service worker because they couldn't be sent.
+ * The queue is retried whenever the app opens or the browser comes back online, for browsers without Background Sync.
+ */
+export default function PendingResponses() {
+  const [pending, setPending] = useState([]);
+
+  useServiceWorkerMessages({
+    responsesPending: setPending
+  });
+
+  useEffect(() => {
+    const flush = () => postToServiceWorker('flushResponses');
+    flush();
+    window.addEventListener('online', flush);
+    return () => window.removeEventListener('online', flush);
+  }, []);
+
+  if (pending.length === 0)
+    return null;
+
+  return (
+    <div className="pending-responses" role="status">
+      {pending.length === 1
+        ? "Your answer to a fire alarm hasn't reached Blaze yet. It will be sent as soon as you're back online."
+        : `${pending.length} answers to fire alarms haven't reached Blaze yet. They'll be sent as soon as you're back online.`}
+    </div>
+  );
+}
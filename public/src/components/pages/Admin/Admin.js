@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from 'react';
+import UsersTab from './UsersTab';
+import AlarmsTab from './AlarmsTab';
+import SubscriptionsTab from './SubscriptionsTab';
+import IncidentsTab from './IncidentsTab';
+import { authFetch } from '../../../session';
+import './Admin.css';
+
+const TABS = [
+  { key: 'users', label: 'Users', component: UsersTab },
+  { key: 'alarms', label: 'Alarms', component: AlarmsTab },
+  { key: 'subscriptions', label: 'Subscriptions', component: SubscriptionsTab },
+  { key: 'incidents', label: 'Active incidents', component: IncidentsTab }
+];
+
+function Admin() {
+  const [tab, setTab] = useState('users');
+  const [access, setAccess] = useState('checking');
+
+  // Only admins get anything from the admin endpoints, so check before showing the tabs
+  useEffect(() => {
+    const checkAccess = async () => {
+      try {
+        const response = await authFetch('/auth/me');
+        if (!response.ok) {
+          setAccess('logged-out');
+          return;
+        }
+        const user = await response.json();
+        setAccess(user.role === 'admin' ? 'admin' : 'forbidden');
+      } catch (err) {
+        setAccess('offline');
+      }
+    };
+    checkAccess();
+  }, []);
+
+  const messages = {
+    'checking': 'Loading…',
+    'logged-out': 'Log in to use the admin panel.',
+    'forbidden': 'Only administrators can use the admin panel.',
+    'offline': 'Unable to reach Blaze. Check your connection.'
+  };
+  if (access !== 'admin')
+    return <div className="admin"><p className="admin-message">{messages[access]}</p></div>;
+
+  const Tab = TABS.find((item) => item.key === tab).component;
+  return (
+    <div className="admin">
+      <h2 className="admin-heading">Admin panel</h2>
+      <div className="admin-tabs">
+        {TABS.map((item) => (
+          <button
+            key={item.key}
+            className={`admin-tab ${item.key === tab ? 'admin-tab--active' : ''}`}
+            onClick={() => setTab(item.key)}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+      <Tab />
+    </div>
+  );
+}
+
+export default Admin;
@@ -0,0 +1,162 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import useAdminList from './useAdminList';
+import { adminRequest, formatTime } from './api';
+
+function AlarmEditor({ alarmSerial, onChanged, onClose }) {
+  const [alarm, setAlarm] = useState(null);
+  const [form, setForm] = useState({});
+  const [credential, setCredential] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    const { ok, data } = await adminRequest(`/admin/alarms/${encodeURIComponent(alarmSerial)}`);
+    if (!ok) {
+      setMessage(data.error);
+      return;
+    }
+    setAlarm(data);
+    setForm({ name: data.name || '', location: data.location || '', confirmationTimeout: data.confirmationTimeout });
+  }, [alarmSerial]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const update = (field) => (event) => setForm({ ...form, [field]: event.target.value });
+
+  const save = async (event) => {
+    event.preventDefault();
+    const body = { name: form.name || null, confirmationTimeout: parseInt(form.confirmationTimeout) };
+    if (form.location)
+      body.location = form.location;
+    const { ok, data } = await adminRequest(`/admin/alarms/${encodeURIComponent(alarmSerial)}`, { method: 'PATCH', body });
+    if (!ok) {
+      setMessage(data.error);
+      return;
+    }
+    setAlarm(data);
+    setMessage('Saved.');
+    onChanged();
+  };
+
+  const resetCredentials = async () => {
+    if (!window.confirm(`Revoke every credential for alarm ${alarmSerial}? The controller stops working until it's given the new one.`))
+      return;
+    const { ok, data } = await adminRequest(`/admin/alarms/${encodeURIComponent(alarmSerial)}/credentials`, { method: 'POST' });
+    if (!ok) {
+      setMessage(data.error);
+      return;
+    }
+    setCredential(data);
+    setMessage(null);
+    load();
+  };
+
+  const unpair = async () => {
+    if (!window.confirm(`Unpair alarm ${alarmSerial}? Every member is removed and it has to be paired again.`))
+      return;
+    const { ok, data } = await adminRequest(`/admin/alarms/${encodeURIComponent(alarmSerial)}/unpair`, { method: 'POST' });
+    if (!ok) {
+      setMessage(data.error);
+      return;
+    }
+    setMessage('Unpaired.');
+    onChanged();
+    load();
+  };
+
+  if (!alarm)
+    return <div className="admin-editor">{message || 'Loading…'}</div>;
+
+  return (
+    <form className="admin-editor" onSubmit={save}>
+      <h3>{alarm.displayName} ({alarm.alarmSerial})</h3>
+      <p>
+        {alarm.online ? 'Online' : 'Offline'}, last seen {formatTime(alarm.lastSeen)}.
+        {alarm.pairedAt ? ` Paired ${formatTime(alarm.pairedAt)}.` : ' Not paired.'}
+        {alarm.pairingPending && ' Waiting for its pairing code.'}
+      </p>
+      {alarm.activeIncident && (
+        <p className="admin-warning">Incident {alarm.activeIncident.id} is {alarm.activeIncident.status.replace('_', ' ')}.</p>
+      )}
+      <label>Name <input value={form.name} onChange={update('name')} /></label>
+      <label>Location <input value={form.location} onChange={update('location')} /></label>
+      <label>
+        Confirmation timeout (seconds)
+        <input type="number" min="5" max="3600" value={form.confirmationTimeout} onChange={update('confirmationTimeout')} />
+      </label>
+
+      <h4>Members</h4>
+      {alarm.members.length === 0 ? <p>None</p> : (
+        <ul>
+          {alarm.members.map((member) => <li key={member.username}>{member.username} – {member.role}, {member.status}</li>)}
+        </ul>
+      )}
+      <h4>Credentials</h4>
+      {alarm.credentials.length === 0 ? <p>None</p> : (
+        <ul>
+          {alarm.credentials.map((item) => (
+            <li key={item.keyId}>
+              {item.keyId}, issued {formatTime(item.createdAt)}
+              {item.revokedAt ? `, revoked ${formatTime(item.revokedAt)}` : `, last used ${formatTime(item.lastUsedAt)}`}
+            </li>
+          ))}
+        </ul>
+      )}
+      {credential && (
+        <div className="admin-warning">
+          New credential – load it onto the controller now, the secret won't be shown again:
+          <pre>{`keyId:  ${credential.keyId}\nsecret: ${credential.secret}`}</pre>
+        </div>
+      )}
+
+      {message && <p className="admin-message">{message}</p>}
+      <div className="admin-actions">
+        <button type="submit">Save</button>
+        <button type="button" className="admin-danger" onClick={resetCredentials}>Reset credentials</button>
+        <button type="button" className="admin-danger" onClick={unpair}>Force unpair</button>
+        <button type="button" onClick={onClose}>Close</button>
+      </div>
+    </form>
+  );
+}
+
+function AlarmsTab() {
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(null);
+  const { rows, error, reload } = useAdminList('/admin/alarms', search);
+
+  return (
+    <div>
+      <input
+        className="admin-search"
+        placeholder="Search by serial, name or location"
+        value={search}
+        onChange={(event) => setSearch(event.target.value)}
+      />
+      {error && <p className="admin-message">{error}</p>}
+      {selected && <AlarmEditor alarmSerial={selected} onChanged={reload} onClose={() => setSelected(null)} />}
+      {rows && (
+        <table className="admin-table">
+          <thead>
+            <tr><th>Serial</th><th>Name</th><th>Owner</th><th>Members</th><th>Status</th><th>Incident</th></tr>
+          </thead>
+          <tbody>
+            {rows.map((alarm) => (
+              <tr key={alarm.alarmSerial} onClick={() => setSelected(alarm.alarmSerial)}>
+                <td>{alarm.alarmSerial}</td>
+                <td>{alarm.displayName}</td>
+                <td>{alarm.owner || 'Unpaired'}</td>
+                <td>{alarm.memberCount}</td>
+                <td>{alarm.online ? 'Online' : 'Offline'}</td>
+                <td>{alarm.activeIncidentId ? `#${alarm.activeIncidentId}` : '–'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default AlarmsTab;
@@ -0,0 +1,36 @@
+import React from 'react';
+import useAdminList from './useAdminList';
+import { formatTime } from './api';
+
+function IncidentsTab() {
+  const { rows, error, reload } = useAdminList('/admin/incidents');
+
+  return (
+    <div>
+      <button className="admin-refresh" onClick={reload}>Refresh</button>
+      {error && <p className="admin-message">{error}</p>}
+      {rows && rows.length === 0 && <p className="admin-message">No incidents need attention.</p>}
+      {rows && rows.length > 0 && (
+        <table className="admin-table">
+          <thead>
+            <tr><th>Incident</th><th>Alarm</th><th>Location</th><th>Status</th><th>Triggered</th><th>Answered by</th></tr>
+          </thead>
+          <tbody>
+            {rows.map((incident) => (
+              <tr key={incident.id}>
+                <td>#{incident.id}</td>
+                <td>{incident.alarmName} ({incident.alarmSerial})</td>
+                <td>{incident.location || '–'}</td>
+                <td>{incident.status.replace('_', ' ')}</td>
+                <td>{formatTime(incident.triggeredAt)}</td>
+                <td>{incident.respondedBy ? incident.respondedBy.username : '–'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default IncidentsTab;
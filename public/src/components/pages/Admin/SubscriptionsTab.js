@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import useAdminList from './useAdminList';
+import { adminRequest, formatTime } from './api';
+
+function SubscriptionsTab() {
+  const [search, setSearch] = useState('');
+  const [message, setMessage] = useState(null);
+  const { rows, error, reload } = useAdminList('/admin/subscriptions', search);
+
+  const remove = async (subscription) => {
+    if (!window.confirm(`Stop sending notifications to ${subscription.username}'s device on ${subscription.pushService}?`))
+      return;
+    const { ok, data } = await adminRequest(`/admin/subscriptions/${subscription.id}`, { method: 'DELETE' });
+    setMessage(ok ? null : data.error);
+    reload();
+  };
+
+  return (
+    <div>
+      <input
+        className="admin-search"
+        placeholder="Search by username"
+        value={search}
+        onChange={(event) => setSearch(event.target.value)}
+      />
+      {(error || message) && <p className="admin-message">{error || message}</p>}
+      {rows && (
+        <table className="admin-table">
+          <thead>
+            <tr><th>User</th><th>Push service</th><th>Added</th><th>Failures</th><th>Expires</th><th></th></tr>
+          </thead>
+          <tbody>
+            {rows.map((subscription) => (
+              <tr key={subscription.id}>
+                <td>{subscription.username}</td>
+                <td>{subscription.pushService}</td>
+                <td>{formatTime(subscription.createdAt)}</td>
+                <td>{subscription.failureCount}</td>
+                <td>{formatTime(subscription.expirationTime)}</td>
+                <td><button className="admin-danger" onClick={() => remove(subscription)}>Delete</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default SubscriptionsTab;
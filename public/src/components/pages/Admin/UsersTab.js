@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import useAdminList from './useAdminList';
+import { adminRequest, formatTime } from './api';
+
+function UserEditor({ userId, onChanged, onClose }) {
+  const [user, setUser] = useState(null);
+  const [form, setForm] = useState({});
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      const { ok, data } = await adminRequest(`/admin/users/${userId}`);
+      if (!ok) {
+        setMessage(data.error);
+        return;
+      }
+      setUser(data);
+      setForm({ username: data.username, firstName: data.firstName, lastName: data.lastName, role: data.role, password: '' });
+    };
+    load();
+  }, [userId]);
+
+  const update = (field) => (event) => setForm({ ...form, [field]: event.target.value });
+
+  const save = async (event) => {
+    event.preventDefault();
+    const body = { username: form.username, firstName: form.firstName, lastName: form.lastName, role: form.role };
+    if (form.password)
+      body.password = form.password;
+    const { ok, data } = await adminRequest(`/admin/users/${userId}`, { method: 'PATCH', body });
+    if (!ok) {
+      setMessage(data.error);
+      return;
+    }
+    setUser(data);
+    setForm({ ...form, password: '' });
+    setMessage(form.password ? 'Saved. The user has been signed out everywhere.' : 'Saved.');
+    onChanged();
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete ${user.username}? This can't be undone.`))
+      return;
+    const { ok, data } = await adminRequest(`/admin/users/${userId}`, { method: 'DELETE' });
+    if (!ok) {
+      setMessage(data.alarmSerials ? `${data.error}: ${data.alarmSerials.join(', ')}` : data.error);
+      return;
+    }
+    onChanged();
+    onClose();
+  };
+
+  if (!user)
+    return <div className="admin-editor">{message || 'Loading…'}</div>;
+
+  return (
+    <form className="admin-editor" onSubmit={save}>
+      <h3>{user.username}</h3>
+      <label>Username <input value={form.username} onChange={update('username')} /></label>
+      <label>First name <input value={form.firstName} onChange={update('firstName')} /></label>
+      <label>Last name <input value={form.lastName} onChange={update('lastName')} /></label>
+      <label>
+        Role
+        <select value={form.role} onChange={update('role')}>
+          <option value="user">User</option>
+          <option value="admin">Admin</option>
+        </select>
+      </label>
+      <label>New password <input type="password" value={form.password} onChange={update('password')} /></label>
+
+      <h4>Alarms</h4>
+      {user.alarms.length === 0 ? <p>None</p> : (
+        <ul>
+          {user.alarms.map((alarm) => (
+            <li key={alarm.alarmSerial}>{alarm.displayName} ({alarm.alarmSerial}) – {alarm.role}, {alarm.status}</li>
+          ))}
+        </ul>
+      )}
+      <h4>Devices</h4>
+      {user.subscriptions.length === 0 ? <p>None</p> : (
+        <ul>
+          {user.subscriptions.map((subscription) => (
+            <li key={subscription.id}>{subscription.pushService}, added {formatTime(subscription.createdAt)}</li>
+          ))}
+        </ul>
+      )}
+
+      {message && <p className="admin-message">{message}</p>}
+      <div className="admin-actions">
+        <button type="submit">Save</button>
+        <button type="button" className="admin-danger" onClick={remove}>Delete user</button>
+        <button type="button" onClick={onClose}>Close</button>
+      </div>
+    </form>
+  );
+}
+
+function UsersTab() {
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(null);
+  const { rows, error, reload } = useAdminList('/admin/users', search);
+
+  return (
+    <div>
+      <input
+        className="admin-search"
+        placeholder="Search by username or name"
+        value={search}
+        onChange={(event) => setSearch(event.target.value)}
+      />
+      {error && <p className="admin-message">{error}</p>}
+      {selected && <UserEditor userId={selected} onChanged={reload} onClose={() => setSelected(null)} />}
+      {rows && (
+        <table className="admin-table">
+          <thead>
+            <tr><th>Username</th><th>Name</th><th>Role</th><th>Alarms</th><th>Devices</th><th>Joined</th></tr>
+          </thead>
+          <tbody>
+            {rows.map((user) => (
+              <tr key={user.id} onClick={() => setSelected(user.id)}>
+                <td>{user.username}</td>
+                <td>{user.firstName} {user.lastName}</td>
+                <td>{user.role}</td>
+                <td>{user.alarmCount}</td>
+                <td>{user.subscriptionCount}</td>
+                <td>{formatTime(user.createdAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default UsersTab;
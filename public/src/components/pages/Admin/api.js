@@ -0,0 +1,33 @@
+import { authFetch } from '../../../session';
+
+/**
+ * Calls one of the server's admin endpoints with the access cookie, refreshing the session if it has expired
+ *
+ * @param path The path, like /admin/users
+ * @param options The method and JSON body, if any
+ * @return The response status and parsed body (null for 204s). If the server can't be reached, the status is 0 and
+ * the body holds an error to show.
+ */
+export async function adminRequest(path, { method = 'GET', body } = {}) {
+  try {
+    const response = await authFetch(path, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = response.status === 204 ? null : await response.json();
+    return { status: response.status, ok: response.ok, data };
+  } catch (err) {
+    return { status: 0, ok: false, data: { error: 'Unable to reach Blaze. Check your connection.' } };
+  }
+}
+
+/**
+ * Formats a timestamp for the admin tables
+ *
+ * @param value The ISO timestamp, or null
+ * @return The local date and time, or a dash if there isn't one
+ */
+export function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '–';
+}
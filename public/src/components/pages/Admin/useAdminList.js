@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useState } from 'react';
+import { adminRequest } from './api';
+
+/**
+ * Loads one of the admin lists, reloading whenever the search changes
+ *
+ * @param path The list endpoint, like /admin/users
+ * @param search The search term, if the list supports one
+ * @return The rows, any error, and a function to reload the list
+ */
+export default function useAdminList(path, search = '') {
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    const query = search ? `?search=${encodeURIComponent(search)}` : '';
+    const { ok, data } = await adminRequest(`${path}${query}`);
+    if (!ok) {
+      setError(data.error || 'Unable to load this list.');
+      return;
+    }
+    setRows(data);
+    setError(null);
+  }, [path, search]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { rows, error, reload };
+}
@@ -0,0 +1,36 @@
+import React from 'react';
+import { FaExclamationTriangle } from 'react-icons/fa';
+
+// What each active state means for the people looking at the banner
+const STATUS_TEXT = {
+  triggered: 'Alarm triggered',
+  awaiting_confirmation: 'Waiting for someone to confirm',
+  confirmed: 'Fire confirmed',
+  timed_out: 'Nobody confirmed in time',
+  unreachable: 'Nobody could be asked to confirm'
+};
+
+function ActiveIncidentBanner({ incidents }) {
+  if (incidents.length === 0)
+    return null;
+
+  return (
+    <div className="incident-banner" role="alert">
+      {incidents.map((incident) => (
+        <div key={incident.id} className={`incident-banner-item incident-banner-${incident.status}`}>
+          <FaExclamationTriangle className="incident-banner-icon" />
+          <div>
+            <strong>{STATUS_TEXT[incident.status]}</strong> – {incident.alarmName}
+            {incident.location && incident.location !== incident.alarmName ? ` (${incident.location})` : ''}
+            <div className="incident-banner-time">
+              Triggered at {new Date(incident.triggeredAt).toLocaleTimeString()}
+              {incident.respondedBy ? `, confirmed by ${incident.respondedBy.firstName}` : ''}
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ActiveIncidentBanner;
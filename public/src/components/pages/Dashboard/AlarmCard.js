@@ -0,0 +1,58 @@
+import React from 'react';
+import { FaBatteryFull, FaBatteryQuarter, FaWifi } from 'react-icons/fa';
+
+// The readings shown on each card, with their labels and units
+const METRICS = [
+  { key: 'smokeObscuration', label: 'Smoke', unit: '%/m' },
+  { key: 'temperature', label: 'Temperature', unit: '°C' },
+  { key: 'co', label: 'CO', unit: 'ppm' },
+  { key: 'humidity', label: 'Humidity', unit: '%' }
+];
+
+function AlarmCard({ alarm }) {
+  const reading = alarm.latestReading;
+
+  return (
+    <div className={`alarm-card ${alarm.activeIncidentId ? 'alarm-card--incident' : ''}`}>
+      <div className="alarm-card-header">
+        <div>
+          <h3 className="alarm-card-name">{alarm.displayName}</h3>
+          {/* The building and floor are already in the group's heading */}
+          {alarm.place
+            ? <div className="alarm-card-location">{alarm.place.room.name}</div>
+            : alarm.location && <div className="alarm-card-location">{alarm.location}</div>}
+        </div>
+        <span className={`alarm-status ${alarm.online ? 'alarm-status--online' : 'alarm-status--offline'}`}>
+          <FaWifi /> {alarm.online ? 'Online' : 'Offline'}
+        </span>
+      </div>
+
+      <div className={`alarm-battery alarm-battery--${alarm.battery.status}`}>
+        {alarm.battery.status === 'low' ? <FaBatteryQuarter /> : <FaBatteryFull />}
+        {alarm.battery.status === 'unknown'
+          ? ' Battery unknown'
+          : ` ${alarm.battery.voltage} V${alarm.battery.status === 'low' ? ' – replace soon' : ''}`}
+      </div>
+
+      {reading ? (
+        <dl className="alarm-readings">
+          {METRICS.filter((metric) => reading[metric.key] !== null && reading[metric.key] !== undefined).map((metric) => (
+            <div key={metric.key} className="alarm-reading">
+              <dt>{metric.label}</dt>
+              <dd>{reading[metric.key]} {metric.unit}</dd>
+            </div>
+          ))}
+        </dl>
+      ) : (
+        <p className="alarm-card-empty">No readings yet</p>
+      )}
+
+      <div className="alarm-card-footer">
+        {alarm.lastSeen ? `Last seen ${new Date(alarm.lastSeen).toLocaleString()}` : 'Never seen'}
+        {reading ? ` · Reading from ${new Date(reading.recordedAt).toLocaleTimeString()}` : ''}
+      </div>
+    </div>
+  );
+}
+
+export default AlarmCard;
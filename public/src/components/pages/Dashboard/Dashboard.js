@@ -0,0 +1,100 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import useLiveEvents from '../../../hooks/useLiveEvents';
+import { authFetch } from '../../../session';
+import ActiveIncidentBanner from './ActiveIncidentBanner';
+import AlarmCard from './AlarmCard';
+import IncidentTimeline from './IncidentTimeline';
+import './Dashboard.css';
+
+/**
+ * Groups alarms by building and floor, keeping the order the server sent them in
+ *
+ * @param alarms The alarms from /dashboard/summary, sorted by where they are
+ * @return A list of { heading, alarms }, where alarms that aren't in a room have a null heading
+ */
+function groupByFloor(alarms) {
+  const groups = [];
+  for (const alarm of alarms) {
+    const heading = alarm.place
+      ? `${alarm.place.building.name}, ${alarm.place.site.name} · ${alarm.place.floor.displayName}`
+      : null;
+    if (groups.length > 0 && groups[groups.length - 1].heading === heading)
+      groups[groups.length - 1].alarms.push(alarm);
+    else
+      groups.push({ heading, alarms: [alarm] });
+  }
+  return groups;
+}
+
+function Dashboard() {
+  const [dashboard, setDashboard] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadDashboard = useCallback(async () => {
+    try {
+      const response = await authFetch('/dashboard/summary');
+      if (response.status === 401) {
+        setError('Log in to see your alarms.');
+        return;
+      }
+      if (!response.ok) {
+        setError('Unable to load your alarms right now.');
+        return;
+      }
+      setDashboard(await response.json());
+      setError(null);
+    } catch (err) {
+      setError('Unable to reach Blaze. Check your connection.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDashboard();
+  }, [loadDashboard]);
+
+  // Incidents and status changes can affect several parts of the page, so those reload everything. Readings arrive
+  // often and only change one card, so they're patched in place.
+  useLiveEvents({
+    incident: loadDashboard,
+    device: loadDashboard,
+    reading: (data) => {
+      setDashboard((current) => current && {
+        ...current,
+        alarms: current.alarms.map((alarm) => alarm.alarmSerial === data.alarmSerial
+          ? { ...alarm, latestReading: data.reading }
+          : alarm)
+      });
+    }
+  });
+
+  if (error)
+    return <div className="dashboard"><p className="dashboard-message">{error}</p></div>;
+  if (!dashboard)
+    return <div className="dashboard"><p className="dashboard-message">Loading…</p></div>;
+
+  return (
+    <div className="dashboard">
+      <ActiveIncidentBanner incidents={dashboard.activeIncidents} />
+
+      <h2 className="dashboard-heading">Your alarms</h2>
+      {dashboard.alarms.length === 0 ? (
+        <p className="dashboard-message">You haven't paired any alarms yet.</p>
+      ) : (
+        groupByFloor(dashboard.alarms).map((group) => (
+          <div key={group.heading || 'unplaced'}>
+            {group.heading && <h3 className="alarm-group-heading">{group.heading}</h3>}
+            {!group.heading && dashboard.alarms[0].place && <h3 className="alarm-group-heading">Other alarms</h3>}
+            <div className="alarm-grid">
+              {group.alarms.map((alarm) => <AlarmCard key={alarm.alarmSerial} alarm={alarm} />)}
+            </div>
+          </div>
+        ))
+      )}
+
+      <h2 className="dashboard-heading">Incident history</h2>
+      <IncidentTimeline incidents={dashboard.recentIncidents} />
+    </div>
+  );
+}
+
+export default Dashboard;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { authFetch } from '../../../session';
+
+// How each step of an incident reads in the timeline
+const EVENT_TEXT = {
+  triggered: () => 'Alarm triggered',
+  prompted: (event) => `Asked ${event.details && event.details.userIds ? event.details.userIds.length : 0} member(s) to confirm`,
+  escalated: (event) => `Escalated to tier ${event.tier}`,
+  confirmed: (event) => event.details && event.details.automatic
+    ? `Confirmed automatically after ${event.details.alarmSerials.length} alarms went off`
+    : `${event.username || 'Someone'} confirmed the fire`,
+  dismissed: (event) => `${event.username || 'Someone'} marked it as a false alarm`,
+  timed_out: () => 'Nobody responded in time',
+  unreachable: () => 'Nobody could be asked to confirm',
+  resolved: (event) => event.details && event.details.drillId
+    ? 'The drill ended'
+    : `${event.username || 'Someone'} resolved the incident`,
+  grouped: (event) => event.details.primaryIncidentId
+    ? `Joined incident #${event.details.primaryIncidentId}, already under way in the building`
+    : `The alarm in ${event.details.location || event.details.alarmSerial} went off too`,
+  interconnected: (event) => `Set off ${event.details.alarmSerials.length} other alarm(s) in the building`,
+  responded: (event) => `${event.username || 'Someone'} answered in ${event.details.responseSeconds} seconds`
+};
+
+// How each incident's outcome is labelled in the list
+const STATUS_LABELS = {
+  triggered: 'Triggered',
+  awaiting_confirmation: 'Awaiting confirmation',
+  confirmed: 'Confirmed',
+  dismissed: 'False alarm',
+  timed_out: 'No response',
+  unreachable: 'Nobody to ask',
+  resolved: 'Resolved'
+};
+
+function IncidentTimeline({ incidents }) {
+  const [openId, setOpenId] = useState(null);
+  const [events, setEvents] = useState({});
+
+  const toggle = async (incidentId) => {
+    if (openId === incidentId) {
+      setOpenId(null);
+      return;
+    }
+    setOpenId(incidentId);
+    const response = await authFetch(`/incidents/${incidentId}/events`);
+    if (response.ok) {
+      const incidentEvents = await response.json();
+      setEvents((current) => ({ ...current, [incidentId]: incidentEvents }));
+    }
+  };
+
+  if (incidents.length === 0)
+    return <p className="dashboard-message">No incidents so far.</p>;
+
+  return (
+    <ul className="incident-list">
+      {incidents.map((incident) => (
+        <li key={incident.id} className="incident-list-item">
+          <button className="incident-summary" onClick={() => toggle(incident.id)} aria-expanded={openId === incident.id}>
+            <span className="incident-summary-time">{new Date(incident.triggeredAt).toLocaleString()}</span>
+            <span className="incident-summary-alarm">{incident.drillId ? `Drill: ${incident.alarmName}` : incident.alarmName}</span>
+            <span className={`incident-status incident-status--${incident.status}`}>{STATUS_LABELS[incident.status]}</span>
+          </button>
+
+          {openId === incident.id && (
+            <ol className="incident-timeline">
+              {(events[incident.id] || []).map((event) => (
+                <li key={event.id} className={`incident-timeline-event incident-timeline-event--${event.type}`}>
+                  <span className="incident-timeline-time">{new Date(event.createdAt).toLocaleTimeString()}</span>
+                  {EVENT_TEXT[event.type](event)}
+                </li>
+              ))}
+            </ol>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default IncidentTimeline;
@@ -0,0 +1,236 @@
+import React, { useEffect, useState } from 'react';
+import { authFetch } from '../../../session';
+import './Settings.css';
+
+const EVENTS = [
+  { key: 'fire', label: 'Fire alarms' },
+  { key: 'offline', label: 'Alarms going offline or coming back online' },
+  { key: 'low_battery', label: 'Low batteries' },
+  { key: 'drill', label: 'Fire drills' }
+];
+
+const CHANNELS = [
+  { key: 'push', label: 'Push notification' },
+  { key: 'email', label: 'Email' },
+  { key: 'sms', label: 'Text message' },
+  { key: 'voice', label: 'Phone call' }
+];
+
+const LANGUAGES = [
+  { key: 'en', label: 'English' },
+  { key: 'es', label: 'Español' },
+  { key: 'fr', label: 'Français' }
+];
+
+/**
+ * Sends a request to the preferences endpoints with the access cookie, refreshing the session if it has expired
+ *
+ * @param path The path, like /preferences
+ * @param options The method and JSON body, if any
+ * @return The response status and parsed body. If the server can't be reached, the status is 0 and the body holds an
+ * error to show.
+ */
+async function preferencesRequest(path, { method = 'GET', body } = {}) {
+  try {
+    const response = await authFetch(path, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, ok: response.ok, data: await response.json() };
+  } catch (err) {
+    return { status: 0, ok: false, data: { error: 'Unable to reach Blaze. Check your connection.' } };
+  }
+}
+
+/**
+ * Fills the form from the preferences returned by the server, and marks the page with the language they've saved
+ *
+ * @param preferences The body of GET or PUT /preferences
+ * @return The form's fields
+ */
+function toForm(preferences) {
+  document.documentElement.lang = preferences.language;
+  return {
+    displayName: preferences.displayName || '',
+    email: preferences.email || '',
+    phoneNumber: preferences.phoneNumber || '',
+    channels: preferences.channels,
+    events: preferences.events,
+    language: preferences.language,
+    alarms: preferences.alarms
+  };
+}
+
+/**
+ * Lets the logged in user change their display name, contact details and which notifications they get, and send
+ * themselves a test notification
+ */
+function Settings() {
+  const [form, setForm] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      const { status, ok, data } = await preferencesRequest('/preferences');
+      if (!ok) {
+        setLoadError(status === 401 ? 'Log in to change your settings.' : data.error);
+        return;
+      }
+      setForm(toForm(data));
+    };
+    load();
+  }, []);
+
+  const update = (field) => (event) => setForm({ ...form, [field]: event.target.value });
+
+  const toggleEvent = (key) => {
+    const events = form.events.includes(key) ? form.events.filter((event) => event !== key) : [...form.events, key];
+    setForm({ ...form, events });
+  };
+
+  const toggleAlarm = (alarmSerial) => {
+    setForm({
+      ...form,
+      alarms: form.alarms.map((alarm) => alarm.alarmSerial === alarmSerial ? { ...alarm, notify: !alarm.notify } : alarm)
+    });
+  };
+
+  const toggleChannel = (key) => {
+    const channels = form.channels.includes(key)
+      ? form.channels.filter((channel) => channel !== key)
+      : [...form.channels, key];
+    setForm({ ...form, channels });
+  };
+
+  // Channels are tried in order, so they can be moved up or down the list
+  const moveChannel = (index, offset) => {
+    const channels = [...form.channels];
+    [channels[index], channels[index + offset]] = [channels[index + offset], channels[index]];
+    setForm({ ...form, channels });
+  };
+
+  const save = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setMessage(null);
+    const { ok, data } = await preferencesRequest('/preferences', {
+      method: 'PUT',
+      body: {
+        displayName: form.displayName.trim() || null,
+        email: form.email.trim() || null,
+        phoneNumber: form.phoneNumber.trim() || null,
+        channels: form.channels,
+        events: form.events,
+        mutedAlarms: form.alarms.filter((alarm) => !alarm.notify).map((alarm) => alarm.alarmSerial),
+        language: form.language
+      }
+    });
+    setSaving(false);
+    if (!ok) {
+      setMessage({ error: true, text: data.error });
+      return;
+    }
+    setForm(toForm(data));
+    setMessage({ error: false, text: 'Your settings were saved.' });
+  };
+
+  const sendTest = async () => {
+    setMessage(null);
+    const { ok, data } = await preferencesRequest('/preferences/test', { method: 'POST' });
+    if (!ok)
+      setMessage({ error: true, text: data.error });
+    else if (data.totalSubscriptions === 0)
+      setMessage({ error: true, text: 'No devices are subscribed to notifications yet. Allow notifications on this device first.' });
+    else
+      setMessage({
+        error: data.successfulNotifications === 0,
+        text: `Test notification sent to ${data.successfulNotifications} of ${data.totalSubscriptions} device(s).`
+      });
+  };
+
+  if (!form)
+    return <div className="settings"><p className="settings-message">{loadError || 'Loading…'}</p></div>;
+
+  const unusedChannels = CHANNELS.filter((channel) => !form.channels.includes(channel.key));
+
+  return (
+    <form className="settings" onSubmit={save}>
+      <h2 className="settings-heading">Settings</h2>
+
+      <section className="settings-section">
+        <h3>Profile</h3>
+        <label>
+          Display name
+          <input value={form.displayName} onChange={update('displayName')} maxLength={50}
+            placeholder="Shown to the other members of your alarms" />
+        </label>
+        <label>Email <input type="email" value={form.email} onChange={update('email')} /></label>
+        <label>
+          Phone number
+          <input type="tel" value={form.phoneNumber} onChange={update('phoneNumber')} placeholder="+14155550123" />
+        </label>
+        <label>
+          Language
+          <select value={form.language} onChange={update('language')}>
+            {LANGUAGES.map((language) => <option key={language.key} value={language.key}>{language.label}</option>)}
+          </select>
+        </label>
+      </section>
+
+      <section className="settings-section">
+        <h3>Alarms</h3>
+        {form.alarms.length === 0 ? <p>You aren't a member of any alarms yet.</p> : form.alarms.map((alarm) => (
+          <label key={alarm.alarmSerial} className="settings-check">
+            <input type="checkbox" checked={alarm.notify} onChange={() => toggleAlarm(alarm.alarmSerial)} />
+            {alarm.displayName}
+          </label>
+        ))}
+      </section>
+
+      <section className="settings-section">
+        <h3>Notify me about</h3>
+        {EVENTS.map((event) => (
+          <label key={event.key} className="settings-check">
+            <input type="checkbox" checked={form.events.includes(event.key)} onChange={() => toggleEvent(event.key)} />
+            {event.label}
+          </label>
+        ))}
+      </section>
+
+      <section className="settings-section">
+        <h3>Reach me by</h3>
+        <p className="settings-hint">Each channel is tried in order until one of them reaches you.</p>
+        <ol className="settings-channels">
+          {form.channels.map((key, index) => (
+            <li key={key}>
+              {CHANNELS.find((channel) => channel.key === key).label}
+              <button type="button" onClick={() => moveChannel(index, -1)} disabled={index === 0}>Up</button>
+              <button type="button" onClick={() => moveChannel(index, 1)} disabled={index === form.channels.length - 1}>
+                Down
+              </button>
+              <button type="button" onClick={() => toggleChannel(key)} disabled={form.channels.length === 1}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ol>
+        {unusedChannels.map((channel) => (
+          <button key={channel.key} type="button" className="settings-add" onClick={() => toggleChannel(channel.key)}>
+            Add {channel.label.toLowerCase()}
+          </button>
+        ))}
+      </section>
+
+      {message && <p className={message.error ? 'settings-error' : 'settings-saved'}>{message.text}</p>}
+      <div className="settings-actions">
+        <button type="submit" disabled={saving}>{saving ? 'Saving…' : 'Save'}</button>
+        <button type="button" onClick={sendTest}>Send me a test notification</button>
+      </div>
+    </form>
+  );
+}
+
+export default Settings;
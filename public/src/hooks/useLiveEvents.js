@@ -0,0 +1,83 @@
+import React, { createContext, useContext, useEffect, useRef } from 'react';
+import { refreshSession } from '../session';
+
+// The event types sent by GET /events
+const EVENT_TYPES = ['incident', 'device', 'reading'];
+
+// Lets components add themselves as listeners to the one stream the provider keeps open
+const LiveEventsContext = createContext(null);
+
+/**
+ * Keeps a single connection to the server's live event stream open for the whole app and hands each event to every
+ * component listening through useLiveEvents. One stream per tab keeps the browser's per-host connection limit and the
+ * server's per-user stream limit free for everything else. The access cookie authenticates the stream, and
+ * EventSource reconnects on its own (sending Last-Event-ID so missed events are replayed). If the stream is refused
+ * because the access cookie expired, the session is refreshed and the stream opened again.
+ *
+ * @param children The app
+ */
+export function LiveEventsProvider({ children }) {
+  const listenersRef = useRef(new Set());
+  const subscribeRef = useRef((listener) => {
+    listenersRef.current.add(listener);
+    return () => listenersRef.current.delete(listener);
+  });
+
+  useEffect(() => {
+    if (!('EventSource' in window))
+      return undefined;
+
+    let source = null;
+    let closed = false;
+    const connect = () => {
+      source = new EventSource('/events', { withCredentials: true });
+      for (const type of EVENT_TYPES) {
+        source.addEventListener(type, (event) => {
+          const data = JSON.parse(event.data);
+          for (const listener of listenersRef.current)
+            listener(type, data);
+        });
+      }
+      // EventSource only gives up for good when the server refuses the stream
+      source.onerror = async () => {
+        if (source.readyState !== EventSource.CLOSED)
+          return;
+        if (await refreshSession() && !closed)
+          connect();
+      };
+    };
+    connect();
+    return () => {
+      closed = true;
+      source.close();
+    };
+  }, []);
+
+  return (
+    <LiveEventsContext.Provider value={subscribeRef.current}>
+      {children}
+    </LiveEventsContext.Provider>
+  );
+}
+
+/**
+ * Listens to the server's live event stream while the component is mounted, through the app's LiveEventsProvider
+ *
+ * @param handlers An object with an optional handler for each event type, called with the event's parsed data
+ */
+export default function useLiveEvents(handlers) {
+  const subscribe = useContext(LiveEventsContext);
+  // Kept in a ref so re-rendering with new handlers doesn't resubscribe
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!subscribe)
+      return undefined;
+    return subscribe((type, data) => {
+      const handler = handlersRef.current[type];
+      if (handler)
+        handler(data);
+    });
+  }, [subscribe]);
+}
@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Listens to the messages the service worker broadcasts on the sw-messages channel while the component is mounted,
+ * like showAuthPane when a confirmation prompt is pushed or responseSent when a queued answer reaches the server.
+ *
+ * @param handlers An object with an optional handler for each action, called with the message's data
+ */
+export default function useServiceWorkerMessages(handlers) {
+  // Kept in a ref so re-rendering with new handlers doesn't reopen the channel
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!('BroadcastChannel' in window))
+      return undefined;
+
+    const channel = new BroadcastChannel('sw-messages');
+    channel.onmessage = (event) => {
+      const handler = handlersRef.current[event.data.action];
+      if (handler)
+        handler(event.data.data);
+    };
+    return () => channel.close();
+  }, []);
+}
+
+/**
+ * Sends a message to the active service worker, if there is one
+ *
+ * @param action What the service worker should do: queueResponse or flushResponses
+ * @param data The message's details
+ * @return Whether there was a service worker to send it to
+ */
+export async function postToServiceWorker(action, data) {
+  if (!('serviceWorker' in navigator))
+    return false;
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration || !registration.active)
+    return false;
+  registration.active.postMessage({ action, data });
+  return true;
+}
@@ -0,0 +1,67 @@
+// Sent on window when the session can't be refreshed any more, so the app can ask the user to log in again
+export const LOGGED_OUT_EVENT = 'blaze:logged-out';
+
+// The refresh in flight, shared so requests that all get a 401 at once only refresh the session once
+let refreshing = null;
+
+/**
+ * Gets a new access cookie using the refresh cookie set at login. Tells the app the user is logged out if that fails.
+ *
+ * @return True if the session was refreshed
+ */
+export function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      try {
+        const response = await fetch('/auth/refresh', { method: 'POST', credentials: 'same-origin' });
+        if (!response.ok)
+          window.dispatchEvent(new Event(LOGGED_OUT_EVENT));
+        return response.ok;
+      } catch (err) {
+        return false;
+      } finally {
+        refreshing = null;
+      }
+    })();
+  }
+  return refreshing;
+}
+
+/**
+ * Calls the server with the access cookie. If the access cookie has expired, the session is refreshed and the request
+ * is sent once more.
+ *
+ * @param path The path, like /dashboard/summary
+ * @param options The fetch options
+ * @return The fetch response
+ */
+export async function authFetch(path, options = {}) {
+  const send = () => fetch(path, { credentials: 'same-origin', ...options });
+  const response = await send();
+  if (response.status !== 401 || !(await refreshSession()))
+    return response;
+  return send();
+}
+
+/**
+ * Logs the user in, which sets the access and refresh cookies
+ *
+ * @param username The username
+ * @param password The password
+ * @return null on success, or an error to show
+ */
+export async function logIn(username, password) {
+  try {
+    const response = await fetch('/auth/login', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    if (response.ok)
+      return null;
+    return (await response.json()).error;
+  } catch (err) {
+    return 'Unable to reach Blaze. Check your connection.';
+  }
+}
@@ -1,3 +1,183 @@
+// Must match the server's VAPID public key, as used by subscribe() in script.js
+const APPLICATION_SERVER_KEY = 'BDNhhvCejJLGp8C1DSl0rzwdmONmv7EsfJTk0TG0flkvmvacsY9IkufqR63Ykfs8o-goFKEYxra7vUwxBURj8rs';
+
+// The app shell, cached on install so the app opens without a connection. The hashed bundles are added from
+// asset-manifest.json, so a new build is picked up by bumping SHELL_CACHE. v2 drops shells overwritten by other pages.
+const SHELL_CACHE = 'blaze-shell-v2';
+const SHELL_FILES = ['/index.html', '/script.js', '/manifest.json', '/favicon.ico', '/icons/icon-192x192.png'];
+
+// Pages the server answers with index.html, as listed in appRoutes in index.js. Other pages, like /docs, are left alone.
+const APP_ROUTES = ['/', '/dashboard', '/services', '/products'];
+
+// Answers to confirmation prompts are queued in IndexedDB until the server has them, keyed by incident
+const QUEUE_DB = 'blaze';
+const RESPONSE_STORE = 'responses';
+const SYNC_TAG = 'send-responses';
+
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const manifest = await (await fetch('/asset-manifest.json')).json();
+    await cache.addAll([...SHELL_FILES, ...manifest.entrypoints.map((file) => `/${file}`)]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name !== SHELL_CACHE).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// App pages are always fetched fresh when possible, falling back to the cached shell offline. Built assets are hashed,
+// so a cached copy is always current. API requests and other pages are never cached.
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin)
+    return;
+
+  if (request.mode === 'navigate' && APP_ROUTES.includes(url.pathname.replace(/(.)\/$/, '$1'))) {
+    event.respondWith((async () => {
+      try {
+        const response = await fetch(request);
+        if (response.ok && response.headers.get('Content-Type')?.includes('text/html')) {
+          const cache = await caches.open(SHELL_CACHE);
+          await cache.put('/index.html', response.clone());
+        }
+        return response;
+      } catch (err) {
+        return caches.match('/index.html');
+      }
+    })());
+  } else if (url.pathname.startsWith('/static/') || SHELL_FILES.includes(url.pathname)) {
+    event.respondWith((async () => {
+      const cached = await caches.match(request);
+      if (cached)
+        return cached;
+      const response = await fetch(request);
+      if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+      }
+      return response;
+    })());
+  }
+});
+
+
+function openQueue() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(QUEUE_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(RESPONSE_STORE, { keyPath: 'incidentId' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs a request against the response queue and resolves with its result once the transaction is done
+async function withQueue(mode, action) {
+  const db = await openQueue();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(RESPONSE_STORE, mode);
+    const request = action(transaction.objectStore(RESPONSE_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function broadcast(action, data) {
+  const channel = new BroadcastChannel('sw-messages');
+  channel.postMessage({ action, data });
+  channel.close();
+}
+
+// Tells open windows which answers are still waiting to be sent, so they can say so
+async function announcePending() {
+  const queued = await withQueue('readonly', (store) => store.getAll());
+  broadcast('responsesPending', queued.map(({ incidentId, confirmed, queuedAt }) => ({ incidentId, confirmed, queuedAt })));
+}
+
+// Sends every queued answer to /response. Answers the server replied to, even with an error like the incident already
+// being settled, are removed from the queue and the reply passed on to open windows. Rejects if any are left, so a
+// background sync is retried.
+async function sendQueuedResponses() {
+  const queued = await withQueue('readonly', (store) => store.getAll());
+  let remaining = 0;
+  for (const item of queued) {
+    let res;
+    try {
+      res = await fetch('/response', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: item.token, incidentId: item.incidentId, confirmed: item.confirmed })
+      });
+    } catch (err) {
+      remaining++;
+      continue;
+    }
+    if (res.status >= 500) {
+      remaining++;
+      continue;
+    }
+
+    await withQueue('readwrite', (store) => store.delete(item.incidentId));
+    const body = await res.json().catch(() => ({}));
+    broadcast('responseSent', { incidentId: item.incidentId, confirmed: item.confirmed, status: res.status, body });
+  }
+
+  await announcePending();
+  if (remaining > 0)
+    throw new Error(`${remaining} response(s) could not be sent`);
+}
+
+// Only one pass over the queue runs at a time, since each token can only be used once
+let flushing = null;
+function flushResponses() {
+  if (!flushing)
+    flushing = sendQueuedResponses().finally(() => { flushing = null; });
+  return flushing;
+}
+
+// Asks the browser to flush the queue once it's back online. Browsers without Background Sync retry when the app is
+// next opened instead.
+async function requestSync() {
+  if (!self.registration.sync)
+    return;
+  try {
+    await self.registration.sync.register(SYNC_TAG);
+  } catch (err) {
+    console.log('Unable to register background sync: ', err);
+  }
+}
+
+// Queues an answer to a confirmation prompt and tries to send it straight away
+async function sendResponse(response) {
+  await withQueue('readwrite', (store) => store.put({ ...response, queuedAt: Date.now() }));
+  try {
+    await flushResponses();
+  } catch (err) {
+    await requestSync();
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG)
+    event.waitUntil(flushResponses());
+});
+
+// The app queues answers it couldn't send itself, and asks for the queue to be flushed when it opens or comes online
+self.addEventListener('message', (event) => {
+  const { action, data } = event.data || {};
+  if (action === 'queueResponse')
+    event.waitUntil(sendResponse(data));
+  else if (action === 'flushResponses')
+    event.waitUntil(flushResponses().catch(() => requestSync()));
+});
+
 
 self.addEventListener('push', function (event) {
   console.log("Received push nottif");
@@ -22,21 +202,77 @@ self.addEventListener('push', function (event) {
       self.registration.showNotification(title, options)
   );
 
+  // Only confirmation prompts carry an incident; device status notices just show the notification
+  if (!metadata.incidentId) return;
+
+  // An open app shows the prompt straight away, with the same details and response token as the notification
   const channel = new BroadcastChannel('sw-messages');
-  channel.postMessage({ action: 'showAuthPane', data: { /* Optional data to send */ } });
+  channel.postMessage({ action: 'showAuthPane', data: { ...metadata, title, message } });
   console.log("Notification and animation trigger sent");
 });
 
-self.addEventListener('notificationclick', async (event) => {
+// The browser can replace a push subscription at any time (for example when it expires). Tell the server about the
+// new one, proving we owned the old one, so alerts keep arriving without the user subscribing again.
+self.addEventListener('pushsubscriptionchange', (event) => {
+  event.waitUntil((async () => {
+    const oldSubscription = event.oldSubscription;
+    const newSubscription = event.newSubscription || await self.registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: oldSubscription?.options.applicationServerKey ?? APPLICATION_SERVER_KEY
+    });
+
+    if (oldSubscription) {
+      const res = await fetch('/subscribe/renew', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          oldEndpoint: oldSubscription.endpoint,
+          oldAuth: oldSubscription.toJSON().keys.auth,
+          sub: newSubscription
+        })
+      });
+      if (res.ok) return;
+    }
+
+    // Without the old subscription, fall back to linking the new one to whoever is logged in, refreshing their
+    // session first if the access cookie has expired
+    const linkSubscription = () => fetch('/subscribe', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sub: newSubscription })
+    });
+    const linked = await linkSubscription();
+    if (linked.status === 401) {
+      const refreshed = await fetch('/auth/refresh', { method: 'POST', credentials: 'same-origin' });
+      if (refreshed.ok)
+        await linkSubscription();
+    }
+  })());
+});
+
+// Brings the app to the front and asks it to show the confirmation prompt. A window that's just been opened won't hear
+// the message, but it loads the prompts still waiting on the user from /prompts when it starts.
+async function openPrompt(prompt) {
+  const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length > 0)
+    await windows[0].focus();
+  else
+    await clients.openWindow('/');
+
+  const channel = new BroadcastChannel('sw-messages');
+  channel.postMessage({ action: 'showAuthPane', data: prompt });
+}
+
+self.addEventListener('notificationclick', (event) => {
   const clickedNotification = event.notification;
   clickedNotification.close();
 
   let response = null;
   if (!event.action) {
     console.log("Normal notification click");
-    // Show in app confirmation here, then log to response
-    console.log("hit!")
-    togglePane();
+    if (clickedNotification.data?.incidentId)
+      event.waitUntil(openPrompt(clickedNotification.data));
     return;
   } else {
     switch (event.action) {
@@ -54,7 +290,12 @@ self.addEventListener('notificationclick', async (event) => {
     }
   }
   if (!(response === null)) {
-    const res = await fetch(`/response?confirmed=${response}&userId=1`);
-    console.log(await res.text());
+    // The response token from the push identifies the incident and this device, and can only be used once. The answer
+    // is queued first so it isn't lost if the phone is offline.
+    event.waitUntil(sendResponse({
+      token: clickedNotification.data.responseToken,
+      incidentId: clickedNotification.data.incidentId,
+      confirmed: response
+    }));
   }
-});
\ No newline at end of file
+});
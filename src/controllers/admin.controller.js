@@ -0,0 +1,969 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { Op } = require('sequelize');
+const { authenticate, requireAdmin } = require(`${root_dir}/src/middleware/auth.js`);
+const { hashPassword } = require(`${root_dir}/src/utils/passwords.js`);
+const { revokeAllCredentials, parseAlarmChanges, resetPairing } = require(`${root_dir}/src/services/alarms.js`);
+const { describeIncident } = require(`${root_dir}/src/services/incidents.js`);
+const users = require(`${root_dir}/src/services/users.js`);
+const places = require(`${root_dir}/src/services/places.js`);
+
+// Most rows returned by a single list request
+const MAX_LIMIT = 100;
+
+// Applying routes
+router.get('/admin/users', authenticate, requireAdmin, listUsers);
+router.get('/admin/users/:userId', authenticate, requireAdmin, getUser);
+router.patch('/admin/users/:userId', authenticate, requireAdmin, updateUser);
+router.delete('/admin/users/:userId', authenticate, requireAdmin, deleteUser);
+router.get('/admin/alarms', authenticate, requireAdmin, listAlarms);
+router.get('/admin/alarms/:alarmSerial', authenticate, requireAdmin, getAlarm);
+router.patch('/admin/alarms/:alarmSerial', authenticate, requireAdmin, updateAlarm);
+router.post('/admin/alarms/:alarmSerial/unpair', authenticate, requireAdmin, forceUnpairAlarm);
+router.post('/admin/alarms/:alarmSerial/credentials', authenticate, requireAdmin, resetCredentials);
+router.get('/admin/subscriptions', authenticate, requireAdmin, listSubscriptions);
+router.delete('/admin/subscriptions/:subscriptionId', authenticate, requireAdmin, deleteSubscription);
+router.get('/admin/incidents', authenticate, requireAdmin, listActiveIncidents);
+
+
+/**
+ * Builds the paging and search options for admin list queries
+ *
+ * @param query The request's query parameters
+ * @param fields The columns the search term is matched against
+ * @return object - { where, limit, offset } or { error } if a parameter is invalid
+ * */
+function listOptions (query, fields) {
+    const limit = query.limit ? parseInt(query.limit) : 50;
+    const offset = query.offset ? parseInt(query.offset) : 0;
+    if (isNaN(limit) || isNaN(offset) || limit < 1 || offset < 0)
+        return { error: 'Missing or incorrect parameters' };
+
+    const where = {};
+    if (typeof query.search === 'string' && query.search.trim() !== '')
+        where[Op.or] = fields.map(field => ({ [field]: { [Op.like]: `%${query.search.trim()}%` } }));
+    return { where: where, limit: Math.min(limit, MAX_LIMIT), offset: offset };
+}
+
+
+/**
+ * Counts rows per user or alarm in one query
+ *
+ * @param model The model to count
+ * @param column The column to group by, like userId
+ * @param ids The IDs to count rows for
+ * @param where Any other filter to apply
+ * @return Promise<Map> - The number of rows for each ID, missing if there are none
+ * */
+async function countBy (model, column, ids, where = {}) {
+    const counts = await model.count({ where: { ...where, [column]: ids }, group: [column] });
+    return new Map(counts.map(row => [row[column], row.count]));
+}
+
+
+/**
+ * Returns the subscription fields shown to admins. Only the push service's host is included, since the endpoint and
+ * keys are enough to send notifications to the device.
+ *
+ * @param subscription The subscription, including its user
+ * @return object - The subscription's ID, owner, push service and health
+ * */
+function describeSubscription (subscription) {
+    let pushService = null;
+    try {
+        pushService = new URL(subscription.endpoint).host;
+    } catch (err) {
+        // Stored endpoints are validated when subscribing, but don't let a bad one break the list
+    }
+    return {
+        'id': subscription.id,
+        'username': subscription.user ? subscription.user.username : null,
+        'pushService': pushService,
+        'expirationTime': subscription.expirationTime,
+        'failureCount': subscription.failureCount,
+        'lastFailureAt': subscription.lastFailureAt,
+        'rateLimitedUntil': subscription.rateLimitedUntil,
+        'createdAt': subscription.createdAt
+    };
+}
+
+
+/**
+ * Returns everything an admin sees about a user: their details, the alarms they belong to and their devices
+ *
+ * @param user The user
+ * @return Promise<object> - The user's public fields, when they registered, their memberships and subscriptions
+ * */
+async function describeUser (user) {
+    const memberships = await db.alarmMember.findAll({ where: { userId: user.id }, include: [db.alarm] });
+    const subscriptions = await db.subscription.findAll({ where: { userId: user.id }, include: [db.user] });
+    return {
+        ...user.toPublic(),
+        'createdAt': user.createdAt,
+        'alarms': memberships.map(membership => ({
+            'alarmSerial': membership.alarm.alarmSerial,
+            'displayName': membership.alarm.displayName(),
+            'role': membership.role,
+            'status': membership.status
+        })),
+        'subscriptions': subscriptions.map(describeSubscription)
+    };
+}
+
+
+/**
+ * Returns everything an admin sees about an alarm: its settings and status, members, credentials and any incident
+ * that still needs attention
+ *
+ * @param alarm The alarm
+ * @return Promise<object> - The alarm's public fields plus its members, credentials and active incident
+ * */
+async function describeAlarm (alarm) {
+    const memberships = await db.alarmMember.findAll({ where: { alarmId: alarm.id }, include: [db.user] });
+    const credentials = await db.deviceCredential.findAll({
+        where: { alarmId: alarm.id },
+        order: [['createdAt', 'DESC']]
+    });
+    const activeIncident = await db.incident.findOne({
+        where: { alarmId: alarm.id, status: db.incident.ACTIVE_STATES, drillId: null },
+        include: [db.alarm, { model: db.user, as: 'respondedBy' }],
+        order: [['triggeredAt', 'DESC']]
+    });
+    return {
+        ...alarm.toPublic(),
+        'displayName': alarm.displayName(),
+        'pairingPending': !alarm.pairedAt && !!alarm.pairingCodeHash && alarm.pairingCodeExpiresAt > new Date(),
+        'members': memberships.map(membership => ({
+            'username': membership.user.username,
+            'role': membership.role,
+            'status': membership.status
+        })),
+        'credentials': credentials.map(credential => credential.toPublic()),
+        'activeIncident': activeIncident ? describeIncident(activeIncident) : null,
+        'place': await places.getPlace(alarm)
+    };
+}
+
+
+/**
+ * Validates the changes an admin can make to a user
+ *
+ * @param body The request body
+ * @return object - { changes, password } with the fields to update and any new password, or { error }
+ * */
+function parseUserChanges (body) {
+    const changes = {};
+    for (const field of ['username', 'firstName', 'lastName']) {
+        if (body[field] === undefined)
+            continue;
+        if (typeof body[field] !== 'string' || body[field].trim() === '')
+            return { error: `${field} must be a non-empty string` };
+        changes[field] = body[field].trim();
+    }
+    if (body.role !== undefined) {
+        if (!db.user.ROLES.includes(body.role))
+            return { error: `role must be one of ${db.user.ROLES.join(', ')}` };
+        changes.role = body.role;
+    }
+    if (body.password !== undefined && (typeof body.password !== 'string' || body.password.length < 8))
+        return { error: 'Password must be at least 8 characters' };
+    return { changes: changes, password: body.password };
+}
+
+// Express Routes
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     AdminSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 4
+ *         username:
+ *           type: string
+ *           example: bcsotty
+ *         pushService:
+ *           type: string
+ *           description: The host of the subscription's push service endpoint
+ *           example: fcm.googleapis.com
+ *         expirationTime:
+ *           type: string
+ *           format: date-time
+ *         failureCount:
+ *           type: integer
+ *           example: 0
+ *         lastFailureAt:
+ *           type: string
+ *           format: date-time
+ *         rateLimitedUntil:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     AdminUserSummary:
+ *       allOf:
+ *         - $ref: '#/components/schemas/User'
+ *         - type: object
+ *           properties:
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *             alarmCount:
+ *               type: integer
+ *               description: The number of alarms the user is an active member of
+ *               example: 2
+ *             subscriptionCount:
+ *               type: integer
+ *               example: 1
+ *     AdminUser:
+ *       allOf:
+ *         - $ref: '#/components/schemas/User'
+ *         - type: object
+ *           properties:
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *             alarms:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   alarmSerial:
+ *                     type: string
+ *                     example: "1"
+ *                   displayName:
+ *                     type: string
+ *                     example: Kitchen smoke alarm
+ *                   role:
+ *                     type: string
+ *                     example: owner
+ *                   status:
+ *                     type: string
+ *                     example: active
+ *             subscriptions:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AdminSubscription'
+ *   parameters:
+ *     adminSearch:
+ *       in: query
+ *       name: search
+ *       schema:
+ *         type: string
+ *     adminLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 50
+ *         maximum: 100
+ *     adminOffset:
+ *       in: query
+ *       name: offset
+ *       schema:
+ *         type: integer
+ *         default: 0
+ *
+ * /admin/users:
+ *   get:
+ *     summary: Lists every user
+ *     description: Lists users in the order they registered. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/adminSearch'
+ *       - $ref: '#/components/parameters/adminLimit'
+ *       - $ref: '#/components/parameters/adminOffset'
+ *     responses:
+ *       200:
+ *         description: The users whose username or name matches the search, if one was given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AdminUserSummary'
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Only administrators can do this
+ * */
+async function listUsers (req, res) {
+    const { where, limit, offset, error } = listOptions(req.query, ['username', 'firstName', 'lastName']);
+    if (error)
+        return res.status(400).json({ 'error': error });
+
+    try {
+        const found = await db.user.findAll({ where: where, order: [['id', 'ASC']], limit: limit, offset: offset });
+        const ids = found.map(user => user.id);
+        const alarmCounts = await countBy(db.alarmMember, 'userId', ids, { status: 'active' });
+        const subscriptionCounts = await countBy(db.subscription, 'userId', ids);
+        return res.status(200).json(found.map(user => ({
+            ...user.toPublic(),
+            'createdAt': user.createdAt,
+            'alarmCount': alarmCounts.get(user.id) || 0,
+            'subscriptionCount': subscriptionCounts.get(user.id) || 0
+        })));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /admin/users/{userId}:
+ *   get:
+ *     summary: Gets a user
+ *     description: Returns a user with the alarms they belong to and their push subscriptions. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: No such user
+ * */
+async function getUser (req, res) {
+    try {
+        const user = await db.user.findByPk(req.params.userId);
+        if (!user)
+            return res.status(404).json({ 'error': 'Unable to find user' });
+        return res.status(200).json(await describeUser(user));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /admin/users/{userId}:
+ *   patch:
+ *     summary: Edits a user
+ *     description: >
+ *       Changes a user's username, name or role, or sets a new password. Setting a password signs the user out
+ *       everywhere. Admins can't remove their own admin role. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *               password:
+ *                 type: string
+ *                 description: At least 8 characters
+ *     responses:
+ *       200:
+ *         description: The updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Invalid field, or an admin removing their own admin role
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: No such user
+ *       409:
+ *         description: Username is already taken
+ * */
+async function updateUser (req, res) {
+    const { changes, password, error } = parseUserChanges(req.body);
+    if (error)
+        return res.status(400).json({ 'error': error });
+
+    try {
+        const user = await db.user.findByPk(req.params.userId);
+        if (!user)
+            return res.status(404).json({ 'error': 'Unable to find user' });
+        if (user.id === req.user.id && changes.role === 'user')
+            return res.status(400).json({ 'error': "You can't remove your own admin role" });
+
+        if (password !== undefined)
+            changes.passwordHash = await hashPassword(password);
+        await user.update(changes);
+        if (password !== undefined)
+            await db.session.update({ revokedAt: new Date() }, { where: { userId: user.id, revokedAt: null } });
+
+        console.log(`User ${user.username} updated by admin ${req.user.username}`);
+        return res.status(200).json(await describeUser(user));
+    } catch (err) {
+        if (err.name === 'SequelizeUniqueConstraintError')
+            return res.status(409).json({ 'error': 'Username already taken' });
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /admin/users/{userId}:
+ *   delete:
+ *     summary: Deletes a user
+ *     description: >
+ *       Deletes a user along with their sessions, push subscriptions, alarm memberships, preferences and webhooks.
+ *       Users who still own alarms can't be deleted until the alarms are transferred or unpaired, and admins can't
+ *       delete themselves. Sites the user managed are kept without a manager, for an admin to hand over with
+ *       PATCH /sites/{siteId}. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: The user was deleted
+ *       400:
+ *         description: An admin deleting themselves
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: No such user
+ *       409:
+ *         description: The user still owns alarms
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Transfer or unpair this user's alarms first
+ *                 alarmSerials:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ * */
+async function deleteUser (req, res) {
+    try {
+        const user = await db.user.findByPk(req.params.userId);
+        if (!user)
+            return res.status(404).json({ 'error': 'Unable to find user' });
+        if (user.id === req.user.id)
+            return res.status(400).json({ 'error': "You can't delete your own account" });
+
+        const owned = await db.alarmMember.findAll({
+            where: { userId: user.id, role: 'owner', status: 'active' },
+            include: [db.alarm]
+        });
+        if (owned.length > 0) {
+            return res.status(409).json({
+                'error': "Transfer or unpair this user's alarms first",
+                'alarmSerials': owned.map(membership => membership.alarm.alarmSerial)
+            });
+        }
+
+        await users.deleteUser(user);
+        console.log(`User ${user.username} deleted by admin ${req.user.username}`);
+        return res.sendStatus(204);
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     AdminAlarmSummary:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Alarm'
+ *         - type: object
+ *           properties:
+ *             displayName:
+ *               type: string
+ *               example: Kitchen smoke alarm
+ *             owner:
+ *               type: string
+ *               description: The username of the alarm's owner, or null if it isn't paired
+ *               example: bcsotty
+ *             memberCount:
+ *               type: integer
+ *               example: 3
+ *             activeIncidentId:
+ *               type: integer
+ *               example: null
+ *     AdminAlarm:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Alarm'
+ *         - type: object
+ *           properties:
+ *             displayName:
+ *               type: string
+ *               example: Kitchen smoke alarm
+ *             pairingPending:
+ *               type: boolean
+ *               description: Whether the alarm has registered and its pairing code is waiting to be entered
+ *             members:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   username:
+ *                     type: string
+ *                     example: bcsotty
+ *                   role:
+ *                     type: string
+ *                     example: owner
+ *                   status:
+ *                     type: string
+ *                     example: active
+ *             credentials:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Credential'
+ *             activeIncident:
+ *               $ref: '#/components/schemas/DashboardIncident'
+ *             place:
+ *               $ref: '#/components/schemas/Place'
+ *
+ * /admin/alarms:
+ *   get:
+ *     summary: Lists every alarm
+ *     description: Lists every alarm that has registered, paired or not, in the order they registered. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/adminSearch'
+ *       - $ref: '#/components/parameters/adminLimit'
+ *       - $ref: '#/components/parameters/adminOffset'
+ *     responses:
+ *       200:
+ *         description: The alarms whose serial, name or location matches the search, if one was given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AdminAlarmSummary'
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ * */
+async function listAlarms (req, res) {
+    const { where, limit, offset, error } = listOptions(req.query, ['alarmSerial', 'name', 'location']);
+    if (error)
+        return res.status(400).json({ 'error': error });
+
+    try {
+        const found = await db.alarm.findAll({ where: where, order: [['id', 'ASC']], limit: limit, offset: offset });
+        const ids = found.map(alarm => alarm.id);
+        const memberCounts = await countBy(db.alarmMember, 'alarmId', ids, { status: 'active' });
+        const owners = await db.alarmMember.findAll({
+            where: { alarmId: ids, role: 'owner', status: 'active' },
+            include: [db.user]
+        });
+        const activeIncidents = await db.incident.findAll({
+            where: { alarmId: ids, status: db.incident.ACTIVE_STATES, drillId: null },
+            order: [['triggeredAt', 'DESC']]
+        });
+
+        return res.status(200).json(found.map(alarm => {
+            const owner = owners.find(membership => membership.alarmId === alarm.id);
+            const activeIncident = activeIncidents.find(incident => incident.alarmId === alarm.id);
+            return {
+                ...alarm.toPublic(),
+                'displayName': alarm.displayName(),
+                'owner': owner ? owner.user.username : null,
+                'memberCount': memberCounts.get(alarm.id) || 0,
+                'activeIncidentId': activeIncident ? activeIncident.id : null
+            };
+        }));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /admin/alarms/{alarmSerial}:
+ *   get:
+ *     summary: Gets an alarm
+ *     description: Returns an alarm with its members, device credentials and any active incident. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The alarm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminAlarm'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: No such alarm
+ * */
+async function getAlarm (req, res) {
+    try {
+        const alarm = await db.alarm.findOne({ where: { alarmSerial: req.params.alarmSerial } });
+        if (!alarm)
+            return res.status(404).json({ 'error': 'Unable to find alarm' });
+        return res.status(200).json(await describeAlarm(alarm));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /admin/alarms/{alarmSerial}:
+ *   patch:
+ *     summary: Edits any alarm
+ *     description: Changes the same settings an owner can with PATCH /alarm/{alarmSerial}. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 nullable: true
+ *               location:
+ *                 type: string
+ *               confirmationTimeout:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 3600
+ *     responses:
+ *       200:
+ *         description: The updated alarm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminAlarm'
+ *       400:
+ *         description: Invalid setting
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: No such alarm
+ * */
+async function updateAlarm (req, res) {
+    try {
+        const alarm = await db.alarm.findOne({ where: { alarmSerial: req.params.alarmSerial } });
+        if (!alarm)
+            return res.status(404).json({ 'error': 'Unable to find alarm' });
+
+        const { changes, error: invalid } = parseAlarmChanges(req.body, alarm);
+        if (invalid)
+            return res.status(400).json({ 'error': invalid });
+        await alarm.update(changes);
+        console.log(`Alarm ${alarm.alarmSerial} updated by admin ${req.user.username}`);
+        return res.status(200).json(await describeAlarm(alarm));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /admin/alarms/{alarmSerial}/unpair:
+ *   post:
+ *     summary: Force-unpairs an alarm
+ *     description: >
+ *       Unpairs an alarm the way its owner would with DELETE /alarm/{alarmSerial}: every member is removed, its
+ *       escalation policy is cleared and its credentials are revoked, so it has to register and be paired again. Admins
+ *       only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: The alarm was unpaired
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: No such alarm
+ * */
+async function forceUnpairAlarm (req, res) {
+    try {
+        const alarm = await db.alarm.findOne({ where: { alarmSerial: req.params.alarmSerial } });
+        if (!alarm)
+            return res.status(404).json({ 'error': 'Unable to find alarm' });
+
+        await resetPairing(alarm);
+        console.log(`Alarm ${alarm.alarmSerial} force-unpaired by admin ${req.user.username}`);
+        return res.sendStatus(204);
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /admin/alarms/{alarmSerial}/credentials:
+ *   post:
+ *     summary: Resets an alarm's device credentials
+ *     description: >
+ *       Revokes every credential the alarm has and issues a new one, for when a controller's credential has leaked or
+ *       been lost. The secret is only returned here and must be loaded onto the controller. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: The new credential
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IssuedCredential'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: No such alarm
+ * */
+async function resetCredentials (req, res) {
+    try {
+        const alarm = await db.alarm.findOne({ where: { alarmSerial: req.params.alarmSerial } });
+        if (!alarm)
+            return res.status(404).json({ 'error': 'Unable to find alarm' });
+
+        await revokeAllCredentials(alarm);
+        const credential = await db.deviceCredential.issue(alarm);
+        console.log(`Credentials for alarm ${alarm.alarmSerial} reset by admin ${req.user.username}`);
+        return res.status(201).json(credential);
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /admin/subscriptions:
+ *   get:
+ *     summary: Lists every push subscription
+ *     description: Lists push subscriptions, newest first. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/adminSearch'
+ *       - $ref: '#/components/parameters/adminLimit'
+ *       - $ref: '#/components/parameters/adminOffset'
+ *     responses:
+ *       200:
+ *         description: The subscriptions of users whose username matches the search, if one was given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AdminSubscription'
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ * */
+async function listSubscriptions (req, res) {
+    const { where, limit, offset, error } = listOptions(req.query, ['$user.username$']);
+    if (error)
+        return res.status(400).json({ 'error': error });
+
+    try {
+        const subscriptions = await db.subscription.findAll({
+            where: where,
+            include: [db.user],
+            order: [['createdAt', 'DESC'], ['id', 'DESC']],
+            limit: limit,
+            offset: offset
+        });
+        return res.status(200).json(subscriptions.map(describeSubscription));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /admin/subscriptions/{subscriptionId}:
+ *   delete:
+ *     summary: Deletes a push subscription
+ *     description: Stops notifications going to a device. The user can subscribe it again. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: The subscription was deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: No such subscription
+ * */
+async function deleteSubscription (req, res) {
+    try {
+        const subscription = await db.subscription.findByPk(req.params.subscriptionId);
+        if (!subscription)
+            return res.status(404).json({ 'error': 'Unable to find subscription' });
+
+        await subscription.destroy();
+        console.log(`Subscription ${subscription.id} deleted by admin ${req.user.username}`);
+        return res.sendStatus(204);
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /admin/incidents:
+ *   get:
+ *     summary: Lists every active incident
+ *     description: >
+ *       Lists incidents on any alarm that still need attention (awaiting confirmation, or confirmed or timed out and
+ *       not yet resolved), newest first. Drills are left out. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The active incidents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DashboardIncident'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ * */
+async function listActiveIncidents (req, res) {
+    try {
+        const activeIncidents = await db.incident.findAll({
+            where: { status: db.incident.ACTIVE_STATES, drillId: null },
+            include: [db.alarm, { model: db.user, as: 'respondedBy' }],
+            order: [['triggeredAt', 'DESC']]
+        });
+        return res.status(200).json(activeIncidents.map(describeIncident));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+module.exports = router;
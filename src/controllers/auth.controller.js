@@ -0,0 +1,378 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const env = process.env.NODE_ENV || 'development'
+const config = require(`${root_dir}/src/config/config.json`)[env];
+const { hashPassword, verifyPassword, getDummyHash } = require(`${root_dir}/src/utils/passwords.js`);
+const { signToken, verifyToken, hashToken } = require(`${root_dir}/src/utils/tokens.js`);
+const { authenticate, getCookie, ACCESS_COOKIE, REFRESH_COOKIE } = require(`${root_dir}/src/middleware/auth.js`);
+
+// Token lifetimes in seconds
+const authDetails = config.auth || {};
+const accessTokenTtl = authDetails.accessTokenTtl || 15 * 60;
+const refreshTokenTtl = authDetails.refreshTokenTtl || 30 * 24 * 60 * 60;
+
+// Applying routes
+router.post("/auth/register", register);
+router.post("/auth/login", login);
+router.post("/auth/refresh", refresh);
+router.post("/auth/logout", authenticate, logout);
+router.get("/auth/me", authenticate, me);
+
+
+/**
+ * Issues a new access/refresh token pair for the session provided and stores the refresh token's hash
+ *
+ * @param session The session the tokens belong to
+ * @param res The express response, used to set the access and refresh cookies
+ * @return Promise<object> - The tokens and the access token lifetime in seconds
+ * */
+async function issueTokens (session, res) {
+    const accessToken = signToken({ typ: 'access', sub: session.userId, sid: session.id }, accessTokenTtl);
+    const refreshToken = signToken({ typ: 'refresh', sub: session.userId, sid: session.id }, refreshTokenTtl);
+    await session.update({
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + refreshTokenTtl * 1000)
+    });
+
+    res.cookie(ACCESS_COOKIE, accessToken, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: env === 'production',
+        maxAge: accessTokenTtl * 1000
+    });
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: env === 'production',
+        path: '/auth',
+        maxAge: refreshTokenTtl * 1000
+    });
+    return { 'accessToken': accessToken, 'refreshToken': refreshToken, 'expiresIn': accessTokenTtl };
+}
+
+
+/**
+ * Creates a new session for the user and issues its tokens
+ *
+ * @param user The user being logged in
+ * @param req The express request
+ * @param res The express response
+ * @return Promise<object> - The tokens and the access token lifetime in seconds
+ * */
+async function startSession (user, req, res) {
+    const session = await user.createSession({
+        // Placeholder until issueTokens stores the real hash, since the token needs the session ID
+        refreshTokenHash: hashToken(`pending-${user.id}-${Date.now()}-${Math.random()}`),
+        expiresAt: new Date(Date.now() + refreshTokenTtl * 1000),
+        userAgent: req.get('User-Agent')
+    });
+    return issueTokens(session, res);
+}
+
+
+// Express Routes
+/**
+ * @openapi
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         username:
+ *           type: string
+ *           example: bcsotty
+ *         firstName:
+ *           type: string
+ *           example: Brett
+ *         lastName:
+ *           type: string
+ *           example: Csotty
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *     Tokens:
+ *       type: object
+ *       properties:
+ *         accessToken:
+ *           type: string
+ *           description: Short-lived token sent as a Bearer token (also set as the blaze_access cookie)
+ *         refreshToken:
+ *           type: string
+ *           description: >
+ *             Long-lived token used with /auth/refresh to get a new access token (also set as the blaze_refresh
+ *             cookie, which is only sent to /auth)
+ *         expiresIn:
+ *           type: integer
+ *           description: The number of seconds until the access token expires
+ *           example: 900
+ *
+ * /auth/register:
+ *   post:
+ *     summary: Registers a new user
+ *     description: Creates a new user account and logs it in
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: bcsotty
+ *               password:
+ *                 type: string
+ *                 description: At least 8 characters
+ *               firstName:
+ *                 type: string
+ *                 example: Brett
+ *               lastName:
+ *                 type: string
+ *                 example: Csotty
+ *     responses:
+ *       201:
+ *         description: User successfully registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Tokens'
+ *                 - type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Missing fields or password too short
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Missing or incorrect parameters
+ *       409:
+ *         description: Username is already taken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Username already taken
+ * */
+async function register (req, res) {
+    const body = req.body;
+    if (!body.username || !body.password || !body.firstName || !body.lastName)
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+    if (typeof body.password !== 'string' || body.password.length < 8)
+        return res.status(400).json({ 'error': 'Password must be at least 8 characters' });
+
+    try {
+        const user = await db.user.create({
+            username: body.username,
+            firstName: body.firstName,
+            lastName: body.lastName,
+            passwordHash: await hashPassword(body.password)
+        });
+        const tokens = await startSession(user, req, res);
+        console.log(`User ${user.username} registered successfully`);
+        return res.status(201).json({ 'user': user.toPublic(), ...tokens });
+    } catch (err) {
+        if (err.name === 'SequelizeUniqueConstraintError')
+            return res.status(409).json({ 'error': 'Username already taken' });
+        console.log('An unexpected error has occurred: ', err);
+        return res.status(500).json({ 'error': 'An unexpected error has occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /auth/login:
+ *   post:
+ *     summary: Logs a user in
+ *     description: Checks the username and password and starts a new session
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: bcsotty
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Tokens'
+ *                 - type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Missing username or password
+ *       401:
+ *         description: Incorrect username or password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Invalid username or password
+ * */
+async function login (req, res) {
+    const body = req.body;
+    if (!body.username || !body.password)
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+
+    try {
+        const user = await db.user.scope('withPassword').findOne({ where: { username: body.username } });
+        // Unknown usernames are checked against a dummy hash so they take as long to reject as a wrong password
+        const passwordHash = user ? user.passwordHash : await getDummyHash();
+        if (!(await verifyPassword(body.password, passwordHash)) || !user)
+            return res.status(401).json({ 'error': 'Invalid username or password' });
+
+        const tokens = await startSession(user, req, res);
+        return res.status(200).json({ 'user': user.toPublic(), ...tokens });
+    } catch (err) {
+        console.log('An unexpected error has occurred: ', err);
+        return res.status(500).json({ 'error': 'An unexpected error has occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /auth/refresh:
+ *   post:
+ *     summary: Refreshes an access token
+ *     description: >
+ *       Exchanges a refresh token for a new access/refresh token pair. The old refresh token can't be reused. The
+ *       web app doesn't send a body and uses the blaze_refresh cookie that login and refresh set instead.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       401:
+ *         description: Refresh token is invalid, expired, already used or its session was revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Invalid refresh token
+ * */
+async function refresh (req, res) {
+    const refreshToken = req.body.refreshToken || getCookie(req, REFRESH_COOKIE);
+    const payload = verifyToken(refreshToken, 'refresh');
+    if (!payload)
+        return res.status(401).json({ 'error': 'Invalid refresh token' });
+
+    try {
+        const session = await db.session.findByPk(payload.sid);
+        if (!session || !session.isActive())
+            return res.status(401).json({ 'error': 'Invalid refresh token' });
+
+        if (session.refreshTokenHash !== hashToken(refreshToken)) {
+            // An old refresh token was replayed, so the token may have been stolen. End the session entirely.
+            await session.update({ revokedAt: new Date() });
+            return res.status(401).json({ 'error': 'Invalid refresh token' });
+        }
+
+        const tokens = await issueTokens(session, res);
+        return res.status(200).json(tokens);
+    } catch (err) {
+        console.log('An unexpected error has occurred: ', err);
+        return res.status(500).json({ 'error': 'An unexpected error has occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /auth/logout:
+ *   post:
+ *     summary: Logs the current session out
+ *     description: Revokes the session belonging to the access token so neither of its tokens can be used again
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Not authenticated
+ * */
+async function logout (req, res) {
+    try {
+        await req.authSession.update({ revokedAt: new Date() });
+        res.clearCookie(ACCESS_COOKIE);
+        res.clearCookie(REFRESH_COOKIE, { path: '/auth' });
+        return res.sendStatus(204);
+    } catch (err) {
+        console.log('An unexpected error has occurred: ', err);
+        return res.status(500).json({ 'error': 'An unexpected error has occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /auth/me:
+ *   get:
+ *     summary: Gets the logged in user
+ *     description: Returns the user that the access token belongs to
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The authenticated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Not authenticated
+ * */
+async function me (req, res) {
+    return res.status(200).json(req.user.toPublic());
+}
+
+module.exports = router;
@@ -0,0 +1,163 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { authenticate } = require(`${root_dir}/src/middleware/auth.js`);
+const telemetry = require(`${root_dir}/src/services/telemetry.js`);
+const { describeIncident } = require(`${root_dir}/src/services/incidents.js`);
+const places = require(`${root_dir}/src/services/places.js`);
+
+// Number of past incidents included for the history timeline
+const RECENT_INCIDENTS = 20;
+
+// Applying routes
+router.get('/dashboard/summary', authenticate, getDashboard);
+
+// Express Routes
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DashboardIncident:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Incident'
+ *         - type: object
+ *           properties:
+ *             alarmSerial:
+ *               type: string
+ *               example: "1"
+ *             alarmName:
+ *               type: string
+ *               example: Kitchen smoke alarm
+ *             location:
+ *               type: string
+ *               example: Kitchen
+ *             respondedBy:
+ *               type: object
+ *               description: The user who confirmed or dismissed the incident, if anyone did
+ *               properties:
+ *                 username:
+ *                   type: string
+ *                   example: bcsotty
+ *                 firstName:
+ *                   type: string
+ *                   example: Brett
+ *
+ * /dashboard/summary:
+ *   get:
+ *     summary: Gets everything the dashboard shows
+ *     description: >
+ *       Returns the logged in user's alarms with their status, battery, latest reading and where they are in their
+ *       site, ordered by building, floor and room so the app can group them, the incidents that still
+ *       need attention (awaiting confirmation, or confirmed or timed out and not yet resolved), and the most recent
+ *       incidents for the history timeline. Drills never need attention, so they only show up in the timeline. Each
+ *       incident's steps can be loaded from /incidents/{incidentId}/events.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's dashboard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 alarms:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Alarm'
+ *                       - type: object
+ *                         properties:
+ *                           displayName:
+ *                             type: string
+ *                             example: Kitchen smoke alarm
+ *                           role:
+ *                             type: string
+ *                             description: The user's role on the alarm
+ *                             example: owner
+ *                           battery:
+ *                             type: object
+ *                             properties:
+ *                               voltage:
+ *                                 type: number
+ *                                 example: 8.9
+ *                               status:
+ *                                 type: string
+ *                                 enum: [ok, low, unknown]
+ *                           latestReading:
+ *                             $ref: '#/components/schemas/SensorReading'
+ *                           activeIncidentId:
+ *                             type: integer
+ *                             description: The alarm's newest incident that still needs attention, if any
+ *                             example: null
+ *                           place:
+ *                             $ref: '#/components/schemas/Place'
+ *                 activeIncidents:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DashboardIncident'
+ *                 recentIncidents:
+ *                   type: array
+ *                   description: The 20 most recent incidents on the user's alarms, newest first
+ *                   items:
+ *                     $ref: '#/components/schemas/DashboardIncident'
+ *       401:
+ *         description: Not authenticated
+ * */
+async function getDashboard (req, res) {
+    try {
+        const memberships = await db.alarmMember.findAll({
+            where: { userId: req.user.id, status: 'active' },
+            include: [{ model: db.alarm, include: [places.alarmRoomInclude()] }],
+            order: [['id', 'ASC']]
+        });
+        // Alarms in a room come first, grouped by where they are, and the rest keep the order they were added in
+        memberships.sort((a, b) => places.compareRooms(a.alarm.room, b.alarm.room));
+        const alarmIds = memberships.map(membership => membership.alarmId);
+        const incidentOptions = {
+            include: [db.alarm, { model: db.user, as: 'respondedBy' }],
+            order: [['triggeredAt', 'DESC']]
+        };
+
+        const activeIncidents = await db.incident.findAll({
+            ...incidentOptions,
+            where: { alarmId: alarmIds, status: db.incident.ACTIVE_STATES, drillId: null }
+        });
+        const recentIncidents = await db.incident.findAll({
+            ...incidentOptions,
+            where: { alarmId: alarmIds },
+            limit: RECENT_INCIDENTS
+        });
+
+        const alarms = [];
+        for (const membership of memberships) {
+            const alarm = membership.alarm;
+            const reading = await telemetry.getLatestReading(alarm);
+            const activeIncident = activeIncidents.find(incident => incident.alarmId === alarm.id);
+            alarms.push({
+                ...alarm.toPublic(),
+                'displayName': alarm.displayName(),
+                'role': membership.role,
+                'battery': telemetry.batteryStatus(reading),
+                'latestReading': reading ? reading.toPublic() : null,
+                'activeIncidentId': activeIncident ? activeIncident.id : null,
+                'place': alarm.room ? places.describePlace(alarm.room) : null
+            });
+        }
+
+        return res.status(200).json({
+            'alarms': alarms,
+            'activeIncidents': activeIncidents.map(describeIncident),
+            'recentIncidents': recentIncidents.map(describeIncident)
+        });
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+module.exports = router;
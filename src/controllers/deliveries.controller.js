@@ -0,0 +1,279 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { authenticate } = require(`${root_dir}/src/middleware/auth.js`);
+const { findAlarmForUser } = require(`${root_dir}/src/services/alarms.js`);
+
+// Most deliveries returned by a single list request
+const MAX_LIMIT = 100;
+
+// Applying routes
+router.get('/deliveries', authenticate, listUserDeliveries);
+router.get('/alarm/:alarmSerial/deliveries', authenticate, listAlarmDeliveries);
+router.get('/incidents/:incidentId/deliveries', authenticate, listIncidentDeliveries);
+
+
+/**
+ * Builds the paging options for delivery list queries
+ *
+ * @param query The request's query parameters
+ * @return object - { limit, offset } or { error } if a parameter is invalid
+ * */
+function pageOptions (query) {
+    const limit = query.limit ? parseInt(query.limit) : 50;
+    const offset = query.offset ? parseInt(query.offset) : 0;
+    if (isNaN(limit) || isNaN(offset) || limit < 1 || offset < 0)
+        return { error: 'Missing or incorrect parameters' };
+    return { limit: Math.min(limit, MAX_LIMIT), offset: offset };
+}
+
+
+/**
+ * Looks up deliveries, newest first, with the alarm and user they belong to
+ *
+ * @param where The filter to apply
+ * @param paging The limit and offset from pageOptions
+ * @return Promise<array> - The public delivery fields
+ * */
+async function findDeliveries (where, paging) {
+    const deliveries = await db.notificationDelivery.findAll({
+        where: where,
+        include: [db.alarm, db.user],
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: paging.limit,
+        offset: paging.offset
+    });
+    return deliveries.map(delivery => delivery.toPublic());
+}
+
+// Express Routes
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     NotificationDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 31
+ *         channel:
+ *           type: string
+ *           enum: [push, email, sms, voice]
+ *         payloadType:
+ *           type: string
+ *           enum: [confirmation, notification, device_offline, device_online, device_low_battery, test]
+ *         incidentId:
+ *           type: integer
+ *           description: The incident the notification was for, if any
+ *           example: 12
+ *         alarmSerial:
+ *           type: string
+ *           example: "1"
+ *         username:
+ *           type: string
+ *           example: nbokhari
+ *         subscriptionId:
+ *           type: integer
+ *           description: >
+ *             The device a push notification was sent to, or null if that subscription has since been removed or the
+ *             notification went through another channel
+ *           example: 4
+ *         ok:
+ *           type: boolean
+ *         statusCode:
+ *           type: integer
+ *           description: The push service's or provider's last response code, or null if it never answered
+ *           example: 201
+ *         error:
+ *           type: string
+ *           example: null
+ *         latency:
+ *           type: integer
+ *           description: Milliseconds from the first attempt until the delivery finished
+ *           example: 182
+ *         retryCount:
+ *           type: integer
+ *           example: 0
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     deliveryLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 50
+ *         maximum: 100
+ *     deliveryOffset:
+ *       in: query
+ *       name: offset
+ *       schema:
+ *         type: integer
+ *         default: 0
+ *
+ * /deliveries:
+ *   get:
+ *     summary: Lists notifications sent to the logged in user
+ *     description: Lists every notification sent to the logged in user, by push or any other channel, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/deliveryLimit'
+ *       - $ref: '#/components/parameters/deliveryOffset'
+ *     responses:
+ *       200:
+ *         description: The user's deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NotificationDelivery'
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Not authenticated
+ * */
+async function listUserDeliveries (req, res) {
+    const paging = pageOptions(req.query);
+    if (paging.error)
+        return res.status(400).json({ 'error': paging.error });
+
+    try {
+        return res.status(200).json(await findDeliveries({ userId: req.user.id }, paging));
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/deliveries:
+ *   get:
+ *     summary: Lists notifications sent about an alarm
+ *     description: >
+ *       Lists every push notification sent about the alarm (confirmation prompts, notifications from its controller
+ *       and device status notices), newest first. Any member of the alarm can see them, so members can check whether
+ *       each other's devices were reached.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: username
+ *         description: Only list deliveries to this user
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/deliveryLimit'
+ *       - $ref: '#/components/parameters/deliveryOffset'
+ *     responses:
+ *       200:
+ *         description: The alarm's deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NotificationDelivery'
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmForbidden'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ * */
+async function listAlarmDeliveries (req, res) {
+    const paging = pageOptions(req.query);
+    if (paging.error)
+        return res.status(400).json({ 'error': paging.error });
+
+    try {
+        const member = await findAlarmForUser(req.params.alarmSerial, req.user);
+        if (!member.alarm)
+            return res.status(member.status).json({ 'error': member.error });
+
+        const where = { alarmId: member.alarm.id };
+        if (req.query.username) {
+            const user = await db.user.findOne({ where: { username: req.query.username } });
+            if (!user)
+                return res.status(200).json([]);
+            where.userId = user.id;
+        }
+        return res.status(200).json(await findDeliveries(where, paging));
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /incidents/{incidentId}/deliveries:
+ *   get:
+ *     summary: Lists the confirmation prompts sent for an incident
+ *     description: Lists every push notification sent for the incident, newest first. Any member of its alarm can see them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/deliveryLimit'
+ *       - $ref: '#/components/parameters/deliveryOffset'
+ *     responses:
+ *       200:
+ *         description: The incident's deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NotificationDelivery'
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmForbidden'
+ *       404:
+ *         description: Unable to find incident
+ * */
+async function listIncidentDeliveries (req, res) {
+    const paging = pageOptions(req.query);
+    if (paging.error)
+        return res.status(400).json({ 'error': paging.error });
+
+    try {
+        const incident = await db.incident.findByPk(req.params.incidentId, { include: [db.alarm] });
+        if (!incident)
+            return res.status(404).json({ 'error': 'Unable to find incident' });
+
+        const member = await findAlarmForUser(incident.alarm.alarmSerial, req.user);
+        if (!member.alarm)
+            return res.status(member.status).json({ 'error': member.error });
+
+        return res.status(200).json(await findDeliveries({ incidentId: incident.id }, paging));
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
+    }
+}
+
+module.exports = router;
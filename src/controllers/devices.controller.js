@@ -0,0 +1,496 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const env = process.env.NODE_ENV || 'development'
+const config = require(`${root_dir}/src/config/config.json`)[env];
+const { authenticateDevice } = require(`${root_dir}/src/middleware/device-auth.js`);
+const { revokeAllCredentials } = require(`${root_dir}/src/services/alarms.js`);
+const devices = require(`${root_dir}/src/services/devices.js`);
+const commands = require(`${root_dir}/src/services/commands.js`);
+
+// How long a pairing code can be claimed for after the device registers, in seconds
+const pairingCodeTtl = (config.pairing || {}).codeTtl || 10 * 60;
+
+// How many times one address can call /devices/register within pairingCodeTtl seconds
+const maxRegistrations = (config.pairing || {}).maxRegistrations || 20;
+
+// When each address recently called /devices/register, keyed by IP address
+const registrations = new Map();
+
+// Applying routes
+router.post('/devices/register', registerDevice);
+router.post('/devices/credentials', collectCredential);
+router.post('/devices/heartbeat', authenticateDevice, heartbeat);
+router.get('/devices/commands', authenticateDevice, getCommands);
+router.post('/devices/commands/:commandId/ack', authenticateDevice, acknowledgeCommand);
+
+
+/**
+ * Checks whether an alarm has an active owner
+ *
+ * @param alarm The alarm
+ * @return Promise<boolean> - True if someone owns the alarm
+ * */
+async function hasOwner (alarm) {
+    const owners = await db.alarmMember.count({ where: { alarmId: alarm.id, role: 'owner', status: 'active' } });
+    return owners > 0;
+}
+
+
+/**
+ * Records a call to /devices/register from an address and checks that it hasn't registered too often lately
+ *
+ * @param ip The caller's IP address
+ * @return boolean - True if the address can register, false if it has used up its registrations for now
+ * */
+function allowRegistration (ip) {
+    const since = Date.now() - pairingCodeTtl * 1000;
+    for (const [address, times] of registrations) {
+        const recent = times.filter(time => time > since);
+        if (recent.length > 0)
+            registrations.set(address, recent);
+        else
+            registrations.delete(address);
+    }
+
+    const recent = registrations.get(ip) || [];
+    if (recent.length >= maxRegistrations)
+        return false;
+    registrations.set(ip, [...recent, Date.now()]);
+    return true;
+}
+
+// Express Routes
+/**
+ * @openapi
+ *
+ * /devices/register:
+ *   post:
+ *     summary: Registers an alarm controller for pairing
+ *     description: >
+ *       Called by an alarm controller that has no credential yet. The server returns a short-lived pairing code for
+ *       the controller to show (or render as a QR code) so a user can claim it with POST /alarm, and a claim token the
+ *       controller keeps to collect its credential from /devices/credentials once it has been claimed. While a code
+ *       is still valid, only the controller that got it can register again, by sending its claim token, which
+ *       replaces the code. Each address can register pairing.maxRegistrations times per pairing code lifetime.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alarmSerial:
+ *                 type: string
+ *                 example: "1"
+ *               claimToken:
+ *                 type: string
+ *                 description: The claim token from the last registration, needed while its pairing code is valid
+ *     responses:
+ *       201:
+ *         description: The alarm is waiting to be claimed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 alarmSerial:
+ *                   type: string
+ *                   example: "1"
+ *                 pairingCode:
+ *                   type: string
+ *                   description: The code the user enters to claim the alarm
+ *                   example: K7MQ2XRD
+ *                 qrPayload:
+ *                   type: string
+ *                   description: The pairing code as a URI for the controller to render as a QR code
+ *                   example: blaze://pair?serial=1&code=K7MQ2XRD
+ *                 claimToken:
+ *                   type: string
+ *                   description: The secret the controller sends to /devices/credentials. Only shown once.
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Missing serial
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Missing or incorrect parameters
+ *       409:
+ *         description: >
+ *           The serial already belongs to a paired alarm, which has to be unpaired by its owner first, or is waiting
+ *           to be paired by a controller that didn't send its claim token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Alarm is already paired
+ *       429:
+ *         description: Too many registrations from this address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Too many registrations, try again later
+ *       500:
+ *         description: Unexpected error occurred
+ * */
+async function registerDevice (req, res) {
+    const { alarmSerial, claimToken } = req.body;
+    if (typeof alarmSerial !== 'string' || alarmSerial.trim() === '')
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+    if (claimToken !== undefined && typeof claimToken !== 'string')
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+    if (!allowRegistration(req.ip))
+        return res.status(429).json({ 'error': 'Too many registrations, try again later' });
+
+    try {
+        const [alarm] = await db.alarm.findOrCreate({ where: { alarmSerial: alarmSerial } });
+        if (alarm.pairedAt || await hasOwner(alarm))
+            return res.status(409).json({ 'error': 'Alarm is already paired' });
+
+        // Someone else registering the serial mustn't replace the code the controller is showing
+        const pending = alarm.claimTokenHash && alarm.pairingCodeExpiresAt > new Date();
+        if (pending && (!claimToken || alarm.claimTokenHash !== db.alarm.hashSecret(claimToken)))
+            return res.status(409).json({ 'error': 'Alarm is already waiting to be paired' });
+
+        const pairing = await alarm.startPairing(pairingCodeTtl);
+        console.log(`Alarm ${alarmSerial} registered for pairing`);
+        const query = new URLSearchParams({ serial: alarmSerial, code: pairing.pairingCode });
+        return res.status(201).json({
+            'alarmSerial': alarmSerial,
+            'pairingCode': pairing.pairingCode,
+            'qrPayload': `blaze://pair?${query}`,
+            'claimToken': pairing.claimToken,
+            'expiresAt': pairing.expiresAt
+        });
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ *
+ * /devices/credentials:
+ *   post:
+ *     summary: Collects a newly paired alarm's credential
+ *     description: >
+ *       Polled by an alarm controller after registering. Until a user claims the alarm, this answers 202. Once it has
+ *       been claimed, any older credentials are revoked and a new one is issued and returned. The claim token can only
+ *       be used to collect one credential.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alarmSerial:
+ *                 type: string
+ *                 example: "1"
+ *               claimToken:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The alarm was claimed and its credential issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IssuedCredential'
+ *       202:
+ *         description: Nobody has claimed the alarm yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: pending
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Missing serial or claim token
+ *       401:
+ *         description: The claim token doesn't match the alarm, or has already been used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Invalid claim token
+ *       410:
+ *         description: The pairing code expired before anyone claimed the alarm. The controller has to register again.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Pairing code has expired
+ *       500:
+ *         description: Unexpected error occurred
+ * */
+async function collectCredential (req, res) {
+    const { alarmSerial, claimToken } = req.body;
+    if (typeof alarmSerial !== 'string' || typeof claimToken !== 'string')
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+
+    try {
+        const alarm = await db.alarm.findOne({ where: { alarmSerial: alarmSerial } });
+        if (!alarm || !alarm.claimTokenHash || alarm.claimTokenHash !== db.alarm.hashSecret(claimToken))
+            return res.status(401).json({ 'error': 'Invalid claim token' });
+
+        if (!alarm.pairedAt) {
+            if (alarm.pairingCodeExpiresAt < new Date())
+                return res.status(410).json({ 'error': 'Pairing code has expired' });
+            return res.status(202).json({ 'status': 'pending', 'expiresAt': alarm.pairingCodeExpiresAt });
+        }
+
+        // Only one request can use the claim token, even if the controller retries while the first is in flight
+        const [count] = await db.alarm.update(
+            { claimTokenHash: null },
+            { where: { id: alarm.id, claimTokenHash: alarm.claimTokenHash } }
+        );
+        if (count === 0)
+            return res.status(401).json({ 'error': 'Invalid claim token' });
+
+        await revokeAllCredentials(alarm);
+        const credential = await db.deviceCredential.issue(alarm);
+        console.log(`Alarm ${alarmSerial} collected credential ${credential.keyId}`);
+        return res.status(201).json(credential);
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ *
+ * /devices/heartbeat:
+ *   post:
+ *     summary: Reports that an alarm controller is powered and connected
+ *     description: >
+ *       Controllers call this every heartbeatInterval seconds. An alarm that goes offlineAfter seconds without a
+ *       heartbeat is marked offline and its members are notified, and they're notified again when it comes back.
+ *     security:
+ *       - deviceSignature: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firmwareVersion:
+ *                 type: string
+ *                 example: 1.4.2
+ *               signalStrength:
+ *                 type: integer
+ *                 description: Wi-Fi RSSI in dBm
+ *                 example: -61
+ *     responses:
+ *       200:
+ *         description: The heartbeat was recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 heartbeatInterval:
+ *                   type: integer
+ *                   description: Seconds until the next heartbeat is due
+ *                   example: 60
+ *                 offlineAfter:
+ *                   type: integer
+ *                   description: Seconds without a heartbeat before the alarm is marked offline
+ *                   example: 300
+ *                 commands:
+ *                   type: array
+ *                   description: Commands the controller hasn't acknowledged yet, as returned by /devices/commands
+ *                   items:
+ *                     $ref: '#/components/schemas/DeviceCommand'
+ *       400:
+ *         description: Invalid firmware version or signal strength
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: signalStrength must be an integer between -150 and 0
+ *       401:
+ *         $ref: '#/components/responses/DeviceUnauthorized'
+ * */
+async function heartbeat (req, res) {
+    const { firmwareVersion, signalStrength } = req.body || {};
+    if (firmwareVersion !== undefined && (typeof firmwareVersion !== 'string' || firmwareVersion.length > 64))
+        return res.status(400).json({ 'error': 'firmwareVersion must be a string of at most 64 characters' });
+    if (signalStrength !== undefined && (!Number.isInteger(signalStrength) || signalStrength < -150 || signalStrength > 0))
+        return res.status(400).json({ 'error': 'signalStrength must be an integer between -150 and 0' });
+
+    try {
+        await devices.recordHeartbeat(req.alarm, { firmwareVersion: firmwareVersion, signalStrength: signalStrength });
+        const pending = await commands.getPendingCommands(req.alarm);
+        return res.status(200).json({
+            'heartbeatInterval': devices.heartbeatInterval,
+            'offlineAfter': devices.offlineAfter,
+            'commands': pending.map(command => command.toPublic())
+        });
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DeviceCommand:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 31
+ *         type:
+ *           type: string
+ *           enum: [sound, silence]
+ *           description: >
+ *             sound when another alarm in the building went off and the fire was confirmed (or nobody answered), and
+ *             silence once that incident is resolved
+ *         incidentId:
+ *           type: integer
+ *           description: The incident the command was sent for
+ *           example: 12
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /devices/commands:
+ *   get:
+ *     summary: Gets the commands waiting for an alarm controller
+ *     description: >
+ *       Returns the commands the controller hasn't acknowledged yet, oldest first. This is how interconnected alarms
+ *       work: when a fire is confirmed, every other alarm in the building is sent a sound command. Controllers can hold
+ *       the request open for up to 30 seconds with wait, so a new command is returned as soon as it's queued.
+ *       Commands are sent again until they're acknowledged, and dropped after an hour.
+ *     security:
+ *       - deviceSignature: []
+ *     parameters:
+ *       - in: query
+ *         name: wait
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 30
+ *           default: 0
+ *         description: Seconds to wait for a command if there aren't any yet
+ *     responses:
+ *       200:
+ *         description: The pending commands, which is empty if none were queued in time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DeviceCommand'
+ *       400:
+ *         description: Invalid wait
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: wait must be an integer between 0 and 30
+ *       401:
+ *         $ref: '#/components/responses/DeviceUnauthorized'
+ * */
+async function getCommands (req, res) {
+    const wait = req.query.wait === undefined ? 0 : Number(req.query.wait);
+    if (!Number.isInteger(wait) || wait < 0 || wait > commands.MAX_WAIT)
+        return res.status(400).json({ 'error': `wait must be an integer between 0 and ${commands.MAX_WAIT}` });
+
+    try {
+        const pending = await commands.waitForCommands(req.alarm, wait);
+        return res.status(200).json(pending.map(command => command.toPublic()));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ *
+ * /devices/commands/{commandId}/ack:
+ *   post:
+ *     summary: Acknowledges a command
+ *     description: Tells the server the controller carried out the command, so it isn't sent again
+ *     security:
+ *       - deviceSignature: []
+ *     parameters:
+ *       - in: path
+ *         name: commandId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: The command was acknowledged
+ *       401:
+ *         $ref: '#/components/responses/DeviceUnauthorized'
+ *       404:
+ *         description: The alarm has no command with that ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Unable to find command
+ * */
+async function acknowledgeCommand (req, res) {
+    try {
+        const command = await commands.acknowledgeCommand(req.alarm, req.params.commandId);
+        if (!command)
+            return res.status(404).json({ 'error': 'Unable to find command' });
+        return res.status(204).send();
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+module.exports = router;
@@ -0,0 +1,466 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { Op } = require('sequelize');
+const { authenticate } = require(`${root_dir}/src/middleware/auth.js`);
+const { findOwnedAlarm, getAlarmIdsForUser } = require(`${root_dir}/src/services/alarms.js`);
+const places = require(`${root_dir}/src/services/places.js`);
+const drills = require(`${root_dir}/src/services/drills.js`);
+
+// Bounds on how long members can be given to answer a drill, in seconds
+const MIN_RESPONSE_WINDOW = 30;
+const MAX_RESPONSE_WINDOW = 60 * 60;
+
+// Applying routes
+router.get('/drills', authenticate, listDrills);
+router.post('/alarm/:alarmSerial/drills', authenticate, createAlarmDrill);
+router.post('/buildings/:buildingId/drills', authenticate, createBuildingDrill);
+router.get('/drills/:drillId', authenticate, getDrillReport);
+router.post('/drills/:drillId/cancel', authenticate, cancelDrill);
+
+
+/**
+ * Checks the fields sent for a new drill
+ *
+ * @param body The request body
+ * @return object - { scheduledFor, responseWindow }, where scheduledFor is null to start straight away, or { error }
+ * if a field is invalid
+ * */
+function parseDrill (body) {
+    let scheduledFor = null;
+    if (body.scheduledFor !== undefined && body.scheduledFor !== null) {
+        scheduledFor = new Date(body.scheduledFor);
+        if (typeof body.scheduledFor !== 'string' || isNaN(scheduledFor.getTime()))
+            return { error: 'scheduledFor must be a date-time' };
+        if (scheduledFor <= new Date())
+            return { error: 'scheduledFor must be in the future' };
+    }
+
+    const responseWindow = body.responseWindow === undefined ? drills.responseWindow : body.responseWindow;
+    if (!Number.isInteger(responseWindow) || responseWindow < MIN_RESPONSE_WINDOW || responseWindow > MAX_RESPONSE_WINDOW)
+        return { error: `responseWindow must be an integer between ${MIN_RESPONSE_WINDOW} and ${MAX_RESPONSE_WINDOW}` };
+    return { scheduledFor: scheduledFor, responseWindow: responseWindow };
+}
+
+
+/**
+ * Creates a drill and starts it straight away unless it was scheduled for later
+ *
+ * @param fields The drill's alarmId or buildingId
+ * @param details The parsed scheduledFor and responseWindow
+ * @param user The user creating the drill
+ * @return Promise<object> - The drill
+ * */
+async function createDrill (fields, details, user) {
+    const drill = await db.drill.create({
+        ...fields,
+        createdByUserId: user.id,
+        scheduledFor: details.scheduledFor || new Date(),
+        responseWindow: details.responseWindow
+    });
+    if (details.scheduledFor)
+        await drill.reload();
+    else
+        await drills.startDrill(drill);
+    console.log(`Drill ${drill.id} ${drill.status} by ${user.username}`);
+    return drill;
+}
+
+// Express Routes
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Drill:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 4
+ *         status:
+ *           type: string
+ *           enum: [scheduled, running, completed, cancelled]
+ *         alarmId:
+ *           type: integer
+ *           description: The alarm being drilled, for a drill of a single alarm
+ *         buildingId:
+ *           type: integer
+ *           description: The building whose alarms are all drilled, for a building drill
+ *         createdByUserId:
+ *           type: integer
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *         responseWindow:
+ *           type: integer
+ *           description: Seconds members have to answer once the drill starts
+ *           example: 300
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *     NewDrill:
+ *       type: object
+ *       properties:
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: When to run the drill. Leave it out to start the drill straight away.
+ *         responseWindow:
+ *           type: integer
+ *           minimum: 30
+ *           maximum: 3600
+ *           description: Seconds members have to answer, 5 minutes by default
+ *   responses:
+ *     InvalidDrill:
+ *       description: Invalid scheduledFor or responseWindow
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: scheduledFor must be in the future
+ *
+ * /drills:
+ *   get:
+ *     summary: Lists drills
+ *     description: >
+ *       Lists the drills the logged in user created, drills of alarms they're a member of and drills of buildings in
+ *       sites they manage, newest first. Admins see every drill.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The drills
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Drill'
+ *       401:
+ *         description: Not authenticated
+ * */
+async function listDrills (req, res) {
+    try {
+        let where = {};
+        if (!req.user.isAdmin()) {
+            const buildings = await db.building.findAll({
+                include: [{ model: db.site, where: { managerId: req.user.id } }],
+                attributes: ['id']
+            });
+            where = {
+                [Op.or]: [
+                    { createdByUserId: req.user.id },
+                    { alarmId: await getAlarmIdsForUser(req.user) },
+                    { buildingId: buildings.map(building => building.id) }
+                ]
+            };
+        }
+        const found = await db.drill.findAll({ where: where, order: [['scheduledFor', 'DESC']] });
+        return res.status(200).json(found.map(drill => drill.toPublic()));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/drills:
+ *   post:
+ *     summary: Runs or schedules a drill of an alarm
+ *     description: >
+ *       The alarm's owners, members and responders who want to hear about drills are prompted as if the alarm went
+ *       off, with the prompt marked as a drill. Every answer is recorded with how long it took, the drill never
+ *       escalates past the alarm's members, and no webhooks or controller callbacks are sent. Owners only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NewDrill'
+ *     responses:
+ *       201:
+ *         description: The drill, running if it was started straight away
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Drill'
+ *       400:
+ *         $ref: '#/components/responses/InvalidDrill'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmForbidden'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ * */
+async function createAlarmDrill (req, res) {
+    const details = parseDrill(req.body || {});
+    if (details.error)
+        return res.status(400).json({ 'error': details.error });
+
+    try {
+        const { alarm, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        const drill = await createDrill({ alarmId: alarm.id }, details, req.user);
+        return res.status(201).json(drill.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /buildings/{buildingId}/drills:
+ *   post:
+ *     summary: Runs or schedules a drill of every alarm in a building
+ *     description: >
+ *       Drills every alarm in the building's rooms at once, as with a drill of a single alarm. Only the site manager
+ *       (or an admin) can do this.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: buildingId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NewDrill'
+ *     responses:
+ *       201:
+ *         description: The drill, running if it was started straight away
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Drill'
+ *       400:
+ *         $ref: '#/components/responses/InvalidDrill'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ *       409:
+ *         description: The building has no alarms to drill
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: The building has no alarms to drill
+ * */
+async function createBuildingDrill (req, res) {
+    const details = parseDrill(req.body || {});
+    if (details.error)
+        return res.status(400).json({ 'error': details.error });
+
+    try {
+        const { node: building, status, error } = await places.findManaged('building', req.params.buildingId, req.user);
+        if (!building)
+            return res.status(status).json({ 'error': error });
+        if ((await places.findAlarmsIn('building', building.id)).length === 0)
+            return res.status(409).json({ 'error': 'The building has no alarms to drill' });
+
+        const drill = await createDrill({ buildingId: building.id }, details, req.user);
+        return res.status(201).json(drill.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /drills/{drillId}:
+ *   get:
+ *     summary: Gets a drill's report
+ *     description: >
+ *       Summarizes who was prompted, who answered, what they answered and how many seconds they took, fastest first.
+ *       The report fills in while the drill runs. The user who created the drill, the alarm's owner, the site manager
+ *       and admins can see it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: drillId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The drill report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 drill:
+ *                   $ref: '#/components/schemas/Drill'
+ *                 alarms:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       alarmSerial:
+ *                         type: string
+ *                       alarmName:
+ *                         type: string
+ *                       location:
+ *                         type: string
+ *                       incidentId:
+ *                         type: integer
+ *                 responses:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       username:
+ *                         type: string
+ *                         example: bcsotty
+ *                       name:
+ *                         type: string
+ *                         example: Brett
+ *                       alarmSerial:
+ *                         type: string
+ *                       confirmed:
+ *                         type: boolean
+ *                       responseSeconds:
+ *                         type: number
+ *                         example: 12.4
+ *                       respondedAt:
+ *                         type: string
+ *                         format: date-time
+ *                 noResponse:
+ *                   type: array
+ *                   description: The users who were prompted but haven't answered
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       username:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     prompted:
+ *                       type: integer
+ *                     responded:
+ *                       type: integer
+ *                     averageResponseSeconds:
+ *                       type: number
+ *                     fastestResponseSeconds:
+ *                       type: number
+ *                     slowestResponseSeconds:
+ *                       type: number
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: The user can't manage the drill
+ *       404:
+ *         description: Unable to find drill
+ * */
+async function getDrillReport (req, res) {
+    try {
+        const { drill, status, error } = await drills.findManagedDrill(req.params.drillId, req.user);
+        if (!drill)
+            return res.status(status).json({ 'error': error });
+        return res.status(200).json(await drills.describeReport(drill));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /drills/{drillId}/cancel:
+ *   post:
+ *     summary: Cancels a scheduled drill
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: drillId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The cancelled drill
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Drill'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: The user can't manage the drill
+ *       404:
+ *         description: Unable to find drill
+ *       409:
+ *         description: The drill already started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Drill can't be cancelled while running
+ * */
+async function cancelDrill (req, res) {
+    try {
+        const { drill, status, error } = await drills.findManagedDrill(req.params.drillId, req.user);
+        if (!drill)
+            return res.status(status).json({ 'error': error });
+
+        const [count] = await db.drill.update({ status: 'cancelled' }, { where: { id: drill.id, status: 'scheduled' } });
+        await drill.reload();
+        if (count === 0)
+            return res.status(409).json({ 'error': `Drill can't be cancelled while ${drill.status}` });
+        return res.status(200).json(drill.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+module.exports = router;
@@ -0,0 +1,457 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { Op } = require('sequelize');
+const { authenticate } = require(`${root_dir}/src/middleware/auth.js`);
+const { findAlarmForUser, getAlarmIdsForUser } = require(`${root_dir}/src/services/alarms.js`);
+const incidents = require(`${root_dir}/src/services/incidents.js`);
+
+// Most incidents returned by a single list request
+const MAX_LIMIT = 100;
+
+// Applying routes
+router.get('/incidents', authenticate, listUserIncidents);
+router.get('/alarm/:alarmSerial/incidents', authenticate, listAlarmIncidents);
+router.get('/incidents/:incidentId/events', authenticate, listIncidentEvents);
+router.post('/incidents/:incidentId/resolve', authenticate, resolveIncident);
+router.get('/prompts', authenticate, listPendingPrompts);
+
+
+/**
+ * Builds the shared filter and paging options for incident list queries
+ *
+ * @param query The request's query parameters
+ * @return object - { where, limit, offset } or { error } if a parameter is invalid
+ * */
+function listOptions (query) {
+    const where = {};
+    if (query.status) {
+        if (!db.incident.TRANSITIONS[query.status])
+            return { error: 'Unknown incident status' };
+        where.status = query.status;
+    }
+
+    const limit = query.limit ? parseInt(query.limit) : 20;
+    const offset = query.offset ? parseInt(query.offset) : 0;
+    if (isNaN(limit) || isNaN(offset) || limit < 1 || offset < 0)
+        return { error: 'Missing or incorrect parameters' };
+    return { where: where, limit: Math.min(limit, MAX_LIMIT), offset: offset };
+}
+
+// Express Routes
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Incident:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 12
+ *         alarmId:
+ *           type: integer
+ *           example: 1
+ *         status:
+ *           type: string
+ *           enum: [triggered, awaiting_confirmation, confirmed, dismissed, timed_out, unreachable, resolved]
+ *         triggeredAt:
+ *           type: string
+ *           format: date-time
+ *         awaitingConfirmationAt:
+ *           type: string
+ *           format: date-time
+ *         confirmedAt:
+ *           type: string
+ *           format: date-time
+ *         dismissedAt:
+ *           type: string
+ *           format: date-time
+ *         timedOutAt:
+ *           type: string
+ *           format: date-time
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *         respondedByUserId:
+ *           type: integer
+ *           description: The user who confirmed or dismissed the incident
+ *         respondedSubscriptionId:
+ *           type: integer
+ *           description: The push subscription (device) the response came from
+ *         confirmationDeadline:
+ *           type: string
+ *           format: date-time
+ *           description: When the current escalation tier's wait runs out
+ *         escalationLevel:
+ *           type: integer
+ *           description: The escalation tier reached so far, where 0 is the alarm's own members
+ *         primaryIncidentId:
+ *           type: integer
+ *           description: >
+ *             The incident of another alarm in the same building that this one was grouped into, if any. Grouped
+ *             incidents take their primary incident's outcome.
+ *         drillId:
+ *           type: integer
+ *           description: The drill the incident was started for, or null if the alarm really went off
+ *     IncidentEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [triggered, prompted, escalated, confirmed, dismissed, timed_out, unreachable, resolved, grouped, interconnected, responded]
+ *         tier:
+ *           type: integer
+ *           description: The escalation tier the incident was at
+ *         userId:
+ *           type: integer
+ *           description: The user who responded or resolved the incident, if any
+ *         username:
+ *           type: string
+ *           description: The username of that user, when listing an incident's events
+ *         details:
+ *           type: object
+ *           description: >
+ *             Extra information, such as who was prompted and how many devices were reached, which alarm joined the
+ *             incident, which alarms were told to sound, or a drill answer and how many seconds it took
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     incidentStatus:
+ *       in: query
+ *       name: status
+ *       schema:
+ *         type: string
+ *       description: Only return incidents in this state
+ *     limit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 20
+ *         maximum: 100
+ *     offset:
+ *       in: query
+ *       name: offset
+ *       schema:
+ *         type: integer
+ *         default: 0
+ *
+ * /incidents:
+ *   get:
+ *     summary: Lists the logged in user's incidents
+ *     description: Lists incidents on alarms the user is a member of or that the user responded to, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/incidentStatus'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *     responses:
+ *       200:
+ *         description: The user's incidents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Incident'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Unknown incident status
+ *       401:
+ *         description: Not authenticated
+ * */
+async function listUserIncidents (req, res) {
+    const { where, limit, offset, error } = listOptions(req.query);
+    if (error)
+        return res.status(400).json({ 'error': error });
+
+    try {
+        where[Op.or] = [
+            { alarmId: await getAlarmIdsForUser(req.user) },
+            { respondedByUserId: req.user.id }
+        ];
+        const userIncidents = await db.incident.findAll({
+            where: where,
+            order: [['triggeredAt', 'DESC']],
+            limit: limit,
+            offset: offset
+        });
+        return res.status(200).json(userIncidents.map(incident => incident.toPublic()));
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/incidents:
+ *   get:
+ *     summary: Lists an alarm's incidents
+ *     description: Lists every incident recorded for the alarm, newest first. Any member of the alarm can do this.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/incidentStatus'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *     responses:
+ *       200:
+ *         description: The alarm's incidents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Incident'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmForbidden'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ * */
+async function listAlarmIncidents (req, res) {
+    const { where, limit, offset, error } = listOptions(req.query);
+    if (error)
+        return res.status(400).json({ 'error': error });
+
+    try {
+        const member = await findAlarmForUser(req.params.alarmSerial, req.user);
+        if (!member.alarm)
+            return res.status(member.status).json({ 'error': member.error });
+
+        const alarmIncidents = await member.alarm.getIncidents({
+            where: where,
+            order: [['triggeredAt', 'DESC']],
+            limit: limit,
+            offset: offset
+        });
+        return res.status(200).json(alarmIncidents.map(incident => incident.toPublic()));
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /incidents/{incidentId}/events:
+ *   get:
+ *     summary: Lists the steps of an incident
+ *     description: Lists everything that happened during an incident in order, including each escalation
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The incident's history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/IncidentEvent'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmForbidden'
+ *       404:
+ *         description: Unable to find incident
+ * */
+async function listIncidentEvents (req, res) {
+    try {
+        const incident = await db.incident.findByPk(req.params.incidentId, { include: [db.alarm] });
+        if (!incident)
+            return res.status(404).json({ 'error': 'Unable to find incident' });
+
+        const member = await findAlarmForUser(incident.alarm.alarmSerial, req.user);
+        if (!member.alarm)
+            return res.status(member.status).json({ 'error': member.error });
+
+        const events = await incident.getIncidentEvents({
+            include: [db.user],
+            order: [['createdAt', 'ASC'], ['id', 'ASC']]
+        });
+        return res.status(200).json(events.map(event => event.toPublic()));
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /incidents/{incidentId}/resolve:
+ *   post:
+ *     summary: Marks an incident as resolved
+ *     description: >
+ *       Closes out an incident that has been confirmed, dismissed or timed out. Owners, members and responders of the
+ *       alarm can do this. Incidents grouped into it are resolved too, and any alarms it set off are told to go quiet.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The resolved incident
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Incident'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmForbidden'
+ *       404:
+ *         description: Unable to find incident
+ *       409:
+ *         description: The incident can't be resolved from its current state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Incident can't be resolved while awaiting_confirmation
+ * */
+async function resolveIncident (req, res) {
+    try {
+        const incident = await db.incident.findByPk(req.params.incidentId, { include: [db.alarm] });
+        if (!incident)
+            return res.status(404).json({ 'error': 'Unable to find incident' });
+
+        const member = await findAlarmForUser(incident.alarm.alarmSerial, req.user, db.alarmMember.RESPONDER_ROLES);
+        if (!member.alarm)
+            return res.status(member.status).json({ 'error': member.error });
+
+        const status = incident.status;
+        if (!(await incidents.resolveIncident(incident, req.user)))
+            return res.status(409).json({ 'error': `Incident can't be resolved while ${status}` });
+        return res.status(200).json(incident.toPublic());
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ConfirmationPrompt:
+ *       type: object
+ *       description: The details of a confirmation prompt, as sent in the push notification's metadata
+ *       properties:
+ *         incidentId:
+ *           type: integer
+ *           example: 12
+ *         alarmSerial:
+ *           type: string
+ *           example: "1"
+ *         alarmName:
+ *           type: string
+ *           example: Kitchen smoke alarm
+ *         location:
+ *           type: string
+ *           example: Kitchen
+ *         place:
+ *           $ref: '#/components/schemas/Place'
+ *         drill:
+ *           type: boolean
+ *           description: True if the prompt is for a drill rather than a real fire
+ *         drillId:
+ *           type: integer
+ *         alarms:
+ *           type: array
+ *           description: Every alarm that went off, starting with the one above, when other alarms in the building joined
+ *           items:
+ *             type: object
+ *             properties:
+ *               alarmSerial:
+ *                 type: string
+ *               alarmName:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *         triggeredAt:
+ *           type: string
+ *           format: date-time
+ *         confirmationDeadline:
+ *           type: string
+ *           format: date-time
+ *         readings:
+ *           $ref: '#/components/schemas/SensorReading'
+ *         responseToken:
+ *           type: string
+ *           description: The single-use token to send to /response with the answer
+ *
+ * /prompts:
+ *   get:
+ *     summary: Lists the confirmation prompts waiting on the logged in user
+ *     description: >
+ *       Lists incidents still awaiting confirmation that the user was prompted about, oldest first, so the app can ask
+ *       for an answer when it's opened instead of relying on the push notification. Each prompt comes with a
+ *       response token for /response. The same token is returned until it's used or half its lifetime has passed,
+ *       when it's replaced by a new one.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The pending prompts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ConfirmationPrompt'
+ *       401:
+ *         description: Not authenticated
+ * */
+async function listPendingPrompts (req, res) {
+    try {
+        return res.status(200).json(await incidents.getPendingPrompts(req.user));
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
+    }
+}
+
+module.exports = router;
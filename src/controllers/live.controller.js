@@ -0,0 +1,129 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { authenticate, getAccessToken } = require(`${root_dir}/src/middleware/auth.js`);
+const { getAlarmIdsForUser } = require(`${root_dir}/src/services/alarms.js`);
+const { verifyToken } = require(`${root_dir}/src/utils/tokens.js`);
+const live = require(`${root_dir}/src/services/live.js`);
+
+// How often a comment is sent to keep proxies from closing an idle stream, in seconds. The user's alarms and session
+// are checked again at the same time.
+const KEEPALIVE_INTERVAL = 25;
+
+// Most streams a single user can have open at once
+const MAX_STREAMS_PER_USER = 10;
+
+// Number of open streams, keyed by user ID
+const openStreams = new Map();
+
+// Applying routes
+router.get('/events', authenticate, streamEvents);
+
+
+/**
+ * Writes an event to a Server-Sent Events stream
+ *
+ * @param res The express response holding the stream open
+ * @param event The event, with its ID, type and data
+ * */
+function writeEvent (res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Express Routes
+/**
+ * @openapi
+ * /events:
+ *   get:
+ *     summary: Streams live updates about the logged in user's alarms
+ *     description: >
+ *       A Server-Sent Events stream for open dashboards. `incident` events are sent for every entry in the timeline of
+ *       an incident on one of the user's alarms, with the incident's new state and a message to show, like "Brett
+ *       confirmed the fire in Kitchen". `device` events carry an alarm's status after each heartbeat or when it goes
+ *       offline, and `reading` events the newest reading from each batch an alarm uploads. Every event has an ID, so a
+ *       client that reconnects with Last-Event-ID is sent the recent events it missed. The stream is closed when the
+ *       access token expires or the session is revoked, and EventSource reconnects with the refreshed cookie.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: 7\nevent: incident\ndata: {\"message\":\"Brett confirmed the fire in Kitchen\", ...}\n\n"
+ *       401:
+ *         description: Not authenticated
+ *       429:
+ *         description: The user already has too many streams open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Too many open event streams
+ * */
+async function streamEvents (req, res) {
+    const userId = req.user.id;
+    if ((openStreams.get(userId) || 0) >= MAX_STREAMS_PER_USER)
+        return res.status(429).json({ 'error': 'Too many open event streams' });
+
+    let alarmIds;
+    try {
+        alarmIds = await getAlarmIdsForUser(req.user);
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stops reverse proxies buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: 5000\n\n`);
+    openStreams.set(userId, (openStreams.get(userId) || 0) + 1);
+
+    const lastSeenId = parseInt(req.get('Last-Event-ID'));
+    const listener = live.subscribe(alarmIds, event => writeEvent(res, event), isNaN(lastSeenId) ? undefined : lastSeenId);
+
+    // Membership can change while the stream is open, and the stream shouldn't outlive the user's access
+    const keepalive = setInterval(async () => {
+        try {
+            const session = await db.session.findByPk(req.authSession.id);
+            if (!verifyToken(getAccessToken(req), 'access') || !session || !session.isActive())
+                return res.end();
+            listener.alarmIds = new Set(await getAlarmIdsForUser(req.user));
+            res.write(': keepalive\n\n');
+        } catch (err) {
+            console.error('Error refreshing event stream: ', err);
+        }
+    }, KEEPALIVE_INTERVAL * 1000);
+
+    res.on('close', () => {
+        clearInterval(keepalive);
+        live.unsubscribe(listener);
+        const remaining = openStreams.get(userId) - 1;
+        if (remaining > 0)
+            openStreams.set(userId, remaining);
+        else
+            openStreams.delete(userId);
+    });
+}
+
+module.exports = router;
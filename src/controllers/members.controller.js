@@ -0,0 +1,502 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { authenticate } = require(`${root_dir}/src/middleware/auth.js`);
+const { findAlarmForUser, findOwnedAlarm, removeFromEscalation } = require(`${root_dir}/src/services/alarms.js`);
+
+// Applying routes
+router.get('/alarm/:alarmSerial/members', authenticate, listMembers);
+router.post('/alarm/:alarmSerial/members', authenticate, inviteMember);
+router.patch('/alarm/:alarmSerial/members/:username', authenticate, updateMember);
+router.delete('/alarm/:alarmSerial/members/:username', authenticate, removeMember);
+router.get('/invitations', authenticate, listInvitations);
+router.post('/invitations/:invitationId/accept', authenticate, acceptInvitation);
+router.post('/invitations/:invitationId/decline', authenticate, declineInvitation);
+
+
+/**
+ * Finds a member of an alarm by username
+ *
+ * @param alarm The alarm
+ * @param username The member's username
+ * @return Promise - Resolves with the membership (including its user), or null if the user isn't a member
+ * */
+function findMembership (alarm, username) {
+    return db.alarmMember.findOne({
+        where: { alarmId: alarm.id },
+        include: [{ model: db.user, where: { username: username } }]
+    });
+}
+
+
+/**
+ * Counts the alarm's active owners
+ *
+ * @param alarm The alarm
+ * @return Promise<number> - The number of active owners
+ * */
+function countOwners (alarm) {
+    return db.alarmMember.count({ where: { alarmId: alarm.id, role: 'owner', status: 'active' } });
+}
+
+// Express Routes
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     AlarmMember:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The membership ID, also used as the invitation ID
+ *           example: 3
+ *         alarmId:
+ *           type: integer
+ *           example: 1
+ *         username:
+ *           type: string
+ *           example: nbokhari
+ *         role:
+ *           type: string
+ *           enum: [owner, member, responder, viewer]
+ *           description: >
+ *             Owners can reconfigure the alarm and manage members. Owners, members and responders are prompted to
+ *             confirm triggers and can answer. Viewers can only see the alarm's incidents.
+ *         status:
+ *           type: string
+ *           enum: [invited, active]
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /alarm/{alarmSerial}/members:
+ *   get:
+ *     summary: Lists an alarm's members
+ *     description: Lists everyone who belongs to or has been invited to the alarm. Any member can do this.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The alarm's members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AlarmMember'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmForbidden'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ * */
+async function listMembers (req, res) {
+    try {
+        const { alarm, status, error } = await findAlarmForUser(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        const members = await alarm.getAlarmMembers({ include: [db.user], order: [['createdAt', 'ASC']] });
+        return res.status(200).json(members.map(member => member.toPublic()));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/members:
+ *   post:
+ *     summary: Invites a user to an alarm
+ *     description: Invites a user to the alarm with the role given. They get access once they accept. Owners only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: nbokhari
+ *               role:
+ *                 type: string
+ *                 enum: [owner, member, responder, viewer]
+ *                 example: member
+ *     responses:
+ *       201:
+ *         description: The invitation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AlarmMember'
+ *       400:
+ *         description: Missing username or unknown role
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmNotOwned'
+ *       404:
+ *         description: Unable to find alarm or user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Unable to find user
+ *       409:
+ *         description: The user is already a member or has already been invited
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: User is already a member of this alarm
+ * */
+async function inviteMember (req, res) {
+    const body = req.body;
+    const role = body.role || 'member';
+    if (!body.username || !db.alarmMember.ROLES.includes(role))
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+
+    try {
+        const { alarm, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        const invitee = await db.user.findOne({ where: { username: body.username } });
+        if (!invitee)
+            return res.status(404).json({ 'error': 'Unable to find user' });
+        if (await findMembership(alarm, invitee.username))
+            return res.status(409).json({ 'error': 'User is already a member of this alarm' });
+
+        const membership = await db.alarmMember.create({
+            alarmId: alarm.id,
+            userId: invitee.id,
+            role: role,
+            status: 'invited',
+            invitedByUserId: req.user.id
+        });
+        membership.user = invitee;
+        console.log(`${invitee.username} invited to alarm ${alarm.alarmSerial} as ${role}`);
+        return res.status(201).json(membership.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/members/{username}:
+ *   patch:
+ *     summary: Changes a member's role
+ *     description: Changes the role of a member or invitee. Owners only. The last owner can't be demoted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, member, responder, viewer]
+ *     responses:
+ *       200:
+ *         description: The updated membership
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AlarmMember'
+ *       400:
+ *         description: Unknown role
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmNotOwned'
+ *       404:
+ *         description: Unable to find alarm or member
+ *       409:
+ *         description: The change would leave the alarm without an owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An alarm must keep at least one owner
+ * */
+async function updateMember (req, res) {
+    const role = req.body.role;
+    if (!db.alarmMember.ROLES.includes(role))
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+
+    try {
+        const { alarm, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        const membership = await findMembership(alarm, req.params.username);
+        if (!membership)
+            return res.status(404).json({ 'error': 'Unable to find member' });
+        if (membership.role === 'owner' && role !== 'owner' && membership.status === 'active' && await countOwners(alarm) === 1)
+            return res.status(409).json({ 'error': 'An alarm must keep at least one owner' });
+
+        await membership.update({ role: role });
+        return res.status(200).json(membership.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/members/{username}:
+ *   delete:
+ *     summary: Removes a member from an alarm
+ *     description: >
+ *       Removes a member or cancels an invitation. Owners can remove anyone; other members can only remove
+ *       themselves. The last owner can't be removed. The member is also taken out of the alarm's escalation tiers.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: The member was removed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmForbidden'
+ *       404:
+ *         description: Unable to find alarm or member
+ *       409:
+ *         description: The change would leave the alarm without an owner
+ * */
+async function removeMember (req, res) {
+    try {
+        const leaving = req.params.username === req.user.username;
+        const { alarm, status, error } = leaving
+            ? await findAlarmForUser(req.params.alarmSerial, req.user)
+            : await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        const membership = await findMembership(alarm, req.params.username);
+        if (!membership)
+            return res.status(404).json({ 'error': 'Unable to find member' });
+        if (membership.role === 'owner' && membership.status === 'active' && await countOwners(alarm) === 1)
+            return res.status(409).json({ 'error': 'An alarm must keep at least one owner' });
+
+        await db.sequelize.transaction(async transaction => {
+            await membership.destroy({ transaction: transaction });
+            await removeFromEscalation(membership.userId, [alarm.id], transaction);
+        });
+        return res.sendStatus(204);
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /invitations:
+ *   get:
+ *     summary: Lists the logged in user's pending invitations
+ *     description: Lists alarms the user has been invited to but hasn't accepted yet
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The pending invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     example: 3
+ *                   alarmSerial:
+ *                     type: string
+ *                     example: "1"
+ *                   location:
+ *                     type: string
+ *                     example: Apartment room 104
+ *                   role:
+ *                     type: string
+ *                     example: member
+ *                   invitedBy:
+ *                     type: string
+ *                     example: bcsotty
+ *       401:
+ *         description: Not authenticated
+ * */
+async function listInvitations (req, res) {
+    try {
+        const invitations = await db.alarmMember.findAll({
+            where: { userId: req.user.id, status: 'invited' },
+            include: [db.alarm, { model: db.user, as: 'invitedBy' }]
+        });
+        return res.status(200).json(invitations.map(invitation => ({
+            'id': invitation.id,
+            'alarmSerial': invitation.alarm.alarmSerial,
+            'location': invitation.alarm.location,
+            'role': invitation.role,
+            'invitedBy': invitation.invitedBy ? invitation.invitedBy.username : null
+        })));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /invitations/{invitationId}/accept:
+ *   post:
+ *     summary: Accepts an invitation to an alarm
+ *     description: Makes the logged in user an active member of the alarm with the role they were invited as
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The now active membership
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AlarmMember'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: No pending invitation with that ID for this user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Unable to find invitation
+ * */
+async function acceptInvitation (req, res) {
+    try {
+        const invitation = await db.alarmMember.findOne({
+            where: { id: req.params.invitationId, userId: req.user.id, status: 'invited' }
+        });
+        if (!invitation)
+            return res.status(404).json({ 'error': 'Unable to find invitation' });
+
+        await invitation.update({ status: 'active', acceptedAt: new Date() });
+        invitation.user = req.user;
+        return res.status(200).json(invitation.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /invitations/{invitationId}/decline:
+ *   post:
+ *     summary: Declines an invitation to an alarm
+ *     description: Deletes the pending invitation
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: The invitation was declined
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: No pending invitation with that ID for this user
+ * */
+async function declineInvitation (req, res) {
+    try {
+        const invitation = await db.alarmMember.findOne({
+            where: { id: req.params.invitationId, userId: req.user.id, status: 'invited' }
+        });
+        if (!invitation)
+            return res.status(404).json({ 'error': 'Unable to find invitation' });
+
+        await invitation.destroy();
+        return res.sendStatus(204);
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+module.exports = router;
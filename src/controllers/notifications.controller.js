@@ -8,24 +8,212 @@ const root_dir = require('app-root-path');
 const db = require(`${root_dir}/src/models`);
 const env = process.env.NODE_ENV || 'development'
 const config = require(`${root_dir}/src/config/config.json`)[env];
-
-// Web-push setup
-const push = require('web-push');
-const pushDetails = config.push_details;
-push.setVapidDetails(`mailto:${pushDetails.email}`, pushDetails.publicKey, pushDetails.privateKey);
+const { authenticateDevice } = require(`${root_dir}/src/middleware/device-auth.js`);
+const incidents = require(`${root_dir}/src/services/incidents.js`);
+const alarms = require(`${root_dir}/src/services/alarms.js`);
+const places = require(`${root_dir}/src/services/places.js`);
+const pushService = require(`${root_dir}/src/services/push.js`);
+const { verifyToken } = require(`${root_dir}/src/utils/tokens.js`);
+const { isHttpUrl } = require(`${root_dir}/src/utils/urls.js`);
+const webhooks = require(`${root_dir}/src/services/webhooks.js`);
 
 // Applying routes
-router.post("/notify", notifyAllUsers);
-router.get("/confirm", confirmAlarm);
-router.get("/response", logResponse);
+router.post("/notify", authenticateDevice, notifyUsers);
+router.get("/confirm", authenticateDevice, confirmAlarm);
+router.get("/incidents/:incidentId", authenticateDevice, getIncidentOutcome);
+router.post("/response", logResponse);
+
+
+/**
+ * Works out which users a /notify target picks out. A controller can only reach its own alarm's members and the
+ * members of other alarms owned by the same owner or in the same site.
+ *
+ * @param target The target from the request body, which may be empty
+ * @param callingAlarm The alarm that sent the request, whose members are notified by default
+ * @return Promise<object> - { userIds } on success, or { status, error } if the target is invalid or out of reach
+ * */
+async function resolveTarget (target, callingAlarm) {
+    const roles = target.role ? [target.role] : db.alarmMember.ROLES;
+    const userIds = new Set();
+    const alarmsToNotify = [];
+    const scope = await alarms.getNotifyScope(callingAlarm);
+
+    if (target.users) {
+        const users = await db.user.findAll({ where: { username: target.users } });
+        const found = new Set(users.map(user => user.username));
+        const unknown = target.users.find(username => !found.has(username));
+        if (unknown)
+            return { status: 400, error: `Unknown user ${unknown}` };
+        const memberIds = await alarms.getMemberIds(callingAlarm);
+        const outsider = users.find(user => !memberIds.includes(user.id));
+        if (outsider)
+            return { status: 403, error: `${outsider.username} isn't a member of this alarm` };
+        users.forEach(user => userIds.add(user.id));
+    }
+    if (target.alarmSerial !== undefined) {
+        const alarm = await db.alarm.findOne({ where: { alarmSerial: String(target.alarmSerial) } });
+        if (!alarm)
+            return { status: 404, error: 'Unable to find alarm' };
+        if (!scope.alarmIds.includes(alarm.id))
+            return { status: 403, error: "This alarm can't notify about that alarm" };
+        alarmsToNotify.push(alarm);
+    }
+    if (target.location !== undefined) {
+        alarmsToNotify.push(...await db.alarm.findAll({
+            where: { id: scope.alarmIds, location: String(target.location) }
+        }));
+    }
+
+    // The most specific part of the hierarchy given picks the alarms, narrowed to one floor number if given
+    for (const field of ['roomId', 'buildingId', 'siteId', 'floor']) {
+        if (target[field] !== undefined && !Number.isInteger(target[field]))
+            return { status: 400, error: `${field} must be a whole number` };
+    }
+    const level = ['room', 'building', 'site'].find(name => target[`${name}Id`] !== undefined);
+    if (target.floor !== undefined && (level === undefined || level === 'room'))
+        return { status: 400, error: 'floor needs a buildingId or siteId' };
+    if (level) {
+        const { node, site } = await places.findNode(level, target[`${level}Id`]);
+        if (!node)
+            return { status: 404, error: `Unable to find ${level}` };
+        if (!scope.siteIds.includes(site.id))
+            return { status: 403, error: `This alarm can't notify about that ${level}` };
+        alarmsToNotify.push(...await places.findAlarmsIn(level, target[`${level}Id`], target.floor));
+    }
+
+    if (!target.users && target.alarmSerial === undefined && target.location === undefined && !level)
+        alarmsToNotify.push(callingAlarm);
+
+    for (const alarm of alarmsToNotify)
+        (await alarms.getMemberIds(alarm, roles)).forEach(userId => userIds.add(userId));
+    return { userIds: [...userIds] };
+}
+
+
+/**
+ * Answers a controller's /confirm request, straight away in async mode or once the incident settles otherwise
+ *
+ * @param res The Express response
+ * @param incident The alarm's incident
+ * @param delivery The outcome of prompting members, or null if nobody new was prompted
+ * @param async True if the controller doesn't want to wait for the outcome
+ * @return Promise - Resolves once the response is sent
+ * */
+async function respondWithOutcome (res, incident, delivery, async) {
+    // Below code handles communicating back to controller
+    if (async) {
+        return res.status(202).json({
+            'incidentId': incident.id,
+            'status': incident.status,
+            'confirmationDeadline': incident.deadline(),
+            'primaryIncidentId': incident.primaryIncidentId,
+            ...delivery
+        });
+    }
+
+    incident = await incidents.waitForOutcome(incident);
+    const outcome = incident.outcome();
+    const confirmed = outcome === null ? 'null' : outcome;
+
+    return res.status(200).json({
+        'incidentId': incident.id,
+        'confirmed': confirmed,
+        'escalationLevel': incident.escalationLevel,
+        'primaryIncidentId': incident.primaryIncidentId,
+        ...delivery
+    });
+}
 
 // Express Routes
 /**
  * @openapi
+ * components:
+ *   schemas:
+ *     PushDelivery:
+ *       type: object
+ *       description: The result of sending a notification to one subscription
+ *       properties:
+ *         subscriptionId:
+ *           type: integer
+ *           example: 4
+ *         userId:
+ *           type: integer
+ *           example: 1
+ *         ok:
+ *           type: boolean
+ *         statusCode:
+ *           type: integer
+ *           description: The push service's last response code, or null if it never answered
+ *           example: 201
+ *         error:
+ *           type: string
+ *           description: Why the notification wasn't delivered, or null if it was
+ *           example: null
+ *         attempts:
+ *           type: integer
+ *           example: 1
+ *         latency:
+ *           type: integer
+ *           description: Milliseconds from the first attempt until the delivery finished
+ *           example: 182
+ *         removed:
+ *           type: boolean
+ *           description: True if the subscription was deleted because it no longer works
+ *     ChannelDelivery:
+ *       type: object
+ *       description: The result of sending a message to a user through email, SMS or a voice call
+ *       properties:
+ *         userId:
+ *           type: integer
+ *           example: 1
+ *         channel:
+ *           type: string
+ *           enum: [email, sms, voice]
+ *         ok:
+ *           type: boolean
+ *         statusCode:
+ *           type: integer
+ *           description: The provider's response code, or null if it doesn't use them
+ *           example: 201
+ *         error:
+ *           type: string
+ *           description: Why the message wasn't sent, or null if it was
+ *           example: No phoneNumber to send to
+ *   securitySchemes:
+ *     deviceSignature:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Blaze-Signature
+ *       description: >
+ *         HMAC-SHA256 (hex) of the method, path with query string, X-Blaze-Timestamp, X-Blaze-Nonce and the SHA-256
+ *         hex digest of the body, joined by newlines and keyed with the alarm's credential secret. X-Blaze-Key-Id,
+ *         X-Blaze-Timestamp and X-Blaze-Nonce headers must also be sent.
+ *   responses:
+ *     DeviceUnauthorized:
+ *       description: Missing, invalid, expired or replayed device signature
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Invalid device signature
+ *
  * /notify:
  *  post:
- *    summary: Notifies all users in the DB
- *    description: Notifies all users in the DB of the notification provided
+ *    summary: Notifies the users targeted
+ *    description: >
+ *      Sends the notification provided to every subscription of the users targeted. Only callable by alarm
+ *      controllers. Without a target, the active members of the calling alarm are notified. Users, an alarm serial,
+ *      a location and a place in the site hierarchy can be combined, and everyone matching any of them is notified
+ *      once. Of roomId, buildingId and siteId only the most specific is used, and floor narrows a building or site to
+ *      one floor, so {"buildingId": 2, "floor": 3} notifies about every alarm on floor 3 of building 2. A role
+ *      narrows the members picked by alarm, location or place (or of the calling alarm, if given on its own) to that
+ *      role. A controller can only notify its own alarm's members, about its own alarm, other alarms with the same
+ *      owner, and the sites those alarms are in.
+ *    security:
+ *      - deviceSignature: []
  *    requestBody:
  *      required: true
  *      content:
@@ -44,6 +232,41 @@ router.get("/response", logResponse);
  *                    type: string
  *                    description: The message attached to the notification
  *                    example: Fire confirmed in room 104.
+ *              target:
+ *                type: object
+ *                properties:
+ *                  users:
+ *                    type: array
+ *                    items:
+ *                      type: string
+ *                    example: [nbokhari]
+ *                  alarmSerial:
+ *                    type: string
+ *                    description: Notify the members of this alarm
+ *                    example: "1"
+ *                  location:
+ *                    type: string
+ *                    description: >
+ *                      Notify the members of every alarm whose location is exactly this, among the alarms the
+ *                      controller can notify about
+ *                    example: Apartment room 104
+ *                  siteId:
+ *                    type: integer
+ *                    description: Notify the members of every alarm in this site
+ *                  buildingId:
+ *                    type: integer
+ *                    description: Notify the members of every alarm in this building
+ *                    example: 2
+ *                  floor:
+ *                    type: integer
+ *                    description: Only notify about alarms on the floor with this level, of the building or site given
+ *                    example: 3
+ *                  roomId:
+ *                    type: integer
+ *                    description: Notify the members of every alarm in this room
+ *                  role:
+ *                    type: string
+ *                    enum: [owner, member, responder, viewer]
  *    responses:
  *      200:
  *        description: Push notification sent successfully
@@ -54,11 +277,11 @@ router.get("/response", logResponse);
  *              properties:
  *                totalSubscriptions:
  *                  type: integer
- *                  description: The number of subscriptions the user has (Devices)
+ *                  description: The number of subscriptions (devices) of every user targeted
  *                  example: 2
  *                successfulNotifications:
  *                  type: integer
- *                  description: The number of notifications that successfully were sent to the user
+ *                  description: The number of notifications that were successfully sent
  *                  example: 1
  *                errors:
  *                  type: array
@@ -66,75 +289,93 @@ router.get("/response", logResponse);
  *                  example: [Error occurred when sending notification]
  *                  items:
  *                    type: string
+ *                deliveries:
+ *                  type: array
+ *                  items:
+ *                    $ref: '#/components/schemas/PushDelivery'
+ *                users:
+ *                  type: array
+ *                  description: The delivery counts for each user targeted, including users without any subscriptions
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      username:
+ *                        type: string
+ *                        example: bcsotty
+ *                      totalSubscriptions:
+ *                        type: integer
+ *                        example: 2
+ *                      successfulNotifications:
+ *                        type: integer
+ *                        example: 1
+ *                      errors:
+ *                        type: array
+ *                        items:
+ *                          type: string
+ *      400:
+ *        description: Missing notification or invalid target
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                error:
+ *                  type: string
+ *                  example: Unknown user nbokhari
+ *      401:
+ *        $ref: '#/components/responses/DeviceUnauthorized'
+ *      403:
+ *        description: >
+ *          A user targeted isn't a member of the calling alarm, or an alarm or place targeted has another owner or is
+ *          in another site
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                error:
+ *                  type: string
+ *                  example: bcsotty isn't a member of this alarm
+ *      404:
+ *        description: The target alarm, site, building or room doesn't exist
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                error:
+ *                  type: string
+ *                  example: Unable to find alarm
  */
-async function notifyAllUsers (req, res) {
-    // TODO Need to add security to ensure only the fire alarm server can call this endpoint
-    const body = req.body;
+async function notifyUsers (req, res) {
+    const notification = req.body.notification;
+    const target = req.body.target || {};
+    if (!notification || typeof notification !== 'object' || typeof target !== 'object')
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+    if (target.role !== undefined && !db.alarmMember.ROLES.includes(target.role))
+        return res.status(400).json({ 'error': `role must be one of ${db.alarmMember.ROLES.join(', ')}` });
+    if (target.users !== undefined && (!Array.isArray(target.users) || target.users.some(user => typeof user !== 'string')))
+        return res.status(400).json({ 'error': 'users must be a list of usernames' });
+
+    try {
+        const { userIds, status, error } = await resolveTarget(target, req.alarm);
+        if (!userIds)
+            return res.status(status).json({ 'error': error });
 
-    const dbSubscriptions = await db.subscription.findAll();
-    if (dbSubscriptions.length === 0) {
+        const delivery = await pushService.notifyUsers(userIds, notification, { payloadType: 'notification', alarmId: req.alarm.id });
+        const users = await db.user.findAll({ where: { id: userIds } });
+        console.log(`Notification sent to ${delivery.successfulNotifications} of ${delivery.totalSubscriptions} subscriptions of ${userIds.length} user(s)`);
         return res.status(200).json({
-            "totalSubscriptions": 0,
-            "successfulNotifications": 0,
-            "errors": []
+            'totalSubscriptions': delivery.totalSubscriptions,
+            'successfulNotifications': delivery.successfulNotifications,
+            'errors': delivery.errors,
+            'users': users.map(user => ({ 'username': user.username, ...delivery.users.get(user.id) })),
+            'deliveries': delivery.deliveries
         });
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
     }
-
-    let successfulNotifications = 0;
-    let errors = [];
-
-    for (let subscription of dbSubscriptions) {
-        const sub = {
-            endpoint: subscription.endpoint,
-            expirationTime: subscription.expirationTime,
-            keys: {
-                p256dh: subscription.p256dh,
-                auth: subscription.auth
-            }
-        };
-
-        const notification = body.notification;
-
-        try {
-            await push.sendNotification(sub, JSON.stringify(notification));
-            console.log(`Notification sent successfully to user ${subscription.userId}`);
-            successfulNotifications++;
-        } catch (err) {
-            console.log(`Error sending notification to user ${subscription.userId}: `, err);
-            errors.push(`Error occurred when sending notification`);
-        }
-    }
-
-    return res.status(200).json({
-        "totalSubscriptions": dbSubscriptions.length,
-        "successfulNotifications": successfulNotifications,
-        "errors": errors
-    });
-}
-
-
-// Map for storing alarm notifications while in processing
-let alarmMap = new Map();
-
-
-/**
- * Returns a promise that delays for the number of seconds specified
- *
- * @param seconds The number of seconds to delay.
- * @return Promise - The promise that will time out for the number of seconds
- * */
-function delay (seconds) {
-    return new Promise(resolve => setTimeout(resolve, seconds * 1000));
-}
-
-
-/**
- * Returns the current UNIX timestamp
- *
- * @return number - The current UNIX timestamp
- * */
-function getCurrentTimeStamp () {
-    return Date.now();
 }
 
 
@@ -144,25 +385,64 @@ function getCurrentTimeStamp () {
  * /confirm:
  *   get:
  *     summary: Sends push notification for user to confirm alarm status
- *     description: Sends a web-push notification that has prompts the user to confirm/deny the existence of a fire.
+ *     description: >
+ *       Sends a web-push notification that has prompts the user to confirm/deny the existence of a fire. The alarm is
+ *       identified by the device credential that signed the request. The alarm's owners, members and responders are
+ *       prompted first; if none of them answer
+ *       within the alarm's confirmation timeout, each tier of the alarm's escalation policy is prompted in turn. By
+ *       default the request is held open until someone responds or every tier has timed out. In async mode the server answers straight away with
+ *       the incident ID, and the controller polls /incidents/{incidentId} or waits for its callback URL to be
+ *       called. If another alarm in the same building went off within the correlation window, the trigger joins that
+ *       alarm's incident instead: members get one prompt covering every alarm, only members who weren't prompted yet
+ *       are asked, and this alarm's incident takes the same outcome. Sites can set autoConfirmAlarms to confirm the
+ *       fire as soon as that many alarms have gone off together.
+ *     security:
+ *       - deviceSignature: []
  *     parameters:
  *       - in: query
  *         name: alarmId
  *         schema:
  *           type: string
- *         description: The ID of the alarm to be confirmed
+ *         description: The serial of the alarm to be confirmed. Optional, but must match the signing alarm if sent.
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [sync, async]
+ *           default: sync
+ *         description: Whether to hold the request open until the outcome is known
+ *       - in: query
+ *         name: callbackUrl
+ *         schema:
+ *           type: string
+ *         description: >
+ *           An http(s) URL the outcome is POSTed to once known, as { incidentId, alarmId, status, confirmed }. Implies
+ *           async mode. The body is signed like device requests: X-Blaze-Signature is the hex HMAC-SHA256 of
+ *           X-Blaze-Timestamp and the body joined by a newline, keyed with the credential named in X-Blaze-Key-Id.
  *     responses:
  *       200:
- *         description: The confirmation prompt was successfully sent.
+ *         description: The confirmation prompt was successfully sent and the outcome is known (sync mode).
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 incidentId:
+ *                   type: integer
+ *                   description: The ID of the incident recorded for this trigger
+ *                   example: 12
  *                 confirmed:
  *                   type: boolean
  *                   description: True if the alarm was confirmed, False if it wasn't, and null if the user didn't respond in time
  *                   example: null
+ *                 escalationLevel:
+ *                   type: integer
+ *                   description: The escalation tier that was reached, where 0 is the alarm's own members
+ *                   example: 0
+ *                 primaryIncidentId:
+ *                   type: integer
+ *                   description: The incident this trigger was grouped into, or null if it started its own
+ *                   example: null
  *                 totalSubscriptions:
  *                   type: integer
  *                   description: The number of subscriptions the user has (Devices)
@@ -177,8 +457,56 @@ function getCurrentTimeStamp () {
  *                   example: [Error occurred when sending notification]
  *                   items:
  *                     type: string
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PushDelivery'
+ *                 channels:
+ *                   type: array
+ *                   description: The messages sent through users' other channels, for users that push didn't reach
+ *                   items:
+ *                     $ref: '#/components/schemas/ChannelDelivery'
+ *       202:
+ *         description: The confirmation prompt was sent and the outcome will be available later (async mode).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 incidentId:
+ *                   type: integer
+ *                   example: 12
+ *                 status:
+ *                   type: string
+ *                   example: awaiting_confirmation
+ *                 confirmationDeadline:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the incident times out if nobody responds
+ *                 primaryIncidentId:
+ *                   type: integer
+ *                   description: The incident this trigger was grouped into, or null if it started its own
+ *                   example: 9
+ *                 totalSubscriptions:
+ *                   type: integer
+ *                   example: 2
+ *                 successfulNotifications:
+ *                   type: integer
+ *                   example: 1
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PushDelivery'
+ *                 channels:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChannelDelivery'
  *       400:
- *         description: Invalid query parameters
+ *         description: Invalid mode or callback URL
  *         content:
  *           application/json:
  *             schema:
@@ -186,10 +514,23 @@ function getCurrentTimeStamp () {
  *               properties:
  *                 error:
  *                   type: string
- *                   description: Invalid/missing query parameter
  *                   example: Missing or incorrect parameters
+ *       401:
+ *         $ref: '#/components/responses/DeviceUnauthorized'
+ *       403:
+ *         description: The alarmId sent doesn't belong to the signing alarm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Credential doesn't belong to this alarm
  *       404:
- *         description: Unable to find alarm, alarm doesn't have user, or user doesn't have subscription
+ *         description: >
+ *           Alarm doesn't have user, or user doesn't have subscription and there's nobody to escalate to. The incident
+ *           is recorded as unreachable.
  *         content:
  *           application/json:
  *             schema:
@@ -198,7 +539,7 @@ function getCurrentTimeStamp () {
  *                 error:
  *                   type: string
  *                   description: The error that occurred
- *                   example: Couldn't find alarm with provided alarm ID
+ *                   example: Alarm doesn't have a user assigned
  *       500:
  *         description: Unknown server error (Likely DB related)
  *         content:
@@ -213,89 +554,136 @@ function getCurrentTimeStamp () {
  * */
 async function confirmAlarm (req, res) {
     // Receives alarm ID from controller -> Gets primary user for alarm from DB -> Notifies primary user of the fire and
-    // asks for confirmation -> Wait for response to come from the PWA -> If response not received within 10 seconds,
-    // return "null", otherwise return "true" or "false" corresponding to confirmed/denied.
+    // asks for confirmation -> Wait for response to come from the PWA -> If response not received within the alarm's
+    // timeout, return "null", otherwise return "true" or "false" corresponding to confirmed/denied. In async mode the
+    // controller is answered straight away and finds out the outcome later.
     const params = req.query;
-    if (!params.alarmId)
+    const alarm = req.alarm;
+    if (params.alarmId && params.alarmId !== alarm.alarmSerial)
+        return res.status(403).json({"error": "Credential doesn't belong to this alarm"});
+    if (params.mode && !['sync', 'async'].includes(params.mode))
         return res.status(400).json({"error": "Missing or incorrect parameters"});
+    if (params.callbackUrl && !isHttpUrl(params.callbackUrl))
+        return res.status(400).json({"error": "Callback URL must be an http(s) URL"});
+    const async = params.mode === 'async' || !!params.callbackUrl;
 
-    const alarmId = params.alarmId;
-    let alarm = null;
-    let dbSubscriptions = null;
+    let incident = null;
+    let delivery = null;
     try {
-        const alarms = await db.alarm.findAll({
-            where: {
-                alarmSerial: alarmId
-            }
+        incident = await alarm.createIncident({
+            confirmationTimeout: alarm.confirmationTimeout,
+            callbackUrl: params.callbackUrl || null
         });
-        if (alarms.length === 0)
-            return res.status(404).json({"error": "Couldn't find alarm with provided alarm ID"});
+        await incident.logEvent('triggered');
+        webhooks.emit('alarm.triggered', alarm, {
+            'incident': { 'id': incident.id, 'triggeredAt': incident.triggeredAt }
+        });
+
+        // Another alarm in the same building going off moments earlier means this is the same fire
+        const primary = await incidents.findPrimaryIncident(incident, alarm);
+        if (primary)
+            delivery = await incidents.joinIncident(incident, primary, alarm);
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
+    }
+
+    try {
+        if (incident.primaryIncidentId)
+            return respondWithOutcome(res, incident, delivery, async);
 
-        alarm = alarms[0];
-        if (!alarm.userId)
+        const responderIds = await alarms.getMemberIds(alarm, db.alarmMember.RESPONDER_ROLES);
+        if (responderIds.length === 0) {
+            await incidents.markUnreachable(incident, 'no responders');
             return res.status(404).json({"error": "Alarm doesn't have a user assigned"});
+        }
 
-        dbSubscriptions = await db.subscription.findAll({where: {userId: alarm.userId}});
-        if (dbSubscriptions.length === 0)
+        // Without any devices to prompt, other channels to try or anyone to escalate to, nobody could ever answer
+        const ownerSubscriptions = await db.subscription.count({where: {userId: responderIds}});
+        const preferences = await db.preference.findAll({where: {userId: responderIds}});
+        const otherChannels = preferences.some(preference => preference.channels.some(channel => channel !== 'push'));
+        const tiers = await db.escalationTier.count({where: {alarmId: alarm.id}});
+        if (ownerSubscriptions === 0 && !otherChannels && tiers === 0) {
+            await incidents.markUnreachable(incident, 'no subscriptions');
             return res.status(404).json({"error": "Couldn't find user in subscriptions"});
+        }
+
+        delivery = await incidents.startConfirmation(incident, alarm);
     } catch (err) {
         console.error('Unknown error occurred: ', err);
         return res.status(500).json({ 'error': 'Unknown error occurred' });
     }
+    return respondWithOutcome(res, incident, delivery, async);
+}
 
-    let successfulNotifications = 0;
-    let errors = [];
 
-    for (let subscription of dbSubscriptions) {
-        const sub = {
-            endpoint: subscription.endpoint,
-            expirationTime: subscription.expirationTime,
-            keys: {
-                p256dh: subscription.p256dh,
-                auth: subscription.auth
-            }
-        };
-
-        const notification = {
-            'title': 'Alarm Confirmation',
-            'message': `Alarm was triggered at ${alarm.location}. Please confirm the existence of a fire.`,
-            'actions': [
-                {
-                    'action': 'confirm',
-                    'title': 'Confirm Alarm',
-                    'type': 'button'
-                },
-                {
-                    'action': 'deny',
-                    'title': 'False Alarm',
-                    'type': 'button'
-                }
-            ]
-        };
-
-        try {
-            await push.sendNotification(sub, JSON.stringify(notification));
-            console.log(`Confirm prompt successfully sent`);
-            successfulNotifications++;
-        } catch (err) {
-            console.log(`Error sending confirm prompt: `, err);
-            errors.push(`Error occurred when sending notification`);
-        }
-    }
+/**
+ * @openapi
+ * /incidents/{incidentId}:
+ *   get:
+ *     summary: Gets the outcome of an alarm's incident
+ *     description: Lets a controller that used async mode on /confirm poll for the outcome of its incident
+ *     security:
+ *       - deviceSignature: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The incident's current state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 incidentId:
+ *                   type: integer
+ *                   example: 12
+ *                 status:
+ *                   type: string
+ *                   example: confirmed
+ *                 settled:
+ *                   type: boolean
+ *                   description: True once the outcome won't change anymore
+ *                 confirmed:
+ *                   type: boolean
+ *                   description: True if confirmed, false if dismissed and null if nobody has answered (yet)
+ *                   example: true
+ *                 confirmationDeadline:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         $ref: '#/components/responses/DeviceUnauthorized'
+ *       404:
+ *         description: The alarm has no incident with that ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Unable to find incident
+ */
+async function getIncidentOutcome (req, res) {
+    try {
+        const incident = await db.incident.findOne({ where: { id: req.params.incidentId, alarmId: req.alarm.id } });
+        if (!incident)
+            return res.status(404).json({ 'error': 'Unable to find incident' });
 
-    // Below code handles communicating back to controller
-    const currentTime = getCurrentTimeStamp();
-    const key = `${alarm.id}-${currentTime}`;
-    alarmMap.set(key, [res, alarm.userId, dbSubscriptions.length, successfulNotifications, errors]);
-    await delay(30);
-    if (alarmMap.get(key)) {
-        alarmMap.delete(key);
         return res.status(200).json({
-            'confirmed': 'null',
-            'totalSubscriptions': dbSubscriptions.length,
-            'successfulNotifications': successfulNotifications,
-            'errors': errors
+            'incidentId': incident.id,
+            'status': incident.status,
+            'settled': incident.isSettled(),
+            'confirmed': incident.outcome(),
+            'confirmationDeadline': incident.deadline()
         });
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
     }
 }
 
@@ -303,28 +691,47 @@ async function confirmAlarm (req, res) {
 /**
  * @openapi
  * /response:
- *   get:
+ *   post:
  *     summary: Log user response to alarm confirmation
- *     description: Takes user response to the alarm confirmation and sends it back to the controller
- *     parameters:
- *       - in: query
- *         name: confirmed
- *         schema:
- *           type: boolean
- *         description: Whether the alarm has been confirmed or is a false alarm
- *       - in: query
- *         name: userId
- *         schema:
- *           type: int
- *         description: The user ID of the user giving response. (Replaced with token in future)
+ *     description: >
+ *       Takes a user's response to the alarm confirmation and sends it back to the controller. The response token from
+ *       the confirmation push identifies the incident, user and device, and can only be used once. Answers to a drill
+ *       are recorded with how long they took instead, and every member can answer until the drill ends.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The responseToken from the push notification's metadata, or from GET /prompts
+ *               confirmed:
+ *                 type: boolean
+ *                 description: Whether the alarm has been confirmed or is a false alarm
+ *               incidentId:
+ *                 type: integer
+ *                 description: Optional. If sent, must be the incident the token was issued for.
  *     responses:
  *       200:
- *         description: Response received by server
- *         example: Response received
- *         type:
- *           text/html
+ *         description: Response received by server and applied to the incident
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Response received
+ *                 incidentId:
+ *                   type: integer
+ *                   example: 12
+ *                 status:
+ *                   type: string
+ *                   example: confirmed
  *       400:
- *         description: Invalid query parameters
+ *         description: Invalid request body
  *         content:
  *           application/json:
  *             schema:
@@ -333,30 +740,92 @@ async function confirmAlarm (req, res) {
  *                 error:
  *                   type: string
  *                   example: Missing or incorrect parameters
+ *       401:
+ *         description: Response token is invalid or expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Invalid or expired response token
+ *       403:
+ *         description: The token was issued for a different incident
+ *       409:
+ *         description: >
+ *           The token was already used, the incident was already settled by someone else, or the user already
+ *           answered the drill
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Incident has already been settled
+ *                 incidentId:
+ *                   type: integer
+ *                 status:
+ *                   type: string
+ *                   example: dismissed
+ *                 respondedBy:
+ *                   type: object
+ *                   description: Who settled the incident, if someone answered it
+ *                   properties:
+ *                     username:
+ *                       type: string
+ *                       example: bcsotty
+ *                     firstName:
+ *                       type: string
+ *                       example: Brett
  */
 async function logResponse (req, res) {
     // Receives user response to the confirm alarm prompt and sends the response
-    // TODO: Add validation on the query parameters per openAPI spec
-    // TODO: Needs to retrieve user info based on tokens for selecting the correct response
-    const params = req.query;
-    if (!params.confirmed || !params.userId)
+    const body = req.body;
+    if (typeof body.confirmed !== 'boolean' || !body.token)
         return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
 
-    const userId = parseInt(params.userId);
-    const confirmed = (params.confirmed === 'true'); // Since params are strings, this converts to the proper type
-    for (const [key, value] of alarmMap) {
-        console.log(value[1], userId);
-        if (value[1] === userId) {
-            value[0].status(200).json({
-                'confirmed': confirmed,
-                'totalSubscriptions': value[2],
-                'successfulNotifications': value[3],
-                'errors': value[4]
+    const payload = verifyToken(body.token, 'response');
+    if (!payload)
+        return res.status(401).json({ 'error': 'Invalid or expired response token' });
+    if (body.incidentId !== undefined && parseInt(body.incidentId) !== payload.inc)
+        return res.status(403).json({ 'error': 'Response token was issued for a different incident' });
+
+    try {
+        const responseToken = await db.responseToken.findOne({ where: { jti: payload.jti, incidentId: payload.inc } });
+        if (!responseToken || responseToken.expiresAt < new Date())
+            return res.status(401).json({ 'error': 'Invalid or expired response token' });
+        if (!(await responseToken.consume()))
+            return res.status(409).json({ 'error': 'Response token has already been used' });
+
+        const incident = await db.incident.findByPk(responseToken.incidentId);
+        const user = await db.user.findByPk(responseToken.userId);
+        const subscription = responseToken.subscriptionId ? await db.subscription.findByPk(responseToken.subscriptionId) : null;
+        if (!(await incidents.recordResponse(incident, body.confirmed, user, subscription))) {
+            if (incident.drillId) {
+                return res.status(409).json({
+                    'error': 'You already answered this drill, or it has ended',
+                    'incidentId': incident.id,
+                    'status': incident.status,
+                    'respondedBy': null
+                });
+            }
+            const respondedBy = incident.respondedByUserId ? await db.user.findByPk(incident.respondedByUserId) : null;
+            return res.status(409).json({
+                'error': 'Incident has already been settled',
+                'incidentId': incident.id,
+                'status': incident.status,
+                'respondedBy': respondedBy ? { 'username': respondedBy.username, 'firstName': respondedBy.firstName } : null
             });
-            alarmMap.delete(key);
         }
+
+        console.log(`Incident ${incident.id} ${incident.status} by ${user.username}`);
+        return res.status(200).json({ 'message': 'Response received', 'incidentId': incident.id, 'status': incident.status });
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
     }
-    return res.status(200).send('Response received');
 }
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,335 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { authenticate } = require(`${root_dir}/src/middleware/auth.js`);
+const { getAlarmIdsForUser } = require(`${root_dir}/src/services/alarms.js`);
+const pushService = require(`${root_dir}/src/services/push.js`);
+const messages = require(`${root_dir}/src/services/messages.js`);
+
+// Loose on purpose, the mail server is the real judge of whether an address works
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+const MAX_DISPLAY_NAME = 50;
+
+// Applying routes
+router.get('/preferences', authenticate, getPreferences);
+router.put('/preferences', authenticate, updatePreferences);
+router.post('/preferences/test', authenticate, sendTestNotification);
+
+
+/**
+ * Finds the user's preferences, creating the defaults if they've never saved any
+ *
+ * @param user The user
+ * @return Promise - Resolves with the user's preference row
+ * */
+async function findPreferences (user) {
+    const [preference] = await db.preference.findOrCreate({ where: { userId: user.id } });
+    return preference;
+}
+
+
+/**
+ * Returns the alarms the user is an active member of, for choosing which ones to be notified about
+ *
+ * @param user The user
+ * @return Promise<array> - The alarms
+ * */
+async function findUserAlarms (user) {
+    return db.alarm.findAll({ where: { id: await getAlarmIdsForUser(user) }, order: [['alarmSerial', 'ASC']] });
+}
+
+
+/**
+ * Describes the user's preferences along with whether each of their alarms notifies them
+ *
+ * @param preference The user's preference row
+ * @param alarms The alarms the user is an active member of
+ * @return object - The public preferences
+ * */
+function describePreferences (preference, alarms) {
+    const muted = alarms.filter(alarm => preference.mutedAlarmIds.includes(alarm.id));
+    return {
+        ...preference.toPublic(),
+        'mutedAlarms': muted.map(alarm => alarm.alarmSerial),
+        'alarms': alarms.map(alarm => ({
+            'alarmSerial': alarm.alarmSerial,
+            'displayName': alarm.displayName(),
+            'notify': !muted.includes(alarm)
+        }))
+    };
+}
+
+
+/**
+ * Checks the preference changes sent by a user
+ *
+ * @param body The request body
+ * @param current The user's current preferences, used for the fields left out of the body
+ * @param alarms The alarms the user is an active member of, the only ones they can mute
+ * @return object - The fields to update, or { error } if any are invalid
+ * */
+function parsePreferences (body, current, alarms) {
+    const changes = {};
+    if (body.displayName !== undefined) {
+        const displayName = typeof body.displayName === 'string' ? body.displayName.trim() : body.displayName;
+        if (displayName !== null && (typeof displayName !== 'string' || displayName.length > MAX_DISPLAY_NAME))
+            return { error: `displayName must be a string of at most ${MAX_DISPLAY_NAME} characters, or null` };
+        changes.displayName = displayName || null;
+    }
+    if (body.email !== undefined) {
+        if (body.email !== null && (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email)))
+            return { error: 'email must be a valid email address' };
+        changes.email = body.email;
+    }
+    if (body.phoneNumber !== undefined) {
+        if (body.phoneNumber !== null && (typeof body.phoneNumber !== 'string' || !PHONE_PATTERN.test(body.phoneNumber)))
+            return { error: 'phoneNumber must be in E.164 format, like +14155550123' };
+        changes.phoneNumber = body.phoneNumber;
+    }
+    if (body.channels !== undefined) {
+        const channels = body.channels;
+        if (!Array.isArray(channels) || channels.length === 0 || new Set(channels).size !== channels.length
+            || !channels.every(channel => db.preference.CHANNELS.includes(channel)))
+            return { error: `channels must be a list of unique channels from ${db.preference.CHANNELS.join(', ')}` };
+        changes.channels = channels;
+    }
+    if (body.events !== undefined) {
+        const events = body.events;
+        if (!Array.isArray(events) || new Set(events).size !== events.length
+            || !events.every(event => db.preference.EVENTS.includes(event)))
+            return { error: `events must be a list of unique events from ${db.preference.EVENTS.join(', ')}` };
+        changes.events = events;
+    }
+    if (body.mutedAlarms !== undefined) {
+        if (!Array.isArray(body.mutedAlarms))
+            return { error: 'mutedAlarms must be a list of alarm serials' };
+        const bySerial = new Map(alarms.map(alarm => [alarm.alarmSerial, alarm]));
+        const unknown = body.mutedAlarms.find(alarmSerial => !bySerial.has(String(alarmSerial)));
+        if (unknown !== undefined)
+            return { error: `You aren't a member of alarm ${unknown}` };
+        changes.mutedAlarmIds = [...new Set(body.mutedAlarms.map(alarmSerial => bySerial.get(String(alarmSerial)).id))];
+    }
+    if (body.language !== undefined) {
+        if (!db.preference.LANGUAGES.includes(body.language))
+            return { error: `language must be one of ${db.preference.LANGUAGES.join(', ')}` };
+        changes.language = body.language;
+    }
+
+    // Every channel chosen needs somewhere to send to
+    const email = changes.email !== undefined ? changes.email : current.email;
+    const phoneNumber = changes.phoneNumber !== undefined ? changes.phoneNumber : current.phoneNumber;
+    const channels = changes.channels || current.channels;
+    if (channels.includes('email') && !email)
+        return { error: 'An email address is needed to use the email channel' };
+    if ((channels.includes('sms') || channels.includes('voice')) && !phoneNumber)
+        return { error: 'A phone number is needed to use the sms and voice channels' };
+    return changes;
+}
+
+// Express Routes
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Preferences:
+ *       type: object
+ *       properties:
+ *         displayName:
+ *           type: string
+ *           description: Shown to the other members of the user's alarms instead of their first name
+ *           example: Noor
+ *         email:
+ *           type: string
+ *           example: nbokhari@example.com
+ *         phoneNumber:
+ *           type: string
+ *           description: E.164 format, used for SMS and voice calls
+ *           example: "+14155550123"
+ *         channels:
+ *           type: array
+ *           description: >
+ *             The channels to reach the user on, in order. Each is tried in turn until one gets through; push gets
+ *             through if it reaches at least one of the user's devices.
+ *           example: [push, sms, voice]
+ *           items:
+ *             type: string
+ *             enum: [push, email, sms, voice]
+ *         events:
+ *           type: array
+ *           description: The kinds of alarm events the user is notified about
+ *           example: [fire, offline, low_battery, drill]
+ *           items:
+ *             type: string
+ *             enum: [fire, offline, low_battery, drill]
+ *         mutedAlarms:
+ *           type: array
+ *           description: Serials of the user's alarms they aren't notified about. Alarms they join later notify them.
+ *           example: []
+ *           items:
+ *             type: string
+ *         language:
+ *           type: string
+ *           description: The language the web app is shown in and notifications are sent in
+ *           enum: [en, es, fr]
+ *     UserPreferences:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Preferences'
+ *         - type: object
+ *           properties:
+ *             alarms:
+ *               type: array
+ *               description: Every alarm the user is an active member of, and whether it notifies them
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   alarmSerial:
+ *                     type: string
+ *                     example: "1"
+ *                   displayName:
+ *                     type: string
+ *                     example: Kitchen
+ *                   notify:
+ *                     type: boolean
+ *
+ * /preferences:
+ *   get:
+ *     summary: Gets the logged in user's notification preferences
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserPreferences'
+ *       401:
+ *         description: Not authenticated
+ * */
+async function getPreferences (req, res) {
+    try {
+        const preference = await findPreferences(req.user);
+        return res.status(200).json(describePreferences(preference, await findUserAlarms(req.user)));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /preferences:
+ *   put:
+ *     summary: Updates the logged in user's notification preferences
+ *     description: >
+ *       Fields left out are kept as they are, and displayName, email or phoneNumber can be set to null to remove them.
+ *       Every channel chosen needs the matching contact detail. mutedAlarms replaces the whole list, and can only name
+ *       alarms the user is an active member of.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Preferences'
+ *     responses:
+ *       200:
+ *         description: The updated preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserPreferences'
+ *       400:
+ *         description: Invalid contact details, channels, events, alarms or language
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: A phone number is needed to use the sms and voice channels
+ *       401:
+ *         description: Not authenticated
+ * */
+async function updatePreferences (req, res) {
+    try {
+        const preference = await findPreferences(req.user);
+        const alarms = await findUserAlarms(req.user);
+        const changes = parsePreferences(req.body || {}, preference, alarms);
+        if (changes.error)
+            return res.status(400).json({ 'error': changes.error });
+
+        await preference.update(changes);
+        return res.status(200).json(describePreferences(preference, alarms));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /preferences/test:
+ *   post:
+ *     summary: Sends the logged in user a test notification
+ *     description: >
+ *       Pushes a test notification to every device the user has subscribed, the same way alarm notifications are sent,
+ *       so they can check that notifications reach them. It's sent regardless of their event and alarm preferences.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The test notification was sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalSubscriptions:
+ *                   type: integer
+ *                   description: The number of the user's subscriptions (devices)
+ *                   example: 2
+ *                 successfulNotifications:
+ *                   type: integer
+ *                   example: 2
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PushDelivery'
+ *       401:
+ *         description: Not authenticated
+ * */
+async function sendTestNotification (req, res) {
+    try {
+        const preference = await db.preference.findOne({ where: { userId: req.user.id } });
+        const delivery = await pushService.notifyUsers([req.user.id], {
+            ...messages.writeNotice(preference ? preference.language : 'en', 'test'),
+            'metadata': { 'type': 'test' }
+        }, { payloadType: 'test' });
+        console.log(`Test notification sent to ${delivery.successfulNotifications} of ${delivery.totalSubscriptions} subscriptions of ${req.user.username}`);
+        return res.status(200).json({
+            'totalSubscriptions': delivery.totalSubscriptions,
+            'successfulNotifications': delivery.successfulNotifications,
+            'errors': delivery.errors,
+            'deliveries': delivery.deliveries
+        });
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+module.exports = router;
@@ -8,6 +8,9 @@ const root_dir = require('app-root-path');
 const db = require(`${root_dir}/src/models`);
 const env = process.env.NODE_ENV || 'development'
 const config = require(`${root_dir}/src/config/config.json`)[env];
+const { authenticate } = require(`${root_dir}/src/middleware/auth.js`);
+const { findOwnedAlarm, revokeAllCredentials, parseAlarmChanges, removeFromEscalation, resetPairing } = require(`${root_dir}/src/services/alarms.js`);
+const places = require(`${root_dir}/src/services/places.js`);
 
 // Web-push setup
 const push = require('web-push');
@@ -16,8 +19,49 @@ push.setVapidDetails(`mailto:${pushDetails.email}`, pushDetails.publicKey, pushD
 
 // Applying routes
 
-router.post("/subscribe", subscribe);
-router.post('/alarm', configureAlarm);
+router.post("/subscribe", authenticate, subscribe);
+router.post("/subscribe/renew", renewSubscription);
+router.post('/alarm', authenticate, configureAlarm);
+router.patch('/alarm/:alarmSerial', authenticate, updateAlarm);
+router.delete('/alarm/:alarmSerial', authenticate, unpairAlarm);
+router.post('/alarm/:alarmSerial/transfer', authenticate, transferAlarm);
+router.get('/alarm/:alarmSerial/escalation', authenticate, getEscalationPolicy);
+router.put('/alarm/:alarmSerial/escalation', authenticate, setEscalationPolicy);
+router.get('/alarm/:alarmSerial/credentials', authenticate, listCredentials);
+router.post('/alarm/:alarmSerial/credentials', authenticate, rotateCredentials);
+router.delete('/alarm/:alarmSerial/credentials/:keyId', authenticate, revokeCredential);
+
+
+/**
+ * Converts the expiration time from a browser push subscription into a date
+ *
+ * @param expirationTime Milliseconds since the epoch, or null if the subscription doesn't expire
+ * @return Date - The expiration date, or null
+ * */
+function parseExpirationTime (expirationTime) {
+    if (expirationTime === null || expirationTime === undefined)
+        return null;
+    const date = new Date(expirationTime);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+
+/**
+ * Converts an alarm's escalation tiers into the shape sent to clients, with usernames in place of user IDs
+ *
+ * @param tiers The escalationTier rows, ordered by position
+ * @return Promise<array> - The tiers with their position, wait and usernames
+ * */
+async function describeTiers (tiers) {
+    const userIds = tiers.flatMap(tier => tier.userIds);
+    const users = await db.user.findAll({ where: { id: userIds } });
+    const usernames = new Map(users.map(user => [user.id, user.username]));
+    return tiers.map(tier => ({
+        'position': tier.position,
+        'waitSeconds': tier.waitSeconds,
+        'users': tier.userIds.map(id => usernames.get(id)).filter(Boolean)
+    }));
+}
 
 // Express Routes
 
@@ -27,7 +71,9 @@ router.post('/alarm', configureAlarm);
  * /subscribe:
  *   post:
  *     summary: Subscribes user to push notifications
- *     description: Subscribes user specified in request to receive notifications from the web server
+ *     description: Subscribes the logged in user to receive notifications from the web server
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -55,18 +101,14 @@ router.post('/alarm', configureAlarm);
  *                       auth:
  *                         type: string
  *                         description: The authentication secret described in webpush-encryption-08 standard
- *               user:
- *                 type: string
- *                 description: The username of the user who is subscribing
- *                 example: bcsotty
  *     responses:
  *       200:
  *         description: User successfully subscribed
  *         content:
  *           text/html:
  *             example: Subscription linked to bcsotty successfully
- *       404:
- *         description: User not found in database
+ *       400:
+ *         description: Missing or malformed subscription
  *         content:
  *           application/json:
  *             schema:
@@ -74,8 +116,9 @@ router.post('/alarm', configureAlarm);
  *               properties:
  *                 error:
  *                   type: string
- *                   description: Error displayed when user not in DB
- *                   example: User not found
+ *                   example: Missing or incorrect parameters
+ *       401:
+ *         description: Not authenticated
  *       409:
  *         description: Endpoint already exists
  *         content:
@@ -102,23 +145,19 @@ router.post('/alarm', configureAlarm);
 async function subscribe (req, res) {
     const body = req.body;
     const subscription = body.sub;
-    const username = body.user;
+    const user = req.user;
+    if (!subscription || !subscription.endpoint || !subscription.keys)
+        return res.status(400).json({"error": "Missing or incorrect parameters"});
 
-    const user = await db.user.findOne({ where: {username: username } });
     try {
-        if (user) {
-            const sub = await user.createSubscription({
-                endpoint: subscription.endpoint,
-                expirationTime: subscription.expirationTime,
-                p256dh: subscription.keys.p256dh,
-                auth: subscription.keys.auth
-            });
-            console.log(`Subscription linked to ${username} successfully`);
-            return res.status(200).send(`Subscription linked to ${username} successfully`);
-        }
-        else {
-            return res.status(404).json({"error": "User not found"});
-        }
+        await user.createSubscription({
+            endpoint: subscription.endpoint,
+            expirationTime: parseExpirationTime(subscription.expirationTime),
+            p256dh: subscription.keys.p256dh,
+            auth: subscription.keys.auth
+        });
+        console.log(`Subscription linked to ${user.username} successfully`);
+        return res.status(200).send(`Subscription linked to ${user.username} successfully`);
     }
     catch (err) {
         if (err.name === 'SequelizeUniqueConstraintError') {
@@ -134,21 +173,43 @@ async function subscribe (req, res) {
 /**
  * @openapi
  *
- * /alarm:
+ * /subscribe/renew:
  *   post:
- *     summary: Configures new/existing alarms
- *     description: Sets up and configures new/existing alarms. Currently, hardcoded with no request body for alpha.
+ *     summary: Replaces a push subscription the browser renewed
+ *     description: >
+ *       Called by the service worker when the browser replaces its push subscription (pushsubscriptionchange), which
+ *       can happen while nobody is logged in. The old subscription's endpoint and auth secret prove the caller owned
+ *       it, and the new subscription takes its place for the same user.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               oldEndpoint:
+ *                 type: string
+ *               oldAuth:
+ *                 type: string
+ *                 description: The old subscription's auth secret
+ *               sub:
+ *                 type: object
+ *                 description: The new subscription object, in the same form as for /subscribe
  *     responses:
  *       200:
- *         description: The alarm was successfully linked
+ *         description: The subscription was replaced
  *         content:
- *           text/plain:
+ *           application/json:
  *             schema:
- *               type: string
- *               description: Success message
- *               example: Alarm successfully linked
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Subscription renewed
+ *       400:
+ *         description: Missing or malformed subscription
  *       404:
- *         description: Unable to find alarm or user
+ *         description: No subscription matches the old endpoint and auth secret
  *         content:
  *           application/json:
  *             schema:
@@ -156,8 +217,127 @@ async function subscribe (req, res) {
  *               properties:
  *                 error:
  *                   type: string
- *                   description: The error that occurred
- *                   example: Unable to find alarm
+ *                   example: Unable to find subscription
+ *       409:
+ *         description: The new endpoint is already registered
+ * */
+async function renewSubscription (req, res) {
+    const { oldEndpoint, oldAuth, sub } = req.body;
+    if (typeof oldEndpoint !== 'string' || typeof oldAuth !== 'string' || !sub || !sub.endpoint || !sub.keys
+        || !sub.keys.p256dh || !sub.keys.auth)
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+
+    try {
+        const subscription = await db.subscription.findOne({ where: { endpoint: oldEndpoint, auth: oldAuth } });
+        if (!subscription)
+            return res.status(404).json({ 'error': 'Unable to find subscription' });
+
+        await subscription.update({
+            endpoint: sub.endpoint,
+            expirationTime: parseExpirationTime(sub.expirationTime),
+            p256dh: sub.keys.p256dh,
+            auth: sub.keys.auth,
+            failureCount: 0,
+            lastFailureAt: null,
+            rateLimitedUntil: null
+        });
+        console.log(`Subscription ${subscription.id} of user ${subscription.userId} renewed`);
+        return res.status(200).json({ 'message': 'Subscription renewed' });
+    } catch (err) {
+        if (err.name === 'SequelizeUniqueConstraintError')
+            return res.status(409).json({ 'error': 'Duplicate endpoint error' });
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ *
+ * /alarm:
+ *   post:
+ *     summary: Pairs an alarm with the logged in user
+ *     description: >
+ *       Claims an alarm using the pairing code it showed after registering with /devices/register. The logged in user
+ *       becomes the alarm's owner, and the alarm's controller can then collect its credential from
+ *       /devices/credentials. Either a location or the roomId of a room in a site the user manages is needed; an
+ *       alarm placed in a room gets its location from the room.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [pairingCode]
+ *             properties:
+ *               pairingCode:
+ *                 type: string
+ *                 description: The code shown by the alarm. Case, spaces and dashes are ignored.
+ *                 example: K7MQ2XRD
+ *               location:
+ *                 type: string
+ *                 example: Apartment room 104
+ *               roomId:
+ *                 type: integer
+ *                 description: The room to place the alarm in, instead of giving a location
+ *                 example: 9
+ *               name:
+ *                 type: string
+ *                 example: Kitchen
+ *     responses:
+ *       201:
+ *         description: The alarm was successfully paired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alarm'
+ *       400:
+ *         description: Missing pairing code, or missing both location and roomId
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Missing or incorrect parameters
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         description: No alarm was issued the pairing code, or the room doesn't exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Invalid pairing code
+ *       409:
+ *         description: The alarm has already been claimed, by this user or another
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Alarm has already been claimed
+ *       410:
+ *         description: The pairing code has expired. The alarm has to register again to get a new one.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Pairing code has expired
  *       500:
  *         description: Unexpected error occurred
  *         content:
@@ -172,28 +352,706 @@ async function subscribe (req, res) {
  *
  */
 async function configureAlarm (req, res) {
-    // This will be used in the future for setting up and configuring existing alarms. Currently just hardcoded for alpha
-    const alarm = await db.alarm.findOne({ where: { alarmSerial: '1' } });
+    const { pairingCode, location, name, roomId } = req.body;
+    const user = req.user;
+    if (typeof pairingCode !== 'string')
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+    if (roomId === undefined ? typeof location !== 'string' || location.trim() === '' : !Number.isInteger(roomId))
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+    if (name !== undefined && typeof name !== 'string')
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+
     try {
-        if (alarm) {
-            db.user.findOne({ where: {username: 'bcsotty'} }).then(user => {
-                if (user) {
-                    user.setAlarm(alarm)
-                        .then( () => {
-                            console.log('Alarm 1 successfully linked to bcsotty');
-                            return res.status(200).send('Alarm successfully linked');
-                        })
-                        .catch(err => {
-                            console.error('Error linking alarm to bcsotty: ', err);
-                            return res.status(500).send('Error linking alarm');
-                        });
-                } else {
-                    res.status(404).json({ 'error': 'Unable to find user' });
-                }
-            });
-        } else {
-            return res.status(404).json({ 'error': 'Unable to find alarm' });
+        const codeHash = db.alarm.hashSecret(db.alarm.normalizePairingCode(pairingCode));
+        const alarm = await db.alarm.findOne({ where: { pairingCodeHash: codeHash } });
+        if (!alarm)
+            return res.status(404).json({ 'error': 'Invalid pairing code' });
+        if (alarm.pairedAt)
+            return res.status(409).json({ 'error': 'Alarm has already been claimed' });
+        if (alarm.pairingCodeExpiresAt < new Date())
+            return res.status(410).json({ 'error': 'Pairing code has expired' });
+
+        let room = null;
+        if (roomId !== undefined) {
+            const found = await places.findManaged('room', roomId, user);
+            if (!found.node)
+                return res.status(found.status).json({ 'error': found.error });
+            room = found.node;
         }
+
+        const claimed = await db.sequelize.transaction(async transaction => {
+            // Only the first of two users submitting the same code at once gets the alarm
+            const [count] = await db.alarm.update(
+                {
+                    pairedAt: new Date(),
+                    location: room ? places.formatLocation(room) : location.trim(),
+                    roomId: room ? room.id : null,
+                    name: name ? name.trim() : null
+                },
+                { where: { id: alarm.id, pairedAt: null, pairingCodeHash: codeHash }, transaction: transaction }
+            );
+            if (count === 0)
+                return false;
+            await db.alarmMember.create({
+                alarmId: alarm.id,
+                userId: user.id,
+                role: 'owner',
+                status: 'active',
+                acceptedAt: new Date()
+            }, { transaction: transaction });
+            return true;
+        });
+        if (!claimed)
+            return res.status(409).json({ 'error': 'Alarm has already been claimed' });
+
+        await alarm.reload();
+        console.log(`Alarm ${alarm.alarmSerial} successfully paired with ${user.username}`);
+        return res.status(201).json(alarm.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Alarm:
+ *       type: object
+ *       properties:
+ *         alarmSerial:
+ *           type: string
+ *           example: "1"
+ *         name:
+ *           type: string
+ *           example: Kitchen
+ *         location:
+ *           type: string
+ *           description: Set from the alarm's room, floor, building and site if it's been placed in a room
+ *           example: Apartment room 104
+ *         roomId:
+ *           type: integer
+ *           description: The room the alarm is in, or null
+ *           example: null
+ *         confirmationTimeout:
+ *           type: integer
+ *           example: 60
+ *         pairedAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /alarm/{alarmSerial}:
+ *   patch:
+ *     summary: Updates an alarm's settings
+ *     description: Renames, relocates or changes the settings of an alarm the logged in user owns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: The alarm's new name, or null to clear it
+ *                 example: Kitchen
+ *               location:
+ *                 type: string
+ *                 description: Can't be set on an alarm that's in a room, which gets its location from the room
+ *                 example: Apartment room 104
+ *               confirmationTimeout:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 3600
+ *                 description: Seconds to wait for someone to confirm or dismiss a trigger before timing out
+ *                 example: 60
+ *     responses:
+ *       200:
+ *         description: The updated alarm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alarm'
+ *       400:
+ *         description: Invalid setting
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: confirmationTimeout must be between 5 and 3600 seconds
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmNotOwned'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ * */
+async function updateAlarm (req, res) {
+    try {
+        const { alarm, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        const { changes, error: invalid } = parseAlarmChanges(req.body, alarm);
+        if (invalid)
+            return res.status(400).json({ 'error': invalid });
+        await alarm.update(changes);
+        return res.status(200).json(alarm.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}:
+ *   delete:
+ *     summary: Unpairs an alarm
+ *     description: >
+ *       Removes every member from an alarm the logged in user owns, clears its escalation policy and revokes its
+ *       device credentials. Its incident history is kept. The controller has to register again before the alarm can
+ *       be paired with anyone.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: The alarm was unpaired
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmNotOwned'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ * */
+async function unpairAlarm (req, res) {
+    try {
+        const { alarm, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        await resetPairing(alarm);
+        console.log(`Alarm ${alarm.alarmSerial} unpaired by ${req.user.username}`);
+        return res.sendStatus(204);
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/transfer:
+ *   post:
+ *     summary: Transfers ownership of an alarm
+ *     description: >
+ *       Makes another active member of the alarm its owner. The logged in owner is removed from the alarm unless
+ *       keepAccess is sent, in which case they stay on as a member.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username]
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: nbokhari
+ *               keepAccess:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: The new owner's membership
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AlarmMember'
+ *       400:
+ *         description: Missing username, or the logged in user tried to transfer the alarm to themselves
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Missing or incorrect parameters
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmNotOwned'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ *       409:
+ *         description: The user isn't an active member of the alarm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Ownership can only be transferred to an active member of the alarm
+ * */
+async function transferAlarm (req, res) {
+    const username = req.body.username;
+    if (typeof username !== 'string')
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+    if (username === req.user.username)
+        return res.status(400).json({ 'error': 'You already own this alarm' });
+
+    try {
+        const { alarm, membership, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        const recipient = await db.alarmMember.findOne({
+            where: { alarmId: alarm.id, status: 'active' },
+            include: [{ model: db.user, where: { username: username } }]
+        });
+        if (!recipient)
+            return res.status(409).json({ 'error': 'Ownership can only be transferred to an active member of the alarm' });
+
+        await db.sequelize.transaction(async transaction => {
+            await recipient.update({ role: 'owner' }, { transaction: transaction });
+            if (req.body.keepAccess === true)
+                await membership.update({ role: 'member' }, { transaction: transaction });
+            else {
+                await membership.destroy({ transaction: transaction });
+                await removeFromEscalation(req.user.id, [alarm.id], transaction);
+            }
+        });
+        console.log(`Alarm ${alarm.alarmSerial} transferred from ${req.user.username} to ${username}`);
+        return res.status(200).json(recipient.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     EscalationTier:
+ *       type: object
+ *       properties:
+ *         position:
+ *           type: integer
+ *           description: The order the tier is prompted in, starting at 1 (the alarm's own members are always tier 0)
+ *           example: 1
+ *         waitSeconds:
+ *           type: integer
+ *           minimum: 5
+ *           maximum: 3600
+ *           description: How long the tier gets to respond before the next tier is prompted
+ *           example: 60
+ *         users:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [nbokhari]
+ *
+ * /alarm/{alarmSerial}/escalation:
+ *   get:
+ *     summary: Gets an alarm's escalation policy
+ *     description: >
+ *       Lists who gets prompted, in order, when none of the alarm's members answer a confirmation prompt within the
+ *       alarm's confirmation timeout
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The alarm's escalation tiers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EscalationTier'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmNotOwned'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ * */
+async function getEscalationPolicy (req, res) {
+    try {
+        const { alarm, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        const tiers = await alarm.getEscalationTiers({ order: [['position', 'ASC']] });
+        return res.status(200).json(await describeTiers(tiers));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/escalation:
+ *   put:
+ *     summary: Replaces an alarm's escalation policy
+ *     description: >
+ *       Sets the ordered list of tiers prompted after the alarm's own members. Positions are assigned from the order
+ *       of the list. Every user in a tier must be an active member of the alarm, and is taken out of its tiers again
+ *       when they stop being one. Send an empty list to only ever prompt the alarm's members.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     waitSeconds:
+ *                       type: integer
+ *                       example: 60
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [nbokhari]
+ *     responses:
+ *       200:
+ *         description: The alarm's new escalation tiers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EscalationTier'
+ *       400:
+ *         description: Invalid tier, or a user who isn't an active member of the alarm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: nbokhari isn't a member of this alarm
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmNotOwned'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ * */
+async function setEscalationPolicy (req, res) {
+    try {
+        const tiers = req.body.tiers;
+        if (!Array.isArray(tiers))
+            return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+        for (const tier of tiers) {
+            if (!tier || typeof tier !== 'object')
+                return res.status(400).json({ 'error': 'Every tier must be an object' });
+            if (!Number.isInteger(tier.waitSeconds) || tier.waitSeconds < 5 || tier.waitSeconds > 3600)
+                return res.status(400).json({ 'error': 'waitSeconds must be between 5 and 3600 seconds' });
+            if (!Array.isArray(tier.users) || tier.users.length === 0)
+                return res.status(400).json({ 'error': 'Every tier needs at least one user' });
+            if (tier.users.some(username => typeof username !== 'string'))
+                return res.status(400).json({ 'error': 'users must be a list of usernames' });
+        }
+
+        const { alarm, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        // Only the alarm's own members can be put in a tier, so nobody gets prompted about an alarm they never agreed to
+        const usernames = [...new Set(tiers.flatMap(tier => tier.users))];
+        const users = await db.user.findAll({
+            where: { username: usernames },
+            include: [{ model: db.alarmMember, where: { alarmId: alarm.id, status: 'active' } }]
+        });
+        const userIds = new Map(users.map(user => [user.username, user.id]));
+        const outsider = usernames.find(username => !userIds.has(username));
+        if (outsider)
+            return res.status(400).json({ 'error': `${outsider} isn't a member of this alarm` });
+
+        const created = await db.sequelize.transaction(async transaction => {
+            await db.escalationTier.destroy({ where: { alarmId: alarm.id }, transaction: transaction });
+            return db.escalationTier.bulkCreate(tiers.map((tier, index) => ({
+                alarmId: alarm.id,
+                position: index + 1,
+                waitSeconds: tier.waitSeconds,
+                userIds: tier.users.map(username => userIds.get(username))
+            })), { transaction: transaction });
+        });
+        return res.status(200).json(await describeTiers(created));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     IssuedCredential:
+ *       type: object
+ *       description: A device credential. The secret is only shown once, when the credential is issued.
+ *       properties:
+ *         keyId:
+ *           type: string
+ *           example: ak_3f9a1c0d2b7e4a65
+ *         secret:
+ *           type: string
+ *           description: The key the alarm signs its requests with
+ *     Credential:
+ *       type: object
+ *       properties:
+ *         keyId:
+ *           type: string
+ *           example: ak_3f9a1c0d2b7e4a65
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *   responses:
+ *     AlarmForbidden:
+ *       description: The logged in user isn't a member of the alarm, or their role doesn't allow this
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: You don't have access to this alarm
+ *     AlarmNotOwned:
+ *       description: The logged in user isn't an owner of the alarm
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Only the alarm owner can do this
+ *     AlarmNotFound:
+ *       description: Unable to find alarm
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Unable to find alarm
+ *
+ * /alarm/{alarmSerial}/credentials:
+ *   get:
+ *     summary: Lists an alarm's device credentials
+ *     description: Lists every credential issued to the alarm, without their secrets
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The alarm's credentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Credential'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmNotOwned'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ * */
+async function listCredentials (req, res) {
+    try {
+        const { alarm, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        const credentials = await alarm.getDeviceCredentials({ order: [['createdAt', 'DESC']] });
+        return res.status(200).json(credentials.map(credential => credential.toPublic()));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/credentials:
+ *   post:
+ *     summary: Rotates an alarm's device credentials
+ *     description: >
+ *       Issues a new credential for the alarm. By default, every other credential is revoked at the same time; send
+ *       keepExisting to leave them active until the new one has been loaded onto the controller.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keepExisting:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       201:
+ *         description: The new credential
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IssuedCredential'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmNotOwned'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ * */
+async function rotateCredentials (req, res) {
+    try {
+        const { alarm, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        if (req.body.keepExisting !== true)
+            await revokeAllCredentials(alarm);
+        const credential = await db.deviceCredential.issue(alarm);
+        console.log(`New credential ${credential.keyId} issued for alarm ${alarm.alarmSerial}`);
+        return res.status(201).json(credential);
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/credentials/{keyId}:
+ *   delete:
+ *     summary: Revokes a device credential
+ *     description: Revokes a single credential so requests signed with it are rejected
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: The credential was revoked
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmNotOwned'
+ *       404:
+ *         description: Unable to find alarm or credential
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Unable to find credential
+ * */
+async function revokeCredential (req, res) {
+    try {
+        const { alarm, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        const credential = await db.deviceCredential.findOne({ where: { alarmId: alarm.id, keyId: req.params.keyId } });
+        if (!credential)
+            return res.status(404).json({ 'error': 'Unable to find credential' });
+
+        if (!credential.revokedAt)
+            await credential.update({ revokedAt: new Date() });
+        return res.sendStatus(204);
     } catch (err) {
         console.log('Unknown error occurred: ', err);
         return res.status(500).json({ 'error': 'Unexpected error occurred' });
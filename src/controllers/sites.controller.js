@@ -0,0 +1,1189 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { authenticate } = require(`${root_dir}/src/middleware/auth.js`);
+const { findOwnedAlarm } = require(`${root_dir}/src/services/alarms.js`);
+const places = require(`${root_dir}/src/services/places.js`);
+
+const MAX_NAME_LENGTH = 100;
+
+// Applying routes
+router.get('/sites', authenticate, listSites);
+router.post('/sites', authenticate, createSite);
+router.get('/sites/:siteId', authenticate, getSite);
+router.patch('/sites/:siteId', authenticate, updateSite);
+router.delete('/sites/:siteId', authenticate, deleteNode('site', 'siteId'));
+router.get('/sites/:siteId/alarms', authenticate, listSiteAlarms);
+router.post('/sites/:siteId/buildings', authenticate, createBuilding);
+router.patch('/buildings/:buildingId', authenticate, updateBuilding);
+router.delete('/buildings/:buildingId', authenticate, deleteNode('building', 'buildingId'));
+router.post('/buildings/:buildingId/floors', authenticate, createFloor);
+router.patch('/floors/:floorId', authenticate, updateFloor);
+router.delete('/floors/:floorId', authenticate, deleteNode('floor', 'floorId'));
+router.post('/floors/:floorId/rooms', authenticate, createRoom);
+router.patch('/rooms/:roomId', authenticate, updateRoom);
+router.delete('/rooms/:roomId', authenticate, deleteNode('room', 'roomId'));
+router.put('/alarm/:alarmSerial/room', authenticate, setAlarmRoom);
+
+
+/**
+ * Checks a name sent for a site, building or room
+ *
+ * @param name The name from the request body
+ * @return object - { name } trimmed, or { error } if it's missing or invalid
+ * */
+function parseName (name) {
+    if (typeof name !== 'string' || name.trim() === '' || name.trim().length > MAX_NAME_LENGTH)
+        return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` };
+    return { name: name.trim() };
+}
+
+
+/**
+ * Checks the number of alarms sent for a site's autoConfirmAlarms
+ *
+ * @param value The value from the request body
+ * @return object - { autoConfirmAlarms }, which is null to turn auto-confirming off, or { error } if it's invalid
+ * */
+function parseAutoConfirm (value) {
+    if (value !== null && (!Number.isInteger(value) || value < 2))
+        return { error: 'autoConfirmAlarms must be an integer of at least 2, or null' };
+    return { autoConfirmAlarms: value };
+}
+
+
+/**
+ * Checks the fields sent for a floor
+ *
+ * @param body The request body
+ * @param partial Whether fields can be left out, when editing a floor
+ * @return object - The fields to set, or { error } if any are invalid
+ * */
+function parseFloor (body, partial) {
+    const fields = {};
+    if (body.level !== undefined || !partial) {
+        if (!Number.isInteger(body.level))
+            return { error: 'level must be a whole number, e.g. 0 for the ground floor' };
+        fields.level = body.level;
+    }
+    if (body.name !== undefined) {
+        if (body.name !== null && (typeof body.name !== 'string' || body.name.trim().length > MAX_NAME_LENGTH))
+            return { error: `name must be a string of at most ${MAX_NAME_LENGTH} characters, or null` };
+        fields.name = body.name ? body.name.trim() : null;
+    }
+    return fields;
+}
+
+
+/**
+ * Loads a site with its buildings, floors and rooms, and the alarms in each room
+ *
+ * @param siteId The ID of the site
+ * @return Promise<object> - The site's hierarchy
+ * */
+async function describeSite (siteId) {
+    const site = await db.site.findByPk(siteId, {
+        include: [{
+            model: db.building,
+            include: [{ model: db.floor, include: [{ model: db.room, include: [db.alarm] }] }]
+        }],
+        order: [
+            [db.building, 'name', 'ASC'],
+            [db.building, db.floor, 'level', 'ASC'],
+            [db.building, db.floor, db.room, 'name', 'ASC']
+        ]
+    });
+    return {
+        ...site.toPublic(),
+        'buildings': site.buildings.map(building => ({
+            ...building.toPublic(),
+            'floors': building.floors.map(floor => ({
+                ...floor.toPublic(),
+                'rooms': floor.rooms.map(room => ({
+                    ...room.toPublic(),
+                    'alarms': room.alarms.map(alarm => ({
+                        'alarmSerial': alarm.alarmSerial,
+                        'displayName': alarm.displayName(),
+                        'online': alarm.online
+                    }))
+                }))
+            }))
+        }))
+    };
+}
+
+
+/**
+ * Checks whether a user is an active member of any alarm in a site
+ *
+ * @param site The site
+ * @param user The user
+ * @return Promise<boolean> - True if the user is a member of one of the site's alarms
+ * */
+async function isSiteMember (site, user) {
+    const alarms = await places.findAlarmsIn('site', site.id);
+    const memberships = await db.alarmMember.count({
+        where: { alarmId: alarms.map(alarm => alarm.id), userId: user.id, status: 'active' }
+    });
+    return memberships > 0;
+}
+
+// Express Routes
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Site:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: Maple Court
+ *         address:
+ *           type: string
+ *           example: 1200 Maple St, Ann Arbor, MI
+ *         autoConfirmAlarms:
+ *           type: integer
+ *           description: >
+ *             How many alarms in one building have to go off together for the fire to be confirmed without waiting for
+ *             an answer, or null to always wait
+ *           example: 3
+ *     Building:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 2
+ *         siteId:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: Building A
+ *     Floor:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 5
+ *         buildingId:
+ *           type: integer
+ *           example: 2
+ *         level:
+ *           type: integer
+ *           description: The floor's number, e.g. 0 for the ground floor and -1 for the basement
+ *           example: 3
+ *         name:
+ *           type: string
+ *           description: Shown instead of "Floor {level}" if set
+ *           example: null
+ *         displayName:
+ *           type: string
+ *           example: Floor 3
+ *     Room:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 9
+ *         floorId:
+ *           type: integer
+ *           example: 5
+ *         name:
+ *           type: string
+ *           example: Room 304
+ *     Place:
+ *       type: object
+ *       description: Where an alarm is, or null if it hasn't been placed in a room
+ *       properties:
+ *         site:
+ *           $ref: '#/components/schemas/Site'
+ *         building:
+ *           $ref: '#/components/schemas/Building'
+ *         floor:
+ *           $ref: '#/components/schemas/Floor'
+ *         room:
+ *           $ref: '#/components/schemas/Room'
+ *     SiteTree:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Site'
+ *         - type: object
+ *           properties:
+ *             buildings:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Building'
+ *                   - type: object
+ *                     properties:
+ *                       floors:
+ *                         type: array
+ *                         items:
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/Floor'
+ *                             - type: object
+ *                               properties:
+ *                                 rooms:
+ *                                   type: array
+ *                                   items:
+ *                                     allOf:
+ *                                       - $ref: '#/components/schemas/Room'
+ *                                       - type: object
+ *                                         properties:
+ *                                           alarms:
+ *                                             type: array
+ *                                             items:
+ *                                               type: object
+ *                                               properties:
+ *                                                 alarmSerial:
+ *                                                   type: string
+ *                                                 displayName:
+ *                                                   type: string
+ *                                                 online:
+ *                                                   type: boolean
+ *   responses:
+ *     NotSiteManager:
+ *       description: The logged in user doesn't manage the site
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Only the site manager can do this
+ *     PlaceNotFound:
+ *       description: The site, building, floor or room doesn't exist
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Unable to find building
+ *     PlaceInUse:
+ *       description: There are still alarms in it
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Move the alarms out of this floor first
+ *               alarmSerials:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *
+ * /sites:
+ *   get:
+ *     summary: Lists the sites the logged in user manages
+ *     description: Admins get every site.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The sites
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Site'
+ *       401:
+ *         description: Not authenticated
+ * */
+async function listSites (req, res) {
+    try {
+        const where = req.user.isAdmin() ? {} : { managerId: req.user.id };
+        const sites = await db.site.findAll({ where: where, order: [['name', 'ASC']] });
+        return res.status(200).json(sites.map(site => site.toPublic()));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /sites:
+ *   post:
+ *     summary: Creates a site
+ *     description: The logged in user becomes the site's manager, and can add buildings, floors and rooms to it.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Maple Court
+ *               address:
+ *                 type: string
+ *                 example: 1200 Maple St, Ann Arbor, MI
+ *               autoConfirmAlarms:
+ *                 type: integer
+ *                 description: Confirms fires once this many alarms in a building go off together. Off by default.
+ *                 example: 3
+ *     responses:
+ *       201:
+ *         description: The new site
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Site'
+ *       400:
+ *         description: Missing or invalid name, address or autoConfirmAlarms
+ *       401:
+ *         description: Not authenticated
+ * */
+async function createSite (req, res) {
+    const { name, error } = parseName(req.body.name);
+    if (error)
+        return res.status(400).json({ 'error': error });
+    const address = req.body.address;
+    if (address !== undefined && address !== null && typeof address !== 'string')
+        return res.status(400).json({ 'error': 'address must be a string' });
+    const autoConfirm = parseAutoConfirm(req.body.autoConfirmAlarms === undefined ? null : req.body.autoConfirmAlarms);
+    if (autoConfirm.error)
+        return res.status(400).json({ 'error': autoConfirm.error });
+
+    try {
+        const site = await db.site.create({
+            name: name,
+            address: address ? address.trim() : null,
+            autoConfirmAlarms: autoConfirm.autoConfirmAlarms,
+            managerId: req.user.id
+        });
+        console.log(`Site ${site.id} (${site.name}) created by ${req.user.username}`);
+        return res.status(201).json(site.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /sites/{siteId}:
+ *   get:
+ *     summary: Gets a site's buildings, floors and rooms
+ *     description: Returns the whole hierarchy of a site the logged in user manages, with the alarms in each room.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: siteId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The site's hierarchy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SiteTree'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ * */
+async function getSite (req, res) {
+    try {
+        const { node, status, error } = await places.findManaged('site', req.params.siteId, req.user);
+        if (!node)
+            return res.status(status).json({ 'error': error });
+        return res.status(200).json(await describeSite(node.id));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /sites/{siteId}:
+ *   patch:
+ *     summary: Renames a site, changes its address or auto-confirm setting, or hands it over to another manager
+ *     description: >
+ *       The location of every alarm in the site is updated to match. Since nobody is asked to accept it, a site can
+ *       only be handed over to an active member of one of its alarms, like an alarm's ownership, though admins can
+ *       hand it to anyone. Once the site is handed over, only the new manager (or an admin) can change it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: siteId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *                 description: The new address, or null to clear it
+ *               autoConfirmAlarms:
+ *                 type: integer
+ *                 description: The number of alarms that confirm a fire by going off together, or null to turn it off
+ *               manager:
+ *                 type: string
+ *                 description: The username of the site's new manager
+ *                 example: nbokhari
+ *     responses:
+ *       200:
+ *         description: The updated site
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Site'
+ *       400:
+ *         description: Invalid name, address, autoConfirmAlarms or manager
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ *       409:
+ *         description: The new manager isn't a member of any alarm in the site
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: A site can only be handed over to a member of one of its alarms
+ * */
+async function updateSite (req, res) {
+    const changes = {};
+    if (req.body.name !== undefined) {
+        const { name, error } = parseName(req.body.name);
+        if (error)
+            return res.status(400).json({ 'error': error });
+        changes.name = name;
+    }
+    if (req.body.address !== undefined) {
+        const address = req.body.address;
+        if (address !== null && typeof address !== 'string')
+            return res.status(400).json({ 'error': 'address must be a string or null' });
+        changes.address = address ? address.trim() : null;
+    }
+    if (req.body.autoConfirmAlarms !== undefined) {
+        const { autoConfirmAlarms, error } = parseAutoConfirm(req.body.autoConfirmAlarms);
+        if (error)
+            return res.status(400).json({ 'error': error });
+        changes.autoConfirmAlarms = autoConfirmAlarms;
+    }
+    if (req.body.manager !== undefined && typeof req.body.manager !== 'string')
+        return res.status(400).json({ 'error': 'manager must be a username' });
+
+    try {
+        const { node: site, status, error } = await places.findManaged('site', req.params.siteId, req.user);
+        if (!site)
+            return res.status(status).json({ 'error': error });
+        if (req.body.manager !== undefined) {
+            const manager = await db.user.findOne({ where: { username: req.body.manager } });
+            if (!manager)
+                return res.status(400).json({ 'error': `Unknown user ${req.body.manager}` });
+            if (manager.id !== site.managerId && !req.user.isAdmin() && !(await isSiteMember(site, manager))) {
+                return res.status(409).json({
+                    'error': 'A site can only be handed over to a member of one of its alarms'
+                });
+            }
+            changes.managerId = manager.id;
+        }
+
+        await site.update(changes);
+        await places.refreshLocations('site', site.id);
+        return res.status(200).json(site.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /sites/{siteId}:
+ *   delete:
+ *     summary: Deletes a site
+ *     description: Deletes the site along with its buildings, floors and rooms. Every alarm has to be moved out first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: siteId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: The site was deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ *       409:
+ *         $ref: '#/components/responses/PlaceInUse'
+ *
+ * /buildings/{buildingId}:
+ *   delete:
+ *     summary: Deletes a building
+ *     description: Deletes the building along with its floors and rooms. Every alarm has to be moved out first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: buildingId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: The building was deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ *       409:
+ *         $ref: '#/components/responses/PlaceInUse'
+ *
+ * /floors/{floorId}:
+ *   delete:
+ *     summary: Deletes a floor
+ *     description: Deletes the floor along with its rooms. Every alarm has to be moved out first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: floorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: The floor was deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ *       409:
+ *         $ref: '#/components/responses/PlaceInUse'
+ *
+ * /rooms/{roomId}:
+ *   delete:
+ *     summary: Deletes a room
+ *     description: Every alarm has to be moved out of the room first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: The room was deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ *       409:
+ *         $ref: '#/components/responses/PlaceInUse'
+ * */
+function deleteNode (level, param) {
+    return async function (req, res) {
+        try {
+            const { node, status, error } = await places.findManaged(level, req.params[param], req.user);
+            if (!node)
+                return res.status(status).json({ 'error': error });
+
+            // Alarms would otherwise be left with a location that no longer exists
+            const alarms = await places.findAlarmsIn(level, node.id);
+            if (alarms.length > 0) {
+                return res.status(409).json({
+                    'error': `Move the alarms out of this ${level} first`,
+                    'alarmSerials': alarms.map(alarm => alarm.alarmSerial)
+                });
+            }
+
+            await node.destroy();
+            console.log(`Deleted ${level} ${node.id} for ${req.user.username}`);
+            return res.sendStatus(204);
+        } catch (err) {
+            console.log('Unknown error occurred: ', err);
+            return res.status(500).json({ 'error': 'Unexpected error occurred' });
+        }
+    };
+}
+
+
+/**
+ * @openapi
+ * /sites/{siteId}/alarms:
+ *   get:
+ *     summary: Lists the alarms in a site
+ *     description: >
+ *       Lists every alarm placed in a room of a site the logged in user manages, optionally narrowed to one building,
+ *       one floor number (across the site's buildings, or of the building given) or one room. For example,
+ *       ?buildingId=2&floor=3 gives every alarm on floor 3 of building 2.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: siteId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: buildingId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: floor
+ *         description: The floor's level
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: roomId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The alarms, each with where it is
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Alarm'
+ *                   - type: object
+ *                     properties:
+ *                       displayName:
+ *                         type: string
+ *                       place:
+ *                         $ref: '#/components/schemas/Place'
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ * */
+async function listSiteAlarms (req, res) {
+    const filters = {};
+    for (const field of ['buildingId', 'floor', 'roomId']) {
+        if (req.query[field] === undefined)
+            continue;
+        const value = Number(req.query[field]);
+        if (!Number.isInteger(value))
+            return res.status(400).json({ 'error': `${field} must be a whole number` });
+        filters[field] = value;
+    }
+
+    try {
+        const { node: site, status, error } = await places.findManaged('site', req.params.siteId, req.user);
+        if (!site)
+            return res.status(status).json({ 'error': error });
+
+        const alarms = (await places.findAlarmsIn('site', site.id, filters.floor)).filter(alarm =>
+            (filters.buildingId === undefined || alarm.room.floor.buildingId === filters.buildingId)
+            && (filters.roomId === undefined || alarm.roomId === filters.roomId));
+        return res.status(200).json(alarms.map(alarm => ({
+            ...alarm.toPublic(),
+            'displayName': alarm.displayName(),
+            'place': places.describePlace(alarm.room)
+        })));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /sites/{siteId}/buildings:
+ *   post:
+ *     summary: Adds a building to a site
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: siteId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Building A
+ *     responses:
+ *       201:
+ *         description: The new building
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Building'
+ *       400:
+ *         description: Missing or invalid name
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ * */
+async function createBuilding (req, res) {
+    const { name, error: invalid } = parseName(req.body.name);
+    if (invalid)
+        return res.status(400).json({ 'error': invalid });
+
+    try {
+        const { node: site, status, error } = await places.findManaged('site', req.params.siteId, req.user);
+        if (!site)
+            return res.status(status).json({ 'error': error });
+
+        const building = await db.building.create({ siteId: site.id, name: name });
+        return res.status(201).json(building.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /buildings/{buildingId}:
+ *   patch:
+ *     summary: Renames a building
+ *     description: The location of every alarm in the building is updated to match.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: buildingId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Building A
+ *     responses:
+ *       200:
+ *         description: The updated building
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Building'
+ *       400:
+ *         description: Missing or invalid name
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ * */
+async function updateBuilding (req, res) {
+    const { name, error: invalid } = parseName(req.body.name);
+    if (invalid)
+        return res.status(400).json({ 'error': invalid });
+
+    try {
+        const { node: building, status, error } = await places.findManaged('building', req.params.buildingId, req.user);
+        if (!building)
+            return res.status(status).json({ 'error': error });
+
+        await building.update({ name: name });
+        await places.refreshLocations('building', building.id);
+        return res.status(200).json(building.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /buildings/{buildingId}/floors:
+ *   post:
+ *     summary: Adds a floor to a building
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: buildingId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               level:
+ *                 type: integer
+ *                 example: 3
+ *               name:
+ *                 type: string
+ *                 description: Shown instead of "Floor {level}", if given
+ *     responses:
+ *       201:
+ *         description: The new floor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Floor'
+ *       400:
+ *         description: Missing or invalid level or name
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ *       409:
+ *         description: The building already has a floor with that level
+ * */
+async function createFloor (req, res) {
+    const fields = parseFloor(req.body, false);
+    if (fields.error)
+        return res.status(400).json({ 'error': fields.error });
+
+    try {
+        const { node: building, status, error } = await places.findManaged('building', req.params.buildingId, req.user);
+        if (!building)
+            return res.status(status).json({ 'error': error });
+
+        if (await db.floor.findOne({ where: { buildingId: building.id, level: fields.level } }))
+            return res.status(409).json({ 'error': 'The building already has a floor with that level' });
+
+        const floor = await db.floor.create({ ...fields, buildingId: building.id });
+        return res.status(201).json(floor.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /floors/{floorId}:
+ *   patch:
+ *     summary: Renames or renumbers a floor
+ *     description: The location of every alarm on the floor is updated to match.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: floorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               level:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *                 description: The floor's new name, or null to show "Floor {level}"
+ *     responses:
+ *       200:
+ *         description: The updated floor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Floor'
+ *       400:
+ *         description: Invalid level or name
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ *       409:
+ *         description: The building already has a floor with that level
+ * */
+async function updateFloor (req, res) {
+    const changes = parseFloor(req.body, true);
+    if (changes.error)
+        return res.status(400).json({ 'error': changes.error });
+
+    try {
+        const { node: floor, status, error } = await places.findManaged('floor', req.params.floorId, req.user);
+        if (!floor)
+            return res.status(status).json({ 'error': error });
+
+        if (changes.level !== undefined && changes.level !== floor.level
+            && await db.floor.findOne({ where: { buildingId: floor.buildingId, level: changes.level } }))
+            return res.status(409).json({ 'error': 'The building already has a floor with that level' });
+
+        await floor.update(changes);
+        await places.refreshLocations('floor', floor.id);
+        return res.status(200).json(floor.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /floors/{floorId}/rooms:
+ *   post:
+ *     summary: Adds a room to a floor
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: floorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Room 304
+ *     responses:
+ *       201:
+ *         description: The new room
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Room'
+ *       400:
+ *         description: Missing or invalid name
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ * */
+async function createRoom (req, res) {
+    const { name, error: invalid } = parseName(req.body.name);
+    if (invalid)
+        return res.status(400).json({ 'error': invalid });
+
+    try {
+        const { node: floor, status, error } = await places.findManaged('floor', req.params.floorId, req.user);
+        if (!floor)
+            return res.status(status).json({ 'error': error });
+
+        const room = await db.room.create({ floorId: floor.id, name: name });
+        return res.status(201).json(room.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /rooms/{roomId}:
+ *   patch:
+ *     summary: Renames a room
+ *     description: The location of every alarm in the room is updated to match.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Room 304
+ *     responses:
+ *       200:
+ *         description: The updated room
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Room'
+ *       400:
+ *         description: Missing or invalid name
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/NotSiteManager'
+ *       404:
+ *         $ref: '#/components/responses/PlaceNotFound'
+ * */
+async function updateRoom (req, res) {
+    const { name, error: invalid } = parseName(req.body.name);
+    if (invalid)
+        return res.status(400).json({ 'error': invalid });
+
+    try {
+        const { node: room, status, error } = await places.findManaged('room', req.params.roomId, req.user);
+        if (!room)
+            return res.status(status).json({ 'error': error });
+
+        await room.update({ name: name });
+        await places.refreshLocations('room', room.id);
+        return res.status(200).json(room.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/room:
+ *   put:
+ *     summary: Places an alarm in a room
+ *     description: >
+ *       Moves an alarm the logged in user owns into a room of a site they manage. The alarm's location is set from
+ *       the room, e.g. "Room 304, Floor 3, Building A, Maple Court", and is used in its notifications from then on. A
+ *       roomId of null takes the alarm out of its room, keeping its last location.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               roomId:
+ *                 type: integer
+ *                 example: 9
+ *     responses:
+ *       200:
+ *         description: The alarm and where it is now
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Alarm'
+ *                 - type: object
+ *                   properties:
+ *                     place:
+ *                       $ref: '#/components/schemas/Place'
+ *       400:
+ *         description: Missing or invalid roomId
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: The logged in user doesn't own the alarm or manage the room's site
+ *       404:
+ *         description: The alarm or room doesn't exist
+ * */
+async function setAlarmRoom (req, res) {
+    const roomId = req.body.roomId;
+    if (roomId !== null && !Number.isInteger(roomId))
+        return res.status(400).json({ 'error': 'roomId must be the ID of a room, or null' });
+
+    try {
+        const { alarm, status, error } = await findOwnedAlarm(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        let room = null;
+        if (roomId !== null) {
+            const found = await places.findManaged('room', roomId, req.user);
+            if (!found.node)
+                return res.status(found.status).json({ 'error': found.error });
+            room = found.node;
+        }
+
+        await places.placeAlarm(alarm, room);
+        console.log(`Alarm ${alarm.alarmSerial} moved to ${room ? `room ${room.id}` : 'no room'} by ${req.user.username}`);
+        return res.status(200).json({ ...alarm.toPublic(), 'place': await places.getPlace(alarm) });
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+module.exports = router;
@@ -0,0 +1,350 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { authenticate } = require(`${root_dir}/src/middleware/auth.js`);
+const { authenticateDevice } = require(`${root_dir}/src/middleware/device-auth.js`);
+const { findAlarmForUser } = require(`${root_dir}/src/services/alarms.js`);
+const telemetry = require(`${root_dir}/src/services/telemetry.js`);
+const live = require(`${root_dir}/src/services/live.js`);
+const devices = require(`${root_dir}/src/services/devices.js`);
+
+// Most readings accepted in a single batch
+const MAX_BATCH = 500;
+
+// How far in the future a reading's timestamp may be before it's rejected, in seconds, to allow for clock drift
+const MAX_FUTURE_SKEW = 5 * 60;
+
+// Applying routes
+router.post('/telemetry', authenticateDevice, ingestReadings);
+router.get('/alarm/:alarmSerial/telemetry', authenticate, getTelemetry);
+router.get('/alarm/:alarmSerial/telemetry/latest', authenticate, getLatestTelemetry);
+
+
+/**
+ * Checks a reading sent by a controller and converts it into sensorReading fields
+ *
+ * @param reading The reading from the request body
+ * @return object - The fields to store, or { error } if the reading is invalid
+ * */
+function parseReading (reading) {
+    if (!reading || typeof reading !== 'object')
+        return { error: 'Every reading must be an object' };
+
+    let recordedAt = new Date();
+    if (reading.recordedAt !== undefined) {
+        // UNIX timestamps in seconds are accepted too, since that's what the controllers keep time in
+        recordedAt = typeof reading.recordedAt === 'number'
+            ? new Date(reading.recordedAt * 1000)
+            : new Date(reading.recordedAt);
+        if (isNaN(recordedAt.getTime()))
+            return { error: 'recordedAt must be an ISO 8601 date or a UNIX timestamp' };
+        if (recordedAt.getTime() > Date.now() + MAX_FUTURE_SKEW * 1000)
+            return { error: 'recordedAt is in the future' };
+    }
+
+    const fields = { recordedAt: recordedAt };
+    let reported = 0;
+    for (const metric of db.sensorReading.METRICS) {
+        const value = reading[metric];
+        if (value === undefined || value === null)
+            continue;
+        if (typeof value !== 'number' || !Number.isFinite(value))
+            return { error: `${metric} must be a number` };
+        fields[metric] = value;
+        reported++;
+    }
+    if (reported === 0)
+        return { error: 'Every reading needs at least one sensor value' };
+    return fields;
+}
+
+// Express Routes
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     SensorReading:
+ *       type: object
+ *       properties:
+ *         recordedAt:
+ *           type: string
+ *           format: date-time
+ *         smokeObscuration:
+ *           type: number
+ *           description: Percent obscuration per metre
+ *           example: 0.8
+ *         temperature:
+ *           type: number
+ *           description: Degrees Celsius
+ *           example: 22.5
+ *         co:
+ *           type: number
+ *           description: Carbon monoxide in parts per million
+ *           example: 3
+ *         humidity:
+ *           type: number
+ *           description: Relative humidity in percent
+ *           example: 41
+ *         batteryVoltage:
+ *           type: number
+ *           example: 8.9
+ *     MetricSummary:
+ *       type: object
+ *       description: The spread of one sensor's values within a bucket, or null if it wasn't reported
+ *       properties:
+ *         min:
+ *           type: number
+ *         max:
+ *           type: number
+ *         avg:
+ *           type: number
+ *
+ * /telemetry:
+ *   post:
+ *     summary: Uploads a batch of sensor readings
+ *     description: >
+ *       Called by alarm controllers to store readings against their alarm. Sensors that weren't sampled can be left
+ *       out of a reading. recordedAt defaults to the time the batch is received. The whole batch is rejected if any
+ *       reading is invalid. When the newest reading's battery voltage is the first to drop below the low battery level,
+ *       the alarm's members are sent a low battery notice.
+ *     security:
+ *       - deviceSignature: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               readings:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     recordedAt:
+ *                       oneOf:
+ *                         - type: string
+ *                           format: date-time
+ *                         - type: integer
+ *                           description: UNIX timestamp in seconds
+ *                     smokeObscuration:
+ *                       type: number
+ *                     temperature:
+ *                       type: number
+ *                     co:
+ *                       type: number
+ *                     humidity:
+ *                       type: number
+ *                     batteryVoltage:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: The readings were stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accepted:
+ *                   type: integer
+ *                   example: 12
+ *       400:
+ *         description: The batch is empty, too large, or has an invalid reading
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Reading 3: temperature must be a number"
+ *       401:
+ *         $ref: '#/components/responses/DeviceUnauthorized'
+ * */
+async function ingestReadings (req, res) {
+    const readings = req.body.readings;
+    if (!Array.isArray(readings) || readings.length === 0)
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+    if (readings.length > MAX_BATCH)
+        return res.status(400).json({ 'error': `At most ${MAX_BATCH} readings can be sent at once` });
+
+    const rows = [];
+    for (const [index, reading] of readings.entries()) {
+        const fields = parseReading(reading);
+        if (fields.error)
+            return res.status(400).json({ 'error': `Reading ${index}: ${fields.error}` });
+        rows.push({ ...fields, alarmId: req.alarm.id });
+    }
+
+    try {
+        const previous = await telemetry.getLatestReading(req.alarm);
+        const stored = await db.sensorReading.bulkCreate(rows);
+        const newest = stored.reduce((latest, reading) => reading.recordedAt > latest.recordedAt ? reading : latest);
+        live.publishReading(req.alarm, newest);
+        // Backfilled readings older than what's already stored don't say anything about the battery now
+        if (!previous || newest.recordedAt > previous.recordedAt)
+            await devices.checkBattery(req.alarm, previous, newest);
+        return res.status(201).json({ 'accepted': rows.length });
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/telemetry:
+ *   get:
+ *     summary: Gets an alarm's sensor history
+ *     description: >
+ *       Downsamples the alarm's readings over the last hour (1 minute buckets), day (15 minute buckets) or week
+ *       (2 hour buckets) into the min, max and average of each sensor. Buckets without readings are left out.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: range
+ *         schema:
+ *           type: string
+ *           enum: [hour, day, week]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: The downsampled readings, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 range:
+ *                   type: string
+ *                   example: day
+ *                 bucketSeconds:
+ *                   type: integer
+ *                   example: 900
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 buckets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       start:
+ *                         type: string
+ *                         format: date-time
+ *                       count:
+ *                         type: integer
+ *                         description: The number of readings in the bucket
+ *                       smokeObscuration:
+ *                         $ref: '#/components/schemas/MetricSummary'
+ *                       temperature:
+ *                         $ref: '#/components/schemas/MetricSummary'
+ *                       co:
+ *                         $ref: '#/components/schemas/MetricSummary'
+ *                       humidity:
+ *                         $ref: '#/components/schemas/MetricSummary'
+ *                       batteryVoltage:
+ *                         $ref: '#/components/schemas/MetricSummary'
+ *       400:
+ *         description: Unknown range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: range must be one of hour, day, week
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmForbidden'
+ *       404:
+ *         $ref: '#/components/responses/AlarmNotFound'
+ * */
+async function getTelemetry (req, res) {
+    const range = req.query.range || 'day';
+    if (!Object.hasOwn(telemetry.RANGES, range))
+        return res.status(400).json({ 'error': `range must be one of ${Object.keys(telemetry.RANGES).join(', ')}` });
+
+    try {
+        const { alarm, status, error } = await findAlarmForUser(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        return res.status(200).json(await telemetry.getBuckets(alarm, range));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /alarm/{alarmSerial}/telemetry/latest:
+ *   get:
+ *     summary: Gets an alarm's latest reading
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alarmSerial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The most recent reading
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SensorReading'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         $ref: '#/components/responses/AlarmForbidden'
+ *       404:
+ *         description: Unable to find alarm, or the alarm hasn't sent any readings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: No readings have been received from this alarm
+ * */
+async function getLatestTelemetry (req, res) {
+    try {
+        const { alarm, status, error } = await findAlarmForUser(req.params.alarmSerial, req.user);
+        if (!alarm)
+            return res.status(status).json({ 'error': error });
+
+        const reading = await telemetry.getLatestReading(alarm);
+        if (!reading)
+            return res.status(404).json({ 'error': 'No readings have been received from this alarm' });
+        return res.status(200).json(reading.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+module.exports = router;
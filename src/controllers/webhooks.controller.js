@@ -0,0 +1,525 @@
+// Express router setup
+const express = require('express');
+const router = express.Router();
+
+// Other imports
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { authenticate } = require(`${root_dir}/src/middleware/auth.js`);
+const { isHttpUrl } = require(`${root_dir}/src/utils/urls.js`);
+const webhooks = require(`${root_dir}/src/services/webhooks.js`);
+
+// Most webhooks a single user can register
+const MAX_WEBHOOKS = 20;
+
+// Most deliveries returned by a single list request
+const MAX_LIMIT = 100;
+
+// Applying routes
+router.get('/webhooks', authenticate, listWebhooks);
+router.post('/webhooks', authenticate, createWebhook);
+router.patch('/webhooks/:webhookId', authenticate, updateWebhook);
+router.delete('/webhooks/:webhookId', authenticate, deleteWebhook);
+router.post('/webhooks/:webhookId/secret', authenticate, rotateSecret);
+router.post('/webhooks/:webhookId/test', authenticate, testWebhook);
+router.get('/webhooks/:webhookId/deliveries', authenticate, listDeliveries);
+
+
+/**
+ * Finds one of the user's webhooks
+ *
+ * @param webhookId The webhook's ID
+ * @param user The user who owns it
+ * @return Promise - Resolves with the webhook, or null if the user has no webhook with that ID
+ * */
+function findWebhook (webhookId, user) {
+    return db.webhook.findOne({ where: { id: webhookId, userId: user.id } });
+}
+
+
+/**
+ * Checks the webhook fields sent by a user
+ *
+ * @param body The request body
+ * @param partial True if fields can be left out, for updates
+ * @return object - The fields to save, or { error } if any are invalid
+ * */
+function parseWebhook (body, partial) {
+    const fields = {};
+    if (body.url !== undefined || !partial) {
+        if (typeof body.url !== 'string' || body.url.length > 255 || !isHttpUrl(body.url))
+            return { error: 'url must be an http(s) URL' };
+        fields.url = body.url;
+    }
+    if (body.events !== undefined || !partial) {
+        const events = body.events;
+        if (!Array.isArray(events) || events.length === 0 || new Set(events).size !== events.length
+            || !events.every(event => db.webhook.EVENTS.includes(event)))
+            return { error: `events must be a list of unique events from ${db.webhook.EVENTS.join(', ')}` };
+        fields.events = events;
+    }
+    if (body.description !== undefined) {
+        if (body.description !== null && (typeof body.description !== 'string' || body.description.length > 255))
+            return { error: 'description must be a string of at most 255 characters' };
+        fields.description = body.description;
+    }
+    if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean')
+            return { error: 'active must be a boolean' };
+        fields.active = body.active;
+    }
+    return fields;
+}
+
+// Express Routes
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 2
+ *         url:
+ *           type: string
+ *           example: https://homeassistant.local/api/webhook/blaze
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [alarm.triggered, incident.confirmed, incident.dismissed, incident.timed_out, incident.unreachable, device.offline]
+ *         description:
+ *           type: string
+ *           example: Home Assistant
+ *         active:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 40
+ *         deliveryId:
+ *           type: string
+ *           description: Sent as X-Blaze-Delivery, the same for every attempt
+ *           example: 0e6b3f5c-3f9e-4bb3-9f0e-5d1d6f0f6b7a
+ *         event:
+ *           type: string
+ *           example: incident.confirmed
+ *         payload:
+ *           type: object
+ *           description: The body that was sent
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *         attempts:
+ *           type: integer
+ *           example: 1
+ *         statusCode:
+ *           type: integer
+ *           description: The receiver's last response code, or null if it never answered
+ *           example: 200
+ *         error:
+ *           type: string
+ *           example: null
+ *         latency:
+ *           type: integer
+ *           description: Milliseconds the last attempt took
+ *           example: 95
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a pending delivery is retried
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *   responses:
+ *     WebhookNotFound:
+ *       description: The user has no webhook with that ID
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Unable to find webhook
+ *
+ * /webhooks:
+ *   get:
+ *     summary: Lists the logged in user's webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         description: Not authenticated
+ * */
+async function listWebhooks (req, res) {
+    try {
+        const userWebhooks = await db.webhook.findAll({ where: { userId: req.user.id }, order: [['id', 'ASC']] });
+        return res.status(200).json(userWebhooks.map(webhook => webhook.toPublic()));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /webhooks:
+ *   post:
+ *     summary: Registers a webhook
+ *     description: >
+ *       The webhook is sent the events it subscribes to for every alarm the user is a member of, as a JSON POST with
+ *       the event's id, event, createdAt and data. Each request carries X-Blaze-Event, X-Blaze-Delivery,
+ *       X-Blaze-Timestamp and X-Blaze-Signature headers, where the signature is the HMAC-SHA256 (hex) of the timestamp
+ *       and the raw body joined by a newline, keyed with the webhook's secret. Anything other than a 2xx response is
+ *       retried with increasing delays, for up to 6 attempts in total over about 2.5 hours.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://homeassistant.local/api/webhook/blaze
+ *               events:
+ *                 type: array
+ *                 example: [alarm.triggered, incident.confirmed]
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *                 example: Home Assistant
+ *     responses:
+ *       201:
+ *         description: The webhook was registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Webhook'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: The signing secret. Only shown once.
+ *                       example: whsec_5d0f...
+ *       400:
+ *         description: >
+ *           Invalid URL or events, a URL pointing to a private address, or the user already has as many webhooks as
+ *           allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: url must be an http(s) URL
+ *       401:
+ *         description: Not authenticated
+ * */
+async function createWebhook (req, res) {
+    const fields = parseWebhook(req.body || {}, false);
+    if (fields.error)
+        return res.status(400).json({ 'error': fields.error });
+
+    try {
+        if (fields.url && !(await webhooks.isAllowedUrl(fields.url)))
+            return res.status(400).json({ 'error': 'url must not point to a private address' });
+        if (await db.webhook.count({ where: { userId: req.user.id } }) >= MAX_WEBHOOKS)
+            return res.status(400).json({ 'error': `At most ${MAX_WEBHOOKS} webhooks can be registered` });
+
+        const secret = db.webhook.generateSecret();
+        const webhook = await db.webhook.create({ ...fields, userId: req.user.id, secret: secret });
+        console.log(`User ${req.user.username} registered webhook ${webhook.id}`);
+        return res.status(201).json({ ...webhook.toPublic(), 'secret': secret });
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /webhooks/{webhookId}:
+ *   patch:
+ *     summary: Updates a webhook
+ *     description: Changes the webhook's URL, events or description, or pauses it by setting active to false
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid fields, or a URL pointing to a private address
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         $ref: '#/components/responses/WebhookNotFound'
+ * */
+async function updateWebhook (req, res) {
+    const fields = parseWebhook(req.body || {}, true);
+    if (fields.error)
+        return res.status(400).json({ 'error': fields.error });
+
+    try {
+        if (fields.url && !(await webhooks.isAllowedUrl(fields.url)))
+            return res.status(400).json({ 'error': 'url must not point to a private address' });
+        const webhook = await findWebhook(req.params.webhookId, req.user);
+        if (!webhook)
+            return res.status(404).json({ 'error': 'Unable to find webhook' });
+
+        await webhook.update(fields);
+        return res.status(200).json(webhook.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /webhooks/{webhookId}:
+ *   delete:
+ *     summary: Deletes a webhook
+ *     description: Deletes the webhook and its delivery history. Pending retries are dropped.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: The webhook was deleted
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         $ref: '#/components/responses/WebhookNotFound'
+ * */
+async function deleteWebhook (req, res) {
+    try {
+        const webhook = await findWebhook(req.params.webhookId, req.user);
+        if (!webhook)
+            return res.status(404).json({ 'error': 'Unable to find webhook' });
+
+        await db.webhookDelivery.destroy({ where: { webhookId: webhook.id } });
+        await webhook.destroy();
+        return res.status(204).send();
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /webhooks/{webhookId}/secret:
+ *   post:
+ *     summary: Replaces a webhook's signing secret
+ *     description: Deliveries are signed with the new secret from now on, including retries of earlier events
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The new secret, which is only shown once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   example: whsec_5d0f...
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         $ref: '#/components/responses/WebhookNotFound'
+ * */
+async function rotateSecret (req, res) {
+    try {
+        const webhook = await findWebhook(req.params.webhookId, req.user);
+        if (!webhook)
+            return res.status(404).json({ 'error': 'Unable to find webhook' });
+
+        const secret = db.webhook.generateSecret();
+        await webhook.update({ secret: secret });
+        return res.status(200).json({ 'secret': secret });
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /webhooks/{webhookId}/test:
+ *   post:
+ *     summary: Sends a test event to a webhook
+ *     description: >
+ *       Sends a signed webhook.test event straight away and waits for the result, so the receiver's setup can be
+ *       checked. Test events are sent even if the webhook is paused, and aren't retried.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The result of the test delivery. Check its status to see if it was received.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         $ref: '#/components/responses/WebhookNotFound'
+ * */
+async function testWebhook (req, res) {
+    try {
+        const webhook = await findWebhook(req.params.webhookId, req.user);
+        if (!webhook)
+            return res.status(404).json({ 'error': 'Unable to find webhook' });
+
+        const delivery = await webhooks.sendTest(webhook);
+        return res.status(200).json(delivery.toPublic());
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+
+/**
+ * @openapi
+ * /webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Lists the events sent to a webhook
+ *     description: Lists every delivery to the webhook, newest first, including ones still waiting to be retried
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - $ref: '#/components/parameters/deliveryLimit'
+ *       - $ref: '#/components/parameters/deliveryOffset'
+ *     responses:
+ *       200:
+ *         description: The webhook's deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid status, limit or offset
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         $ref: '#/components/responses/WebhookNotFound'
+ * */
+async function listDeliveries (req, res) {
+    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+    const status = req.query.status;
+    if (isNaN(limit) || isNaN(offset) || limit < 1 || offset < 0
+        || (status !== undefined && !['pending', 'delivered', 'failed'].includes(status)))
+        return res.status(400).json({ 'error': 'Missing or incorrect parameters' });
+
+    try {
+        const webhook = await findWebhook(req.params.webhookId, req.user);
+        if (!webhook)
+            return res.status(404).json({ 'error': 'Unable to find webhook' });
+
+        const where = { webhookId: webhook.id };
+        if (status)
+            where.status = status;
+        const deliveries = await db.webhookDelivery.findAll({
+            where: where,
+            order: [['createdAt', 'DESC'], ['id', 'DESC']],
+            limit: Math.min(limit, MAX_LIMIT),
+            offset: offset
+        });
+        return res.status(200).json(deliveries.map(delivery => delivery.toPublic()));
+    } catch (err) {
+        console.log('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unexpected error occurred' });
+    }
+}
+
+module.exports = router;
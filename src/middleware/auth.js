@@ -0,0 +1,85 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { verifyToken } = require(`${root_dir}/src/utils/tokens.js`);
+
+// Cookie used by the PWA and service worker, which can't attach an Authorization header to every request
+const ACCESS_COOKIE = 'blaze_access';
+
+// Cookie holding the PWA's refresh token. It's only sent to /auth, so the web app can stay logged in without ever
+// seeing the token.
+const REFRESH_COOKIE = 'blaze_refresh';
+
+
+/**
+ * Reads a cookie from the request
+ *
+ * @param req The express request
+ * @param cookieName The name of the cookie
+ * @return string|null - The cookie's value, or null if it wasn't sent
+ * */
+function getCookie (req, cookieName) {
+    const cookies = req.get('Cookie');
+    if (!cookies)
+        return null;
+    for (const cookie of cookies.split(';')) {
+        const [name, ...value] = cookie.trim().split('=');
+        if (name === cookieName)
+            return decodeURIComponent(value.join('='));
+    }
+    return null;
+}
+
+
+/**
+ * Pulls the access token from the Authorization header, falling back to the access cookie
+ *
+ * @param req The express request
+ * @return string|null - The raw access token, or null if none was sent
+ * */
+function getAccessToken (req) {
+    const header = req.get('Authorization');
+    if (header && header.startsWith('Bearer '))
+        return header.slice('Bearer '.length).trim();
+    return getCookie(req, ACCESS_COOKIE);
+}
+
+
+/**
+ * Express middleware that rejects the request with a 401 unless it carries a valid access token. On success the
+ * authenticated user is attached to req.user and their session to req.authSession.
+ * */
+async function authenticate (req, res, next) {
+    try {
+        const payload = verifyToken(getAccessToken(req), 'access');
+        if (!payload)
+            return res.status(401).json({ 'error': 'Authentication required' });
+
+        const session = await db.session.findByPk(payload.sid);
+        if (!session || !session.isActive() || session.userId !== payload.sub)
+            return res.status(401).json({ 'error': 'Session has expired or been revoked' });
+
+        const user = await db.user.findByPk(payload.sub);
+        if (!user)
+            return res.status(401).json({ 'error': 'Authentication required' });
+
+        req.user = user;
+        req.authSession = session;
+        return next();
+    } catch (err) {
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
+    }
+}
+
+
+/**
+ * Express middleware that rejects the request with a 403 unless the authenticated user is an administrator. Must run
+ * after authenticate.
+ * */
+function requireAdmin (req, res, next) {
+    if (!req.user || !req.user.isAdmin())
+        return res.status(403).json({ 'error': 'Only administrators can do this' });
+    return next();
+}
+
+module.exports = { authenticate, requireAdmin, getCookie, getAccessToken, ACCESS_COOKIE, REFRESH_COOKIE };
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const env = process.env.NODE_ENV || 'development'
+const config = require(`${root_dir}/src/config/config.json`)[env];
+
+// How far a device's clock may drift from the server's before its requests are rejected, in seconds
+const deviceAuthDetails = config.device_auth || {};
+const maxClockSkew = deviceAuthDetails.maxClockSkew || 5 * 60;
+
+// Nonces seen within the clock skew window, mapped to when they can be forgotten. Anything older than the window is
+// rejected by the timestamp check, so nonces only need to be remembered that long.
+const seenNonces = new Map();
+
+
+/**
+ * Removes nonces that have fallen outside the timestamp window
+ * */
+function pruneNonces () {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of seenNonces) {
+        if (expiresAt < now)
+            seenNonces.delete(nonce);
+    }
+}
+
+
+/**
+ * Builds the string a device signs for a request
+ *
+ * @param method The HTTP method
+ * @param url The request path including the query string
+ * @param timestamp The UNIX timestamp (seconds) sent by the device
+ * @param nonce The random nonce sent by the device
+ * @param body The raw request body, or an empty buffer
+ * @return string - The newline separated string to sign
+ * */
+function canonicalRequest (method, url, timestamp, nonce, body) {
+    const bodyHash = crypto.createHash('sha256').update(body || Buffer.alloc(0)).digest('hex');
+    return [method.toUpperCase(), url, timestamp, nonce, bodyHash].join('\n');
+}
+
+
+/**
+ * Express middleware that only lets through requests signed with an active device credential. Devices send:
+ *  - X-Blaze-Key-Id: The credential's key ID
+ *  - X-Blaze-Timestamp: The current UNIX timestamp in seconds
+ *  - X-Blaze-Nonce: A random value that is never reused
+ *  - X-Blaze-Signature: Hex HMAC-SHA256 of canonicalRequest() using the credential's secret
+ *
+ * On success the calling alarm is attached to req.alarm.
+ * */
+async function authenticateDevice (req, res, next) {
+    const keyId = req.get('X-Blaze-Key-Id');
+    const timestamp = req.get('X-Blaze-Timestamp');
+    const nonce = req.get('X-Blaze-Nonce');
+    const signature = req.get('X-Blaze-Signature');
+    if (!keyId || !timestamp || !nonce || !signature)
+        return res.status(401).json({ 'error': 'Missing device signature' });
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!/^\d+$/.test(timestamp) || Math.abs(now - parseInt(timestamp)) > maxClockSkew)
+        return res.status(401).json({ 'error': 'Request timestamp outside of allowed window' });
+
+    pruneNonces();
+    const nonceKey = `${keyId}:${nonce}`;
+    if (seenNonces.has(nonceKey))
+        return res.status(401).json({ 'error': 'Nonce has already been used' });
+    // Reserved before anything is awaited, so a replay sent at the same time can't get past the check above as well.
+    // The reservation is given up again if the request turns out not to be signed by the device.
+    seenNonces.set(nonceKey, Date.now() + maxClockSkew * 2000);
+
+    try {
+        const credential = await db.deviceCredential.scope('withSecret').findOne({ where: { keyId: keyId } });
+        if (!credential || credential.revokedAt) {
+            seenNonces.delete(nonceKey);
+            return res.status(401).json({ 'error': 'Invalid device credential' });
+        }
+
+        const expected = crypto.createHmac('sha256', credential.secret)
+            .update(canonicalRequest(req.method, req.originalUrl, timestamp, nonce, req.rawBody))
+            .digest();
+        const actual = Buffer.from(signature, 'hex');
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            seenNonces.delete(nonceKey);
+            return res.status(401).json({ 'error': 'Invalid device signature' });
+        }
+
+        const alarm = await db.alarm.findByPk(credential.alarmId);
+        if (!alarm) {
+            seenNonces.delete(nonceKey);
+            return res.status(401).json({ 'error': 'Invalid device credential' });
+        }
+
+        await credential.update({ lastUsedAt: new Date() });
+        req.alarm = alarm;
+        return next();
+    } catch (err) {
+        seenNonces.delete(nonceKey);
+        console.error('Unknown error occurred: ', err);
+        return res.status(500).json({ 'error': 'Unknown error occurred' });
+    }
+}
+
+module.exports = { authenticateDevice, canonicalRequest };
@@ -1,3 +1,9 @@
+const crypto = require('crypto');
+
+// Pairing codes avoid characters that are easy to mix up when read off a small screen (0/O, 1/I/L)
+const PAIRING_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 8;
+
 module.exports = (sequelize, Sequelize) => {
     const Alarm = sequelize.define("alarm", {
         alarmSerial: {
@@ -5,13 +11,132 @@ module.exports = (sequelize, Sequelize) => {
             allowNull: false,
             unique: true,
         },
+        name: {
+            type: Sequelize.STRING
+        },
+        // Unpaired alarms don't have a location until a user claims them. Alarms placed in a room have it set from the
+        // room, floor, building and site, and kept up to date when those are renamed.
         location: {
-            type: Sequelize.STRING,
-            allowNull: false
+            type: Sequelize.STRING
+        },
+        // How long to wait for someone to confirm or dismiss a trigger before timing out, in seconds
+        confirmationTimeout: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 30,
+            validate: { min: 5, max: 3600 }
+        },
+        pairingCodeHash: {
+            type: Sequelize.STRING
+        },
+        pairingCodeExpiresAt: {
+            type: Sequelize.DATE
+        },
+        // Lets the device that registered collect its credential once a user has paired it
+        claimTokenHash: {
+            type: Sequelize.STRING
+        },
+        pairedAt: {
+            type: Sequelize.DATE
+        },
+        // When the controller last sent a heartbeat
+        lastSeen: {
+            type: Sequelize.DATE
+        },
+        // Set by heartbeats and cleared by the offline checker once heartbeats stop
+        online: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        firmwareVersion: {
+            type: Sequelize.STRING
+        },
+        // Wi-Fi RSSI in dBm
+        signalStrength: {
+            type: Sequelize.INTEGER
         }
     });
     Alarm.associate = function (models) {
-        Alarm.belongsTo(models.user);
+        Alarm.belongsToMany(models.user, { through: models.alarmMember });
+        Alarm.hasMany(models.alarmMember);
+        Alarm.hasMany(models.deviceCredential);
+        Alarm.hasMany(models.incident);
+        Alarm.hasMany(models.escalationTier);
+        Alarm.hasMany(models.sensorReading);
+        Alarm.hasMany(models.deviceCommand, { onDelete: 'CASCADE' });
+        Alarm.hasMany(models.drill, { onDelete: 'CASCADE' });
+        Alarm.belongsTo(models.room, { onDelete: 'SET NULL' });
+    };
+
+    /**
+     * Returns the SHA-256 hex digest of a pairing code or claim token
+     *
+     * @param value The code or token
+     * @return string - The hex digest
+     * */
+    Alarm.hashSecret = function (value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    };
+
+    /**
+     * Normalizes a pairing code typed by a user, ignoring case, spaces and dashes
+     *
+     * @param code The code as entered
+     * @return string - The code in the form it was issued
+     * */
+    Alarm.normalizePairingCode = function (code) {
+        return String(code).toUpperCase().replace(/[\s-]/g, '');
+    };
+
+    /**
+     * Generates a new pairing code and claim token for the alarm, replacing any issued before
+     *
+     * @param ttlSeconds How long the pairing code is valid for
+     * @return Promise<object> - The pairing code, claim token and when the code expires
+     * */
+    Alarm.prototype.startPairing = async function (ttlSeconds) {
+        let pairingCode = '';
+        for (const byte of crypto.randomBytes(PAIRING_CODE_LENGTH))
+            pairingCode += PAIRING_ALPHABET[byte % PAIRING_ALPHABET.length];
+        const claimToken = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+        await this.update({
+            pairingCodeHash: Alarm.hashSecret(pairingCode),
+            pairingCodeExpiresAt: expiresAt,
+            claimTokenHash: Alarm.hashSecret(claimToken)
+        });
+        return { pairingCode: pairingCode, claimToken: claimToken, expiresAt: expiresAt };
+    };
+
+    /**
+     * Returns the name shown to users for the alarm
+     *
+     * @return string - The alarm's name, location or serial, whichever is set first
+     * */
+    Alarm.prototype.displayName = function () {
+        return this.name || this.location || `Alarm ${this.alarmSerial}`;
+    };
+
+    /**
+     * Returns the alarm fields that are sent to clients
+     *
+     * @return object - The public alarm fields
+     * */
+    Alarm.prototype.toPublic = function () {
+        return {
+            alarmSerial: this.alarmSerial,
+            name: this.name,
+            location: this.location,
+            roomId: this.roomId,
+            confirmationTimeout: this.confirmationTimeout,
+            pairedAt: this.pairedAt,
+            online: this.online,
+            lastSeen: this.lastSeen,
+            firmwareVersion: this.firmwareVersion,
+            signalStrength: this.signalStrength
+        };
     };
     return Alarm;
 };
@@ -0,0 +1,54 @@
+module.exports = (sequelize, Sequelize) => {
+    const ROLES = ['owner', 'member', 'responder', 'viewer'];
+
+    const AlarmMember = sequelize.define("alarmMember", {
+        // Declared explicitly since belongsToMany would otherwise replace it with a composite key, and invitations are
+        // looked up by this ID
+        id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        role: {
+            type: Sequelize.ENUM(...ROLES),
+            allowNull: false,
+            defaultValue: 'member'
+        },
+        // Invited members don't get notifications or access until they accept
+        status: {
+            type: Sequelize.ENUM('invited', 'active'),
+            allowNull: false,
+            defaultValue: 'invited'
+        },
+        acceptedAt: {
+            type: Sequelize.DATE
+        }
+    });
+    AlarmMember.associate = function (models) {
+        AlarmMember.belongsTo(models.alarm, { onDelete: 'CASCADE' });
+        AlarmMember.belongsTo(models.user, { onDelete: 'CASCADE' });
+        AlarmMember.belongsTo(models.user, { as: 'invitedBy', foreignKey: 'invitedByUserId' });
+    };
+
+    AlarmMember.ROLES = ROLES;
+
+    // Roles that are prompted to confirm or dismiss a trigger and are allowed to answer
+    AlarmMember.RESPONDER_ROLES = ['owner', 'member', 'responder'];
+
+    /**
+     * Returns the membership fields that are sent to clients
+     *
+     * @return object - The public membership fields
+     * */
+    AlarmMember.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            alarmId: this.alarmId,
+            username: this.user ? this.user.username : undefined,
+            role: this.role,
+            status: this.status,
+            acceptedAt: this.acceptedAt
+        };
+    };
+    return AlarmMember;
+};
@@ -0,0 +1,27 @@
+module.exports = (sequelize, Sequelize) => {
+    const Building = sequelize.define("building", {
+        name: {
+            type: Sequelize.STRING,
+            allowNull: false
+        }
+    });
+    Building.associate = function (models) {
+        Building.belongsTo(models.site, { onDelete: 'CASCADE' });
+        Building.hasMany(models.floor, { onDelete: 'CASCADE' });
+        Building.hasMany(models.drill, { onDelete: 'CASCADE' });
+    };
+
+    /**
+     * Returns the building fields that are sent to clients
+     *
+     * @return object - The public building fields
+     * */
+    Building.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            siteId: this.siteId,
+            name: this.name
+        };
+    };
+    return Building;
+};
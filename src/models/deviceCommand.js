@@ -0,0 +1,38 @@
+module.exports = (sequelize, Sequelize) => {
+    // An instruction waiting to be picked up by an alarm's controller, like sounding because another alarm in the
+    // building confirmed a fire. Controllers fetch their commands from /devices/commands and acknowledge each one.
+    const DeviceCommand = sequelize.define("deviceCommand", {
+        type: {
+            type: Sequelize.ENUM('sound', 'silence'),
+            allowNull: false
+        },
+        // When the controller first fetched the command
+        deliveredAt: {
+            type: Sequelize.DATE
+        },
+        // When the controller said it carried the command out. Unacknowledged commands are sent again.
+        acknowledgedAt: {
+            type: Sequelize.DATE
+        }
+    });
+    DeviceCommand.associate = function (models) {
+        DeviceCommand.belongsTo(models.alarm, { onDelete: 'CASCADE' });
+        // The incident the command was sent for
+        DeviceCommand.belongsTo(models.incident, { onDelete: 'CASCADE' });
+    };
+
+    /**
+     * Returns the command fields that are sent to controllers
+     *
+     * @return object - The public command fields
+     * */
+    DeviceCommand.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            type: this.type,
+            incidentId: this.incidentId,
+            createdAt: this.createdAt
+        };
+    };
+    return DeviceCommand;
+};
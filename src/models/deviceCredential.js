@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+module.exports = (sequelize, Sequelize) => {
+    const DeviceCredential = sequelize.define("deviceCredential", {
+        keyId: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true
+        },
+        // Stored as-is since the server needs it to recompute the HMAC signature of each device request
+        secret: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        lastUsedAt: {
+            type: Sequelize.DATE
+        },
+        revokedAt: {
+            type: Sequelize.DATE
+        }
+    }, {
+        defaultScope: {
+            attributes: { exclude: ['secret'] }
+        },
+        scopes: {
+            withSecret: {
+                attributes: { include: ['secret'] }
+            }
+        }
+    });
+    DeviceCredential.associate = function (models) {
+        DeviceCredential.belongsTo(models.alarm);
+    };
+
+    /**
+     * Creates a new credential for an alarm. The secret is only ever returned here, so it has to be handed to the
+     * device straight away.
+     *
+     * @param alarm The alarm the credential is for
+     * @return Promise<object> - The key ID and secret the device signs its requests with
+     * */
+    DeviceCredential.issue = async function (alarm) {
+        const credential = await DeviceCredential.create({
+            alarmId: alarm.id,
+            keyId: `ak_${crypto.randomBytes(8).toString('hex')}`,
+            secret: crypto.randomBytes(32).toString('hex')
+        });
+        return { 'keyId': credential.keyId, 'secret': credential.secret };
+    };
+
+    /**
+     * Returns the credential fields that are safe to send to clients
+     *
+     * @return object - The public credential fields
+     * */
+    DeviceCredential.prototype.toPublic = function () {
+        return {
+            keyId: this.keyId,
+            createdAt: this.createdAt,
+            lastUsedAt: this.lastUsedAt,
+            revokedAt: this.revokedAt
+        };
+    };
+    return DeviceCredential;
+};
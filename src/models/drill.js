@@ -0,0 +1,58 @@
+module.exports = (sequelize, Sequelize) => {
+    // A fire drill for one alarm or every alarm in a building. Members are prompted as if the alarm went off, but the
+    // prompts are marked as drills and nobody outside the alarm's members is ever contacted.
+    const Drill = sequelize.define("drill", {
+        status: {
+            type: Sequelize.ENUM('scheduled', 'running', 'completed', 'cancelled'),
+            allowNull: false,
+            defaultValue: 'scheduled'
+        },
+        scheduledFor: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        // How long members have to answer once the drill starts, in seconds
+        responseWindow: {
+            type: Sequelize.INTEGER,
+            allowNull: false
+        },
+        startedAt: {
+            type: Sequelize.DATE
+        },
+        endsAt: {
+            type: Sequelize.DATE
+        },
+        completedAt: {
+            type: Sequelize.DATE
+        }
+    });
+    Drill.associate = function (models) {
+        // A drill covers either a single alarm or every alarm in a building
+        Drill.belongsTo(models.alarm, { onDelete: 'CASCADE' });
+        Drill.belongsTo(models.building, { onDelete: 'CASCADE' });
+        Drill.belongsTo(models.user, { as: 'createdBy', foreignKey: 'createdByUserId', onDelete: 'SET NULL' });
+        // Deleting a drill deletes its incidents, so they can't be mistaken for real ones
+        Drill.hasMany(models.incident, { onDelete: 'CASCADE' });
+    };
+
+    /**
+     * Returns the drill fields that are sent to clients
+     *
+     * @return object - The public drill fields
+     * */
+    Drill.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            status: this.status,
+            alarmId: this.alarmId,
+            buildingId: this.buildingId,
+            createdByUserId: this.createdByUserId,
+            scheduledFor: this.scheduledFor,
+            responseWindow: this.responseWindow,
+            startedAt: this.startedAt,
+            endsAt: this.endsAt,
+            completedAt: this.completedAt
+        };
+    };
+    return Drill;
+};
@@ -0,0 +1,25 @@
+module.exports = (sequelize, Sequelize) => {
+    const EscalationTier = sequelize.define("escalationTier", {
+        // Order the tiers are tried in, starting at 1. The alarm's own members are always prompted first, as tier 0.
+        position: {
+            type: Sequelize.INTEGER,
+            allowNull: false
+        },
+        // How long this tier gets to respond before moving on to the next one, in seconds
+        waitSeconds: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            validate: { min: 5, max: 3600 }
+        },
+        // IDs of the users prompted at this tier
+        userIds: {
+            type: Sequelize.JSON,
+            allowNull: false,
+            defaultValue: []
+        }
+    });
+    EscalationTier.associate = function (models) {
+        EscalationTier.belongsTo(models.alarm, { onDelete: 'CASCADE' });
+    };
+    return EscalationTier;
+};
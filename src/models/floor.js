@@ -0,0 +1,43 @@
+module.exports = (sequelize, Sequelize) => {
+    const Floor = sequelize.define("floor", {
+        // The floor's number, unique within its building, which is how floors are picked out when targeting, e.g. 0 for
+        // the ground floor and -1 for the basement
+        level: {
+            type: Sequelize.INTEGER,
+            allowNull: false
+        },
+        // Shown instead of "Floor <level>" if set, e.g. Mezzanine
+        name: {
+            type: Sequelize.STRING
+        }
+    });
+    Floor.associate = function (models) {
+        Floor.belongsTo(models.building, { onDelete: 'CASCADE' });
+        Floor.hasMany(models.room, { onDelete: 'CASCADE' });
+    };
+
+    /**
+     * Returns the name shown to users for the floor
+     *
+     * @return string - The floor's name, or "Floor <level>" if it doesn't have one
+     * */
+    Floor.prototype.displayName = function () {
+        return this.name || `Floor ${this.level}`;
+    };
+
+    /**
+     * Returns the floor fields that are sent to clients
+     *
+     * @return object - The public floor fields
+     * */
+    Floor.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            buildingId: this.buildingId,
+            level: this.level,
+            name: this.name,
+            displayName: this.displayName()
+        };
+    };
+    return Floor;
+};
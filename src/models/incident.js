@@ -0,0 +1,196 @@
+module.exports = (sequelize, Sequelize) => {
+    // Allowed moves between incident states. Anything not listed here is rejected by transition().
+    const TRANSITIONS = {
+        'triggered': ['awaiting_confirmation', 'timed_out', 'unreachable'],
+        'awaiting_confirmation': ['confirmed', 'dismissed', 'timed_out', 'unreachable'],
+        'confirmed': ['resolved'],
+        'dismissed': ['resolved'],
+        'timed_out': ['resolved'],
+        'unreachable': ['resolved'],
+        'resolved': []
+    };
+
+    // The column recording when the incident entered each state
+    const TIMESTAMPS = {
+        'triggered': 'triggeredAt',
+        'awaiting_confirmation': 'awaitingConfirmationAt',
+        'confirmed': 'confirmedAt',
+        'dismissed': 'dismissedAt',
+        'timed_out': 'timedOutAt',
+        // Stamped on the same column as a timeout, since either way the server stopped waiting for an answer
+        'unreachable': 'timedOutAt',
+        'resolved': 'resolvedAt'
+    };
+
+    const Incident = sequelize.define("incident", {
+        status: {
+            type: Sequelize.ENUM(...Object.keys(TRANSITIONS)),
+            allowNull: false,
+            defaultValue: 'triggered'
+        },
+        triggeredAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+            defaultValue: Sequelize.NOW
+        },
+        awaitingConfirmationAt: {
+            type: Sequelize.DATE
+        },
+        confirmedAt: {
+            type: Sequelize.DATE
+        },
+        dismissedAt: {
+            type: Sequelize.DATE
+        },
+        timedOutAt: {
+            type: Sequelize.DATE
+        },
+        resolvedAt: {
+            type: Sequelize.DATE
+        },
+        // Copied from the alarm when triggered so changing the alarm's setting doesn't affect incidents in flight
+        confirmationTimeout: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 30
+        },
+        // Where the controller asked to be told the outcome, if it isn't holding its request open or polling
+        callbackUrl: {
+            type: Sequelize.STRING
+        },
+        callbackDeliveredAt: {
+            type: Sequelize.DATE
+        },
+        // The escalation tier currently being prompted, where 0 is the alarm's own members
+        escalationLevel: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        // When the current tier's wait runs out and the next tier is prompted (or the incident times out)
+        nextEscalationAt: {
+            type: Sequelize.DATE
+        }
+    });
+    Incident.associate = function (models) {
+        Incident.belongsTo(models.alarm);
+        Incident.hasMany(models.responseToken);
+        Incident.hasMany(models.incidentEvent);
+        Incident.belongsTo(models.user, { as: 'respondedBy', foreignKey: 'respondedByUserId' });
+        Incident.belongsTo(models.subscription, {
+            as: 'respondedSubscription',
+            foreignKey: 'respondedSubscriptionId',
+            onDelete: 'SET NULL'
+        });
+        // Alarms in the same building that go off together share one incident. The first alarm's incident is the
+        // primary one that members are prompted about, and the others follow its outcome.
+        Incident.belongsTo(models.incident, { as: 'primaryIncident', foreignKey: 'primaryIncidentId', onDelete: 'SET NULL' });
+        Incident.hasMany(models.incident, { as: 'groupedIncidents', foreignKey: 'primaryIncidentId' });
+        Incident.hasMany(models.deviceCommand, { onDelete: 'CASCADE' });
+        // The drill the incident was started for, if it isn't a real trigger
+        Incident.belongsTo(models.drill, { onDelete: 'CASCADE' });
+    };
+
+    Incident.TRANSITIONS = TRANSITIONS;
+
+    // States where the alarm is still waiting on a person to respond
+    Incident.OPEN_STATES = ['triggered', 'awaiting_confirmation'];
+
+    // States that still need someone's attention, since a confirmed or unanswered fire stays active until resolved, as
+    // does an alarm nobody could be asked about
+    Incident.ACTIVE_STATES = ['triggered', 'awaiting_confirmation', 'confirmed', 'timed_out', 'unreachable'];
+
+    /**
+     * Moves the incident to a new state and stamps the time it happened. The update only applies if the incident is
+     * still in the state this instance last saw, so two people responding at once can't both win.
+     *
+     * @param status The state to move to
+     * @param fields Any other columns to set along with the new state
+     * @return Promise<boolean> - True if the incident moved, false if the move isn't allowed or it already moved
+     * */
+    Incident.prototype.transition = async function (status, fields = {}) {
+        if (!TRANSITIONS[this.status].includes(status))
+            return false;
+
+        const changes = { ...fields, status: status, [TIMESTAMPS[status]]: new Date() };
+        const [count] = await Incident.update(changes, { where: { id: this.id, status: this.status } });
+        await this.reload();
+        return count === 1;
+    };
+
+    /**
+     * Returns whether the incident is finished waiting for a response
+     *
+     * @return boolean - True once the incident has been confirmed, dismissed, timed out, found unreachable or resolved
+     * */
+    Incident.prototype.isSettled = function () {
+        return !Incident.OPEN_STATES.includes(this.status);
+    };
+
+    /**
+     * Returns the controller-facing outcome of the incident
+     *
+     * @return boolean|null - True if confirmed, false if dismissed, and null if nobody answered (yet)
+     * */
+    Incident.prototype.outcome = function () {
+        if (this.confirmedAt)
+            return true;
+        if (this.dismissedAt)
+            return false;
+        return null;
+    };
+
+    /**
+     * Returns when the current escalation tier's wait runs out if nobody responds
+     *
+     * @return Date - The confirmation deadline for the current tier
+     * */
+    Incident.prototype.deadline = function () {
+        if (this.nextEscalationAt)
+            return this.nextEscalationAt;
+        const start = this.awaitingConfirmationAt || this.triggeredAt;
+        return new Date(start.getTime() + this.confirmationTimeout * 1000);
+    };
+
+    /**
+     * Records a step in the incident's history
+     *
+     * @param type The kind of step, one of the incidentEvent types
+     * @param fields Any other incidentEvent columns to set, such as userId or details
+     * @return Promise - Resolves with the created event
+     * */
+    Incident.prototype.logEvent = function (type, fields = {}) {
+        return sequelize.models.incidentEvent.create({
+            tier: this.escalationLevel,
+            ...fields,
+            type: type,
+            incidentId: this.id
+        });
+    };
+
+    /**
+     * Returns the incident fields that are sent to clients
+     *
+     * @return object - The public incident fields
+     * */
+    Incident.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            alarmId: this.alarmId,
+            status: this.status,
+            triggeredAt: this.triggeredAt,
+            awaitingConfirmationAt: this.awaitingConfirmationAt,
+            confirmedAt: this.confirmedAt,
+            dismissedAt: this.dismissedAt,
+            timedOutAt: this.timedOutAt,
+            resolvedAt: this.resolvedAt,
+            confirmationDeadline: this.deadline(),
+            escalationLevel: this.escalationLevel,
+            respondedByUserId: this.respondedByUserId,
+            respondedSubscriptionId: this.respondedSubscriptionId,
+            primaryIncidentId: this.primaryIncidentId,
+            drillId: this.drillId
+        };
+    };
+    return Incident;
+};
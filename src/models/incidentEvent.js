@@ -0,0 +1,42 @@
+module.exports = (sequelize, Sequelize) => {
+    const IncidentEvent = sequelize.define("incidentEvent", {
+        type: {
+            type: Sequelize.ENUM('triggered', 'prompted', 'escalated', 'confirmed', 'dismissed', 'timed_out',
+                'unreachable', 'resolved', 'grouped', 'interconnected', 'responded'),
+            allowNull: false
+        },
+        // The escalation tier the incident was at when this happened
+        tier: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        details: {
+            type: Sequelize.JSON
+        }
+    }, {
+        updatedAt: false
+    });
+    IncidentEvent.associate = function (models) {
+        IncidentEvent.belongsTo(models.incident, { onDelete: 'CASCADE' });
+        IncidentEvent.belongsTo(models.user);
+    };
+
+    /**
+     * Returns the event fields that are sent to clients
+     *
+     * @return object - The public event fields
+     * */
+    IncidentEvent.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            type: this.type,
+            tier: this.tier,
+            userId: this.userId,
+            username: this.user ? this.user.username : undefined,
+            details: this.details,
+            createdAt: this.createdAt
+        };
+    };
+    return IncidentEvent;
+};
@@ -6,6 +6,7 @@ const { Sequelize } = require('sequelize');
 const root_dir_module = require('app-root-path');
 const root_dir = root_dir_module.toString();
 const sqlite3 = require('sqlite3');
+const { hashPassword } = require(path.join(root_dir, 'src', 'utils', 'passwords.js'));
 
 
 const basename = 'index.js';
@@ -50,15 +51,17 @@ Object.keys(db).forEach(modelName => {
 db.sequelize = sequelize;
 db.Sequelize = Sequelize;
 
-// Loading test data for demo purposes
-insertTestData();
+// Loading test data for demo purposes. The server waits on this rather than syncing again, since two syncs at once
+// both try to create the same indexes.
+db.ready = insertTestData();
 
 async function insertTestData() {
     await sequelize.sync({ force: false });
     const users = await db.user.findAll()
     if (users.length === 0) {
-        db.user.create({ firstName: 'Brett', lastName: 'Csotty', username: 'bcsotty', password: '123' });
-        db.user.create({ firstName: 'Nico', lastName: 'Bokhari', username: 'nbokhari', password: '123' });
+        const passwordHash = await hashPassword('password123');
+        db.user.create({ firstName: 'Brett', lastName: 'Csotty', username: 'bcsotty', passwordHash: passwordHash });
+        db.user.create({ firstName: 'Nico', lastName: 'Bokhari', username: 'nbokhari', passwordHash: passwordHash });
         db.alarm.create({ alarmSerial: '1', location: 'Apartment room 104'});
     }
 }
@@ -0,0 +1,70 @@
+module.exports = (sequelize, Sequelize) => {
+    // One row per notification sent to a push subscription or another channel, kept so deliveries can be audited after
+    // the fact
+    const NotificationDelivery = sequelize.define("notificationDelivery", {
+        // What the notification was for
+        payloadType: {
+            type: Sequelize.ENUM('confirmation', 'notification', 'device_offline', 'device_online', 'device_low_battery', 'test'),
+            allowNull: false
+        },
+        channel: {
+            type: Sequelize.ENUM('push', 'email', 'sms', 'voice'),
+            allowNull: false,
+            defaultValue: 'push'
+        },
+        ok: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false
+        },
+        // The push service's (or provider's) last response code, or null if it never answered
+        statusCode: {
+            type: Sequelize.INTEGER
+        },
+        error: {
+            type: Sequelize.STRING
+        },
+        // Milliseconds from the first attempt until the delivery finished
+        latency: {
+            type: Sequelize.INTEGER,
+            allowNull: false
+        },
+        retryCount: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        updatedAt: false
+    });
+    NotificationDelivery.associate = function (models) {
+        NotificationDelivery.belongsTo(models.incident);
+        NotificationDelivery.belongsTo(models.alarm);
+        NotificationDelivery.belongsTo(models.user);
+        // Subscriptions that turn out to be dead are deleted, but their delivery history is kept
+        NotificationDelivery.belongsTo(models.subscription, { onDelete: 'SET NULL' });
+    };
+
+    /**
+     * Returns the delivery fields that are sent to clients
+     *
+     * @return object - The public delivery fields
+     * */
+    NotificationDelivery.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            payloadType: this.payloadType,
+            channel: this.channel,
+            incidentId: this.incidentId,
+            alarmSerial: this.alarm ? this.alarm.alarmSerial : undefined,
+            username: this.user ? this.user.username : undefined,
+            subscriptionId: this.subscriptionId,
+            ok: this.ok,
+            statusCode: this.statusCode,
+            error: this.error,
+            latency: this.latency,
+            retryCount: this.retryCount,
+            createdAt: this.createdAt
+        };
+    };
+    return NotificationDelivery;
+};
@@ -0,0 +1,81 @@
+module.exports = (sequelize, Sequelize) => {
+    // Every channel a user can be reached on. Push goes to their subscribed devices, the others to their contact details.
+    const CHANNELS = ['push', 'email', 'sms', 'voice'];
+
+    // The kinds of alarm events a user can choose to be notified about
+    const EVENTS = ['fire', 'offline', 'low_battery', 'drill'];
+
+    // Languages the web app can be shown in and notifications sent in
+    const LANGUAGES = ['en', 'es', 'fr'];
+
+    const Preference = sequelize.define("preference", {
+        // Shown to the other members of the user's alarms instead of their first name
+        displayName: {
+            type: Sequelize.STRING
+        },
+        email: {
+            type: Sequelize.STRING
+        },
+        // E.164 format, used for both SMS and voice calls
+        phoneNumber: {
+            type: Sequelize.STRING
+        },
+        // The channels to try, in order, until one of them reaches the user
+        channels: {
+            type: Sequelize.JSON,
+            allowNull: false,
+            defaultValue: ['push']
+        },
+        events: {
+            type: Sequelize.JSON,
+            allowNull: false,
+            defaultValue: EVENTS
+        },
+        // IDs of the alarms the user doesn't want to be notified about, so alarms they join later notify them
+        mutedAlarmIds: {
+            type: Sequelize.JSON,
+            allowNull: false,
+            defaultValue: []
+        },
+        language: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            defaultValue: 'en'
+        }
+    });
+    Preference.associate = function (models) {
+        Preference.belongsTo(models.user, { onDelete: 'CASCADE' });
+    };
+
+    Preference.CHANNELS = CHANNELS;
+    Preference.EVENTS = EVENTS;
+    Preference.LANGUAGES = LANGUAGES;
+
+    /**
+     * Returns whether the user wants to be notified about an event on an alarm
+     *
+     * @param alarmId The ID of the alarm
+     * @param event The kind of event, one of EVENTS
+     * @return boolean - True unless the user turned off the event type or muted the alarm
+     * */
+    Preference.prototype.wantsEvent = function (alarmId, event) {
+        return this.events.includes(event) && !this.mutedAlarmIds.includes(alarmId);
+    };
+
+    /**
+     * Returns the preference fields that are sent to clients
+     *
+     * @return object - The public preference fields
+     * */
+    Preference.prototype.toPublic = function () {
+        return {
+            displayName: this.displayName,
+            email: this.email,
+            phoneNumber: this.phoneNumber,
+            channels: this.channels,
+            events: this.events,
+            language: this.language
+        };
+    };
+    return Preference;
+};
@@ -0,0 +1,37 @@
+module.exports = (sequelize, Sequelize) => {
+    const ResponseToken = sequelize.define("responseToken", {
+        // The jti claim of the signed token sent in the push notification
+        jti: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true
+        },
+        expiresAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        usedAt: {
+            type: Sequelize.DATE
+        }
+    });
+    ResponseToken.associate = function (models) {
+        ResponseToken.belongsTo(models.incident);
+        ResponseToken.belongsTo(models.user);
+        ResponseToken.belongsTo(models.subscription, { onDelete: 'SET NULL' });
+    };
+
+    /**
+     * Marks the token as used. Only succeeds for the first caller, so a token can't be replayed even if two requests
+     * arrive together.
+     *
+     * @return Promise<boolean> - True if this call used the token, false if it was already used
+     * */
+    ResponseToken.prototype.consume = async function () {
+        const [count] = await ResponseToken.update(
+            { usedAt: new Date() },
+            { where: { id: this.id, usedAt: null } }
+        );
+        return count === 1;
+    };
+    return ResponseToken;
+};
@@ -0,0 +1,26 @@
+module.exports = (sequelize, Sequelize) => {
+    const Room = sequelize.define("room", {
+        name: {
+            type: Sequelize.STRING,
+            allowNull: false
+        }
+    });
+    Room.associate = function (models) {
+        Room.belongsTo(models.floor, { onDelete: 'CASCADE' });
+        Room.hasMany(models.alarm, { onDelete: 'SET NULL' });
+    };
+
+    /**
+     * Returns the room fields that are sent to clients
+     *
+     * @return object - The public room fields
+     * */
+    Room.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            floorId: this.floorId,
+            name: this.name
+        };
+    };
+    return Room;
+};
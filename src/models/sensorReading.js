@@ -0,0 +1,51 @@
+module.exports = (sequelize, Sequelize) => {
+    // One row per sample. Any sensor the controller didn't report in a sample is left null.
+    const SensorReading = sequelize.define("sensorReading", {
+        recordedAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        // Percent obscuration per metre
+        smokeObscuration: {
+            type: Sequelize.FLOAT
+        },
+        // Degrees Celsius
+        temperature: {
+            type: Sequelize.FLOAT
+        },
+        // Carbon monoxide in parts per million
+        co: {
+            type: Sequelize.FLOAT
+        },
+        // Relative humidity in percent
+        humidity: {
+            type: Sequelize.FLOAT
+        },
+        batteryVoltage: {
+            type: Sequelize.FLOAT
+        }
+    }, {
+        timestamps: false,
+        // Every query is for one alarm's readings over a span of time
+        indexes: [{ fields: ['alarmId', 'recordedAt'] }]
+    });
+    SensorReading.associate = function (models) {
+        SensorReading.belongsTo(models.alarm, { onDelete: 'CASCADE' });
+    };
+
+    // The sensor columns, in the order they're reported
+    SensorReading.METRICS = ['smokeObscuration', 'temperature', 'co', 'humidity', 'batteryVoltage'];
+
+    /**
+     * Returns the reading fields that are sent to clients
+     *
+     * @return object - The public reading fields
+     * */
+    SensorReading.prototype.toPublic = function () {
+        const reading = { recordedAt: this.recordedAt };
+        for (const metric of SensorReading.METRICS)
+            reading[metric] = this[metric];
+        return reading;
+    };
+    return SensorReading;
+};
@@ -0,0 +1,32 @@
+module.exports = (sequelize, Sequelize) => {
+    const Session = sequelize.define("session", {
+        refreshTokenHash: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true
+        },
+        expiresAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        revokedAt: {
+            type: Sequelize.DATE
+        },
+        userAgent: {
+            type: Sequelize.STRING
+        }
+    });
+    Session.associate = function (models) {
+        Session.belongsTo(models.user);
+    };
+
+    /**
+     * Returns whether the session can still be used to authenticate requests
+     *
+     * @return boolean - True if the session hasn't been revoked or expired
+     * */
+    Session.prototype.isActive = function () {
+        return !this.revokedAt && this.expiresAt > new Date();
+    };
+    return Session;
+};
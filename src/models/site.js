@@ -0,0 +1,38 @@
+module.exports = (sequelize, Sequelize) => {
+    // A property, like an apartment complex or a campus, made up of buildings
+    const Site = sequelize.define("site", {
+        name: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        address: {
+            type: Sequelize.STRING
+        },
+        // How many alarms in one building have to go off together for the fire to be confirmed without waiting for
+        // anyone to answer, or null to always wait
+        autoConfirmAlarms: {
+            type: Sequelize.INTEGER,
+            validate: { min: 2 }
+        }
+    });
+    Site.associate = function (models) {
+        Site.hasMany(models.building, { onDelete: 'CASCADE' });
+        // The user who manages the site's buildings, floors and rooms. Admins can manage every site.
+        Site.belongsTo(models.user, { as: 'manager', onDelete: 'SET NULL' });
+    };
+
+    /**
+     * Returns the site fields that are sent to clients
+     *
+     * @return object - The public site fields
+     * */
+    Site.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            name: this.name,
+            address: this.address,
+            autoConfirmAlarms: this.autoConfirmAlarms
+        };
+    };
+    return Site;
+};
@@ -5,8 +5,9 @@ module.exports = (sequelize, Sequelize) => {
             allowNull: false,
             unique: true
         },
+        // When the browser said the subscription stops working, if it said at all
         expirationTime: {
-            type: Sequelize.TIME,
+            type: Sequelize.DATE,
         },
         p256dh: {
             type: Sequelize.STRING,
@@ -15,10 +16,32 @@ module.exports = (sequelize, Sequelize) => {
         auth: {
             type: Sequelize.STRING,
             allowNull: false
+        },
+        // Sends failing in a row for reasons other than the subscription being gone
+        failureCount: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        lastFailureAt: {
+            type: Sequelize.DATE
+        },
+        // Set when the push service answers 429, so nothing else is sent until it says to retry
+        rateLimitedUntil: {
+            type: Sequelize.DATE
         }
     });
     Subscription.associate = function (models) {
         Subscription.belongsTo(models.user);
     };
+
+    /**
+     * Checks whether the subscription's expiration time has passed
+     *
+     * @return boolean - True if the subscription has expired
+     * */
+    Subscription.prototype.isExpired = function () {
+        return this.expirationTime !== null && this.expirationTime < new Date();
+    };
     return Subscription;
-};
\ No newline at end of file
+};
@@ -8,18 +8,64 @@ module.exports = (sequelize, Sequelize) => {
             type: Sequelize.STRING,
             allowNull: false
         },
-        password: {
+        passwordHash: {
             type: Sequelize.STRING,
             allowNull: false
         },
         username: {
             type: Sequelize.STRING,
-            allowNull: false
+            allowNull: false,
+            unique: true
+        },
+        // Admins can manage every user, alarm and subscription, not just their own
+        role: {
+            type: Sequelize.ENUM('user', 'admin'),
+            allowNull: false,
+            defaultValue: 'user'
+        }
+    }, {
+        defaultScope: {
+            attributes: { exclude: ['passwordHash'] }
+        },
+        scopes: {
+            withPassword: {
+                attributes: { include: ['passwordHash'] }
+            }
         }
     });
     User.associate = function (models) {
         User.hasMany(models.subscription);
-        User.hasOne(models.alarm);
+        User.hasMany(models.session);
+        User.belongsToMany(models.alarm, { through: models.alarmMember });
+        User.hasMany(models.alarmMember);
+        User.hasOne(models.preference);
+        User.hasMany(models.webhook);
+    };
+
+    User.ROLES = ['user', 'admin'];
+
+    /**
+     * Returns whether the user is an administrator
+     *
+     * @return boolean - True if the user has the admin role
+     * */
+    User.prototype.isAdmin = function () {
+        return this.role === 'admin';
+    };
+
+    /**
+     * Returns the user fields that are safe to send to clients
+     *
+     * @return object - The public user fields
+     * */
+    User.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            username: this.username,
+            firstName: this.firstName,
+            lastName: this.lastName,
+            role: this.role
+        };
     };
     return User;
 };
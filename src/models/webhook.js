@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+module.exports = (sequelize, Sequelize) => {
+    // Every event a webhook can subscribe to
+    const EVENTS = ['alarm.triggered', 'incident.confirmed', 'incident.dismissed', 'incident.timed_out',
+        'incident.unreachable', 'device.offline'];
+
+    // A URL a user wants told about events on the alarms they're a member of
+    const Webhook = sequelize.define("webhook", {
+        url: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        events: {
+            type: Sequelize.JSON,
+            allowNull: false
+        },
+        description: {
+            type: Sequelize.STRING
+        },
+        // Stored as-is since it's needed to sign every delivery
+        secret: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        active: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        }
+    }, {
+        defaultScope: {
+            attributes: { exclude: ['secret'] }
+        },
+        scopes: {
+            withSecret: {
+                attributes: { include: ['secret'] }
+            }
+        }
+    });
+    Webhook.associate = function (models) {
+        Webhook.belongsTo(models.user, { onDelete: 'CASCADE' });
+        Webhook.hasMany(models.webhookDelivery);
+    };
+
+    Webhook.EVENTS = EVENTS;
+
+    /**
+     * Creates a random signing secret for a webhook
+     *
+     * @return string - The secret
+     * */
+    Webhook.generateSecret = function () {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    };
+
+    /**
+     * Returns the webhook fields that are safe to send to clients
+     *
+     * @return object - The public webhook fields
+     * */
+    Webhook.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            url: this.url,
+            events: this.events,
+            description: this.description,
+            active: this.active,
+            createdAt: this.createdAt
+        };
+    };
+    return Webhook;
+};
@@ -0,0 +1,74 @@
+module.exports = (sequelize, Sequelize) => {
+    // One row per event sent to a webhook, kept until the webhook is deleted. Pending deliveries are retried at
+    // nextAttemptAt, including after a restart.
+    const WebhookDelivery = sequelize.define("webhookDelivery", {
+        // Sent as X-Blaze-Delivery, so receivers can ignore an event they've already handled
+        deliveryId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            unique: true
+        },
+        event: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        // The exact body sent each attempt, so retries carry the same signature input
+        payload: {
+            type: Sequelize.TEXT,
+            allowNull: false
+        },
+        status: {
+            type: Sequelize.ENUM('pending', 'delivered', 'failed'),
+            allowNull: false,
+            defaultValue: 'pending'
+        },
+        attempts: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        // The receiver's last response code, or null if it never answered
+        statusCode: {
+            type: Sequelize.INTEGER
+        },
+        error: {
+            type: Sequelize.STRING
+        },
+        // Milliseconds the last attempt took
+        latency: {
+            type: Sequelize.INTEGER
+        },
+        nextAttemptAt: {
+            type: Sequelize.DATE
+        },
+        deliveredAt: {
+            type: Sequelize.DATE
+        }
+    });
+    WebhookDelivery.associate = function (models) {
+        WebhookDelivery.belongsTo(models.webhook, { onDelete: 'CASCADE' });
+    };
+
+    /**
+     * Returns the delivery fields that are sent to clients
+     *
+     * @return object - The public delivery fields
+     * */
+    WebhookDelivery.prototype.toPublic = function () {
+        return {
+            id: this.id,
+            deliveryId: this.deliveryId,
+            event: this.event,
+            payload: JSON.parse(this.payload),
+            status: this.status,
+            attempts: this.attempts,
+            statusCode: this.statusCode,
+            error: this.error,
+            latency: this.latency,
+            nextAttemptAt: this.nextAttemptAt,
+            deliveredAt: this.deliveredAt,
+            createdAt: this.createdAt
+        };
+    };
+    return WebhookDelivery;
+};
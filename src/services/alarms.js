@@ -0,0 +1,216 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const places = require(`${root_dir}/src/services/places.js`);
+
+
+/**
+ * Finds an alarm by serial and checks that the user is an active member with one of the roles given
+ *
+ * @param alarmSerial The serial of the alarm
+ * @param user The user who must be a member of the alarm
+ * @param roles The roles allowed, or every role if not given
+ * @return Promise<object> - { alarm, membership } on success, or { status, error } describing why the alarm can't be used
+ * */
+async function findAlarmForUser (alarmSerial, user, roles = db.alarmMember.ROLES) {
+    const alarm = await db.alarm.findOne({ where: { alarmSerial: alarmSerial } });
+    if (!alarm)
+        return { status: 404, error: 'Unable to find alarm' };
+
+    const membership = await db.alarmMember.findOne({ where: { alarmId: alarm.id, userId: user.id, status: 'active' } });
+    if (!membership)
+        return { status: 403, error: "You don't have access to this alarm" };
+    if (!roles.includes(membership.role))
+        return { status: 403, error: roles.length === 1 && roles[0] === 'owner'
+            ? 'Only the alarm owner can do this'
+            : `Your role on this alarm (${membership.role}) can't do this` };
+    return { alarm: alarm, membership: membership };
+}
+
+
+/**
+ * Finds an alarm by serial and checks that the user owns it
+ *
+ * @param alarmSerial The serial of the alarm
+ * @param user The user who must own the alarm
+ * @return Promise<object> - { alarm, membership } on success, or { status, error } describing why the alarm can't be used
+ * */
+function findOwnedAlarm (alarmSerial, user) {
+    return findAlarmForUser(alarmSerial, user, ['owner']);
+}
+
+
+/**
+ * Returns the IDs of the alarm's active members with one of the roles given
+ *
+ * @param alarm The alarm
+ * @param roles The roles to include, or every role if not given
+ * @return Promise<array> - The user IDs
+ * */
+async function getMemberIds (alarm, roles = db.alarmMember.ROLES) {
+    const members = await db.alarmMember.findAll({
+        where: { alarmId: alarm.id, status: 'active', role: roles },
+        attributes: ['userId']
+    });
+    return members.map(member => member.userId);
+}
+
+
+/**
+ * Returns the IDs of the alarm's active members with one of the roles given who want to be notified about an event on
+ * it, going by their preferences. Members who never saved any preferences get everything.
+ *
+ * @param alarm The alarm
+ * @param event The kind of event, one of preference.EVENTS
+ * @param roles The roles to include, or every role if not given
+ * @return Promise<array> - The user IDs
+ * */
+async function getNotifiedMemberIds (alarm, event, roles = db.alarmMember.ROLES) {
+    const userIds = await getMemberIds(alarm, roles);
+    const preferences = await db.preference.findAll({ where: { userId: userIds } });
+    const optedOut = new Set(preferences.filter(preference => !preference.wantsEvent(alarm.id, event))
+        .map(preference => preference.userId));
+    return userIds.filter(userId => !optedOut.has(userId));
+}
+
+
+/**
+ * Returns the IDs of every alarm the user is an active member of
+ *
+ * @param user The user
+ * @param roles The roles to include, or every role if not given
+ * @return Promise<array> - The alarm IDs
+ * */
+async function getAlarmIdsForUser (user, roles = db.alarmMember.ROLES) {
+    const memberships = await db.alarmMember.findAll({
+        where: { userId: user.id, status: 'active', role: roles },
+        attributes: ['alarmId']
+    });
+    return memberships.map(membership => membership.alarmId);
+}
+
+
+/**
+ * Finds what a controller may send notifications about: its own alarm, every other alarm owned by one of its owners,
+ * and the sites those alarms are in along with every alarm in them
+ *
+ * @param alarm The alarm whose controller is notifying
+ * @return Promise<object> - { alarmIds, siteIds }
+ * */
+async function getNotifyScope (alarm) {
+    const ownerIds = await getMemberIds(alarm, ['owner']);
+    const owned = await db.alarmMember.findAll({
+        where: { userId: ownerIds, role: 'owner', status: 'active' },
+        attributes: ['alarmId']
+    });
+    const ownedIds = [alarm.id, ...owned.map(membership => membership.alarmId)];
+    const siteIds = await places.findSiteIds(ownedIds);
+    const siteAlarms = siteIds.length > 0 ? await places.findAlarmsIn('site', siteIds) : [];
+    return { alarmIds: [...new Set([...ownedIds, ...siteAlarms.map(siteAlarm => siteAlarm.id)])], siteIds: siteIds };
+}
+
+
+/**
+ * Revokes every active credential for an alarm
+ *
+ * @param alarm The alarm whose credentials are revoked
+ * @param transaction The transaction to revoke them in, if any
+ * @return Promise - Resolves once the credentials are revoked
+ * */
+function revokeAllCredentials (alarm, transaction) {
+    return db.deviceCredential.update(
+        { revokedAt: new Date() },
+        { where: { alarmId: alarm.id, revokedAt: null }, transaction: transaction }
+    );
+}
+
+
+/**
+ * Validates the alarm settings a user or admin can edit: its name, location and confirmation timeout
+ *
+ * @param body The request body
+ * @param alarm The alarm being edited. An alarm in a room gets its location from the room, so it can't be set directly.
+ * @return object - { changes } with the fields to update, or { error } if one is invalid
+ * */
+function parseAlarmChanges (body, alarm) {
+    const changes = {};
+    if (body.confirmationTimeout !== undefined) {
+        const timeout = body.confirmationTimeout;
+        if (!Number.isInteger(timeout) || timeout < 5 || timeout > 3600)
+            return { error: 'confirmationTimeout must be between 5 and 3600 seconds' };
+        changes.confirmationTimeout = timeout;
+    }
+    if (body.location !== undefined) {
+        if (alarm.roomId)
+            return { error: "The alarm's location is set from its room. Move it to another room instead." };
+        if (typeof body.location !== 'string' || body.location.trim() === '')
+            return { error: 'location must be a non-empty string' };
+        changes.location = body.location.trim();
+    }
+    if (body.name !== undefined) {
+        if (body.name !== null && typeof body.name !== 'string')
+            return { error: 'name must be a string or null' };
+        changes.name = body.name ? body.name.trim() : null;
+    }
+    return { changes: changes };
+}
+
+
+/**
+ * Takes a user out of the escalation tiers of the alarms given, once they're no longer a member of them. Tiers left
+ * without anyone are dropped; the rest keep their positions, so incidents already escalated stay on the right tier.
+ *
+ * @param userId The ID of the user to take out
+ * @param alarmIds The IDs of the alarms, or every alarm if not given
+ * @param transaction The transaction to update the tiers in, if any
+ * @return Promise - Resolves once the tiers are updated
+ * */
+async function removeFromEscalation (userId, alarmIds, transaction) {
+    const where = alarmIds ? { alarmId: alarmIds } : {};
+    const tiers = await db.escalationTier.findAll({ where: where, transaction: transaction });
+    for (const tier of tiers.filter(tier => tier.userIds.includes(userId))) {
+        const userIds = tier.userIds.filter(id => id !== userId);
+        if (userIds.length === 0)
+            await tier.destroy({ transaction: transaction });
+        else
+            await tier.update({ userIds: userIds }, { transaction: transaction });
+    }
+}
+
+
+/**
+ * Unpairs an alarm, removing every member, clearing its escalation policy, room and queued commands and revoking its
+ * credentials, so it has to register and be paired again before it can be used
+ *
+ * @param alarm The alarm to unpair
+ * @return Promise - Resolves once the alarm is unpaired
+ * */
+function resetPairing (alarm) {
+    return db.sequelize.transaction(async transaction => {
+        await db.alarmMember.destroy({ where: { alarmId: alarm.id }, transaction: transaction });
+        await db.escalationTier.destroy({ where: { alarmId: alarm.id }, transaction: transaction });
+        await db.deviceCommand.destroy({ where: { alarmId: alarm.id }, transaction: transaction });
+        await revokeAllCredentials(alarm, transaction);
+        await alarm.update({
+            name: null,
+            location: null,
+            roomId: null,
+            pairedAt: null,
+            pairingCodeHash: null,
+            pairingCodeExpiresAt: null,
+            claimTokenHash: null
+        }, { transaction: transaction });
+    });
+}
+
+module.exports = {
+    findAlarmForUser,
+    findOwnedAlarm,
+    getMemberIds,
+    getNotifiedMemberIds,
+    getAlarmIdsForUser,
+    getNotifyScope,
+    revokeAllCredentials,
+    parseAlarmChanges,
+    removeFromEscalation,
+    resetPairing
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const root_dir = require('app-root-path');
+
+
+/**
+ * Creates a stand-in adapter that writes each message to a JSON file instead of sending it, so the other channels
+ * can be tried out without an account with any provider. Messages are written to <outbox>/<channel>/.
+ *
+ * @param channel The channel the adapter sends for
+ * @param options The channel's config. outbox is the directory to write to, relative to the project root.
+ * @return object - The adapter
+ * */
+function create (channel, options) {
+    const directory = path.join(root_dir.toString(), options.outbox || 'outbox', channel);
+
+    return {
+        /**
+         * Writes the message to the outbox
+         *
+         * @param to The recipient's email address or phone number
+         * @param message The message, with a title and text
+         * @return Promise<object> - { statusCode }, always null since nothing answers
+         * */
+        send: async function (to, message) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const file = path.join(directory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+            await fs.promises.writeFile(file, JSON.stringify({
+                'channel': channel,
+                'to': to,
+                'title': message.title,
+                'text': message.text,
+                'sentAt': new Date()
+            }, null, 2));
+            console.log(`Wrote ${channel} message for ${to} to ${file}`);
+            return { statusCode: null };
+        }
+    };
+}
+
+module.exports = { create };
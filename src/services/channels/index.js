@@ -0,0 +1,122 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const env = process.env.NODE_ENV || 'development'
+const config = require(`${root_dir}/src/config/config.json`)[env];
+
+// Every adapter a channel can be configured to use. Each exports create(channel, options), which returns an object
+// with send(to, message) that resolves with { statusCode } once the provider accepts the message, or rejects.
+const ADAPTERS = {
+    file: require('./file.js'),
+    smtp: require('./smtp.js'),
+    twilio: require('./twilio.js')
+};
+
+// The contact detail each channel sends to
+const CONTACT_FIELDS = {
+    email: 'email',
+    sms: 'phoneNumber',
+    voice: 'phoneNumber'
+};
+
+// Channels without any config write to the outbox, so nothing is sent anywhere by accident
+const channelDetails = config.channels || {};
+const adapters = {};
+for (const channel of Object.keys(CONTACT_FIELDS)) {
+    const options = channelDetails[channel] || { adapter: 'file' };
+    if (!Object.hasOwn(ADAPTERS, options.adapter))
+        throw new Error(`Unknown adapter ${options.adapter} for the ${channel} channel`);
+    adapters[channel] = ADAPTERS[options.adapter].create(channel, options);
+}
+
+
+/**
+ * Sends a message to a user through one of the non-push channels, and logs the delivery
+ *
+ * @param channel The channel to send through: email, sms or voice
+ * @param userId The ID of the user to send to
+ * @param preference The user's preference row, holding their contact details
+ * @param message The message, with a title and text
+ * @param context What the message is for, as passed to pushService.deliverAll
+ * @return Promise<object> - The user, channel, whether it was sent, the provider's status code and any error
+ * */
+async function sendMessage (channel, userId, preference, message, context) {
+    const to = preference[CONTACT_FIELDS[channel]];
+    const result = { 'userId': userId, 'channel': channel, 'ok': false, 'statusCode': null, 'error': null };
+    const start = Date.now();
+
+    if (!to) {
+        result.error = `No ${CONTACT_FIELDS[channel]} to send to`;
+    } else {
+        try {
+            const response = await adapters[channel].send(to, message);
+            result.ok = true;
+            result.statusCode = response.statusCode;
+        } catch (err) {
+            console.error(`Error sending ${channel} message to user ${userId}: `, err.message);
+            result.statusCode = err.statusCode || null;
+            result.error = `Error occurred when sending ${channel} message`;
+        }
+    }
+
+    try {
+        await db.notificationDelivery.create({
+            channel: channel,
+            payloadType: context.payloadType,
+            incidentId: context.incidentId || null,
+            alarmId: context.alarmId || null,
+            userId: userId,
+            ok: result.ok,
+            statusCode: result.statusCode,
+            error: result.error,
+            latency: Date.now() - start,
+            retryCount: 0
+        });
+    } catch (err) {
+        console.error('Error logging notification delivery: ', err);
+    }
+    return result;
+}
+
+
+/**
+ * Reaches each user through their preferred channels, trying them in the order they chose until one gets through.
+ * Push counts as getting through if it reached at least one of the user's devices. Users without preferences only
+ * get push notifications, in English.
+ *
+ * @param userIds The IDs of the users to reach
+ * @param sendPush Sends the push notifications to one user, given their ID and language, resolving with the summary
+ * from pushService.summarize
+ * @param writeMessage Returns the title and text sent through the other channels, given the user's language
+ * @param context What the message is for, as passed to pushService.deliverAll
+ * @return Promise<object> - The push summary of every user that was pushed to, and the result of each message sent
+ * through the other channels
+ * */
+async function deliverWithFallback (userIds, sendPush, writeMessage, context) {
+    const preferences = await db.preference.findAll({ where: { userId: userIds } });
+    const byUser = new Map(preferences.map(preference => [preference.userId, preference]));
+
+    const pushed = [];
+    const messages = [];
+    await Promise.all(userIds.map(async userId => {
+        const preference = byUser.get(userId);
+        const channels = preference ? preference.channels : ['push'];
+        const language = preference ? preference.language : 'en';
+
+        for (const channel of channels) {
+            if (channel === 'push') {
+                const delivery = await sendPush(userId, language);
+                pushed.push(delivery);
+                if (delivery.successfulNotifications > 0)
+                    return;
+            } else {
+                const result = await sendMessage(channel, userId, preference, writeMessage(language), context);
+                messages.push(result);
+                if (result.ok)
+                    return;
+            }
+        }
+    }));
+    return { 'pushed': pushed, 'messages': messages };
+}
+
+module.exports = { sendMessage, deliverWithFallback };
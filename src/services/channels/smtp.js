@@ -0,0 +1,160 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// How long to wait for the SMTP server at each step, in milliseconds
+const TIMEOUT = 15000;
+
+
+/**
+ * Collects the SMTP server's replies from a socket. Multi-line replies ("250-...") are joined into one.
+ *
+ * @param socket The connection to the SMTP server
+ * @return function - Returns a promise for the next reply, as { code, text }
+ * */
+function replyReader (socket) {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            lines.push(line);
+            if (line[3] !== '-') {
+                replies.push({ code: parseInt(line.slice(0, 3)), text: lines.join('\n') });
+                lines = [];
+            }
+        }
+        while (replies.length > 0 && waiting.length > 0)
+            waiting.shift().resolve(replies.shift());
+    });
+    const fail = err => {
+        while (waiting.length > 0)
+            waiting.shift().reject(err || new Error('SMTP connection closed'));
+    };
+    socket.on('error', fail);
+    socket.on('close', () => fail());
+
+    return () => new Promise((resolve, reject) => {
+        if (replies.length > 0)
+            return resolve(replies.shift());
+        waiting.push({ resolve: resolve, reject: reject });
+    });
+}
+
+
+/**
+ * Sends a command and checks the server's reply code
+ *
+ * @param socket The connection to the SMTP server
+ * @param read The socket's reply reader
+ * @param line The command to send, or null to only read a reply
+ * @param expected The reply codes that mean success
+ * @return Promise<object> - The reply, or rejects if the code wasn't expected
+ * */
+async function command (socket, read, line, expected) {
+    if (line !== null)
+        socket.write(`${line}\r\n`);
+    const reply = await read();
+    if (!expected.includes(reply.code)) {
+        const err = new Error(`SMTP server rejected ${line ? line.split(' ')[0] : 'connection'}: ${reply.text}`);
+        err.statusCode = reply.code;
+        throw err;
+    }
+    return reply;
+}
+
+
+/**
+ * Builds the email, base64 encoding the body so it never needs dot-stuffing or 8-bit support
+ *
+ * @param from The sender's address
+ * @param to The recipient's address
+ * @param message The message, with a title and text
+ * @return string - The email, ready to send after DATA
+ * */
+function buildEmail (from, to, message) {
+    const body = Buffer.from(message.text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: =?UTF-8?B?${Buffer.from(message.title, 'utf8').toString('base64')}?=`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${from.split('@')[1] || os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+
+/**
+ * Creates an adapter that sends email through an SMTP server. Connections use TLS from the start when secure is set
+ * (usually port 465), and otherwise upgrade with STARTTLS whenever the server offers it.
+ *
+ * @param channel The channel the adapter sends for
+ * @param options The channel's config: host, port, secure, username, password and the from address
+ * @return object - The adapter
+ * */
+function create (channel, options) {
+    const port = options.port || (options.secure ? 465 : 587);
+
+    return {
+        /**
+         * Emails the message
+         *
+         * @param to The recipient's email address
+         * @param message The message, with a title and text
+         * @return Promise<object> - { statusCode } with the server's reply to the message, or rejects if it wasn't accepted
+         * */
+        send: async function (to, message) {
+            let socket = options.secure
+                ? tls.connect({ host: options.host, port: port, servername: options.host })
+                : net.connect({ host: options.host, port: port });
+            socket.setTimeout(TIMEOUT, () => socket.destroy(new Error('SMTP server timed out')));
+            let read = replyReader(socket);
+
+            try {
+                await command(socket, read, null, [220]);
+                let hello = await command(socket, read, `EHLO ${os.hostname()}`, [250]);
+
+                if (!options.secure && /STARTTLS/i.test(hello.text)) {
+                    await command(socket, read, 'STARTTLS', [220]);
+                    socket.removeAllListeners('data');
+                    socket.setTimeout(0);
+                    socket = tls.connect({ socket: socket, servername: options.host });
+                    socket.setTimeout(TIMEOUT, () => socket.destroy(new Error('SMTP server timed out')));
+                    read = replyReader(socket);
+                    await new Promise((resolve, reject) => {
+                        socket.once('secureConnect', resolve);
+                        socket.once('error', reject);
+                    });
+                    hello = await command(socket, read, `EHLO ${os.hostname()}`, [250]);
+                }
+
+                if (options.username) {
+                    const credentials = Buffer.from(`\0${options.username}\0${options.password}`).toString('base64');
+                    await command(socket, read, `AUTH PLAIN ${credentials}`, [235]);
+                }
+                await command(socket, read, `MAIL FROM:<${options.from}>`, [250]);
+                await command(socket, read, `RCPT TO:<${to}>`, [250, 251]);
+                await command(socket, read, 'DATA', [354]);
+                const accepted = await command(socket, read, `${buildEmail(options.from, to, message)}\r\n.`, [250]);
+                await command(socket, read, 'QUIT', [221]).catch(() => {});
+                return { statusCode: accepted.code };
+            } finally {
+                socket.destroy();
+            }
+        }
+    };
+}
+
+module.exports = { create };
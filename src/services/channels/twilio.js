@@ -0,0 +1,62 @@
+/**
+ * Escapes text for use inside TwiML
+ *
+ * @param text The text to escape
+ * @return string - The escaped text
+ * */
+function escapeXml (text) {
+    return text.replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+
+/**
+ * Creates an adapter that sends SMS messages or places voice calls through Twilio's REST API. Voice calls read the
+ * message out twice.
+ *
+ * @param channel Either sms or voice
+ * @param options The channel's config: accountSid, authToken and the from number
+ * @return object - The adapter
+ * */
+function create (channel, options) {
+    const resource = channel === 'voice' ? 'Calls' : 'Messages';
+    const url = `https://api.twilio.com/2010-04-01/Accounts/${options.accountSid}/${resource}.json`;
+    const authorization = Buffer.from(`${options.accountSid}:${options.authToken}`).toString('base64');
+
+    return {
+        /**
+         * Sends the message to a phone number
+         *
+         * @param to The recipient's phone number, in E.164 format
+         * @param message The message, with a title and text
+         * @return Promise<object> - { statusCode } from Twilio, or rejects if Twilio didn't accept it
+         * */
+        send: async function (to, message) {
+            const form = new URLSearchParams({ To: to, From: options.from });
+            const text = `${message.title}. ${message.text}`;
+            if (channel === 'voice') {
+                const say = `<Say>${escapeXml(text)}</Say>`;
+                form.set('Twiml', `<Response>${say}<Pause length="1"/>${say}</Response>`);
+            } else {
+                form.set('Body', text);
+            }
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Basic ${authorization}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: form,
+                signal: AbortSignal.timeout(10000)
+            });
+            if (!response.ok) {
+                const err = new Error(`Twilio responded with ${response.status}`);
+                err.statusCode = response.status;
+                throw err;
+            }
+            return { statusCode: response.status };
+        }
+    };
+}
+
+module.exports = { create };
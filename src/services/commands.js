@@ -0,0 +1,109 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { Op } = require('sequelize');
+
+// Commands older than this (in seconds) aren't sent anymore, since whatever they were for is long over
+const COMMAND_TTL = 60 * 60;
+
+// The longest a controller can hold /devices/commands open waiting for a command, in seconds
+const MAX_WAIT = 30;
+
+// Wake-up callbacks for controllers holding /devices/commands open, keyed by alarm ID
+const waiting = new Map();
+
+
+/**
+ * Queues a command for each of the alarms and wakes any of their controllers that are waiting for one
+ *
+ * @param alarmIds The IDs of the alarms to send the command to
+ * @param type The command: sound or silence
+ * @param incident The incident the command is for
+ * @return Promise<array> - The queued commands
+ * */
+async function queueCommands (alarmIds, type, incident) {
+    const queued = await db.deviceCommand.bulkCreate(alarmIds.map(alarmId => ({
+        type: type,
+        alarmId: alarmId,
+        incidentId: incident.id
+    })));
+
+    for (const alarmId of alarmIds) {
+        const callbacks = waiting.get(alarmId) || [];
+        waiting.delete(alarmId);
+        for (const callback of callbacks)
+            callback();
+    }
+    return queued;
+}
+
+
+/**
+ * Finds the commands the alarm's controller hasn't acknowledged yet, oldest first, and marks any it's seeing for the
+ * first time as delivered
+ *
+ * @param alarm The alarm
+ * @return Promise<array> - The pending commands
+ * */
+async function getPendingCommands (alarm) {
+    const pending = await db.deviceCommand.findAll({
+        where: {
+            alarmId: alarm.id,
+            acknowledgedAt: null,
+            createdAt: { [Op.gt]: new Date(Date.now() - COMMAND_TTL * 1000) }
+        },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+    const undelivered = pending.filter(command => !command.deliveredAt).map(command => command.id);
+    if (undelivered.length > 0)
+        await db.deviceCommand.update({ deliveredAt: new Date() }, { where: { id: undelivered } });
+    return pending;
+}
+
+
+/**
+ * Returns the alarm's pending commands, waiting up to the given number of seconds for one to be queued if there
+ * aren't any yet
+ *
+ * @param alarm The alarm
+ * @param seconds How long to wait, from 0 up to MAX_WAIT
+ * @return Promise<array> - The pending commands, which is empty if none were queued in time
+ * */
+async function waitForCommands (alarm, seconds) {
+    const pending = await getPendingCommands(alarm);
+    if (pending.length > 0 || seconds === 0)
+        return pending;
+
+    await new Promise(resolve => {
+        const wake = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            const callbacks = (waiting.get(alarm.id) || []).filter(callback => callback !== wake);
+            if (callbacks.length > 0)
+                waiting.set(alarm.id, callbacks);
+            else
+                waiting.delete(alarm.id);
+            resolve();
+        }, seconds * 1000);
+        waiting.set(alarm.id, [...(waiting.get(alarm.id) || []), wake]);
+    });
+    return getPendingCommands(alarm);
+}
+
+
+/**
+ * Records that the alarm's controller carried out one of its commands
+ *
+ * @param alarm The alarm
+ * @param commandId The ID of the command
+ * @return Promise<object> - The command, or null if the alarm has no command with that ID
+ * */
+async function acknowledgeCommand (alarm, commandId) {
+    const command = await db.deviceCommand.findOne({ where: { id: commandId, alarmId: alarm.id } });
+    if (command && !command.acknowledgedAt)
+        await command.update({ acknowledgedAt: new Date() });
+    return command;
+}
+
+module.exports = { MAX_WAIT, queueCommands, getPendingCommands, waitForCommands, acknowledgeCommand };
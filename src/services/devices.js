@@ -0,0 +1,144 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { Op } = require('sequelize');
+const env = process.env.NODE_ENV || 'development'
+const config = require(`${root_dir}/src/config/config.json`)[env];
+const pushService = require(`${root_dir}/src/services/push.js`);
+const alarms = require(`${root_dir}/src/services/alarms.js`);
+const webhooks = require(`${root_dir}/src/services/webhooks.js`);
+const live = require(`${root_dir}/src/services/live.js`);
+const telemetry = require(`${root_dir}/src/services/telemetry.js`);
+const messages = require(`${root_dir}/src/services/messages.js`);
+
+// How often controllers are asked to send a heartbeat, and how often the offline checker runs, in seconds
+const heartbeatDetails = config.heartbeat || {};
+const heartbeatInterval = heartbeatDetails.interval || 60;
+
+// How long an alarm can go without a heartbeat before it's marked offline, in seconds
+const offlineAfter = heartbeatDetails.offlineAfter || 5 * 60;
+
+let checker = null;
+
+
+// The preference event each device notice falls under, so members can turn them off
+const NOTICE_EVENTS = {
+    'online': 'offline',
+    'offline': 'offline',
+    'low_battery': 'low_battery'
+};
+
+
+/**
+ * Pushes a device status notice to every member of the alarm who wants to hear about it, in their language
+ *
+ * @param alarm The alarm whose status changed
+ * @param type The status the alarm changed to, sent in the notification's metadata: online, offline or low_battery
+ * */
+async function notifyMembers (alarm, type) {
+    const userIds = await alarms.getNotifiedMemberIds(alarm, NOTICE_EVENTS[type]);
+    const groups = await messages.groupByLanguage(userIds);
+    for (const [language, languageUserIds] of groups) {
+        const delivery = await pushService.notifyUsers(languageUserIds, {
+            ...messages.writeNotice(language, type, alarm.location || alarm.displayName()),
+            'metadata': {
+                'type': type,
+                'alarmSerial': alarm.alarmSerial
+            }
+        }, { payloadType: `device_${type}`, alarmId: alarm.id });
+        console.log(`Alarm ${alarm.alarmSerial} ${type} notice sent to ${delivery.successfulNotifications} of ${delivery.totalSubscriptions} subscriptions (${language})`);
+    }
+}
+
+
+/**
+ * Records a heartbeat from an alarm's controller. If the alarm had been marked offline, it's marked online again and
+ * its members are told it recovered.
+ *
+ * @param alarm The alarm that sent the heartbeat
+ * @param details The firmware version and signal strength the controller reported, either of which may be undefined
+ * @return Promise - Resolves once the heartbeat is recorded
+ * */
+async function recordHeartbeat (alarm, details) {
+    const wasSeen = alarm.lastSeen !== null;
+    const changes = { lastSeen: new Date() };
+    if (details.firmwareVersion !== undefined)
+        changes.firmwareVersion = details.firmwareVersion;
+    if (details.signalStrength !== undefined)
+        changes.signalStrength = details.signalStrength;
+    await alarm.update(changes);
+
+    // Conditional, so only one of several overlapping heartbeats sends the recovery notice
+    const [count] = await db.alarm.update({ online: true }, { where: { id: alarm.id, online: false } });
+    await alarm.reload();
+    live.publishDeviceStatus(alarm);
+    if (count > 0 && wasSeen) {
+        console.log(`Alarm ${alarm.alarmSerial} is back online`);
+        await notifyMembers(alarm, 'online');
+    }
+}
+
+
+/**
+ * Marks every online alarm that hasn't sent a heartbeat within the offline interval as offline, and tells their
+ * members and webhooks
+ *
+ * @return Promise<number> - The number of alarms marked offline
+ * */
+async function checkOfflineAlarms () {
+    const cutoff = new Date(Date.now() - offlineAfter * 1000);
+    const stale = await db.alarm.findAll({ where: { online: true, lastSeen: { [Op.lt]: cutoff } } });
+
+    let markedOffline = 0;
+    for (const alarm of stale) {
+        // Skip the alarm if a heartbeat arrived since it was read
+        const [count] = await db.alarm.update(
+            { online: false },
+            { where: { id: alarm.id, online: true, lastSeen: { [Op.lt]: cutoff } } }
+        );
+        if (count === 0)
+            continue;
+
+        markedOffline++;
+        await alarm.reload();
+        live.publishDeviceStatus(alarm);
+        console.log(`Alarm ${alarm.alarmSerial} is offline, last seen ${alarm.lastSeen.toISOString()}`);
+        await notifyMembers(alarm, 'offline');
+        webhooks.emit('device.offline', alarm, { 'lastSeen': alarm.lastSeen });
+    }
+    return markedOffline;
+}
+
+
+/**
+ * Tells the alarm's members when its battery first drops below the low battery voltage. Later low readings don't send
+ * it again until the battery has been replaced.
+ *
+ * @param alarm The alarm that sent the readings
+ * @param previous The alarm's latest reading before this batch, or null
+ * @param newest The newest reading in this batch
+ * @return Promise - Resolves once any notice is sent
+ * */
+async function checkBattery (alarm, previous, newest) {
+    if (telemetry.batteryStatus(newest).status !== 'low' || telemetry.batteryStatus(previous).status === 'low')
+        return;
+    console.log(`Alarm ${alarm.alarmSerial} battery is low (${newest.batteryVoltage} V)`);
+    await notifyMembers(alarm, 'low_battery');
+}
+
+
+/**
+ * Starts checking for alarms that stopped sending heartbeats, once per heartbeat interval
+ * */
+function startOfflineChecker () {
+    if (checker)
+        return;
+    checker = setInterval(async () => {
+        try {
+            await checkOfflineAlarms();
+        } catch (err) {
+            console.error('Error checking for offline alarms: ', err);
+        }
+    }, heartbeatInterval * 1000);
+}
+
+module.exports = { heartbeatInterval, offlineAfter, recordHeartbeat, checkOfflineAlarms, checkBattery, startOfflineChecker };
@@ -0,0 +1,220 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { Op } = require('sequelize');
+const env = process.env.NODE_ENV || 'development'
+const config = require(`${root_dir}/src/config/config.json`)[env];
+const incidents = require(`${root_dir}/src/services/incidents.js`);
+const places = require(`${root_dir}/src/services/places.js`);
+
+// How long members have to answer a drill by default, in seconds
+const responseWindow = (config.drills || {}).responseWindow || 5 * 60;
+
+// How often scheduled drills are checked for being due, and running ones for being over, in seconds
+const CHECK_INTERVAL = 15;
+
+let checker = null;
+
+
+/**
+ * Finds the alarms a drill covers
+ *
+ * @param drill The drill
+ * @return Promise<array> - The drill's alarm, or every alarm in its building
+ * */
+async function findDrillAlarms (drill) {
+    if (drill.alarmId)
+        return [await db.alarm.findByPk(drill.alarmId)];
+    return places.findAlarmsIn('building', drill.buildingId);
+}
+
+
+/**
+ * Starts a drill by opening an incident for each of its alarms and prompting their members
+ *
+ * @param drill The scheduled drill
+ * @return Promise<boolean> - True if this call started the drill, false if it was already started or cancelled
+ * */
+async function startDrill (drill) {
+    const startedAt = new Date();
+    const [count] = await db.drill.update(
+        { status: 'running', startedAt: startedAt, endsAt: new Date(startedAt.getTime() + drill.responseWindow * 1000) },
+        { where: { id: drill.id, status: 'scheduled' } }
+    );
+    await drill.reload();
+    if (count === 0)
+        return false;
+
+    const drillAlarms = await findDrillAlarms(drill);
+    for (const alarm of drillAlarms) {
+        const incident = await alarm.createIncident({ drillId: drill.id, confirmationTimeout: drill.responseWindow });
+        await incident.logEvent('triggered', { details: { 'drillId': drill.id } });
+        await incidents.startDrillIncident(incident, alarm, drill);
+    }
+    console.log(`Drill ${drill.id} started on ${drillAlarms.length} alarm(s)`);
+    return true;
+}
+
+
+/**
+ * Ends a running drill, closing its incidents so the answers are final
+ *
+ * @param drill The running drill
+ * @return Promise<boolean> - True if this call ended the drill
+ * */
+async function completeDrill (drill) {
+    const [count] = await db.drill.update(
+        { status: 'completed', completedAt: new Date() },
+        { where: { id: drill.id, status: 'running' } }
+    );
+    await drill.reload();
+    if (count === 0)
+        return false;
+
+    const open = await db.incident.findAll({ where: { drillId: drill.id, status: db.incident.OPEN_STATES } });
+    for (const incident of open)
+        await incidents.finishDrillIncident(incident);
+    console.log(`Drill ${drill.id} completed`);
+    return true;
+}
+
+
+/**
+ * Starts every scheduled drill that's due and ends every running drill whose response window has passed
+ *
+ * @return Promise - Resolves once the drills are started and ended
+ * */
+async function checkDrills () {
+    const now = new Date();
+    const due = await db.drill.findAll({ where: { status: 'scheduled', scheduledFor: { [Op.lte]: now } } });
+    for (const drill of due)
+        await startDrill(drill);
+
+    const over = await db.drill.findAll({ where: { status: 'running', endsAt: { [Op.lte]: now } } });
+    for (const drill of over)
+        await completeDrill(drill);
+}
+
+
+/**
+ * Starts checking for drills to start or end, straight away so drills missed while the server was down are caught up,
+ * and then every CHECK_INTERVAL seconds
+ * */
+function startDrillScheduler () {
+    if (checker)
+        return;
+    const check = async () => {
+        try {
+            await checkDrills();
+        } catch (err) {
+            console.error('Error checking drills: ', err);
+        }
+    };
+    check();
+    checker = setInterval(check, CHECK_INTERVAL * 1000);
+}
+
+
+/**
+ * Finds a drill and checks that the user can run it: the user who created it, the owner of its alarm, the manager of
+ * its building's site, or an admin
+ *
+ * @param drillId The ID of the drill
+ * @param user The user
+ * @return Promise<object> - { drill } on success, or { status, error } describing why it can't be used
+ * */
+async function findManagedDrill (drillId, user) {
+    const drill = await db.drill.findByPk(drillId);
+    if (!drill)
+        return { status: 404, error: 'Unable to find drill' };
+    if (drill.createdByUserId === user.id || user.isAdmin())
+        return { drill: drill };
+
+    if (drill.alarmId) {
+        const owner = await db.alarmMember.count({
+            where: { alarmId: drill.alarmId, userId: user.id, role: 'owner', status: 'active' }
+        });
+        if (owner > 0)
+            return { drill: drill };
+        return { status: 403, error: 'Only the alarm owner can do this' };
+    }
+
+    const { node, status, error } = await places.findManaged('building', drill.buildingId, user);
+    if (!node)
+        return { status: status, error: error };
+    return { drill: drill };
+}
+
+
+/**
+ * Summarizes a drill: who was prompted, who answered, what they answered and how long they took
+ *
+ * @param drill The drill
+ * @return Promise<object> - The drill, its alarms, each response, who didn't respond and response time statistics
+ * */
+async function describeReport (drill) {
+    const drillIncidents = await db.incident.findAll({
+        where: { drillId: drill.id },
+        include: [db.alarm, db.incidentEvent],
+        order: [['id', 'ASC']]
+    });
+
+    const promptedIds = new Set();
+    const responses = [];
+    for (const incident of drillIncidents) {
+        for (const event of incident.incidentEvents) {
+            if (event.type === 'prompted')
+                (event.details.userIds || []).forEach(userId => promptedIds.add(userId));
+            else if (event.type === 'responded')
+                responses.push({ incident: incident, event: event });
+        }
+    }
+    responses.sort((a, b) => a.event.details.responseSeconds - b.event.details.responseSeconds);
+
+    const userIds = [...promptedIds, ...responses.map(response => response.event.userId)];
+    const users = await db.user.findAll({ where: { id: userIds }, include: [db.preference] });
+    const describeUser = userId => {
+        const user = users.find(candidate => candidate.id === userId);
+        if (!user)
+            return { 'username': null, 'name': null };
+        return { 'username': user.username, 'name': (user.preference && user.preference.displayName) || user.firstName };
+    };
+
+    const respondedIds = new Set(responses.map(response => response.event.userId));
+    const times = responses.map(response => response.event.details.responseSeconds);
+    return {
+        'drill': drill.toPublic(),
+        'alarms': drillIncidents.map(incident => ({
+            'alarmSerial': incident.alarm.alarmSerial,
+            'alarmName': incident.alarm.displayName(),
+            'location': incident.alarm.location,
+            'incidentId': incident.id
+        })),
+        'responses': responses.map(({ incident, event }) => ({
+            ...describeUser(event.userId),
+            'alarmSerial': incident.alarm.alarmSerial,
+            'confirmed': event.details.confirmed,
+            'responseSeconds': event.details.responseSeconds,
+            'respondedAt': event.createdAt
+        })),
+        'noResponse': [...promptedIds].filter(userId => !respondedIds.has(userId)).map(describeUser),
+        'summary': {
+            'prompted': promptedIds.size,
+            'responded': respondedIds.size,
+            'averageResponseSeconds': times.length > 0
+                ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length * 10) / 10
+                : null,
+            'fastestResponseSeconds': times.length > 0 ? times[0] : null,
+            'slowestResponseSeconds': times.length > 0 ? times[times.length - 1] : null
+        }
+    };
+}
+
+module.exports = {
+    responseWindow,
+    startDrill,
+    completeDrill,
+    checkDrills,
+    startDrillScheduler,
+    findManagedDrill,
+    describeReport
+};
@@ -0,0 +1,830 @@
+const crypto = require('crypto');
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { Op } = require('sequelize');
+const env = process.env.NODE_ENV || 'development'
+const config = require(`${root_dir}/src/config/config.json`)[env];
+const { signToken } = require(`${root_dir}/src/utils/tokens.js`);
+const pushService = require(`${root_dir}/src/services/push.js`);
+const alarms = require(`${root_dir}/src/services/alarms.js`);
+const telemetry = require(`${root_dir}/src/services/telemetry.js`);
+const places = require(`${root_dir}/src/services/places.js`);
+const channels = require(`${root_dir}/src/services/channels`);
+const messages = require(`${root_dir}/src/services/messages.js`);
+const webhooks = require(`${root_dir}/src/services/webhooks.js`);
+const commands = require(`${root_dir}/src/services/commands.js`);
+
+// How long a confirmation prompt's response token can be used for, in seconds
+const responseTokenTtl = (config.auth || {}).responseTokenTtl || 10 * 60;
+
+// Seconds to wait before each retry of a failed controller callback
+const CALLBACK_RETRY_DELAYS = [5, 30, 120];
+
+// Undelivered callbacks for incidents settled longer ago than this (in seconds) are dropped on restart
+const CALLBACK_RESUME_WINDOW = 60 * 60;
+
+// How soon after an alarm goes off (in seconds) another alarm in the same building joins its incident instead of
+// starting a new one
+const correlationWindow = (config.correlation || {}).window || 60;
+
+// The outcomes that are treated as a fire, so every other alarm in the building is set off. An unreachable incident
+// isn't one: nobody was ever asked, so nobody failed to answer.
+const FIRE_STATES = ['confirmed', 'timed_out'];
+
+// Callbacks for requests that are waiting on an incident to settle, keyed by incident ID. Only the wake-up callbacks
+// and timers live in memory; the incident itself is always read back from the DB.
+const waiters = new Map();
+const timers = new Map();
+
+
+/**
+ * Stops tracking the incident and tells everything waiting on it that it settled, including the alarm's webhooks. The
+ * outcome of an incident is passed on to the incidents grouped into it.
+ *
+ * @param incident The incident that settled
+ * */
+function settle (incident) {
+    clearTimeout(timers.get(incident.id));
+    timers.delete(incident.id);
+
+    const callbacks = waiters.get(incident.id) || [];
+    waiters.delete(incident.id);
+    for (const callback of callbacks)
+        callback(incident);
+
+    if (incident.callbackUrl && !incident.callbackDeliveredAt)
+        deliverCallback(incident, 0);
+    webhooks.emitIncidentSettled(incident);
+    settleGroup(incident).catch(err =>
+        console.error(`Error passing on the outcome of incident ${incident.id}: `, err));
+}
+
+
+/**
+ * Returns the alarms that went off in a group of incidents: the primary incident's alarm first, then each alarm that
+ * joined it, in the order they went off
+ *
+ * @param primary The primary incident
+ * @return Promise<array> - The alarms, each with its room, floor, building and site loaded
+ * */
+async function getGroupAlarms (primary) {
+    const grouped = await db.incident.findAll({
+        where: { primaryIncidentId: primary.id },
+        order: [['triggeredAt', 'ASC'], ['id', 'ASC']]
+    });
+    const alarmIds = [primary.alarmId];
+    for (const incident of grouped) {
+        if (!alarmIds.includes(incident.alarmId))
+            alarmIds.push(incident.alarmId);
+    }
+
+    const groupAlarms = await db.alarm.findAll({ where: { id: alarmIds }, include: [places.alarmRoomInclude()] });
+    return alarmIds.map(id => groupAlarms.find(alarm => alarm.id === id));
+}
+
+
+/**
+ * Finds the incident a newly triggered alarm should join: the earliest primary incident in the same building that
+ * went off within the correlation window and hasn't been dismissed or resolved. Only incidents that went off before
+ * this one count, so two alarms going off at once can't each join the other. Drills are never joined.
+ *
+ * @param incident The alarm's new incident
+ * @param alarm The alarm that was triggered
+ * @return Promise<object> - The primary incident, or null if the alarm isn't in a room or nothing else is going off
+ * */
+async function findPrimaryIncident (incident, alarm) {
+    if (!alarm.roomId)
+        return null;
+    const room = await db.room.findByPk(alarm.roomId, { include: [db.floor] });
+    return db.incident.findOne({
+        where: {
+            [Op.or]: [
+                { triggeredAt: { [Op.lt]: incident.triggeredAt } },
+                { triggeredAt: incident.triggeredAt, id: { [Op.lt]: incident.id } }
+            ],
+            primaryIncidentId: null,
+            drillId: null,
+            status: db.incident.ACTIVE_STATES,
+            triggeredAt: { [Op.gte]: new Date(Date.now() - correlationWindow * 1000) },
+            '$alarm.room.floor.buildingId$': room.floor.buildingId
+        },
+        include: [{ model: db.alarm, include: [{ model: db.room, include: [db.floor] }] }],
+        order: [['triggeredAt', 'ASC'], ['id', 'ASC']]
+    });
+}
+
+
+/**
+ * Gives a grouped incident the same outcome as its primary incident
+ *
+ * @param incident The grouped incident
+ * @param primary The settled primary incident
+ * */
+async function followPrimary (incident, primary) {
+    if (incident.status === 'triggered')
+        await incident.transition('awaiting_confirmation');
+    const settled = await incident.transition(primary.status, {
+        respondedByUserId: primary.respondedByUserId,
+        respondedSubscriptionId: primary.respondedSubscriptionId
+    });
+    if (settled) {
+        await incident.logEvent(incident.status, {
+            userId: primary.respondedByUserId,
+            details: { 'primaryIncidentId': primary.id }
+        });
+        settle(incident);
+    }
+}
+
+
+/**
+ * Passes an incident's outcome on to the incidents grouped into it and, if it's a primary incident treated as a fire,
+ * sets off every other alarm in the building. An incident that joined another one just as it was itself being joined
+ * passes the outcome along too, so nothing grouped into it is left open.
+ *
+ * @param primary The settled incident
+ * */
+async function settleGroup (primary) {
+    const grouped = await db.incident.findAll({
+        where: { primaryIncidentId: primary.id, status: db.incident.OPEN_STATES }
+    });
+    for (const incident of grouped)
+        await followPrimary(incident, primary);
+
+    if (!primary.primaryIncidentId && FIRE_STATES.includes(primary.status))
+        await interconnect(primary);
+}
+
+
+/**
+ * Tells every alarm in the buildings of a group of incidents that didn't go off itself to sound, and logs which ones
+ * were sent the command
+ *
+ * @param primary The primary incident
+ * @return Promise<array> - The alarms that were told to sound
+ * */
+async function interconnect (primary) {
+    const groupAlarms = await getGroupAlarms(primary);
+    const buildingIds = [...new Set(groupAlarms.filter(alarm => alarm.room).map(alarm => alarm.room.floor.buildingId))];
+
+    const targets = [];
+    for (const buildingId of buildingIds) {
+        for (const alarm of await places.findAlarmsIn('building', buildingId)) {
+            if (!groupAlarms.some(groupAlarm => groupAlarm.id === alarm.id))
+                targets.push(alarm);
+        }
+    }
+    if (targets.length === 0)
+        return targets;
+
+    await commands.queueCommands(targets.map(alarm => alarm.id), 'sound', primary);
+    await primary.logEvent('interconnected', { details: { 'alarmSerials': targets.map(alarm => alarm.alarmSerial) } });
+    console.log(`Incident ${primary.id} set off ${targets.length} other alarm(s) in the building`);
+    return targets;
+}
+
+
+/**
+ * Confirms a group of incidents without waiting for anyone to answer, once as many alarms have gone off together as
+ * the site asks for
+ *
+ * @param primary The primary incident, awaiting confirmation
+ * @param groupAlarms The alarms that went off in the group, as returned by getGroupAlarms
+ * @return Promise<boolean> - True if the group was confirmed
+ * */
+async function autoConfirm (primary, groupAlarms) {
+    const room = groupAlarms[0].room;
+    const threshold = room ? room.floor.building.site.autoConfirmAlarms : null;
+    if (!threshold || groupAlarms.length < threshold)
+        return false;
+
+    if (!(await primary.transition('confirmed')))
+        return false;
+    console.log(`Incident ${primary.id} confirmed automatically after ${groupAlarms.length} alarms went off`);
+    await primary.logEvent('confirmed', {
+        details: { 'automatic': true, 'alarmSerials': groupAlarms.map(alarm => alarm.alarmSerial) }
+    });
+    settle(primary);
+    return true;
+}
+
+
+/**
+ * Returns the IDs of every user who has been prompted about an incident so far, at any tier
+ *
+ * @param incident The incident
+ * @return Promise<array> - The users' IDs
+ * */
+async function getPromptedUserIds (incident) {
+    const prompted = await db.incidentEvent.findAll({ where: { incidentId: incident.id, type: 'prompted' } });
+    return [...new Set(prompted.flatMap(event => event.details.userIds || []))];
+}
+
+
+/**
+ * Adds a newly triggered alarm's incident to an incident already under way in the same building. Instead of being
+ * prompted again, members who were already asked about the primary incident see the alarm join it, and only the
+ * alarm's members who weren't asked yet are prompted. The grouped incident follows the primary incident's outcome.
+ *
+ * @param incident The alarm's new incident
+ * @param primary The primary incident it joins, as returned by findPrimaryIncident
+ * @param alarm The alarm that was triggered
+ * @return Promise<object> - The outcome of prompting the alarm's members, as returned by promptUsers, or null if
+ * nobody new was prompted
+ * */
+async function joinIncident (incident, primary, alarm) {
+    await incident.update({ primaryIncidentId: primary.id });
+    await primary.logEvent('grouped', {
+        details: { 'incidentId': incident.id, 'alarmSerial': alarm.alarmSerial, 'location': alarm.location }
+    });
+    await incident.logEvent('grouped', { details: { 'primaryIncidentId': primary.id } });
+    console.log(`Incident ${incident.id} grouped into incident ${primary.id}`);
+
+    await incident.transition('awaiting_confirmation', { nextEscalationAt: primary.deadline() });
+    await primary.reload();
+    if (primary.isSettled()) {
+        await followPrimary(incident, primary);
+        return null;
+    }
+
+    const groupAlarms = await getGroupAlarms(primary);
+    if (await autoConfirm(primary, groupAlarms))
+        return null;
+
+    const prompted = await getPromptedUserIds(primary);
+    const responders = await alarms.getNotifiedMemberIds(alarm, 'fire', db.alarmMember.RESPONDER_ROLES);
+    const userIds = responders.filter(userId => !prompted.includes(userId));
+    if (userIds.length === 0)
+        return null;
+    return promptUsers(primary, userIds);
+}
+
+
+/**
+ * Moves on to the next escalation tier once the current tier's deadline passes, unless someone responds first
+ *
+ * @param incident The incident awaiting confirmation
+ * */
+function scheduleTimeout (incident) {
+    clearTimeout(timers.get(incident.id));
+    const remaining = Math.max(incident.deadline().getTime() - Date.now(), 0);
+    timers.set(incident.id, setTimeout(async () => {
+        try {
+            await incident.reload();
+            if (!incident.isSettled())
+                await escalate(incident);
+        } catch (err) {
+            console.error(`Error escalating incident ${incident.id}: `, err);
+        }
+    }, remaining));
+}
+
+
+/**
+ * Prompts the users given to confirm the incident through each of their preferred channels in turn. Push prompts go
+ * to every subscription the user has; the other channels tell them to open the app to respond. If other alarms in the
+ * building joined the incident, one prompt covers all of them. Prompts for a drill say so.
+ *
+ * @param incident The incident being confirmed
+ * @param userIds The IDs of the users to prompt
+ * @return Promise<object> - The number of subscriptions prompted, how many succeeded, any errors and the result of
+ * each push delivery, plus the result of each message sent through the other channels
+ * */
+async function promptUsers (incident, userIds) {
+    const groupAlarms = await getGroupAlarms(incident);
+    const alarm = groupAlarms[0];
+    const readings = await telemetry.getCurrentReadings(alarm);
+    const place = alarm.room ? places.describePlace(alarm.room) : null;
+    const writePrompt = language => messages.writePrompt(language, {
+        drill: !!incident.drillId,
+        locations: groupAlarms.map(groupAlarm => groupAlarm.location || groupAlarm.displayName()),
+        readings: readings
+    });
+    const context = { payloadType: incident.drillId ? 'drill' : 'confirmation', incidentId: incident.id, alarmId: alarm.id };
+
+    const sendPush = async (userId, language) => {
+        const prompt = writePrompt(language);
+        const dbSubscriptions = await db.subscription.findAll({ where: { userId: userId } });
+        const deliveries = [];
+        for (const subscription of dbSubscriptions) {
+            const notification = {
+                'title': prompt.title,
+                'message': prompt.pushMessage,
+                'actions': [
+                    {
+                        'action': 'confirm',
+                        'title': prompt.confirmAction,
+                        'type': 'button'
+                    },
+                    {
+                        'action': 'deny',
+                        'title': prompt.denyAction,
+                        'type': 'button'
+                    }
+                ],
+                'metadata': {
+                    ...describePrompt(incident, groupAlarms, readings, place),
+                    'responseToken': await issueResponseToken(incident, userId, subscription)
+                }
+            };
+            deliveries.push({ subscription: subscription, notification: notification });
+        }
+        return pushService.summarize(await pushService.deliverAll(deliveries, context));
+    };
+
+    const outcome = await channels.deliverWithFallback(userIds, sendPush, writePrompt, context);
+    const delivery = {
+        ...pushService.summarize(outcome.pushed.flatMap(pushed => pushed.deliveries)),
+        'channels': outcome.messages
+    };
+    const messagesSent = delivery.channels.filter(result => result.ok).length;
+    console.log(`Confirm prompt for incident ${incident.id} sent to ${delivery.successfulNotifications} of ${delivery.totalSubscriptions} subscriptions and ${messagesSent} other channel(s)`);
+    await incident.logEvent('prompted', {
+        details: {
+            'userIds': userIds,
+            'totalSubscriptions': delivery.totalSubscriptions,
+            'successfulNotifications': delivery.successfulNotifications,
+            'messagesSent': messagesSent
+        }
+    });
+    return delivery;
+}
+
+
+/**
+ * Checks whether a prompt reached anyone, either on a subscribed device or through another channel
+ *
+ * @param delivery The outcome returned by promptUsers
+ * @return boolean - True if there's somebody who might respond
+ * */
+function reachedAnyone (delivery) {
+    return delivery.totalSubscriptions > 0 || delivery.channels.some(result => result.ok);
+}
+
+
+/**
+ * Starts waiting on confirmation for a newly triggered incident by prompting every member of the alarm whose role
+ * can respond. If none of them can be reached, the incident escalates to the next tier straight away.
+ *
+ * @param incident The triggered incident
+ * @param alarm The alarm that was triggered
+ * @return Promise<object> - The outcome of prompting the members, as returned by promptUsers
+ * */
+async function startConfirmation (incident, alarm) {
+    // Awaiting confirmation from before the prompts go out, so a quick response isn't rejected
+    await incident.transition('awaiting_confirmation', {
+        escalationLevel: 0,
+        nextEscalationAt: new Date(Date.now() + incident.confirmationTimeout * 1000)
+    });
+    const responders = await alarms.getNotifiedMemberIds(alarm, 'fire', db.alarmMember.RESPONDER_ROLES);
+    const delivery = await promptUsers(incident, responders);
+    if (!reachedAnyone(delivery))
+        await incident.update({ nextEscalationAt: new Date() });
+    scheduleTimeout(incident);
+    return delivery;
+}
+
+
+/**
+ * Times an incident out because nobody answered in time
+ *
+ * @param incident The open incident
+ * @return Promise<boolean> - True if the incident timed out, false if it had already settled
+ * */
+async function timeOut (incident) {
+    if (!(await incident.transition('timed_out')))
+        return false;
+    console.log(`Incident ${incident.id} timed out waiting for a response`);
+    await incident.logEvent('timed_out');
+    settle(incident);
+    return true;
+}
+
+
+/**
+ * Settles an incident nobody could be asked to confirm, because the alarm has no responders or none of them can be
+ * reached. It stays active for the alarm's members to see, but doesn't set off the rest of the building.
+ *
+ * @param incident The open incident
+ * @param reason Why nobody could be asked, logged with the event
+ * @return Promise<boolean> - True if the incident settled, false if it had already settled
+ * */
+async function markUnreachable (incident, reason) {
+    if (!(await incident.transition('unreachable')))
+        return false;
+    console.log(`Incident ${incident.id} settled without prompting anyone: ${reason}`);
+    await incident.logEvent('unreachable', { details: { 'reason': reason } });
+    settle(incident);
+    return true;
+}
+
+
+/**
+ * Prompts the alarm's next escalation tier, or times the incident out if every tier has had its turn
+ *
+ * @param incident The incident whose current tier didn't respond in time
+ * */
+async function escalate (incident) {
+    const level = incident.escalationLevel;
+    const nextTier = await db.escalationTier.findOne({
+        where: { alarmId: incident.alarmId, position: { [Op.gt]: level } },
+        order: [['position', 'ASC']]
+    });
+
+    if (!nextTier) {
+        await timeOut(incident);
+        return;
+    }
+
+    // Only escalate if nobody responded and no other timer escalated in the meantime
+    const [count] = await db.incident.update(
+        { escalationLevel: nextTier.position, nextEscalationAt: new Date(Date.now() + nextTier.waitSeconds * 1000) },
+        { where: { id: incident.id, status: 'awaiting_confirmation', escalationLevel: level } }
+    );
+    await incident.reload();
+    if (count === 0)
+        return;
+
+    console.log(`Incident ${incident.id} escalated to tier ${nextTier.position}`);
+    await incident.logEvent('escalated', { details: { 'fromTier': level, 'userIds': nextTier.userIds } });
+    const delivery = await promptUsers(incident, nextTier.userIds);
+    if (!reachedAnyone(delivery))
+        await incident.update({ nextEscalationAt: new Date() });
+    scheduleTimeout(incident);
+}
+
+
+/**
+ * Waits until the incident is confirmed, dismissed or timed out
+ *
+ * @param incident The incident to wait on
+ * @return Promise - Resolves with the settled incident
+ * */
+function waitForOutcome (incident) {
+    if (incident.isSettled())
+        return Promise.resolve(incident);
+
+    return new Promise(resolve => {
+        const callbacks = waiters.get(incident.id) || [];
+        callbacks.push(resolve);
+        waiters.set(incident.id, callbacks);
+    });
+}
+
+
+/**
+ * POSTs the incident's outcome to the controller's callback URL, retrying with increasing delays if it fails. The body
+ * is signed with the alarm's newest active credential so the controller can check it came from this server.
+ *
+ * @param incident The settled incident
+ * @param attempt The number of attempts already made
+ * */
+async function deliverCallback (incident, attempt) {
+    try {
+        const alarm = await db.alarm.findByPk(incident.alarmId);
+        const credential = await db.deviceCredential.scope('withSecret').findOne({
+            where: { alarmId: incident.alarmId, revokedAt: null },
+            order: [['createdAt', 'DESC']]
+        });
+        if (!credential) {
+            console.log(`Not calling back for incident ${incident.id}, alarm has no active credential`);
+            return;
+        }
+
+        const body = JSON.stringify({
+            'incidentId': incident.id,
+            'alarmId': alarm.alarmSerial,
+            'status': incident.status,
+            'confirmed': incident.outcome()
+        });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const signature = crypto.createHmac('sha256', credential.secret).update(`${timestamp}\n${body}`).digest('hex');
+
+        const response = await fetch(incident.callbackUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Blaze-Key-Id': credential.keyId,
+                'X-Blaze-Timestamp': timestamp,
+                'X-Blaze-Signature': signature
+            },
+            body: body,
+            signal: AbortSignal.timeout(10000)
+        });
+        if (!response.ok)
+            throw new Error(`Callback responded with ${response.status}`);
+
+        await incident.update({ callbackDeliveredAt: new Date() });
+        console.log(`Outcome of incident ${incident.id} delivered to ${incident.callbackUrl}`);
+    } catch (err) {
+        if (attempt >= CALLBACK_RETRY_DELAYS.length) {
+            console.error(`Giving up on callback for incident ${incident.id}: `, err.message);
+            return;
+        }
+        console.log(`Callback for incident ${incident.id} failed, retrying: `, err.message);
+        setTimeout(() => deliverCallback(incident, attempt + 1), CALLBACK_RETRY_DELAYS[attempt] * 1000);
+    }
+}
+
+
+/**
+ * Records a user's answer to an incident's confirmation prompt
+ *
+ * @param incident The incident being answered
+ * @param confirmed True if the user confirmed the fire, false if it was a false alarm
+ * @param user The user who responded
+ * @param subscription The subscription the response came from, or null if unknown
+ * @return Promise<boolean> - True if the response settled the incident (or was recorded, for a drill), false if it was
+ * already settled
+ * */
+async function recordResponse (incident, confirmed, user, subscription) {
+    if (incident.drillId)
+        return recordDrillResponse(incident, confirmed, user);
+
+    const settled = await incident.transition(confirmed ? 'confirmed' : 'dismissed', {
+        respondedByUserId: user.id,
+        respondedSubscriptionId: subscription ? subscription.id : null
+    });
+    if (settled) {
+        await incident.logEvent(incident.status, { userId: user.id });
+        settle(incident);
+    }
+    return settled;
+}
+
+
+/**
+ * Records a member's answer to a drill prompt along with how long they took to give it. Drill incidents stay open
+ * until the drill ends so every member gets to answer, but each member's first answer is the one that counts.
+ *
+ * @param incident The drill's incident
+ * @param confirmed The member's answer
+ * @param user The member who answered
+ * @return Promise<boolean> - True if the answer was recorded, false if the drill is over or the member already answered
+ * */
+async function recordDrillResponse (incident, confirmed, user) {
+    if (incident.status !== 'awaiting_confirmation')
+        return false;
+    const answered = await db.incidentEvent.count({ where: { incidentId: incident.id, type: 'responded', userId: user.id } });
+    if (answered > 0)
+        return false;
+
+    const elapsed = Date.now() - incident.awaitingConfirmationAt.getTime();
+    await incident.logEvent('responded', {
+        userId: user.id,
+        details: { 'confirmed': confirmed, 'responseSeconds': Math.round(elapsed / 100) / 10 }
+    });
+    return true;
+}
+
+
+/**
+ * Prompts the members of an alarm for a drill. Only members who want to hear about drills are asked, and the incident
+ * never escalates, so nobody outside the alarm's members is contacted.
+ *
+ * @param incident The drill's incident for the alarm
+ * @param alarm The alarm being drilled
+ * @param drill The running drill
+ * @return Promise<object> - The outcome of prompting the members, as returned by promptUsers
+ * */
+async function startDrillIncident (incident, alarm, drill) {
+    await incident.transition('awaiting_confirmation', { nextEscalationAt: drill.endsAt });
+    const responders = await alarms.getNotifiedMemberIds(alarm, 'drill', db.alarmMember.RESPONDER_ROLES);
+    return promptUsers(incident, responders);
+}
+
+
+/**
+ * Closes a drill's incident once the drill ends. It takes the first answer given, or times out if nobody answered,
+ * and is then resolved so it doesn't stay active.
+ *
+ * @param incident The drill's incident
+ * @return Promise - Resolves once the incident is resolved
+ * */
+async function finishDrillIncident (incident) {
+    const first = await db.incidentEvent.findOne({
+        where: { incidentId: incident.id, type: 'responded' },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+    if (first)
+        await incident.transition(first.details.confirmed ? 'confirmed' : 'dismissed', { respondedByUserId: first.userId });
+    else
+        await incident.transition('timed_out');
+    if (await incident.transition('resolved'))
+        await incident.logEvent('resolved', { details: { 'drillId': incident.drillId } });
+}
+
+
+/**
+ * Resolves an incident along with the incidents grouped into it, and tells any alarms it set off to go quiet
+ *
+ * @param incident The incident to resolve
+ * @param user The user resolving it
+ * @return Promise<boolean> - True if the incident was resolved, false if it can't be from its current state
+ * */
+async function resolveIncident (incident, user) {
+    if (!(await incident.transition('resolved')))
+        return false;
+    await incident.logEvent('resolved', { userId: user.id });
+
+    const grouped = await db.incident.findAll({
+        where: { primaryIncidentId: incident.id, status: ['confirmed', 'dismissed', 'timed_out', 'unreachable'] }
+    });
+    for (const groupedIncident of grouped) {
+        if (await groupedIncident.transition('resolved'))
+            await groupedIncident.logEvent('resolved', { userId: user.id, details: { 'primaryIncidentId': incident.id } });
+    }
+
+    const sounded = await db.deviceCommand.findAll({ where: { incidentId: incident.id, type: 'sound' } });
+    if (sounded.length > 0)
+        await commands.queueCommands([...new Set(sounded.map(command => command.alarmId))], 'silence', incident);
+    return true;
+}
+
+
+/**
+ * Creates the single-use token a recipient sends back to /response to answer an incident's confirmation prompt. The
+ * token is bound to the incident, the user and the subscription it was pushed to, if any.
+ *
+ * @param incident The incident being confirmed
+ * @param userId The ID of the user being prompted
+ * @param subscription The subscription the prompt is being pushed to, or null if the user is answering in the app
+ * @return Promise<string> - The signed response token
+ * */
+async function issueResponseToken (incident, userId, subscription) {
+    const record = await db.responseToken.create({
+        jti: crypto.randomUUID(),
+        incidentId: incident.id,
+        userId: userId,
+        subscriptionId: subscription ? subscription.id : null,
+        expiresAt: new Date(Date.now() + responseTokenTtl * 1000)
+    });
+    return signToken({ typ: 'response', jti: record.jti, inc: incident.id, sub: userId }, responseTokenTtl);
+}
+
+
+
+/**
+ * Returns the token the app answers an incident's prompt with. The user's unused app token from an earlier read is
+ * signed again while it has at least half its lifetime left, and replaced otherwise, so reading the prompts over and
+ * over never leaves the user with more than one app token per incident.
+ *
+ * @param incident The incident being confirmed
+ * @param userId The ID of the user being prompted
+ * @return Promise<string> - The signed response token
+ * */
+async function getAppResponseToken (incident, userId) {
+    const where = { incidentId: incident.id, userId: userId, subscriptionId: null, usedAt: null };
+    const existing = await db.responseToken.findOne({
+        where: { ...where, expiresAt: { [Op.gt]: new Date(Date.now() + responseTokenTtl * 500) } }
+    });
+    if (existing) {
+        const remaining = Math.floor((existing.expiresAt.getTime() - Date.now()) / 1000);
+        return signToken({ typ: 'response', jti: existing.jti, inc: incident.id, sub: userId }, remaining);
+    }
+
+    await db.responseToken.destroy({ where: where });
+    return issueResponseToken(incident, userId, null);
+}
+
+/**
+ * Describes an incident for a confirmation prompt, so the app can show where and when the alarm went off
+ *
+ * @param incident The incident being confirmed
+ * @param groupAlarms The alarms that went off, as returned by getGroupAlarms. The first one is the incident's own.
+ * @param readings The first alarm's current readings, or null if there aren't any
+ * @param place The first alarm's site, building, floor and room, or null if it isn't in a room
+ * @return object - The prompt's details
+ * */
+function describePrompt (incident, groupAlarms, readings, place) {
+    const alarm = groupAlarms[0];
+    return {
+        'incidentId': incident.id,
+        'alarmSerial': alarm.alarmSerial,
+        'alarmName': alarm.displayName(),
+        'location': alarm.location,
+        'place': place,
+        'alarms': groupAlarms.map(groupAlarm => ({
+            'alarmSerial': groupAlarm.alarmSerial,
+            'alarmName': groupAlarm.displayName(),
+            'location': groupAlarm.location
+        })),
+        'drill': !!incident.drillId,
+        'drillId': incident.drillId,
+        'triggeredAt': incident.triggeredAt,
+        'confirmationDeadline': incident.deadline(),
+        'readings': readings
+    };
+}
+
+
+/**
+ * Returns the incident fields shown in the dashboard and admin views, which name the alarm and the responder instead of
+ * using IDs
+ *
+ * @param incident The incident, including its alarm and respondedBy user
+ * @return object - The public incident fields plus the alarm's serial, name and location and who responded
+ * */
+function describeIncident (incident) {
+    return {
+        ...incident.toPublic(),
+        'alarmSerial': incident.alarm.alarmSerial,
+        'alarmName': incident.alarm.displayName(),
+        'location': incident.alarm.location,
+        'respondedBy': incident.respondedBy
+            ? { 'username': incident.respondedBy.username, 'firstName': incident.respondedBy.firstName }
+            : null
+    };
+}
+
+
+/**
+ * Finds the confirmation prompts the user has been sent that are still waiting on an answer, so the app can show them
+ * when it's opened. Drill prompts the user already answered are left out. Each comes with a response token of its own
+ * for the app, since the ones pushed to the user's devices can't be read back.
+ *
+ * @param user The user
+ * @return Promise<array> - The details of each prompt, as in the push metadata, with a responseToken
+ * */
+async function getPendingPrompts (user) {
+    const open = await db.incident.findAll({
+        where: { status: 'awaiting_confirmation' },
+        include: [{ model: db.incidentEvent, where: { type: 'prompted' } }],
+        order: [['triggeredAt', 'ASC']]
+    });
+
+    const prompts = [];
+    for (const incident of open) {
+        const prompted = incident.incidentEvents.some(event => (event.details.userIds || []).includes(user.id));
+        if (!prompted)
+            continue;
+        if (incident.drillId) {
+            const answered = await db.incidentEvent.count({
+                where: { incidentId: incident.id, type: 'responded', userId: user.id }
+            });
+            if (answered > 0)
+                continue;
+        }
+        const groupAlarms = await getGroupAlarms(incident);
+        const readings = await telemetry.getCurrentReadings(groupAlarms[0]);
+        const place = groupAlarms[0].room ? places.describePlace(groupAlarms[0].room) : null;
+        prompts.push({
+            ...describePrompt(incident, groupAlarms, readings, place),
+            'responseToken': await getAppResponseToken(incident, user.id)
+        });
+    }
+    return prompts;
+}
+
+
+/**
+ * Picks back up incidents left open by a previous run of the server. Their timeouts are rescheduled from the stored
+ * deadline, so any that expired while the server was down time out straight away and their callbacks are sent.
+ * Grouped incidents wait on their primary incident instead, and take its outcome if it settled in the meantime. Drill
+ * incidents are left to their drill. Callbacks that were still undelivered for recently settled incidents are retried
+ * too.
+ *
+ * @return Promise<number> - The number of incidents resumed
+ * */
+async function resumeOpenIncidents () {
+    const open = await db.incident.findAll({
+        where: { status: db.incident.OPEN_STATES, drillId: null },
+        include: [{ model: db.incident, as: 'primaryIncident' }]
+    });
+    for (const incident of open) {
+        if (!incident.primaryIncident)
+            scheduleTimeout(incident);
+        else if (incident.primaryIncident.isSettled())
+            await followPrimary(incident, incident.primaryIncident);
+    }
+    if (open.length > 0)
+        console.log(`Resumed ${open.length} incident(s) left open by the last run`);
+
+    const undelivered = await db.incident.findAll({
+        where: {
+            status: { [Op.notIn]: db.incident.OPEN_STATES },
+            callbackUrl: { [Op.ne]: null },
+            callbackDeliveredAt: null,
+            updatedAt: { [Op.gt]: new Date(Date.now() - CALLBACK_RESUME_WINDOW * 1000) }
+        }
+    });
+    for (const incident of undelivered)
+        deliverCallback(incident, 0);
+    return open.length;
+}
+
+module.exports = {
+    startConfirmation,
+    timeOut,
+    markUnreachable,
+    findPrimaryIncident,
+    joinIncident,
+    waitForOutcome,
+    recordResponse,
+    startDrillIncident,
+    finishDrillIncident,
+    resolveIncident,
+    describeIncident,
+    getPendingPrompts,
+    resumeOpenIncidents
+};
@@ -0,0 +1,154 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+
+// How many recent events are kept so a client that reconnects with Last-Event-ID can catch up
+const BACKLOG_SIZE = 200;
+
+// Recent events, oldest first, each tagged with the alarms it's about so it's only replayed to those alarms' members
+const backlog = [];
+let lastEventId = 0;
+
+// Open streams, each with the IDs of the alarms its user can see and a function that writes an event to it
+const listeners = new Set();
+
+// What a member sees for each incident event, given the alarm's place, the name of the user involved and the event's
+// details
+const INCIDENT_MESSAGES = {
+    'triggered': (place) => `The alarm in ${place} was triggered`,
+    'prompted': (place) => `Members were asked to confirm the alarm in ${place}`,
+    'escalated': (place) => `Nobody answered in time, so the alarm in ${place} was escalated`,
+    'confirmed': (place, name, details) => details && details.automatic
+        ? `${details.alarmSerials.length} alarms went off together, so the fire in ${place} was confirmed`
+        : `${name} confirmed the fire in ${place}`,
+    'dismissed': (place, name) => `${name} marked the alarm in ${place} as a false alarm`,
+    'timed_out': (place) => `Nobody confirmed the alarm in ${place} in time`,
+    'unreachable': (place) => `Nobody could be asked to confirm the alarm in ${place}`,
+    'resolved': (place, name, details) => details && details.drillId
+        ? `Answers for ${place} are closed`
+        : `${name} resolved the incident in ${place}`,
+    'grouped': (place, name, details) => details.primaryIncidentId
+        ? `The alarm in ${place} joined an incident already under way in the building`
+        : `The alarm in ${details.location || details.alarmSerial} went off too`,
+    'interconnected': (place, name, details) =>
+        `${details.alarmSerials.length} other alarm(s) in the building were set off`,
+    'responded': (place, name, details) => `${name} answered for ${place} in ${details.responseSeconds} seconds`
+};
+
+
+/**
+ * Sends an event to every open stream whose user can see the alarm, and keeps it for clients that reconnect
+ *
+ * @param type The event type: incident, device or reading
+ * @param alarmId The ID of the alarm the event is about, or a list of IDs if it's about several
+ * @param data The event's details
+ * */
+function publish (type, alarmId, data) {
+    const event = { id: ++lastEventId, type: type, alarmIds: [].concat(alarmId), data: data };
+    backlog.push(event);
+    if (backlog.length > BACKLOG_SIZE)
+        backlog.shift();
+
+    for (const listener of listeners) {
+        if (canSee(listener, event))
+            listener.send(event);
+    }
+}
+
+
+/**
+ * Checks whether a stream's user can see an event
+ *
+ * @param listener The stream's listener
+ * @param event The event
+ * @return boolean - True if the user can see one of the alarms the event is about
+ * */
+function canSee (listener, event) {
+    return event.alarmIds.some(alarmId => listener.alarmIds.has(alarmId));
+}
+
+
+/**
+ * Starts sending events to a stream
+ *
+ * @param alarmIds The IDs of the alarms the stream's user can see
+ * @param send Writes an event to the stream
+ * @param lastSeenId The ID of the last event the client received before reconnecting, if any. Later events it missed
+ * are sent straight away.
+ * @return object - The listener, which can be passed to unsubscribe, and whose alarmIds can be replaced
+ * */
+function subscribe (alarmIds, send, lastSeenId) {
+    const listener = { alarmIds: new Set(alarmIds), send: send };
+    if (lastSeenId !== undefined) {
+        for (const event of backlog) {
+            if (event.id > lastSeenId && canSee(listener, event))
+                send(event);
+        }
+    }
+    listeners.add(listener);
+    return listener;
+}
+
+
+/**
+ * Stops sending events to a stream
+ *
+ * @param listener The listener returned by subscribe
+ * */
+function unsubscribe (listener) {
+    listeners.delete(listener);
+}
+
+
+/**
+ * Sends an alarm's current status, after a heartbeat or it going offline
+ *
+ * @param alarm The alarm
+ * */
+function publishDeviceStatus (alarm) {
+    publish('device', alarm.id, { 'alarm': alarm.toPublic() });
+}
+
+
+/**
+ * Sends the newest of a batch of readings an alarm uploaded
+ *
+ * @param alarm The alarm that sent the readings
+ * @param reading The newest reading
+ * */
+function publishReading (alarm, reading) {
+    publish('reading', alarm.id, { 'alarmSerial': alarm.alarmSerial, 'reading': reading.toPublic() });
+}
+
+
+/**
+ * Sends an entry of an incident's timeline along with the incident's new state. Members of the alarms grouped into
+ * the incident see it too, since they may have been prompted about it. Messages about drills start with "Drill:".
+ *
+ * @param event The incidentEvent that was logged
+ * @return Promise - Resolves once the event has been published
+ * */
+async function publishIncidentEvent (event) {
+    const incident = await db.incident.findByPk(event.incidentId, {
+        include: [db.alarm, { model: db.incident, as: 'groupedIncidents' }]
+    });
+    const user = event.userId ? await db.user.findByPk(event.userId, { include: [db.preference] }) : null;
+    // Members see the name the user chose in their settings, if they set one
+    const name = user ? (user.preference && user.preference.displayName) || user.firstName : 'Someone';
+    const place = incident.alarm.location || incident.alarm.displayName();
+    const describe = INCIDENT_MESSAGES[event.type];
+
+    const alarmIds = [incident.alarmId, ...incident.groupedIncidents.map(grouped => grouped.alarmId)];
+    publish('incident', [...new Set(alarmIds)], {
+        'incident': { ...incident.toPublic(), 'alarmSerial': incident.alarm.alarmSerial },
+        'event': event.toPublic(),
+        'user': user ? { 'username': user.username, 'firstName': user.firstName } : null,
+        'message': `${incident.drillId ? 'Drill: ' : ''}${describe(place, name, event.details)}`
+    });
+}
+
+// Every entry in an incident's timeline is streamed, so the stream can't fall out of step with GET /incidents/{id}/events
+db.incidentEvent.afterCreate(event => {
+    publishIncidentEvent(event).catch(err => console.error('Error publishing incident event: ', err));
+});
+
+module.exports = { subscribe, unsubscribe, publishDeviceStatus, publishReading };
@@ -0,0 +1,178 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+
+// What Blaze says to users, in each language they can pick in their preferences. Users without preferences, or with a
+// language missing here, get English.
+const TEXT = {
+    en: {
+        promptTitle: 'Alarm Confirmation',
+        drillTitle: 'Fire Drill',
+        triggered: location => `Alarm was triggered at ${location}.`,
+        groupTriggered: (count, locations) => `${count} alarms were triggered: ${locations}.`,
+        readings: readings => `Current readings: ${readings}.`,
+        smoke: 'Smoke',
+        drill: 'This is a drill, not a real fire.',
+        confirmPush: 'Please confirm the existence of a fire.',
+        confirmMessage: 'Open Blaze to confirm or dismiss it.',
+        confirmAction: 'Confirm Alarm',
+        denyAction: 'False Alarm',
+        onlineTitle: 'Alarm Back Online',
+        online: location => `Your alarm in ${location} is back online.`,
+        offlineTitle: 'Alarm Offline',
+        offline: location => `Your alarm in ${location} is offline. Check that it has power and a network connection.`,
+        lowBatteryTitle: 'Low Battery',
+        lowBattery: location => `The battery in your alarm in ${location} is low. Replace it soon.`,
+        testTitle: 'Test notification',
+        test: () => 'Notifications from Blaze are reaching this device.'
+    },
+    es: {
+        promptTitle: 'Confirmación de alarma',
+        drillTitle: 'Simulacro de incendio',
+        triggered: location => `Se activó la alarma en ${location}.`,
+        groupTriggered: (count, locations) => `Se activaron ${count} alarmas: ${locations}.`,
+        readings: readings => `Lecturas actuales: ${readings}.`,
+        smoke: 'Humo',
+        drill: 'Esto es un simulacro, no un incendio real.',
+        confirmPush: 'Confirma si hay un incendio.',
+        confirmMessage: 'Abre Blaze para confirmarlo o descartarlo.',
+        confirmAction: 'Confirmar alarma',
+        denyAction: 'Falsa alarma',
+        onlineTitle: 'Alarma conectada de nuevo',
+        online: location => `Tu alarma en ${location} vuelve a estar conectada.`,
+        offlineTitle: 'Alarma desconectada',
+        offline: location =>
+            `Tu alarma en ${location} está desconectada. Comprueba que tenga corriente y conexión a la red.`,
+        lowBatteryTitle: 'Batería baja',
+        lowBattery: location => `La batería de tu alarma en ${location} está baja. Cámbiala pronto.`,
+        testTitle: 'Notificación de prueba',
+        test: () => 'Las notificaciones de Blaze llegan a este dispositivo.'
+    },
+    fr: {
+        promptTitle: 'Confirmation d\'alarme',
+        drillTitle: 'Exercice d\'incendie',
+        triggered: location => `Une alarme s'est déclenchée : ${location}.`,
+        groupTriggered: (count, locations) => `${count} alarmes se sont déclenchées : ${locations}.`,
+        readings: readings => `Mesures actuelles : ${readings}.`,
+        smoke: 'Fumée',
+        drill: 'Ceci est un exercice, pas un vrai incendie.',
+        confirmPush: 'Veuillez confirmer s\'il y a un incendie.',
+        confirmMessage: 'Ouvrez Blaze pour le confirmer ou l\'écarter.',
+        confirmAction: 'Confirmer l\'alarme',
+        denyAction: 'Fausse alarme',
+        onlineTitle: 'Alarme de nouveau en ligne',
+        online: location => `Votre alarme (${location}) est de nouveau en ligne.`,
+        offlineTitle: 'Alarme hors ligne',
+        offline: location =>
+            `Votre alarme (${location}) est hors ligne. Vérifiez qu'elle est alimentée et connectée au réseau.`,
+        lowBatteryTitle: 'Batterie faible',
+        lowBattery: location => `La batterie de votre alarme (${location}) est faible. Remplacez-la bientôt.`,
+        testTitle: 'Notification de test',
+        test: () => 'Les notifications de Blaze arrivent sur cet appareil.'
+    }
+};
+
+// The title and text key of each notice: the device status notices, and the test notification from the settings page
+const NOTICES = {
+    'online': ['onlineTitle', 'online'],
+    'offline': ['offlineTitle', 'offline'],
+    'low_battery': ['lowBatteryTitle', 'lowBattery'],
+    'test': ['testTitle', 'test']
+};
+
+
+/**
+ * Returns the text for a language, falling back to English
+ *
+ * @param language The language code, like fr
+ * @return object - The text
+ * */
+function textFor (language) {
+    return Object.hasOwn(TEXT, language) ? TEXT[language] : TEXT.en;
+}
+
+
+/**
+ * Groups users by the language they want to be notified in
+ *
+ * @param userIds The IDs of the users
+ * @return Promise<Map> - The user IDs for each language
+ * */
+async function groupByLanguage (userIds) {
+    const preferences = await db.preference.findAll({ where: { userId: userIds }, attributes: ['userId', 'language'] });
+    const languages = new Map(preferences.map(preference => [preference.userId, preference.language]));
+    const groups = new Map();
+    for (const userId of userIds) {
+        const language = languages.get(userId) || 'en';
+        groups.set(language, [...(groups.get(language) || []), userId]);
+    }
+    return groups;
+}
+
+
+/**
+ * Describes readings in a short sentence for notification text, e.g. "Smoke 4.2 %/m, 38.5 °C, CO 12 ppm"
+ *
+ * @param readings The public reading, as returned by telemetry.getCurrentReadings
+ * @param language The language to describe them in
+ * @return string - The description, or an empty string if there's nothing to describe
+ * */
+function describeReadings (readings, language) {
+    if (!readings)
+        return '';
+    const parts = [];
+    if (readings.smokeObscuration !== null)
+        parts.push(`${textFor(language).smoke} ${readings.smokeObscuration} %/m`);
+    if (readings.temperature !== null)
+        parts.push(`${readings.temperature} °C`);
+    if (readings.co !== null)
+        parts.push(`CO ${readings.co} ppm`);
+    return parts.join(', ');
+}
+
+
+/**
+ * Writes a confirmation prompt in the user's language
+ *
+ * @param language The user's language
+ * @param prompt Whether it's a drill, the location of every alarm that went off, and the current readings of the
+ * first one (only described when a single alarm went off)
+ * @return object - The title, the push notification's message and action titles, and the text sent through the other
+ * channels
+ * */
+function writePrompt (language, prompt) {
+    const text = textFor(language);
+    let message = text.triggered(prompt.locations[0]);
+    if (prompt.locations.length > 1) {
+        message = text.groupTriggered(prompt.locations.length, prompt.locations.join('; '));
+    } else {
+        const readingsText = describeReadings(prompt.readings, language);
+        if (readingsText)
+            message += ` ${text.readings(readingsText)}`;
+    }
+    if (prompt.drill)
+        message = `${text.drill} ${message}`;
+    return {
+        'title': prompt.drill ? text.drillTitle : text.promptTitle,
+        'pushMessage': `${message} ${text.confirmPush}`,
+        'text': `${message} ${text.confirmMessage}`,
+        'confirmAction': text.confirmAction,
+        'denyAction': text.denyAction
+    };
+}
+
+
+/**
+ * Writes a notice in the user's language
+ *
+ * @param language The user's language
+ * @param type The status the alarm changed to (online, offline or low_battery), or test
+ * @param location Where the alarm is, for device status notices
+ * @return object - The title and message
+ * */
+function writeNotice (language, type, location) {
+    const text = textFor(language);
+    const [titleKey, messageKey] = NOTICES[type];
+    return { 'title': text[titleKey], 'message': text[messageKey](location) };
+}
+
+module.exports = { groupByLanguage, writePrompt, writeNotice };
@@ -0,0 +1,206 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+
+// The levels of the hierarchy, each with the path from an alarm up to it, for filtering alarms by where they are
+const LEVELS = {
+    'site': '$room.floor.building.siteId$',
+    'building': '$room.floor.buildingId$',
+    'floor': '$room.floorId$',
+    'room': 'roomId'
+};
+
+
+/**
+ * Returns the include that loads a room's floor, building and site
+ *
+ * @return array - The include for db.room queries
+ * */
+function roomInclude () {
+    return [{ model: db.floor, include: [{ model: db.building, include: [db.site] }] }];
+}
+
+
+/**
+ * Returns the include that loads an alarm's room, floor, building and site, for db.alarm queries
+ *
+ * @param required Whether to leave out alarms that aren't in a room
+ * @return object - The include
+ * */
+function alarmRoomInclude (required = false) {
+    return { model: db.room, required: required, include: roomInclude() };
+}
+
+
+/**
+ * Describes a room as users see it, e.g. "Room 104, Floor 3, Building A, Maple Court"
+ *
+ * @param room The room, with its floor, building and site loaded
+ * @return string - The room's full location
+ * */
+function formatLocation (room) {
+    const floor = room.floor;
+    return [room.name, floor.displayName(), floor.building.name, floor.building.site.name].join(', ');
+}
+
+
+/**
+ * Describes where a room is in the hierarchy, for clients to show or group by
+ *
+ * @param room The room, with its floor, building and site loaded
+ * @return object - The room's site, building, floor and the room itself
+ * */
+function describePlace (room) {
+    return {
+        'site': room.floor.building.site.toPublic(),
+        'building': room.floor.building.toPublic(),
+        'floor': room.floor.toPublic(),
+        'room': room.toPublic()
+    };
+}
+
+
+/**
+ * Returns where an alarm is in the hierarchy
+ *
+ * @param alarm The alarm
+ * @return Promise<object> - The alarm's site, building, floor and room, or null if it isn't in a room
+ * */
+async function getPlace (alarm) {
+    if (!alarm.roomId)
+        return null;
+    return describePlace(await db.room.findByPk(alarm.roomId, { include: roomInclude() }));
+}
+
+
+/**
+ * Orders rooms by site, building, floor level and name, putting alarms that aren't in a room (null) last
+ *
+ * @param a A room, with its floor, building and site loaded, or null
+ * @param b Another room, or null
+ * @return number - Negative if a comes first, positive if b does, or 0 if it doesn't matter
+ * */
+function compareRooms (a, b) {
+    if (!a || !b)
+        return (a ? 0 : 1) - (b ? 0 : 1);
+    return a.floor.building.site.name.localeCompare(b.floor.building.site.name)
+        || a.floor.building.name.localeCompare(b.floor.building.name)
+        || a.floor.level - b.floor.level
+        || a.name.localeCompare(b.name);
+}
+
+
+/**
+ * Finds the alarms in part of the hierarchy
+ *
+ * @param level The level to look in: site, building, floor or room
+ * @param id The ID of the site, building, floor or room
+ * @param floorLevel Only include alarms on the floor with this number, if given
+ * @return Promise<array> - The alarms, each with its room, floor, building and site loaded
+ * */
+function findAlarmsIn (level, id, floorLevel) {
+    const where = { [LEVELS[level]]: id };
+    if (floorLevel !== undefined)
+        where['$room.floor.level$'] = floorLevel;
+    return db.alarm.findAll({ where: where, include: [alarmRoomInclude(true)], order: [['alarmSerial', 'ASC']] });
+}
+
+
+/**
+ * Sets the location of every alarm in part of the hierarchy from its room, after something in it was renamed
+ *
+ * @param level The level that changed: site, building, floor or room
+ * @param id The ID of the site, building, floor or room
+ * @return Promise - Resolves once the alarms are updated
+ * */
+async function refreshLocations (level, id) {
+    for (const alarm of await findAlarmsIn(level, id))
+        await alarm.update({ location: formatLocation(alarm.room) });
+}
+
+
+/**
+ * Returns the IDs of the sites the alarms are in
+ *
+ * @param alarmIds The IDs of the alarms
+ * @return Promise<array> - The site IDs, leaving out alarms that aren't in a room
+ * */
+async function findSiteIds (alarmIds) {
+    const placed = await db.alarm.findAll({ where: { id: alarmIds }, include: [alarmRoomInclude(true)] });
+    return [...new Set(placed.map(alarm => alarm.room.floor.building.siteId))];
+}
+
+
+/**
+ * Finds a site, building, floor or room along with the site it's in
+ *
+ * @param level The level to look up: site, building, floor or room
+ * @param id The ID of the site, building, floor or room
+ * @return Promise<object> - { node, site }, or {} if it doesn't exist
+ * */
+async function findNode (level, id) {
+    const includes = {
+        'site': [],
+        'building': [db.site],
+        'floor': [{ model: db.building, include: [db.site] }],
+        'room': roomInclude()
+    };
+    const node = await db[level].findByPk(id, { include: includes[level] });
+    if (!node)
+        return {};
+
+    let site = node;
+    if (level === 'building')
+        site = node.site;
+    else if (level === 'floor')
+        site = node.building.site;
+    else if (level === 'room')
+        site = node.floor.building.site;
+    return { node: node, site: site };
+}
+
+
+/**
+ * Finds a site, building, floor or room and checks that the user manages the site it's in
+ *
+ * @param level The level to look up: site, building, floor or room
+ * @param id The ID of the site, building, floor or room
+ * @param user The user who must manage its site, or be an admin
+ * @return Promise<object> - { node, site } on success, or { status, error } describing why it can't be used
+ * */
+async function findManaged (level, id, user) {
+    const { node, site } = await findNode(level, id);
+    if (!node)
+        return { status: 404, error: `Unable to find ${level}` };
+    if (site.managerId !== user.id && !user.isAdmin())
+        return { status: 403, error: 'Only the site manager can do this' };
+    return { node: node, site: site };
+}
+
+
+/**
+ * Moves an alarm into a room, setting its location from the room, or takes it out of its room, keeping its last
+ * location
+ *
+ * @param alarm The alarm
+ * @param room The room, with its floor, building and site loaded, or null
+ * @return Promise - Resolves once the alarm is updated
+ * */
+function placeAlarm (alarm, room) {
+    if (!room)
+        return alarm.update({ roomId: null });
+    return alarm.update({ roomId: room.id, location: formatLocation(room) });
+}
+
+module.exports = {
+    alarmRoomInclude,
+    formatLocation,
+    describePlace,
+    getPlace,
+    compareRooms,
+    findAlarmsIn,
+    refreshLocations,
+    findSiteIds,
+    findNode,
+    findManaged,
+    placeAlarm
+};
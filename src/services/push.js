@@ -0,0 +1,283 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const env = process.env.NODE_ENV || 'development'
+const config = require(`${root_dir}/src/config/config.json`)[env];
+
+// Web-push setup
+const push = require('web-push');
+const pushDetails = config.push_details;
+push.setVapidDetails(`mailto:${pushDetails.email}`, pushDetails.publicKey, pushDetails.privateKey);
+
+// How long to hold off a rate limited subscription when the push service doesn't send Retry-After, in seconds
+const DEFAULT_RATE_LIMIT = 60;
+
+// Delivery engine settings. Sends run concurrently up to the concurrency limit, and each delivery gets maxAttempts
+// tries to succeed, backing off exponentially (with jitter) from baseBackoff milliseconds, within its deadline in seconds.
+const deliveryDetails = config.push_delivery || {};
+const concurrency = deliveryDetails.concurrency || 10;
+const maxAttempts = deliveryDetails.maxAttempts || 3;
+const baseBackoff = deliveryDetails.baseBackoff || 250;
+const deliveryDeadline = deliveryDetails.deadline || 10;
+
+
+/**
+ * Sends a push notification to a stored subscription
+ *
+ * @param subscription The subscription row to send to
+ * @param notification The payload, which the service worker reads title, message, actions and metadata from
+ * @param timeout How long to wait for the push service, in milliseconds, if limited
+ * @return Promise - Resolves with the push service's response, or rejects with its error
+ * */
+function sendNotification (subscription, notification, timeout) {
+    const sub = {
+        endpoint: subscription.endpoint,
+        expirationTime: subscription.expirationTime,
+        keys: {
+            p256dh: subscription.p256dh,
+            auth: subscription.auth
+        }
+    };
+    return push.sendNotification(sub, JSON.stringify(notification), timeout ? { timeout: timeout } : {});
+}
+
+
+/**
+ * Works out how long a 429 response asked us to wait before sending again
+ *
+ * @param headers The push service's response headers
+ * @return Date - When sending can resume
+ * */
+function retryAfter (headers) {
+    const value = (headers || {})['retry-after'];
+    if (value && /^\d+$/.test(value))
+        return new Date(Date.now() + parseInt(value) * 1000);
+    const date = value ? new Date(value) : null;
+    if (date && !isNaN(date.getTime()))
+        return date;
+    return new Date(Date.now() + DEFAULT_RATE_LIMIT * 1000);
+}
+
+
+/**
+ * Returns how long to wait before the next attempt, using exponential backoff with full jitter
+ *
+ * @param attempt The number of attempts made so far
+ * @return number - The wait in milliseconds
+ * */
+function backoff (attempt) {
+    return Math.random() * baseBackoff * 2 ** (attempt - 1);
+}
+
+
+/**
+ * Makes a single attempt at sending a push notification and acts on what the push service says about the
+ * subscription. Subscriptions the push service reports as gone (404/410) are deleted, and a rate limited subscription
+ * (429) isn't sent anything else until its Retry-After time.
+ *
+ * @param subscription The subscription row to send to
+ * @param notification The payload to send
+ * @param timeout How long to wait for the push service, in milliseconds
+ * @return Promise<object> - { ok, statusCode, error, retryable }, where retryable is true for failures that may not
+ * happen again (network errors, timeouts and 5xx responses)
+ * */
+async function attemptDelivery (subscription, notification, timeout) {
+    try {
+        const response = await sendNotification(subscription, notification, timeout);
+        return { ok: true, statusCode: response.statusCode, error: null, retryable: false };
+    } catch (err) {
+        const statusCode = err.statusCode || null;
+        switch (statusCode) {
+            case 404:
+            case 410:
+                await subscription.destroy();
+                console.log(`Removed subscription ${subscription.id} of user ${subscription.userId}, push service says it's gone`);
+                return {
+                    ok: false,
+                    statusCode: statusCode,
+                    error: 'Subscription has expired and was removed',
+                    retryable: false,
+                    removed: true
+                };
+            case 413:
+                // The payload's fault, not the subscription's
+                console.log(`Notification too large for subscription ${subscription.id}`);
+                return { ok: false, statusCode: statusCode, error: 'Notification payload is too large', retryable: false };
+            case 429:
+                await subscription.update({ rateLimitedUntil: retryAfter(err.headers) });
+                console.log(`Push service is rate limiting subscription ${subscription.id} until ${subscription.rateLimitedUntil.toISOString()}`);
+                return { ok: false, statusCode: statusCode, error: 'Push service is rate limiting this subscription', retryable: false };
+            default:
+                console.log(`Error sending notification to user ${subscription.userId}: `, err.message);
+                return {
+                    ok: false,
+                    statusCode: statusCode,
+                    error: 'Error occurred when sending notification',
+                    retryable: statusCode === null || statusCode >= 500
+                };
+        }
+    }
+}
+
+
+/**
+ * Sends a push notification to a subscription, retrying transient failures with backoff until it succeeds, runs out
+ * of attempts or passes its deadline. Subscriptions that have passed their expiration time are deleted instead, and
+ * failures that outlast every retry are counted against the subscription.
+ *
+ * @param subscription The subscription row to send to
+ * @param notification The payload to send
+ * @return Promise<object> - The subscription and user IDs, whether it was delivered, the push service's status code,
+ * why it wasn't delivered, the number of attempts made, how long it took in milliseconds and whether the subscription
+ * was deleted as dead
+ * */
+async function deliver (subscription, notification) {
+    const started = Date.now();
+    const deadline = started + deliveryDeadline * 1000;
+    const report = (result, attempts) => ({
+        'subscriptionId': subscription.id,
+        'userId': subscription.userId,
+        'ok': result.ok,
+        'statusCode': result.statusCode,
+        'error': result.error,
+        'attempts': attempts,
+        'latency': Date.now() - started,
+        'removed': result.removed === true
+    });
+
+    if (subscription.isExpired()) {
+        await subscription.destroy();
+        console.log(`Removed expired subscription ${subscription.id} of user ${subscription.userId}`);
+        return report({ ok: false, statusCode: null, error: 'Subscription has expired and was removed', removed: true }, 0);
+    }
+    if (subscription.rateLimitedUntil && subscription.rateLimitedUntil > new Date())
+        return report({ ok: false, statusCode: null, error: 'Push service is rate limiting this subscription' }, 0);
+
+    let attempts = 0;
+    let result;
+    while (true) {
+        attempts++;
+        result = await attemptDelivery(subscription, notification, Math.max(deadline - Date.now(), 1));
+        if (result.ok || !result.retryable || attempts >= maxAttempts)
+            break;
+
+        const wait = backoff(attempts);
+        if (Date.now() + wait >= deadline) {
+            result.error = 'Delivery deadline passed';
+            break;
+        }
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    if (result.ok && (subscription.failureCount > 0 || subscription.rateLimitedUntil))
+        await subscription.update({ failureCount: 0, rateLimitedUntil: null });
+    else if (result.retryable)
+        await subscription.update({ failureCount: subscription.failureCount + 1, lastFailureAt: new Date() });
+    return report(result, attempts);
+}
+
+
+/**
+ * Sends a batch of push notifications concurrently, with at most the configured number in flight at once, and logs
+ * the result of each
+ *
+ * @param deliveries The { subscription, notification } pairs to send
+ * @param context What the notifications are for: the payloadType and, if any, the incidentId and alarmId
+ * @return Promise<array> - The result of each delivery as returned by deliver, in the same order
+ * */
+async function deliverAll (deliveries, context) {
+    const results = new Array(deliveries.length);
+    let next = 0;
+
+    async function worker () {
+        while (next < deliveries.length) {
+            const index = next++;
+            try {
+                results[index] = await deliver(deliveries[index].subscription, deliveries[index].notification);
+            } catch (err) {
+                console.error('Unknown error delivering notification: ', err);
+                results[index] = {
+                    'subscriptionId': deliveries[index].subscription.id,
+                    'userId': deliveries[index].subscription.userId,
+                    'ok': false,
+                    'statusCode': null,
+                    'error': 'Error occurred when sending notification',
+                    'attempts': 0,
+                    'latency': 0,
+                    'removed': false
+                };
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, deliveries.length) }, worker));
+
+    try {
+        await db.notificationDelivery.bulkCreate(results.map(result => ({
+            payloadType: context.payloadType,
+            incidentId: context.incidentId || null,
+            alarmId: context.alarmId || null,
+            userId: result.userId,
+            // The subscription may have been deleted as dead during the delivery
+            subscriptionId: result.removed ? null : result.subscriptionId,
+            ok: result.ok,
+            statusCode: result.statusCode,
+            error: result.error,
+            latency: result.latency,
+            retryCount: Math.max(result.attempts - 1, 0)
+        })));
+    } catch (err) {
+        console.error('Error logging notification deliveries: ', err);
+    }
+    return results;
+}
+
+
+/**
+ * Totals up the results of a batch of deliveries
+ *
+ * @param results The results returned by deliverAll
+ * @return object - The number of subscriptions sent to, how many succeeded, any errors and the result of each
+ * */
+function summarize (results) {
+    return {
+        'totalSubscriptions': results.length,
+        'successfulNotifications': results.filter(result => result.ok).length,
+        'errors': results.filter(result => !result.ok).map(result => result.error),
+        'deliveries': results
+    };
+}
+
+
+/**
+ * Sends the same push notification to every subscription of the users given
+ *
+ * @param userIds The IDs of the users to notify
+ * @param notification The payload to send
+ * @param context What the notification is for, as passed to deliverAll
+ * @return Promise<object> - The delivery summary as returned by summarize, plus the same counts for each user (keyed
+ * by user ID, including users without any subscriptions)
+ * */
+async function notifyUsers (userIds, notification, context) {
+    const dbSubscriptions = await db.subscription.findAll({ where: { userId: userIds } });
+    const results = await deliverAll(dbSubscriptions.map(subscription => ({
+        subscription: subscription,
+        notification: notification
+    })), context);
+
+    const perUser = new Map(userIds.map(userId => [userId, {
+        'totalSubscriptions': 0,
+        'successfulNotifications': 0,
+        'errors': []
+    }]));
+    for (const result of results) {
+        const userDelivery = perUser.get(result.userId);
+        userDelivery.totalSubscriptions++;
+        if (result.ok)
+            userDelivery.successfulNotifications++;
+        else
+            userDelivery.errors.push(result.error);
+    }
+    return { ...summarize(results), 'users': perUser };
+}
+
+module.exports = { sendNotification, deliver, deliverAll, summarize, notifyUsers };
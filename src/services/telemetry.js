@@ -0,0 +1,113 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { Op, fn, col, literal } = require('sequelize');
+
+// The query ranges the dashboard can ask for, and the bucket size each is downsampled to, in seconds
+const RANGES = {
+    'hour': { span: 60 * 60, bucket: 60 },
+    'day': { span: 24 * 60 * 60, bucket: 15 * 60 },
+    'week': { span: 7 * 24 * 60 * 60, bucket: 2 * 60 * 60 }
+};
+
+// Readings older than this (in seconds) are too stale to describe current conditions in a confirmation prompt
+const CURRENT_READING_AGE = 5 * 60;
+
+// A controller's 9 V battery reading below this many volts needs replacing soon
+const LOW_BATTERY_VOLTAGE = 7.5;
+
+
+/**
+ * Downsamples an alarm's readings over one of the RANGES into fixed-size buckets, each with the min, max and average
+ * of every sensor. The database does the bucketing, so only one row per bucket is loaded. Buckets without any readings
+ * are left out.
+ *
+ * @param alarm The alarm
+ * @param range The name of the range, one of the keys of RANGES
+ * @return Promise<object> - The range, bucket size and buckets, oldest first
+ * */
+async function getBuckets (alarm, range) {
+    const { span, bucket } = RANGES[range];
+    const bucketMs = bucket * 1000;
+    const end = Date.now();
+    const start = Math.floor((end - span * 1000) / bucketMs) * bucketMs;
+
+    // The start of each reading's bucket in Unix seconds, using SQLite's date functions
+    const attributes = [
+        [literal(`CAST(strftime('%s', recordedAt) AS INTEGER) / ${bucket} * ${bucket}`), 'bucketStart'],
+        [fn('COUNT', col('id')), 'count']
+    ];
+    for (const metric of db.sensorReading.METRICS) {
+        attributes.push([fn('MIN', col(metric)), `${metric}Min`]);
+        attributes.push([fn('MAX', col(metric)), `${metric}Max`]);
+        attributes.push([fn('AVG', col(metric)), `${metric}Avg`]);
+    }
+
+    const rows = await db.sensorReading.findAll({
+        attributes: attributes,
+        where: { alarmId: alarm.id, recordedAt: { [Op.gte]: new Date(start) } },
+        group: [literal('bucketStart')],
+        order: [[literal('bucketStart'), 'ASC']],
+        raw: true
+    });
+
+    return {
+        'range': range,
+        'bucketSeconds': bucket,
+        'from': new Date(start),
+        'to': new Date(end),
+        'buckets': rows.map(row => {
+            const summary = { 'start': new Date(row.bucketStart * 1000), 'count': row.count };
+            for (const metric of db.sensorReading.METRICS) {
+                summary[metric] = row[`${metric}Min`] !== null
+                    ? { 'min': row[`${metric}Min`], 'max': row[`${metric}Max`], 'avg': row[`${metric}Avg`] }
+                    : null;
+            }
+            return summary;
+        })
+    };
+}
+
+
+/**
+ * Returns the alarm's most recent reading
+ *
+ * @param alarm The alarm
+ * @param maxAge Ignore readings older than this many seconds, if given
+ * @return Promise - Resolves with the reading, or null if there isn't one
+ * */
+function getLatestReading (alarm, maxAge) {
+    const where = { alarmId: alarm.id };
+    if (maxAge)
+        where.recordedAt = { [Op.gte]: new Date(Date.now() - maxAge * 1000) };
+    return db.sensorReading.findOne({ where: where, order: [['recordedAt', 'DESC']] });
+}
+
+
+/**
+ * Returns the alarm's current readings for including in a confirmation prompt
+ *
+ * @param alarm The alarm that was triggered
+ * @return Promise - Resolves with the public reading, or null if the alarm hasn't reported any recently
+ * */
+async function getCurrentReadings (alarm) {
+    const reading = await getLatestReading(alarm, CURRENT_READING_AGE);
+    return reading ? reading.toPublic() : null;
+}
+
+
+/**
+ * Works out the state of an alarm's battery from its latest reading
+ *
+ * @param reading The alarm's latest reading, or null if it hasn't sent any
+ * @return object - The battery voltage (or null if unknown) and a status of ok, low or unknown
+ * */
+function batteryStatus (reading) {
+    if (!reading || reading.batteryVoltage === null || reading.batteryVoltage === undefined)
+        return { 'voltage': null, 'status': 'unknown' };
+    return {
+        'voltage': reading.batteryVoltage,
+        'status': reading.batteryVoltage < LOW_BATTERY_VOLTAGE ? 'low' : 'ok'
+    };
+}
+
+module.exports = { RANGES, getBuckets, getLatestReading, getCurrentReadings, batteryStatus };
@@ -0,0 +1,49 @@
+const root_dir = require('app-root-path');
+const db = require(`${root_dir}/src/models`);
+const { removeFromEscalation } = require(`${root_dir}/src/services/alarms.js`);
+const env = process.env.NODE_ENV || 'development'
+const config = require(`${root_dir}/src/config/config.json`)[env];
+
+// Usernames given the admin role when the server starts, so there's a way in before anyone can be promoted in the app
+const adminUsernames = (config.admin || {}).usernames || [];
+
+
+/**
+ * Gives the admin role to every user listed under admin.usernames in the config
+ *
+ * @return Promise<number> - The number of users promoted
+ * */
+async function promoteConfiguredAdmins () {
+    if (adminUsernames.length === 0)
+        return 0;
+    const [count] = await db.user.update({ role: 'admin' }, { where: { username: adminUsernames, role: 'user' } });
+    if (count > 0)
+        console.log(`Promoted ${count} user(s) listed in the config to admin`);
+    return count;
+}
+
+
+/**
+ * Deletes a user along with their sessions, push subscriptions, alarm memberships, places in escalation tiers,
+ * preferences and webhooks. Incidents and delivery logs that mention the user are kept.
+ *
+ * @param user The user to delete
+ * @return Promise - Resolves once the user is deleted
+ * */
+function deleteUser (user) {
+    return db.sequelize.transaction(async transaction => {
+        const where = { userId: user.id };
+        await db.session.destroy({ where: where, transaction: transaction });
+        await db.subscription.destroy({ where: where, transaction: transaction });
+        await db.alarmMember.destroy({ where: where, transaction: transaction });
+        await removeFromEscalation(user.id, undefined, transaction);
+        await db.preference.destroy({ where: where, transaction: transaction });
+        await db.webhook.destroy({ where: where, transaction: transaction });
+        await db.responseToken.destroy({ where: where, transaction: transaction });
+        // The user's sites are kept for admins to hand over to someone else
+        await db.site.update({ managerId: null }, { where: { managerId: user.id }, transaction: transaction });
+        await user.destroy({ transaction: transaction });
+    });
+}
+
+module.exports = { promoteConfiguredAdmins, deleteUser };
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const root_dir = require('app-root-path');
+const env = process.env.NODE_ENV || 'development';
+const config = require(`${root_dir}/src/config/config.json`)[env];
+const db = require(`${root_dir}/src/models`);
+const alarms = require(`${root_dir}/src/services/alarms.js`);
+const { isPublicUrl, connectOptions } = require(`${root_dir}/src/utils/urls.js`);
+
+// Seconds to wait before each retry of a failed delivery. A delivery that fails every retry is marked failed.
+const RETRY_DELAYS = [10, 60, 5 * 60, 30 * 60, 2 * 60 * 60];
+
+// How long to wait for the receiver to answer, in milliseconds
+const TIMEOUT = 10000;
+
+// Hosts webhooks may reach even though they're on a private network, like a local Home Assistant server
+const allowedHosts = (config.webhooks || {}).allowedHosts || [];
+
+// Retry timers for pending deliveries, keyed by delivery row ID
+const timers = new Map();
+
+
+/**
+ * Signs a webhook body. Receivers recompute the HMAC-SHA256 (hex) of the X-Blaze-Timestamp header and the raw body,
+ * joined by a newline, with the webhook's secret and compare it to X-Blaze-Signature.
+ *
+ * @param secret The webhook's secret
+ * @param timestamp The UNIX timestamp sent with the delivery, in seconds
+ * @param body The raw JSON body
+ * @return string - The hex signature
+ * */
+function sign (secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}\n${body}`).digest('hex');
+}
+
+
+/**
+ * Returns the alarm fields included in event payloads
+ *
+ * @param alarm The alarm
+ * @return object - The alarm's serial, name and location
+ * */
+function describeAlarm (alarm) {
+    return {
+        'alarmSerial': alarm.alarmSerial,
+        'name': alarm.name,
+        'location': alarm.location
+    };
+}
+
+
+/**
+ * Checks that a webhook URL may be fetched, which it can't if it points to a private address the admin hasn't allowed
+ *
+ * @param url The webhook's URL
+ * @return Promise - Resolves with true if the URL may be used
+ * */
+function isAllowedUrl (url) {
+    return isPublicUrl(url, allowedHosts);
+}
+
+
+/**
+ * POSTs a body to a webhook. Redirects aren't followed, and the connection is only made to a public address unless
+ * the host is allowed, however the host resolves by then.
+ *
+ * @param url The webhook's URL
+ * @param headers The headers to send
+ * @param body The raw body
+ * @return Promise<number> - Resolves with the response's status code, or rejects if the webhook couldn't be reached
+ * */
+function post (url, headers, body) {
+    const options = {
+        ...connectOptions(url, allowedHosts),
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+    };
+    return new Promise((resolve, reject) => {
+        const request = (new URL(url).protocol === 'https:' ? https : http).request(url, options, response => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+        const timer = setTimeout(() => request.destroy(new Error('Webhook timed out')), TIMEOUT);
+        request.on('error', reject);
+        request.on('close', () => clearTimeout(timer));
+        request.end(body);
+    });
+}
+
+
+/**
+ * Sends a delivery to its webhook once. If it fails and retries remain, the next attempt is scheduled.
+ *
+ * @param delivery The pending delivery
+ * @param retry False to give up after this attempt whatever happens, like for test events
+ * @return Promise - Resolves with the updated delivery
+ * */
+async function attempt (delivery, retry = true) {
+    timers.delete(delivery.id);
+    const webhook = await db.webhook.scope('withSecret').findByPk(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+        await delivery.update({ status: 'failed', error: 'Webhook was deleted or disabled', nextAttemptAt: null });
+        return delivery;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const start = Date.now();
+    const result = { statusCode: null, error: null };
+    try {
+        result.statusCode = await post(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Blaze-Webhooks',
+            'X-Blaze-Event': delivery.event,
+            'X-Blaze-Delivery': delivery.deliveryId,
+            'X-Blaze-Timestamp': timestamp,
+            'X-Blaze-Signature': sign(webhook.secret, timestamp, delivery.payload)
+        }, delivery.payload);
+        if (result.statusCode < 200 || result.statusCode > 299)
+            result.error = `Webhook responded with ${result.statusCode}`;
+    } catch (err) {
+        // A host that now resolves to a private address won't stop doing so on its own
+        if (err.code === 'ERR_PRIVATE_ADDRESS') {
+            await delivery.update({ status: 'failed', error: 'Webhook URL points to a private address',
+                attempts: delivery.attempts + 1, latency: Date.now() - start, nextAttemptAt: null });
+            return delivery;
+        }
+        result.error = err.message === 'Webhook timed out' ? err.message : 'Unable to reach webhook';
+    }
+
+    const attempts = delivery.attempts + 1;
+    const changes = { ...result, attempts: attempts, latency: Date.now() - start, nextAttemptAt: null };
+    if (!result.error) {
+        changes.status = 'delivered';
+        changes.deliveredAt = new Date();
+    } else if (retry && attempts <= RETRY_DELAYS.length) {
+        changes.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS[attempts - 1] * 1000);
+    } else {
+        changes.status = 'failed';
+    }
+    await delivery.update(changes);
+
+    if (delivery.status === 'pending') {
+        console.log(`Webhook delivery ${delivery.deliveryId} failed, retrying: `, result.error);
+        scheduleRetry(delivery);
+    } else if (delivery.status === 'failed') {
+        console.log(`Giving up on webhook delivery ${delivery.deliveryId}: `, result.error);
+    }
+    return delivery;
+}
+
+
+/**
+ * Schedules a pending delivery's next attempt for its nextAttemptAt
+ *
+ * @param delivery The pending delivery
+ * */
+function scheduleRetry (delivery) {
+    clearTimeout(timers.get(delivery.id));
+    const remaining = Math.max(new Date(delivery.nextAttemptAt).getTime() - Date.now(), 0);
+    timers.set(delivery.id, setTimeout(() => {
+        attempt(delivery).catch(err => console.error(`Error delivering webhook ${delivery.deliveryId}: `, err));
+    }, remaining));
+}
+
+
+/**
+ * Records a delivery of an event to a webhook
+ *
+ * @param webhook The webhook to send to
+ * @param event The event type
+ * @param data The event's details
+ * @return Promise - Resolves with the pending delivery
+ * */
+function createDelivery (webhook, event, data) {
+    const deliveryId = crypto.randomUUID();
+    return db.webhookDelivery.create({
+        webhookId: webhook.id,
+        deliveryId: deliveryId,
+        event: event,
+        payload: JSON.stringify({
+            'id': deliveryId,
+            'event': event,
+            'createdAt': new Date(),
+            'data': data
+        })
+    });
+}
+
+
+/**
+ * Sends an event about an alarm to every active webhook subscribed to it that belongs to one of the alarm's members.
+ * Deliveries happen in the background, so this never fails the caller.
+ *
+ * @param event The event type, one of webhook.EVENTS
+ * @param alarm The alarm the event is about
+ * @param data The event's details. The alarm's serial, name and location are added under alarm.
+ * @return Promise<number> - The number of webhooks the event is being delivered to
+ * */
+async function emit (event, alarm, data = {}) {
+    try {
+        const userIds = await alarms.getMemberIds(alarm);
+        const webhooks = await db.webhook.findAll({ where: { userId: userIds, active: true } });
+        const subscribed = webhooks.filter(webhook => webhook.events.includes(event));
+
+        for (const webhook of subscribed) {
+            const delivery = await createDelivery(webhook, event, { 'alarm': describeAlarm(alarm), ...data });
+            attempt(delivery).catch(err => console.error(`Error delivering webhook ${delivery.deliveryId}: `, err));
+        }
+        return subscribed.length;
+    } catch (err) {
+        console.error(`Error sending ${event} webhooks: `, err);
+        return 0;
+    }
+}
+
+
+/**
+ * Sends the incident.confirmed, incident.dismissed, incident.timed_out or incident.unreachable event for a settled
+ * incident
+ *
+ * @param incident The settled incident
+ * @return Promise<number> - The number of webhooks the event is being delivered to
+ * */
+async function emitIncidentSettled (incident) {
+    let alarm;
+    try {
+        alarm = await db.alarm.findByPk(incident.alarmId);
+    } catch (err) {
+        console.error(`Error sending incident.${incident.status} webhooks: `, err);
+        return 0;
+    }
+    return emit(`incident.${incident.status}`, alarm, {
+        'incident': {
+            'id': incident.id,
+            'status': incident.status,
+            'confirmed': incident.outcome(),
+            'escalationLevel': incident.escalationLevel,
+            'triggeredAt': incident.triggeredAt,
+            'settledAt': incident.updatedAt,
+            'primaryIncidentId': incident.primaryIncidentId
+        }
+    });
+}
+
+
+/**
+ * Sends a webhook.test event to a webhook straight away. Test events aren't retried, so the result of the one attempt
+ * is returned.
+ *
+ * @param webhook The webhook to test
+ * @return Promise - Resolves with the delivered or failed delivery
+ * */
+async function sendTest (webhook) {
+    const delivery = await createDelivery(webhook, 'webhook.test', {
+        'message': 'This is a test event from Blaze'
+    });
+    return attempt(delivery, false);
+}
+
+
+/**
+ * Picks back up deliveries left pending by a previous run of the server. Any whose retry time passed while the server
+ * was down are attempted straight away.
+ *
+ * @return Promise<number> - The number of deliveries resumed
+ * */
+async function resumePendingDeliveries () {
+    const pending = await db.webhookDelivery.findAll({ where: { status: 'pending' } });
+    for (const delivery of pending) {
+        if (!delivery.nextAttemptAt)
+            delivery.nextAttemptAt = new Date();
+        scheduleRetry(delivery);
+    }
+    if (pending.length > 0)
+        console.log(`Resumed ${pending.length} pending webhook deliveries`);
+    return pending.length;
+}
+
+module.exports = { sign, isAllowedUrl, emit, emitIncidentSettled, sendTest, resumePendingDeliveries };
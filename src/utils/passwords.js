@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// scrypt parameters, stored alongside each hash so they can be raised later without breaking old hashes
+const KEY_LENGTH = 64;
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+
+
+
+/**
+ * Hashes a password using scrypt with a random salt
+ *
+ * @param password The plain text password to hash
+ * @return Promise<string> - The encoded hash in the form scrypt$N$r$p$salt$hash
+ * */
+function hashPassword (password) {
+    const salt = crypto.randomBytes(16);
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELIZATION }, (err, key) => {
+            if (err)
+                return reject(err);
+            resolve(['scrypt', COST, BLOCK_SIZE, PARALLELIZATION, salt.toString('base64'), key.toString('base64')].join('$'));
+        });
+    });
+}
+
+
+/**
+ * Checks a password against a hash produced by hashPassword
+ *
+ * @param password The plain text password to check
+ * @param encoded The stored hash
+ * @return Promise<boolean> - True if the password matches the hash
+ * */
+function verifyPassword (password, encoded) {
+    const parts = (encoded || '').split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt')
+        return Promise.resolve(false);
+
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    return new Promise((resolve, reject) => {
+        const options = { N: parseInt(N), r: parseInt(r), p: parseInt(p) };
+        crypto.scrypt(password, Buffer.from(salt, 'base64'), expected.length, options, (err, key) => {
+            if (err)
+                return reject(err);
+            resolve(crypto.timingSafeEqual(key, expected));
+        });
+    });
+}
+
+// A hash of a random password, made up front so even the first unknown username isn't slower to reject
+const dummyHash = hashPassword(crypto.randomBytes(32).toString('hex'));
+
+
+/**
+ * Returns a hash that no password matches, for checking a password against when the user doesn't exist, so response
+ * times don't give away which usernames are taken
+ *
+ * @return Promise<string> - The encoded hash
+ * */
+function getDummyHash () {
+    return dummyHash;
+}
+
+module.exports = { hashPassword, verifyPassword, getDummyHash };
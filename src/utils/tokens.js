@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const root_dir = require('app-root-path');
+const env = process.env.NODE_ENV || 'development'
+const config = require(`${root_dir}/src/config/config.json`)[env];
+
+const authDetails = config.auth || {};
+
+// Every token is signed with the secret, so refuse to start without one rather than failing on every request
+if (!authDetails.tokenSecret)
+    throw new Error('auth.tokenSecret is not set in config.json');
+
+
+/**
+ * Encodes a buffer or string as base64url
+ *
+ * @param input The buffer or string to encode
+ * @return string - The base64url encoded string
+ * */
+function base64url (input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+
+/**
+ * Computes the HMAC-SHA256 signature for the signed portion of a token
+ *
+ * @param data The header and payload segments joined by a period
+ * @return string - The base64url encoded signature
+ * */
+function sign (data) {
+    return crypto.createHmac('sha256', authDetails.tokenSecret).update(data).digest('base64url');
+}
+
+
+/**
+ * Creates a signed token (HS256 JWT) holding the payload provided. Every token gets a unique jti claim unless the
+ * payload sets one.
+ *
+ * @param payload The claims to include in the token
+ * @param ttlSeconds The number of seconds until the token expires
+ * @return string - The signed token
+ * */
+function signToken (payload, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ jti: crypto.randomUUID(), ...payload, iat: now, exp: now + ttlSeconds }));
+    return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+
+/**
+ * Verifies the signature and expiry of a token created by signToken
+ *
+ * @param token The token to verify
+ * @param type The expected value of the token's typ claim
+ * @return object|null - The token payload, or null if the token is invalid, expired or of the wrong type
+ * */
+function verifyToken (token, type) {
+    if (typeof token !== 'string')
+        return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3)
+        return null;
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual))
+        return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    } catch (err) {
+        return null;
+    }
+
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000))
+        return null;
+    if (type && payload.typ !== type)
+        return null;
+    return payload;
+}
+
+
+/**
+ * Returns the SHA-256 hex digest of a token, used so raw tokens are never stored in the DB
+ *
+ * @param token The token to hash
+ * @return string - The hex encoded digest
+ * */
+function hashToken (token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = { signToken, verifyToken, hashToken };
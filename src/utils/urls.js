@@ -0,0 +1,141 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local, shared, multicast and reserved ranges, which are never reachable from the internet
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]])
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10],
+    ['ff00::', 8]])
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+
+
+/**
+ * Checks that a string is an absolute http or https URL
+ *
+ * @param value The string to check
+ * @return boolean - True if the string is an http(s) URL
+ * */
+function isHttpUrl (value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (err) {
+        return false;
+    }
+}
+
+
+/**
+ * Checks if an IP address is in a private or reserved range
+ *
+ * @param address The IPv4 or IPv6 address
+ * @return boolean - True if the address isn't reachable from the internet
+ * */
+function isPrivateAddress (address) {
+    const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped)
+        return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+    return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+
+/**
+ * Returns a URL's host name, without the brackets around IPv6 addresses
+ *
+ * @param value The URL
+ * @return string - The lowercase host name or address
+ * */
+function hostnameOf (value) {
+    return new URL(value).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+
+/**
+ * Creates the error given when a URL turns out to point to a private address
+ *
+ * @param hostname The host name or address
+ * @return Error - An error with the code ERR_PRIVATE_ADDRESS
+ * */
+function privateAddressError (hostname) {
+    const err = new Error(`${hostname} points to a private address`);
+    err.code = 'ERR_PRIVATE_ADDRESS';
+    return err;
+}
+
+
+/**
+ * Checks that a URL points to a public address, so the server can't be used to reach its own network. The URL's host
+ * is resolved and every address it resolves to must be public, unless the host is one of the allowed hosts. Hosts
+ * that don't resolve are refused, since there's no telling where they'll point once they do.
+ *
+ * As a host can resolve to a different address by the time it's fetched, connections to it should also be made with
+ * connectOptions.
+ *
+ * @param value The http(s) URL
+ * @param allowedHosts Host names or addresses that may be private, like a Home Assistant server on the same network
+ * @return boolean - True if the URL may be fetched
+ * */
+async function isPublicUrl (value, allowedHosts = []) {
+    const hostname = hostnameOf(value);
+    if (allowedHosts.some(host => host.toLowerCase() === hostname))
+        return true;
+    if (net.isIP(hostname))
+        return !isPrivateAddress(hostname);
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (err) {
+        return false;
+    }
+    return addresses.every(({ address }) => !isPrivateAddress(address));
+}
+
+
+/**
+ * Resolves a host name like dns.lookup, failing if any of its addresses is private. Used as the lookup of a connection
+ * so the address checked is the address connected to.
+ *
+ * @param hostname The host name
+ * @param options The options net passes to dns.lookup
+ * @param callback Called with an error, or the address(es) in the form dns.lookup gives them
+ * */
+function lookupPublicAddress (hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err)
+            return callback(err);
+        if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address)))
+            return callback(privateAddressError(hostname));
+        if (options.all)
+            return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+
+/**
+ * Returns the options for http.request or https.request that only let it connect to a public address, unless the
+ * URL's host is one of the allowed hosts
+ *
+ * @param value The http(s) URL
+ * @param allowedHosts Host names or addresses that may be private
+ * @return object - The options to add to the request
+ * @throws Error - With the code ERR_PRIVATE_ADDRESS if the URL is a private IP address
+ * */
+function connectOptions (value, allowedHosts = []) {
+    const hostname = hostnameOf(value);
+    if (allowedHosts.some(host => host.toLowerCase() === hostname))
+        return {};
+    // Addresses are connected to without a lookup, so they're checked here instead
+    if (net.isIP(hostname)) {
+        if (isPrivateAddress(hostname))
+            throw privateAddressError(hostname);
+        return {};
+    }
+    return { lookup: lookupPublicAddress };
+}
+
+module.exports = { isHttpUrl, isPrivateAddress, isPublicUrl, connectOptions };
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, login } = require('./helpers.js');
+
+/**
+ * Returns the value of a cookie the server set
+ *
+ * @param response The response, as returned by request
+ * @param name The cookie's name
+ * @return string|null - The cookie's value and attributes, or null if it wasn't set
+ * */
+function findCookie (response, name) {
+    return response.headers.getSetCookie().find(cookie => cookie.startsWith(`${name}=`)) || null;
+}
+
+describe('auth', () => {
+    let server;
+    before(async () => {
+        server = await startServer();
+    });
+    after(async () => {
+        await stopServer(server);
+    });
+
+    it('gives the same answer for a wrong password and an unknown username', async () => {
+        const wrongPassword = await request('POST', '/auth/login', {
+            body: { username: 'bcsotty', password: 'not-the-password' }
+        });
+        const unknownUser = await request('POST', '/auth/login', {
+            body: { username: 'nobody', password: 'not-the-password' }
+        });
+        assert.strictEqual(wrongPassword.status, 401);
+        assert.strictEqual(unknownUser.status, 401);
+        assert.deepStrictEqual(unknownUser.body, wrongPassword.body);
+    });
+
+    it('sets the access cookie and a refresh cookie scoped to /auth on login', async () => {
+        const response = await request('POST', '/auth/login', {
+            body: { username: 'bcsotty', password: 'password123' }
+        });
+        assert.strictEqual(response.status, 200);
+        assert.ok(response.body.accessToken);
+        assert.match(findCookie(response, 'blaze_access'), /HttpOnly/);
+        const refreshCookie = findCookie(response, 'blaze_refresh');
+        assert.match(refreshCookie, /HttpOnly/);
+        assert.match(refreshCookie, /Path=\/auth/);
+    });
+
+    it('only lets requests with a valid access token through', async () => {
+        const token = await login('bcsotty');
+        const me = await request('GET', '/auth/me', { token });
+        assert.strictEqual(me.status, 200);
+        assert.strictEqual(me.body.username, 'bcsotty');
+
+        assert.strictEqual((await request('GET', '/auth/me')).status, 401);
+        assert.strictEqual((await request('GET', '/auth/me', { token: `${token}x` })).status, 401);
+        assert.strictEqual((await request('GET', '/auth/me', { token: 'not-a-token' })).status, 401);
+    });
+
+    it('accepts the access cookie in place of a bearer token', async () => {
+        const loggedIn = await request('POST', '/auth/login', {
+            body: { username: 'bcsotty', password: 'password123' }
+        });
+        const cookie = findCookie(loggedIn, 'blaze_access').split(';')[0];
+        const me = await request('GET', '/auth/me', { headers: { 'Cookie': cookie } });
+        assert.strictEqual(me.status, 200);
+    });
+
+    it('refreshes the session from the refresh cookie', async () => {
+        const loggedIn = await request('POST', '/auth/login', {
+            body: { username: 'nbokhari', password: 'password123' }
+        });
+        const cookie = findCookie(loggedIn, 'blaze_refresh').split(';')[0];
+        const refreshed = await request('POST', '/auth/refresh', { headers: { 'Cookie': cookie } });
+        assert.strictEqual(refreshed.status, 200);
+        assert.notStrictEqual(refreshed.body.refreshToken, loggedIn.body.refreshToken);
+        assert.strictEqual((await request('GET', '/auth/me', { token: refreshed.body.accessToken })).status, 200);
+    });
+
+    it('ends the session when an old refresh token is used again', async () => {
+        const loggedIn = await request('POST', '/auth/login', {
+            body: { username: 'nbokhari', password: 'password123' }
+        });
+        const oldToken = loggedIn.body.refreshToken;
+        const refreshed = await request('POST', '/auth/refresh', { body: { refreshToken: oldToken } });
+        assert.strictEqual(refreshed.status, 200);
+
+        assert.strictEqual((await request('POST', '/auth/refresh', { body: { refreshToken: oldToken } })).status, 401);
+        const newToken = refreshed.body.refreshToken;
+        assert.strictEqual((await request('POST', '/auth/refresh', { body: { refreshToken: newToken } })).status, 401);
+        assert.strictEqual((await request('GET', '/auth/me', { token: refreshed.body.accessToken })).status, 401);
+    });
+
+    it('revokes the session on logout', async () => {
+        const loggedIn = await request('POST', '/auth/login', {
+            body: { username: 'bcsotty', password: 'password123' }
+        });
+        const token = loggedIn.body.accessToken;
+        assert.strictEqual((await request('POST', '/auth/logout', { token })).status, 204);
+
+        assert.strictEqual((await request('GET', '/auth/me', { token })).status, 401);
+        const refreshToken = loggedIn.body.refreshToken;
+        assert.strictEqual((await request('POST', '/auth/refresh', { body: { refreshToken } })).status, 401);
+    });
+});
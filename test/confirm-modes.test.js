@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { startServer, stopServer, request, login, deviceRequest, pairAlarm } = require('./helpers.js');
+
+describe('confirmation modes', () => {
+    let server;
+    let receiver;
+    let brett;
+    let kitchen;
+    // Callbacks the receiver was sent, and the test waiting for the next one
+    const callbacks = [];
+    let onCallback = null;
+
+    /**
+     * Answers an incident's prompt as the owner
+     *
+     * @param incidentId The incident's ID
+     * @param confirmed True to confirm the fire, false for a false alarm
+     * @return Promise<object> - The response
+     * */
+    async function answer (incidentId, confirmed) {
+        const prompts = await request('GET', '/prompts', { token: brett });
+        const token = prompts.body.find(prompt => prompt.incidentId === incidentId).responseToken;
+        return request('POST', '/response', { body: { token, incidentId, confirmed } });
+    }
+
+    before(async () => {
+        server = await startServer();
+        brett = await login('bcsotty');
+        // Without any devices subscribed, prompts reach the owner by email
+        await request('PUT', '/preferences', {
+            token: brett,
+            body: { channels: ['email'], email: 'brett@example.com' }
+        });
+        kitchen = await pairAlarm(brett, 'modes-1', 'Kitchen');
+
+        // Stands in for the controller's callback URL
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                res.end();
+                callbacks.push({ headers: req.headers, body });
+                if (onCallback)
+                    onCallback();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    });
+    after(async () => {
+        await new Promise(resolve => receiver.close(resolve));
+        await stopServer(server);
+    });
+
+    it('holds the request open until someone answers', async () => {
+        const pending = deviceRequest(kitchen, 'GET', '/confirm?alarmId=modes-1');
+        // The prompt goes out while the request is held open
+        let prompts = await request('GET', '/prompts', { token: brett });
+        for (let tries = 0; prompts.body.length === 0 && tries < 50; tries++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            prompts = await request('GET', '/prompts', { token: brett });
+        }
+        await answer(prompts.body[0].incidentId, true);
+
+        const response = await pending;
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.incidentId, prompts.body[0].incidentId);
+        assert.strictEqual(response.body.confirmed, true);
+    });
+
+    it('answers straight away in async mode and lets the controller poll for the outcome', async () => {
+        const triggered = await deviceRequest(kitchen, 'GET', '/confirm?alarmId=modes-1&mode=async');
+        assert.strictEqual(triggered.status, 202);
+        assert.strictEqual(triggered.body.status, 'awaiting_confirmation');
+        assert.ok(new Date(triggered.body.confirmationDeadline) > new Date());
+
+        const url = `/incidents/${triggered.body.incidentId}`;
+        const waiting = await deviceRequest(kitchen, 'GET', url);
+        assert.strictEqual(waiting.body.status, 'awaiting_confirmation');
+        assert.strictEqual(waiting.body.confirmed, null);
+
+        await answer(triggered.body.incidentId, false);
+        const settled = await deviceRequest(kitchen, 'GET', url);
+        assert.strictEqual(settled.body.status, 'dismissed');
+        assert.strictEqual(settled.body.confirmed, false);
+    });
+
+    it('POSTs the outcome to the callback URL, signed with the alarm\'s credential', async () => {
+        const callbackUrl = `http://127.0.0.1:${receiver.address().port}/outcome`;
+        const url = `/confirm?alarmId=modes-1&callbackUrl=${encodeURIComponent(callbackUrl)}`;
+        const triggered = await deviceRequest(kitchen, 'GET', url);
+        assert.strictEqual(triggered.status, 202);
+
+        const delivered = new Promise(resolve => onCallback = resolve);
+        await answer(triggered.body.incidentId, true);
+        await delivered;
+
+        const { headers, body } = callbacks[0];
+        assert.deepStrictEqual(JSON.parse(body), {
+            incidentId: triggered.body.incidentId,
+            alarmId: 'modes-1',
+            status: 'confirmed',
+            confirmed: true
+        });
+        assert.strictEqual(headers['x-blaze-key-id'], kitchen.keyId);
+        const expected = crypto.createHmac('sha256', kitchen.secret)
+            .update(`${headers['x-blaze-timestamp']}\n${body}`)
+            .digest('hex');
+        assert.strictEqual(headers['x-blaze-signature'], expected);
+    });
+
+    it('refuses a callback URL that isn\'t http(s)', async () => {
+        const url = `/confirm?alarmId=modes-1&callbackUrl=${encodeURIComponent('ftp://127.0.0.1/outcome')}`;
+        const response = await deviceRequest(kitchen, 'GET', url);
+        assert.strictEqual(response.status, 400);
+    });
+});
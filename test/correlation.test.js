@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, login, deviceRequest, pairAlarm } = require('./helpers.js');
+
+describe('incident correlation', () => {
+    let server;
+    let brett;
+    let siteId;
+    let primaryIncidentId;
+    const credentials = {};
+
+    /**
+     * Adds a building with one room to the site and pairs alarms into the room
+     *
+     * @param name The building's name
+     * @param alarmSerials The serials of the alarms to pair into it
+     * @return Promise - Resolves once the alarms are in the room
+     * */
+    async function addBuilding (name, alarmSerials) {
+        const building = await request('POST', `/sites/${siteId}/buildings`, { token: brett, body: { name } });
+        const floor = await request('POST', `/buildings/${building.body.id}/floors`, { token: brett, body: { level: 1 } });
+        const room = await request('POST', `/floors/${floor.body.id}/rooms`, { token: brett, body: { name: 'Hall' } });
+        for (const alarmSerial of alarmSerials) {
+            credentials[alarmSerial] = await pairAlarm(brett, alarmSerial, `${name} hall`);
+            await request('PUT', `/alarm/${alarmSerial}/room`, { token: brett, body: { roomId: room.body.id } });
+        }
+    }
+
+    /**
+     * Triggers an alarm without waiting for the outcome
+     *
+     * @param alarmSerial The alarm's serial
+     * @return Promise<object> - The new incident's ID and the ID of the incident it joined, if any
+     * */
+    async function trigger (alarmSerial) {
+        const url = `/confirm?alarmId=${alarmSerial}&mode=async`;
+        const response = await deviceRequest(credentials[alarmSerial], 'GET', url);
+        assert.strictEqual(response.status, 202);
+        return response.body;
+    }
+
+    before(async () => {
+        server = await startServer();
+        brett = await login('bcsotty');
+        // Without any devices subscribed, prompts reach the owner by email
+        await request('PUT', '/preferences', {
+            token: brett,
+            body: { channels: ['email'], email: 'brett@example.com' }
+        });
+        const site = await request('POST', '/sites', { token: brett, body: { name: 'Maple Court' } });
+        siteId = site.body.id;
+        await addBuilding('A', ['a-1', 'a-2', 'a-3']);
+        await addBuilding('B', ['b-1']);
+        await addBuilding('C', ['c-1', 'c-2']);
+        credentials['loose-1'] = await pairAlarm(brett, 'loose-1', 'Shed');
+    });
+    after(async () => {
+        await stopServer(server);
+    });
+
+    it('groups alarms going off in the same building into the first one\'s incident', async () => {
+        const first = await trigger('a-1');
+        assert.strictEqual(first.primaryIncidentId, null);
+        primaryIncidentId = first.incidentId;
+
+        const second = await trigger('a-2');
+        assert.strictEqual(second.primaryIncidentId, first.incidentId);
+
+        const otherBuilding = await trigger('b-1');
+        assert.strictEqual(otherBuilding.primaryIncidentId, null);
+        const notInARoom = await trigger('loose-1');
+        assert.strictEqual(notInARoom.primaryIncidentId, null);
+    });
+
+    it('gives grouped incidents the primary incident\'s outcome and sounds the rest of the building', async () => {
+        const prompts = await request('GET', '/prompts', { token: brett });
+        const prompt = prompts.body.find(pending => pending.incidentId === primaryIncidentId);
+        const response = await request('POST', '/response', {
+            body: { token: prompt.responseToken, incidentId: primaryIncidentId, confirmed: true }
+        });
+        assert.strictEqual(response.status, 200);
+
+        const pending = await deviceRequest(credentials['a-3'], 'GET', '/devices/commands?wait=5');
+        assert.deepStrictEqual(pending.body.map(command => command.type), ['sound']);
+        const incidents = await request('GET', '/alarm/a-2/incidents', { token: brett });
+        assert.strictEqual(incidents.body[0].status, 'confirmed');
+    });
+
+    it('picks exactly one primary incident when alarms go off at the same time', async () => {
+        const [first, second] = await Promise.all([trigger('c-1'), trigger('c-2')]);
+        const primaries = [first, second].filter(incident => incident.primaryIncidentId === null);
+        assert.strictEqual(primaries.length, 1);
+        const joined = first === primaries[0] ? second : first;
+        assert.strictEqual(joined.primaryIncidentId, primaries[0].incidentId);
+    });
+
+    it('doesn\'t sound the rest of the building when nobody could be asked', async () => {
+        await addBuilding('D', ['d-1', 'd-2']);
+        // With only the push channel and no devices subscribed, nobody can be prompted
+        await request('PUT', '/preferences', { token: brett, body: { channels: ['push'] } });
+
+        const triggered = await deviceRequest(credentials['d-1'], 'GET', '/confirm?alarmId=d-1');
+        assert.strictEqual(triggered.status, 404);
+        const incidents = await request('GET', '/alarm/d-1/incidents', { token: brett });
+        assert.strictEqual(incidents.body[0].status, 'unreachable');
+
+        const pending = await deviceRequest(credentials['d-2'], 'GET', '/devices/commands?wait=2');
+        assert.deepStrictEqual(pending.body, []);
+    });
+});
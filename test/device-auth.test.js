@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, sendAtOnce, login, signDevice, pairAlarm } = require('./helpers.js');
+
+describe('device request signing', () => {
+    const url = '/devices/commands';
+    let server;
+    let credential;
+
+    before(async () => {
+        server = await startServer();
+        credential = await pairAlarm(await login('bcsotty'), 'signed-1', 'Kitchen');
+    });
+    after(async () => {
+        await stopServer(server);
+    });
+
+    it('accepts a correctly signed request', async () => {
+        const response = await request('GET', url, { headers: signDevice(credential, 'GET', url) });
+        assert.strictEqual(response.status, 200);
+    });
+
+    it('refuses a request sent again with the same nonce', async () => {
+        const headers = signDevice(credential, 'GET', url);
+        assert.strictEqual((await request('GET', url, { headers })).status, 200);
+        assert.strictEqual((await request('GET', url, { headers })).status, 401);
+    });
+
+    it('only lets one of the same request sent at the same time through', async () => {
+        const headers = signDevice(credential, 'GET', url);
+        const statuses = await sendAtOnce(Array(5).fill({ method: 'GET', url, headers }));
+        assert.deepStrictEqual(statuses.sort(), [200, 401, 401, 401, 401]);
+    });
+
+    it('still accepts a nonce after it was sent with a bad signature', async () => {
+        const headers = signDevice(credential, 'GET', url);
+        const forged = { ...headers, 'X-Blaze-Signature': '00'.repeat(32) };
+        assert.strictEqual((await request('GET', url, { headers: forged })).status, 401);
+        assert.strictEqual((await request('GET', url, { headers })).status, 200);
+    });
+
+    it('refuses a request signed for another path', async () => {
+        const headers = signDevice(credential, 'GET', url);
+        assert.strictEqual((await request('GET', `${url}?wait=1`, { headers })).status, 401);
+    });
+
+    it('refuses a request whose body was changed', async () => {
+        const headers = signDevice(credential, 'POST', '/devices/heartbeat', '{"firmwareVersion":"1.0.0"}');
+        const response = await request('POST', '/devices/heartbeat', { headers, body: '{"firmwareVersion":"6.6.6"}' });
+        assert.strictEqual(response.status, 401);
+    });
+
+    it('refuses a request signed with the wrong secret or an unknown key', async () => {
+        const wrongSecret = signDevice({ ...credential, secret: 'not-the-secret' }, 'GET', url);
+        assert.strictEqual((await request('GET', url, { headers: wrongSecret })).status, 401);
+        const unknownKey = signDevice({ ...credential, keyId: 'ak_unknown' }, 'GET', url);
+        assert.strictEqual((await request('GET', url, { headers: unknownKey })).status, 401);
+    });
+
+    it('refuses a request with a stale timestamp', async () => {
+        const headers = signDevice(credential, 'GET', url, '', String(Math.floor(Date.now() / 1000) - 3600));
+        assert.strictEqual((await request('GET', url, { headers })).status, 401);
+    });
+
+    it('refuses a request without a signature', async () => {
+        assert.strictEqual((await request('GET', url)).status, 401);
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, login, deviceRequest, pairAlarm } = require('./helpers.js');
+
+describe('escalation policy', () => {
+    const url = '/alarm/escalation-1/escalation';
+    let server;
+    let brett, nico;
+    let kitchen;
+
+    /**
+     * Replaces the alarm's escalation policy as its owner
+     *
+     * @param tiers The tiers to send
+     * @return Promise<object> - The response
+     * */
+    function setTiers (tiers) {
+        return request('PUT', url, { token: brett, body: { tiers } });
+    }
+
+    before(async () => {
+        server = await startServer();
+        brett = await login('bcsotty');
+        nico = await login('nbokhari');
+        kitchen = await pairAlarm(brett, 'escalation-1', 'Kitchen');
+        // A viewer can be put in a tier without being prompted along with the alarm's responders
+        const invitation = await request('POST', '/alarm/escalation-1/members', {
+            token: brett,
+            body: { username: 'nbokhari', role: 'viewer' }
+        });
+        await request('POST', `/invitations/${invitation.body.id}/accept`, { token: nico });
+    });
+    after(async () => {
+        await stopServer(server);
+    });
+
+    it('saves the tiers in the order given', async () => {
+        const response = await setTiers([
+            { waitSeconds: 30, users: ['nbokhari'] },
+            { waitSeconds: 60, users: ['bcsotty', 'nbokhari'] }
+        ]);
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body, [
+            { position: 1, waitSeconds: 30, users: ['nbokhari'] },
+            { position: 2, waitSeconds: 60, users: ['bcsotty', 'nbokhari'] }
+        ]);
+
+        const saved = await request('GET', url, { token: brett });
+        assert.deepStrictEqual(saved.body, response.body);
+    });
+
+    it('rejects malformed tiers without changing the policy', async () => {
+        const malformed = [
+            undefined,
+            'not a list',
+            [null],
+            ['tier'],
+            [{ waitSeconds: 4, users: ['nbokhari'] }],
+            [{ waitSeconds: 3601, users: ['nbokhari'] }],
+            [{ waitSeconds: '30', users: ['nbokhari'] }],
+            [{ waitSeconds: 30 }],
+            [{ waitSeconds: 30, users: [] }],
+            [{ waitSeconds: 30, users: [{ username: 'nbokhari' }] }],
+            [{ waitSeconds: 30, users: 'nbokhari' }],
+            [{ waitSeconds: 30, users: ['nobody'] }]
+        ];
+        for (const tiers of malformed) {
+            const response = await setTiers(tiers);
+            assert.strictEqual(response.status, 400, `Expected ${JSON.stringify(tiers)} to be rejected`);
+        }
+
+        const saved = await request('GET', url, { token: brett });
+        assert.strictEqual(saved.body.length, 2);
+    });
+
+    it('only puts members of the alarm in a tier', async () => {
+        await request('POST', '/auth/register', {
+            body: { username: 'outsider', password: 'password123', firstName: 'Out', lastName: 'Sider' }
+        });
+        const response = await setTiers([{ waitSeconds: 30, users: ['bcsotty', 'outsider'] }]);
+        assert.strictEqual(response.status, 400);
+
+        const invitation = await request('POST', '/alarm/escalation-1/members', {
+            token: brett,
+            body: { username: 'outsider', role: 'viewer' }
+        });
+        assert.strictEqual(invitation.status, 201);
+        const invited = await setTiers([{ waitSeconds: 30, users: ['outsider'] }]);
+        assert.strictEqual(invited.status, 400, 'Expected a pending invitation not to count');
+
+        const saved = await request('GET', url, { token: brett });
+        assert.strictEqual(saved.body.length, 2);
+    });
+
+    it('only lets the owner change the policy', async () => {
+        const response = await request('PUT', url, { token: nico, body: { tiers: [] } });
+        assert.strictEqual(response.status, 403);
+        assert.strictEqual((await request('PUT', url, { body: { tiers: [] } })).status, 401);
+    });
+
+    it('clears the policy when sent no tiers', async () => {
+        const response = await setTiers([]);
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body, []);
+    });
+
+    it('times the incident out once every tier is out of reach', async () => {
+        // Neither the owner nor the tier has any devices subscribed
+        await setTiers([{ waitSeconds: 30, users: ['nbokhari'] }]);
+
+        const triggered = await deviceRequest(kitchen, 'GET', '/confirm?alarmId=escalation-1');
+        assert.strictEqual(triggered.status, 200);
+        assert.strictEqual(triggered.body.escalationLevel, 1);
+        const incident = await deviceRequest(kitchen, 'GET', `/incidents/${triggered.body.incidentId}`);
+        assert.strictEqual(incident.body.status, 'timed_out');
+    });
+
+    it('moves on to the next tier straight away when nobody in the current one can be reached', async () => {
+        // The owner has no devices subscribed, but the first tier can be emailed
+        await request('PUT', '/preferences', {
+            token: nico,
+            body: { channels: ['email'], email: 'nico@example.com' }
+        });
+        await setTiers([{ waitSeconds: 30, users: ['nbokhari'] }]);
+
+        const triggered = await deviceRequest(kitchen, 'GET', '/confirm?alarmId=escalation-1&mode=async');
+        assert.strictEqual(triggered.status, 202);
+        const events = await request('GET', `/incidents/${triggered.body.incidentId}/events`, { token: brett });
+        const escalated = events.body.find(event => event.type === 'escalated');
+        assert.ok(escalated, 'Expected the incident to escalate');
+        const incident = await deviceRequest(kitchen, 'GET', `/incidents/${triggered.body.incidentId}`);
+        assert.strictEqual(incident.body.status, 'awaiting_confirmation');
+    });
+
+    it('takes a member out of the tiers when they leave the alarm', async () => {
+        await setTiers([
+            { waitSeconds: 30, users: ['nbokhari'] },
+            { waitSeconds: 60, users: ['bcsotty', 'nbokhari'] }
+        ]);
+        const left = await request('DELETE', '/alarm/escalation-1/members/nbokhari', { token: nico });
+        assert.strictEqual(left.status, 204);
+
+        const saved = await request('GET', url, { token: brett });
+        assert.deepStrictEqual(saved.body, [{ position: 2, waitSeconds: 60, users: ['bcsotty'] }]);
+    });
+});
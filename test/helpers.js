@@ -0,0 +1,205 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+// The tests run the real server against the test section of the config, with a database of their own
+const root_dir = path.join(__dirname, '..');
+const config = require(`${root_dir}/src/config/config.json`).test;
+const dbPath = path.join(root_dir, config.database.dbFile);
+const BASE_URL = `http://127.0.0.1:${config.port}`;
+
+// How long the server gets to start, in milliseconds
+const START_TIMEOUT = 30000;
+
+
+/**
+ * Starts the server on a fresh test database, resolving once it's listening
+ *
+ * @return Promise - Resolves with the server's child process, to pass to stopServer
+ * */
+function startServer () {
+    fs.rmSync(dbPath, { force: true });
+    const server = spawn(process.execPath, ['index.js'], {
+        cwd: root_dir,
+        env: { ...process.env, NODE_ENV: 'test' },
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            server.kill();
+            reject(new Error('Server took too long to start'));
+        }, START_TIMEOUT);
+        server.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}`));
+        });
+        let output = '';
+        server.stdout.on('data', chunk => {
+            // Keep reading so the server never blocks on a full pipe
+            if (output === null)
+                return;
+            output += chunk;
+            if (output.includes('Server listening')) {
+                output = null;
+                clearTimeout(timer);
+                resolve(server);
+            }
+        });
+    });
+}
+
+
+/**
+ * Stops the server and removes its database
+ *
+ * @param server The child process returned by startServer
+ * @return Promise - Resolves once the server has exited
+ * */
+async function stopServer (server) {
+    if (server.exitCode === null) {
+        const exited = new Promise(resolve => server.once('exit', resolve));
+        server.kill();
+        await exited;
+    }
+    fs.rmSync(dbPath, { force: true });
+}
+
+
+/**
+ * Sends a request to the server
+ *
+ * @param method The HTTP method
+ * @param url The path, including any query string
+ * @param options The JSON body, an access token to send as a bearer token, and any other headers
+ * @return Promise<object> - The status, headers and parsed JSON body (or null if there wasn't one)
+ * */
+async function request (method, url, { body, token, headers = {} } = {}) {
+    const rawBody = body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body));
+    const response = await fetch(`${BASE_URL}${url}`, {
+        method: method,
+        headers: {
+            ...(rawBody !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: rawBody
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+
+/**
+ * Sends several requests over connections of their own at once. Every connection is opened before any request is
+ * written, so the requests reach the server together, unlike with fetch.
+ *
+ * @param requests The requests, each with a method, a url (the path, including any query string), and optionally a
+ * JSON body and headers
+ * @return Promise<array> - The status code of each response, in the order the requests were given
+ * */
+async function sendAtOnce (requests) {
+    const sockets = await Promise.all(requests.map(() => new Promise((resolve, reject) => {
+        const socket = net.connect(config.port, '127.0.0.1', () => resolve(socket));
+        socket.once('error', reject);
+    })));
+    return Promise.all(requests.map(({ method, url, body, headers = {} }, index) => new Promise((resolve, reject) => {
+        const rawBody = body === undefined ? '' : JSON.stringify(body);
+        const allHeaders = {
+            'Host': `127.0.0.1:${config.port}`,
+            'Connection': 'close',
+            ...(body !== undefined ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(rawBody) } : {}),
+            ...headers
+        };
+        const head = Object.entries(allHeaders).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+        let response = '';
+        const socket = sockets[index];
+        socket.on('data', chunk => response += chunk);
+        socket.on('end', () => resolve(parseInt(response.split(' ')[1])));
+        socket.on('error', reject);
+        socket.write(`${method} ${url} HTTP/1.1\r\n${head}\r\n${rawBody}`);
+    })));
+}
+
+
+/**
+ * Logs in as one of the users the server creates on an empty database (bcsotty and nbokhari), or as a user
+ * registered by the test
+ *
+ * @param username The username
+ * @param password The password
+ * @return Promise<string> - The access token
+ * */
+async function login (username, password = 'password123') {
+    const response = await request('POST', '/auth/login', { body: { username, password } });
+    if (response.status !== 200)
+        throw new Error(`Unable to log in as ${username}: ${JSON.stringify(response.body)}`);
+    return response.body.accessToken;
+}
+
+
+/**
+ * Signs a request the way an alarm's controller does
+ *
+ * @param credential The credential's keyId and secret
+ * @param method The HTTP method
+ * @param url The path, including any query string
+ * @param body The raw body, if any
+ * @param timestamp The UNIX timestamp to sign with, in seconds, if not now
+ * @return object - The headers to send
+ * */
+function signDevice (credential, method, url, body = '', timestamp = Math.floor(Date.now() / 1000).toString()) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+    const signature = crypto.createHmac('sha256', credential.secret)
+        .update([method, url, timestamp, nonce, bodyHash].join('\n'))
+        .digest('hex');
+    return {
+        'X-Blaze-Key-Id': credential.keyId,
+        'X-Blaze-Timestamp': timestamp,
+        'X-Blaze-Nonce': nonce,
+        'X-Blaze-Signature': signature
+    };
+}
+
+
+/**
+ * Sends a signed request as an alarm's controller
+ *
+ * @param credential The credential's keyId and secret
+ * @param method The HTTP method
+ * @param url The path, including any query string
+ * @param body The JSON body, if any
+ * @return Promise<object> - The response, as returned by request
+ * */
+function deviceRequest (credential, method, url, body) {
+    const rawBody = body === undefined ? undefined : JSON.stringify(body);
+    return request(method, url, { body: rawBody, headers: signDevice(credential, method, url, rawBody) });
+}
+
+
+/**
+ * Pairs a new alarm with the user, the way the controller and the web app do it together
+ *
+ * @param token The owner's access token
+ * @param alarmSerial The new alarm's serial
+ * @param location Where the alarm is
+ * @return Promise<object> - The controller's keyId and secret
+ * */
+async function pairAlarm (token, alarmSerial, location) {
+    const registration = await request('POST', '/devices/register', { body: { alarmSerial } });
+    const pairing = await request('POST', '/alarm', {
+        token: token,
+        body: { pairingCode: registration.body.pairingCode, location: location }
+    });
+    if (pairing.status !== 200 && pairing.status !== 201)
+        throw new Error(`Unable to pair alarm ${alarmSerial}: ${JSON.stringify(pairing.body)}`);
+    const credential = await request('POST', '/devices/credentials', {
+        body: { alarmSerial: alarmSerial, claimToken: registration.body.claimToken }
+    });
+    return { keyId: credential.body.keyId, secret: credential.body.secret };
+}
+
+module.exports = { startServer, stopServer, request, sendAtOnce, login, signDevice, deviceRequest, pairAlarm };
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, sendAtOnce, login, deviceRequest, pairAlarm } = require('./helpers.js');
+
+describe('incident state', () => {
+    let server;
+    let brett, nico;
+    let kitchen;
+
+    /**
+     * Finds the token a user can answer an incident's prompt with
+     *
+     * @param token The user's access token
+     * @param incidentId The incident's ID
+     * @return Promise<string> - The response token
+     * */
+    async function responseToken (token, incidentId) {
+        const prompts = await request('GET', '/prompts', { token });
+        return prompts.body.find(prompt => prompt.incidentId === incidentId).responseToken;
+    }
+
+    before(async () => {
+        server = await startServer();
+        brett = await login('bcsotty');
+        nico = await login('nbokhari');
+        kitchen = await pairAlarm(brett, 'incident-1', 'Kitchen');
+        const invitation = await request('POST', '/alarm/incident-1/members', {
+            token: brett,
+            body: { username: 'nbokhari', role: 'member' }
+        });
+        await request('POST', `/invitations/${invitation.body.id}/accept`, { token: nico });
+        // Without any devices subscribed, prompts reach both members by email
+        for (const [token, email] of [[brett, 'brett@example.com'], [nico, 'nico@example.com']])
+            await request('PUT', '/preferences', { token, body: { channels: ['email'], email } });
+    });
+    after(async () => {
+        await stopServer(server);
+    });
+
+    it('settles once when two members answer at the same time', async () => {
+        const triggered = await deviceRequest(kitchen, 'GET', '/confirm?alarmId=incident-1&mode=async');
+        const incidentId = triggered.body.incidentId;
+        const answers = [
+            { token: await responseToken(brett, incidentId), incidentId, confirmed: true },
+            { token: await responseToken(nico, incidentId), incidentId, confirmed: false }
+        ];
+
+        const statuses = await sendAtOnce(answers.map(body => ({ method: 'POST', url: '/response', body })));
+        assert.deepStrictEqual([...statuses].sort(), [200, 409]);
+        const winner = answers[statuses.indexOf(200)];
+
+        const incident = await deviceRequest(kitchen, 'GET', `/incidents/${incidentId}`);
+        assert.strictEqual(incident.body.status, winner.confirmed ? 'confirmed' : 'dismissed');
+        const events = await request('GET', `/incidents/${incidentId}/events`, { token: brett });
+        const outcomes = events.body.filter(event => ['confirmed', 'dismissed'].includes(event.type));
+        assert.strictEqual(outcomes.length, 1);
+    });
+
+    it('only moves between allowed states', async () => {
+        const triggered = await deviceRequest(kitchen, 'GET', '/confirm?alarmId=incident-1&mode=async');
+        const incidentId = triggered.body.incidentId;
+        const early = await request('POST', `/incidents/${incidentId}/resolve`, { token: brett });
+        assert.strictEqual(early.status, 409, 'Expected an incident still awaiting an answer not to be resolved');
+
+        const token = await responseToken(brett, incidentId);
+        await request('POST', '/response', { body: { token, incidentId, confirmed: false } });
+        const resolved = await request('POST', `/incidents/${incidentId}/resolve`, { token: brett });
+        assert.strictEqual(resolved.status, 200);
+        const again = await request('POST', `/incidents/${incidentId}/resolve`, { token: brett });
+        assert.strictEqual(again.status, 409);
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, login, deviceRequest, pairAlarm } = require('./helpers.js');
+
+describe('/notify targeting', () => {
+    const notification = { title: 'Test', message: 'Testing /notify' };
+    let server;
+    let brett, nico;
+    let kitchen, hall, garage;
+    let garageBuildingId;
+
+    /**
+     * Sends /notify as one of the alarms
+     *
+     * @param credential The alarm's credential
+     * @param target The target, if any
+     * @return Promise<object> - The response
+     * */
+    function notify (credential, target) {
+        return deviceRequest(credential, 'POST', '/notify', { notification, target });
+    }
+
+    /**
+     * Returns the usernames a /notify response says were notified
+     *
+     * @param response The response
+     * @return array - The sorted usernames
+     * */
+    function notified (response) {
+        return response.body.users.map(user => user.username).sort();
+    }
+
+    before(async () => {
+        server = await startServer();
+        brett = await login('bcsotty');
+        nico = await login('nbokhari');
+        kitchen = await pairAlarm(brett, 'notify-1', 'Kitchen');
+        hall = await pairAlarm(brett, 'notify-2', 'Hall');
+        garage = await pairAlarm(nico, 'notify-3', 'Garage');
+
+        const site = await request('POST', '/sites', { token: nico, body: { name: 'Nico\'s house' } });
+        const building = await request('POST', `/sites/${site.body.id}/buildings`, {
+            token: nico,
+            body: { name: 'Main' }
+        });
+        garageBuildingId = building.body.id;
+        const floor = await request('POST', `/buildings/${garageBuildingId}/floors`, { token: nico, body: { level: 0 } });
+        const room = await request('POST', `/floors/${floor.body.id}/rooms`, { token: nico, body: { name: 'Garage' } });
+        await request('PUT', '/alarm/notify-3/room', { token: nico, body: { roomId: room.body.id } });
+    });
+    after(async () => {
+        await stopServer(server);
+    });
+
+    it('refuses unsigned requests', async () => {
+        const response = await request('POST', '/notify', { body: { notification } });
+        assert.strictEqual(response.status, 401);
+    });
+
+    it('notifies the calling alarm\'s members by default', async () => {
+        const response = await notify(kitchen);
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(notified(response), ['bcsotty']);
+    });
+
+    it('reaches other alarms with the same owner', async () => {
+        const response = await notify(kitchen, { alarmSerial: 'notify-2' });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(notified(response), ['bcsotty']);
+    });
+
+    it('refuses to notify about another owner\'s alarm', async () => {
+        const response = await notify(kitchen, { alarmSerial: 'notify-3' });
+        assert.strictEqual(response.status, 403);
+    });
+
+    it('only picks out alarms in reach by location', async () => {
+        const response = await notify(hall, { location: 'Garage' });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(notified(response), []);
+    });
+
+    it('only notifies users by name if they\'re members of the calling alarm', async () => {
+        assert.strictEqual((await notify(kitchen, { users: ['nbokhari'] })).status, 403);
+        assert.strictEqual((await notify(kitchen, { users: ['nobody'] })).status, 400);
+
+        const invitation = await request('POST', '/alarm/notify-1/members', {
+            token: brett,
+            body: { username: 'nbokhari', role: 'member' }
+        });
+        await request('POST', `/invitations/${invitation.body.id}/accept`, { token: nico });
+        const response = await notify(kitchen, { users: ['nbokhari'] });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(notified(response), ['nbokhari']);
+    });
+
+    it('only reaches buildings in the calling alarm\'s sites', async () => {
+        assert.strictEqual((await notify(hall, { buildingId: garageBuildingId })).status, 403);
+
+        const response = await notify(garage, { buildingId: garageBuildingId });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(notified(response), ['nbokhari']);
+    });
+
+    it('rejects malformed targets', async () => {
+        assert.strictEqual((await notify(kitchen, { role: 'janitor' })).status, 400);
+        assert.strictEqual((await notify(kitchen, { users: 'bcsotty' })).status, 400);
+        assert.strictEqual((await notify(garage, { floor: 0 })).status, 400);
+        assert.strictEqual((await notify(garage, { buildingId: 'main' })).status, 400);
+        assert.strictEqual((await notify(kitchen, { alarmSerial: 'missing' })).status, 404);
+    });
+});
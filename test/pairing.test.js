@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, sendAtOnce, login, signDevice } = require('./helpers.js');
+
+describe('alarm pairing', () => {
+    let server;
+    let brett, nico;
+
+    /**
+     * Registers an alarm for pairing, the way its controller does on first boot
+     *
+     * @param alarmSerial The alarm's serial
+     * @param claimToken The claim token from an earlier registration, to replace its pairing code
+     * @return Promise<object> - The response
+     * */
+    function register (alarmSerial, claimToken) {
+        return request('POST', '/devices/register', { body: { alarmSerial, claimToken } });
+    }
+
+    before(async () => {
+        server = await startServer();
+        brett = await login('bcsotty');
+        nico = await login('nbokhari');
+    });
+    after(async () => {
+        await stopServer(server);
+    });
+
+    it('hands the controller its credential once the owner claims the pairing code', async () => {
+        const registration = await register('pair-1');
+        assert.strictEqual(registration.status, 201);
+        const { pairingCode, claimToken } = registration.body;
+        assert.ok(registration.body.qrPayload.includes(encodeURIComponent(pairingCode)));
+
+        const early = await request('POST', '/devices/credentials', { body: { alarmSerial: 'pair-1', claimToken } });
+        assert.strictEqual(early.status, 202);
+        assert.strictEqual(early.body.status, 'pending');
+
+        const claimed = await request('POST', '/alarm', { token: brett, body: { pairingCode, location: 'Kitchen' } });
+        assert.strictEqual(claimed.status, 201);
+        assert.strictEqual(claimed.body.alarmSerial, 'pair-1');
+
+        const collected = await request('POST', '/devices/credentials', { body: { alarmSerial: 'pair-1', claimToken } });
+        assert.strictEqual(collected.status, 201);
+        const credential = { keyId: collected.body.keyId, secret: collected.body.secret };
+        const headers = signDevice(credential, 'GET', '/devices/commands');
+        assert.strictEqual((await request('GET', '/devices/commands', { headers })).status, 200);
+
+        const again = await request('POST', '/devices/credentials', { body: { alarmSerial: 'pair-1', claimToken } });
+        assert.strictEqual(again.status, 401, 'Expected the claim token to only work once');
+    });
+
+    it('gives the alarm to only one of two users claiming it at the same time', async () => {
+        const registration = await register('pair-2');
+        const body = { pairingCode: registration.body.pairingCode, location: 'Hall' };
+        const claims = [brett, nico].map(token => ({
+            method: 'POST',
+            url: '/alarm',
+            body: body,
+            headers: { 'Authorization': `Bearer ${token}` }
+        }));
+        const statuses = await sendAtOnce(claims);
+        assert.deepStrictEqual([...statuses].sort(), [201, 409]);
+
+        const later = await request('POST', '/alarm', { token: nico, body });
+        assert.strictEqual(later.status, 409);
+        assert.strictEqual((await register('pair-2')).status, 409, 'Expected a paired alarm not to register again');
+    });
+
+    it('only lets the controller holding the claim token replace a pending pairing code', async () => {
+        const first = await register('pair-3');
+        assert.strictEqual(first.status, 201);
+
+        assert.strictEqual((await register('pair-3')).status, 409);
+        assert.strictEqual((await register('pair-3', 'not-the-claim-token')).status, 409);
+
+        const replaced = await register('pair-3', first.body.claimToken);
+        assert.strictEqual(replaced.status, 201);
+        assert.notStrictEqual(replaced.body.pairingCode, first.body.pairingCode);
+
+        const oldCode = await request('POST', '/alarm', {
+            token: brett,
+            body: { pairingCode: first.body.pairingCode, location: 'Attic' }
+        });
+        assert.strictEqual(oldCode.status, 404);
+        const newCode = await request('POST', '/alarm', {
+            token: brett,
+            body: { pairingCode: replaced.body.pairingCode, location: 'Attic' }
+        });
+        assert.strictEqual(newCode.status, 201);
+    });
+
+    it('limits how often an address can register', async () => {
+        let response;
+        for (let attempt = 0; attempt < 50; attempt++) {
+            response = await register(`pair-limit-${attempt}`);
+            if (response.status !== 201)
+                break;
+        }
+        assert.strictEqual(response.status, 429);
+    });
+});
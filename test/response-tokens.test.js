@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startServer, stopServer, request, login, deviceRequest, pairAlarm } = require('./helpers.js');
+
+const config = require('../src/config/config.json').test;
+
+/**
+ * Reads the claims of a token
+ *
+ * @param token The signed token
+ * @return object - The token's payload
+ * */
+function decode (token) {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+}
+
+
+/**
+ * Signs a copy of a response token that expired a minute ago, the way the server would have
+ *
+ * @param token A response token the server issued
+ * @return string - The expired token
+ * */
+function expire (token) {
+    const header = token.split('.')[0];
+    const payload = decode(token);
+    payload.exp = Math.floor(Date.now() / 1000) - 60;
+    const expired = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', config.auth.tokenSecret)
+        .update(`${header}.${expired}`)
+        .digest('base64url');
+    return `${header}.${expired}.${signature}`;
+}
+
+describe('response tokens', () => {
+    let server;
+    let brett;
+    const credentials = {};
+
+    /**
+     * Triggers an alarm without waiting for the outcome and returns the token its prompt can be answered with
+     *
+     * @param alarmSerial The alarm's serial
+     * @return Promise<object> - The incident's ID and the prompt's response token
+     * */
+    async function trigger (alarmSerial) {
+        const url = `/confirm?alarmId=${alarmSerial}&mode=async`;
+        const triggered = await deviceRequest(credentials[alarmSerial], 'GET', url);
+        assert.strictEqual(triggered.status, 202);
+        const prompts = await request('GET', '/prompts', { token: brett });
+        const prompt = prompts.body.find(pending => pending.incidentId === triggered.body.incidentId);
+        return { incidentId: triggered.body.incidentId, token: prompt.responseToken };
+    }
+
+    before(async () => {
+        server = await startServer();
+        brett = await login('bcsotty');
+        // Without any devices subscribed, prompts reach the owner by email
+        await request('PUT', '/preferences', {
+            token: brett,
+            body: { channels: ['email'], email: 'brett@example.com' }
+        });
+        for (const alarmSerial of ['response-1', 'response-2', 'response-3'])
+            credentials[alarmSerial] = await pairAlarm(brett, alarmSerial, 'Hall');
+    });
+    after(async () => {
+        await stopServer(server);
+    });
+
+    it('refuses a token that was already used', async () => {
+        const { incidentId, token } = await trigger('response-1');
+        const first = await request('POST', '/response', { body: { token, incidentId, confirmed: false } });
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.body.status, 'dismissed');
+
+        const replayed = await request('POST', '/response', { body: { token, incidentId, confirmed: true } });
+        assert.strictEqual(replayed.status, 409);
+        const incident = await deviceRequest(credentials['response-1'], 'GET', `/incidents/${incidentId}`);
+        assert.strictEqual(incident.body.status, 'dismissed');
+    });
+
+    it('refuses an expired token', async () => {
+        const { incidentId, token } = await trigger('response-2');
+        const response = await request('POST', '/response', {
+            body: { token: expire(token), incidentId, confirmed: true }
+        });
+        assert.strictEqual(response.status, 401);
+
+        const incident = await deviceRequest(credentials['response-2'], 'GET', `/incidents/${incidentId}`);
+        assert.strictEqual(incident.body.status, 'awaiting_confirmation');
+    });
+
+    it('refuses a token issued for another incident', async () => {
+        const other = await trigger('response-3');
+        const prompts = await request('GET', '/prompts', { token: brett });
+        const token = prompts.body.find(pending => pending.incidentId !== other.incidentId).responseToken;
+
+        const response = await request('POST', '/response', {
+            body: { token, incidentId: other.incidentId, confirmed: true }
+        });
+        assert.strictEqual(response.status, 403);
+        const incident = await deviceRequest(credentials['response-3'], 'GET', `/incidents/${other.incidentId}`);
+        assert.strictEqual(incident.body.status, 'awaiting_confirmation');
+    });
+
+    it('gives the app the same token however often it reads the prompts', async () => {
+        const { incidentId, token } = await trigger('response-1');
+        for (let read = 0; read < 3; read++) {
+            const prompts = await request('GET', '/prompts', { token: brett });
+            const prompt = prompts.body.find(pending => pending.incidentId === incidentId);
+            assert.strictEqual(decode(prompt.responseToken).jti, decode(token).jti);
+        }
+
+        const answered = await request('POST', '/response', { body: { token, incidentId, confirmed: false } });
+        assert.strictEqual(answered.status, 200);
+    });
+
+    it('refuses a token that wasn\'t signed by the server', async () => {
+        const { incidentId, token } = await trigger('response-3');
+        const [header, body] = token.split('.');
+        const forged = `${header}.${body}.${crypto.randomBytes(32).toString('base64url')}`;
+        const response = await request('POST', '/response', { body: { token: forged, incidentId, confirmed: true } });
+        assert.strictEqual(response.status, 401);
+    });
+});
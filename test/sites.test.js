@@ -0,0 +1,53 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, login, pairAlarm } = require('./helpers.js');
+
+describe('sites', () => {
+    let server;
+    let brett, nico;
+    let siteId;
+
+    /**
+     * Changes the site
+     *
+     * @param token The access token of the user changing it
+     * @param body The fields to change
+     * @return Promise<number> - The response's status
+     * */
+    async function updateSite (token, body) {
+        return (await request('PATCH', `/sites/${siteId}`, { token, body })).status;
+    }
+
+    before(async () => {
+        server = await startServer();
+        brett = await login('bcsotty');
+        nico = await login('nbokhari');
+        const site = await request('POST', '/sites', { token: brett, body: { name: 'Maple Court' } });
+        siteId = site.body.id;
+        const building = await request('POST', `/sites/${siteId}/buildings`, { token: brett, body: { name: 'A' } });
+        const floor = await request('POST', `/buildings/${building.body.id}/floors`, { token: brett, body: { level: 1 } });
+        const room = await request('POST', `/floors/${floor.body.id}/rooms`, { token: brett, body: { name: 'Hall' } });
+        await pairAlarm(brett, 'site-1', 'Hall');
+        await request('PUT', '/alarm/site-1/room', { token: brett, body: { roomId: room.body.id } });
+    });
+    after(async () => {
+        await stopServer(server);
+    });
+
+    it('only hands a site over to a member of one of its alarms', async () => {
+        assert.strictEqual(await updateSite(brett, { manager: 'nbokhari' }), 409);
+        assert.strictEqual(await updateSite(nico, { name: 'Mine' }), 403);
+
+        const invitation = await request('POST', '/alarm/site-1/members', {
+            token: brett,
+            body: { username: 'nbokhari', role: 'viewer' }
+        });
+        assert.strictEqual(await updateSite(brett, { manager: 'nbokhari' }), 409,
+            'Expected an invitation that wasn\'t accepted not to count');
+
+        await request('POST', `/invitations/${invitation.body.id}/accept`, { token: nico });
+        assert.strictEqual(await updateSite(brett, { manager: 'nbokhari' }), 200);
+        assert.strictEqual(await updateSite(nico, { name: 'Mine' }), 200);
+        assert.strictEqual(await updateSite(brett, { name: 'Ours' }), 403);
+    });
+});
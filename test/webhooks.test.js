@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, login } = require('./helpers.js');
+
+describe('webhook URLs', () => {
+    // A documentation address, so nothing is ever sent anywhere real
+    const publicUrl = 'http://203.0.113.10/hooks/blaze';
+    let server;
+    let brett;
+
+    before(async () => {
+        server = await startServer();
+        brett = await login('bcsotty');
+    });
+    after(async () => {
+        await stopServer(server);
+    });
+
+    it('refuses URLs pointing to the server\'s own network', async () => {
+        const privateUrls = [
+            'http://localhost:3000/',
+            'http://127.0.0.1/',
+            'http://[::1]/',
+            'http://10.0.0.8/',
+            'http://192.168.1.20:8123/',
+            'http://169.254.169.254/latest/meta-data',
+            'http://[::ffff:127.0.0.1]/'
+        ];
+        for (const url of privateUrls) {
+            const response = await request('POST', '/webhooks', {
+                token: brett,
+                body: { url: url, events: ['alarm.triggered'] }
+            });
+            assert.strictEqual(response.status, 400, `Expected ${url} to be refused`);
+        }
+    });
+
+    it('refuses host names that don\'t resolve', async () => {
+        const response = await request('POST', '/webhooks', {
+            token: brett,
+            body: { url: 'http://blaze-receiver.invalid/hooks', events: ['alarm.triggered'] }
+        });
+        assert.strictEqual(response.status, 400);
+    });
+
+    it('refuses changing a webhook\'s URL to a private address', async () => {
+        const created = await request('POST', '/webhooks', {
+            token: brett,
+            body: { url: publicUrl, events: ['alarm.triggered'] }
+        });
+        assert.strictEqual(created.status, 201);
+
+        const updated = await request('PATCH', `/webhooks/${created.body.id}`, {
+            token: brett,
+            body: { url: 'http://127.0.0.1:3099/auth/me' }
+        });
+        assert.strictEqual(updated.status, 400);
+    });
+});